@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const ABTest = require('../models/ABTest');
+const ABTestRecipient = require('../models/ABTestRecipient');
+const Campaign = require('../models/Campaign');
+const Subscriber = require('../models/Subscriber');
+const { addEmailJob, addCampaignBatchJob } = require('../services/queueServiceWrapper');
+const abTestService = require('../services/abTestService');
+
+jest.mock('../models/ABTestRecipient', () => ({ insertMany: jest.fn(), updateMany: jest.fn(), find: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../models/Campaign', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/Subscriber', () => ({ find: jest.fn() }));
+jest.mock('../services/queueServiceWrapper', () => ({ addEmailJob: jest.fn(), addCampaignBatchJob: jest.fn() }));
+
+const select = (result) => ({ select: jest.fn().mockReturnThis(), limit: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(result) });
+
+describe('test-then-send A/B tests', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const campaignId = new mongoose.Types.ObjectId();
+
+  const makeTest = (overrides = {}) => new ABTest({
+    user: userId,
+    campaign: campaignId,
+    name: 'Subject test',
+    testType: 'subject',
+    winnerCriteria: 'open_rate',
+    testPercentage: 40,
+    sendMode: 'test_then_send',
+    variants: [{ name: 'A', subject: 'Hello {{name}}' }, { name: 'B', subject: 'Last chance', fromEmail: 'promo@elsewhere.com' }],
+    ...overrides
+  });
+  const makeCampaign = () => ({
+    _id: campaignId,
+    subject: 'Original',
+    htmlContent: '<p>Hi {{name}}</p>',
+    fromEmail: 'news@example.com',
+    fromName: 'News',
+    groups: [],
+    status: 'sending',
+    emailsSuccessfullySent: 4,
+    save: jest.fn().mockResolvedValue()
+  });
+  const subscribersOf = (count) => Array.from({ length: count }, (_, i) => ({ _id: new mongoose.Types.ObjectId(), email: `s${i}@example.com`, name: `Sub ${i}` }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(ABTest.prototype, 'save').mockResolvedValue();
+    addEmailJob.mockResolvedValue({ id: 'job' });
+    addCampaignBatchJob.mockResolvedValue({ id: 'batch' });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('splits the test portion evenly across variants and holds the rest back', async () => {
+    const abTest = makeTest();
+    const before = Date.now();
+
+    const result = await abTestService.sendTestPortion(makeCampaign(), abTest, subscribersOf(10));
+
+    expect(result).toEqual({ successfulSends: 4, failedSends: 0, testRecipients: 4, remainderRecipients: 6 });
+    const rows = ABTestRecipient.insertMany.mock.calls[0][0];
+    expect(rows.filter(row => row.group === 'test')).toHaveLength(4);
+    expect(rows.filter(row => row.group === 'remainder' && !row.variant)).toHaveLength(6);
+
+    const emails = addEmailJob.mock.calls.map(([email]) => email);
+    expect(emails.filter(email => email.subject.startsWith('Hello Sub'))).toHaveLength(2);
+    expect(emails.filter(email => email.subject === 'Last chance')).toHaveLength(2);
+    // A variant sender outside the campaign's verified domain is ignored
+    expect(emails.every(email => email.fromEmail === 'news@example.com')).toBe(true);
+
+    expect(abTest.variants.map(variant => variant.sentCount)).toEqual([2, 2]);
+    expect(abTest.status).toBe('running');
+    expect(abTest.remainderStatus).toBe('pending');
+    expect(abTest.winnerDueAt.getTime() - before).toBeGreaterThanOrEqual(4 * 60 * 60 * 1000);
+  });
+
+  test('queues a large test group a batch at a time', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    addEmailJob.mockImplementation(async () => {
+      peak = Math.max(peak, ++inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      return { id: 'job' };
+    });
+
+    const result = await abTestService.sendTestPortion(makeCampaign(), makeTest({ testPercentage: 100 }), subscribersOf(2500));
+
+    expect(result.successfulSends).toBe(2500);
+    expect(addEmailJob).toHaveBeenCalledTimes(2500);
+    expect(peak).toBe(1000);
+  });
+
+  test('picks the winner by criteria and falls back to the default variant without a clear winner', () => {
+    const abTest = makeTest({ winnerCriteria: 'click_rate' });
+    abTest.defaultVariant = abTest.variants[1]._id;
+    abTest.variants[0].set({ sentCount: 1000, openCount: 300, clickCount: 52 });
+    abTest.variants[1].set({ sentCount: 1000, openCount: 100, clickCount: 50 });
+
+    // Ahead on clicks by noise only, so the open-rate lead doesn't matter either
+    expect(abTestService.chooseWinner(abTest)).toEqual({ variant: abTest.variants[1], reason: 'default' });
+
+    abTest.variants[0].clickCount = 90;
+    expect(abTestService.chooseWinner(abTest)).toEqual({ variant: abTest.variants[0], reason: 'criteria' });
+  });
+
+  test('sends the winner to held-back recipients who are still subscribed once the wait is over', async () => {
+    const abTest = makeTest();
+    abTest.set({ status: 'running', testSentAt: new Date(), winnerDueAt: new Date(Date.now() - 1000), remainderStatus: 'sending' });
+    abTest.variants[0].set({ sentCount: 500, openCount: 100 });
+    abTest.variants[1].set({ sentCount: 500, openCount: 200 });
+    jest.spyOn(ABTest, 'findOneAndUpdate').mockResolvedValueOnce(abTest).mockResolvedValueOnce(null);
+    const campaign = makeCampaign();
+    Campaign.findById.mockResolvedValue(campaign);
+    const held = subscribersOf(3);
+    ABTestRecipient.find
+      .mockReturnValueOnce(select(held.map(subscriber => ({ subscriber: subscriber._id }))))
+      .mockReturnValueOnce(select([]));
+    Subscriber.find.mockReturnValue(select(held.slice(0, 2)));
+
+    const result = await abTestService.completeDueTests();
+
+    expect(result).toEqual({ completed: 1, failed: 0 });
+    expect(ABTest.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ sendMode: 'test_then_send', status: 'running', remainderStatus: 'pending' });
+    const [batch] = addCampaignBatchJob.mock.calls[0];
+    expect(batch).toMatchObject({ campaignId, subject: 'Last chance', fromEmail: 'news@example.com' });
+    expect(batch.subscribers).toEqual(held.slice(0, 2));
+    expect(ABTestRecipient.updateMany).toHaveBeenLastCalledWith(
+      { abTest: abTest._id, subscriber: { $in: held.map(subscriber => subscriber._id) } },
+      { $set: { variant: abTest.variants[1]._id } }
+    );
+    expect(abTest).toMatchObject({ status: 'completed', remainderStatus: 'sent', winnerReason: 'criteria' });
+    expect(String(abTest.winnerVariant)).toBe(String(abTest.variants[1]._id));
+    expect(campaign).toMatchObject({ status: 'sent', emailsSuccessfullySent: 6 });
+  });
+
+  test('counts each human open once towards the variant the recipient got', async () => {
+    const abTestId = new mongoose.Types.ObjectId();
+    const variantId = new mongoose.Types.ObjectId();
+    const subscriberId = new mongoose.Types.ObjectId();
+    jest.spyOn(ABTest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await abTestService.recordEngagement({ campaignId, subscriberId, type: 'open', classification: 'machine_open' })).toBeNull();
+    expect(ABTestRecipient.findOneAndUpdate).not.toHaveBeenCalled();
+
+    ABTestRecipient.findOneAndUpdate.mockResolvedValueOnce({ abTest: abTestId, variant: variantId }).mockResolvedValueOnce(null);
+    await abTestService.recordEngagement({ campaignId, subscriberId, type: 'open', classification: 'human' });
+    await abTestService.recordEngagement({ campaignId, subscriberId, type: 'open', classification: 'human' });
+
+    expect(ABTestRecipient.findOneAndUpdate.mock.calls[0][0]).toEqual({ campaign: campaignId, subscriber: subscriberId, group: 'test', openedAt: null });
+    expect(ABTest.updateOne).toHaveBeenCalledTimes(1);
+    expect(ABTest.updateOne).toHaveBeenCalledWith({ _id: abTestId, 'variants._id': variantId }, { $inc: { 'variants.$.openCount': 1 } });
+  });
+});
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const ABTest = require('../models/ABTest');
+const ABTestRecipient = require('../models/ABTestRecipient');
+const { addEmailJob } = require('../services/queueServiceWrapper');
+const abTestService = require('../services/abTestService');
+
+jest.mock('../models/ABTestRecipient', () => ({ insertMany: jest.fn(), updateMany: jest.fn(), aggregate: jest.fn() }));
+jest.mock('../models/ConversionEvent', () => ({ collection: { name: 'conversionevents' } }));
+jest.mock('../models/Campaign', () => jest.fn(function Campaign(data) {
+  Object.assign(this, data, { _id: 'campaign-1' });
+  this.save = jest.fn().mockResolvedValue(this);
+}));
+jest.mock('../services/queueServiceWrapper', () => ({ addEmailJob: jest.fn(), addCampaignBatchJob: jest.fn() }));
+
+describe('multivariate and revenue A/B tests', () => {
+  const user = { id: new mongoose.Types.ObjectId() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(ABTest.prototype, 'save').mockResolvedValue();
+    addEmailJob.mockResolvedValue({ id: 'job' });
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('builds one variant per subject x from name x send hour combination', async () => {
+    const { abTest, campaign } = await abTestService.createABTest(user, { name: 'Launch', subject: 'Launch' }, {
+      name: 'Launch matrix',
+      testType: 'multivariate',
+      winnerCriteria: 'conversion_rate',
+      conversionType: 'purchase',
+      sendMode: 'test_then_send',
+      dimensions: { subjects: ['New!', 'Now live'], fromNames: ['Ana', 'Team'], sendHours: [9, 18] }
+    });
+
+    expect(abTest.variants).toHaveLength(8);
+    expect(abTest.variants[0]).toMatchObject({ name: 'Subject 1 / Ana / 09:00', subject: 'New!', fromName: 'Ana', sendHour: 9 });
+    expect(abTest.variants[7]).toMatchObject({ name: 'Subject 2 / Team / 18:00', subject: 'Now live', fromName: 'Team', sendHour: 18 });
+    expect(String(abTest.defaultVariant)).toBe(String(abTest.variants[0]._id));
+    expect(campaign.abTest).toBe(abTest._id);
+
+    await expect(abTestService.createABTest(user, { name: 'x' }, { name: 'x', testType: 'multivariate', dimensions: { sendHours: [9, 24] } }))
+      .rejects.toThrow('dimensions.sendHours must be whole hours from 0 to 23');
+    await expect(abTestService.createABTest(user, { name: 'x' }, { name: 'x', testType: 'multivariate', dimensions: { subjects: ['a', 'b', 'c', 'd', 'e'], fromNames: ['a', 'b', 'c', 'd'] } }))
+      .rejects.toThrow('at most 16 variants (got 20)');
+  });
+
+  test('holds send time variants until their hour and starts the wait after the last one', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T08:30:00Z'), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    const abTest = new ABTest({
+      user: user.id,
+      campaign: new mongoose.Types.ObjectId(),
+      name: 'Send time',
+      testType: 'send_time',
+      testPercentage: 100,
+      sendMode: 'test_then_send',
+      variants: [{ name: 'Morning', sendHour: 9 }, { name: 'Evening', sendHour: 20 }]
+    });
+    const campaign = { _id: abTest.campaign, subject: 'Hi', htmlContent: '<p>Hi</p>', fromEmail: 'news@example.com', scheduleTimezone: 'Europe/Lisbon' };
+    const subscribers = [0, 1, 2, 3].map(i => ({ _id: new mongoose.Types.ObjectId(), email: `s${i}@example.com` }));
+
+    await abTestService.sendTestPortion(campaign, abTest, subscribers);
+
+    // Lisbon is UTC+1 in October: 09:00 local is 08:00Z (tomorrow), 20:00 local is 19:00Z
+    const delays = addEmailJob.mock.calls.map(([, options]) => options.delay).sort((a, b) => a - b);
+    expect(delays).toEqual([10.5, 10.5, 23.5, 23.5].map(hours => hours * 60 * 60 * 1000));
+    expect(abTest.winnerDueAt).toEqual(new Date('2026-10-20T12:00:00Z'));
+    expect(ABTestRecipient.updateMany).toHaveBeenCalledWith(expect.anything(), { $set: { sentAt: new Date('2026-10-20T08:00:00Z') } });
+  });
+
+  test('joins attributed conversions per variant and picks the revenue winner by significance', async () => {
+    const abTest = new ABTest({
+      user: user.id,
+      campaign: new mongoose.Types.ObjectId(),
+      name: 'Offer',
+      winnerCriteria: 'revenue_per_recipient',
+      conversionType: 'purchase',
+      attributionWindowDays: 3,
+      variants: [{ name: 'A', sentCount: 1000 }, { name: 'B', sentCount: 1000 }]
+    });
+    const [a, b] = abTest.variants;
+    ABTestRecipient.aggregate.mockResolvedValue([
+      { _id: a._id, converters: 50, revenue: 2500, revenueSumSquares: 125000 },
+      { _id: b._id, converters: 80, revenue: 4000, revenueSumSquares: 200000 }
+    ]);
+
+    await abTestService.refreshConversionStats(abTest);
+
+    const [pipeline] = ABTestRecipient.aggregate.mock.calls[0];
+    expect(pipeline[0].$match).toEqual({ abTest: abTest._id, group: 'test', sentAt: { $ne: null } });
+    const lookupMatch = pipeline[1].$lookup.pipeline[0].$match;
+    expect(pipeline[1].$lookup.from).toBe('conversionevents');
+    expect(lookupMatch.type).toBe('purchase');
+    expect(lookupMatch.$expr.$and[3]).toEqual({ $lte: ['$occurredAt', { $add: ['$$sentAt', 3 * 24 * 60 * 60 * 1000] }] });
+    expect(b).toMatchObject({ conversionCount: 80, revenue: 4000 });
+    expect(abTest.getConversionRate(b)).toBe(8);
+
+    const significance = abTest.getSignificance();
+    expect(significance.variants[1]).toMatchObject({ rate: 4, vsControl: { absoluteLift: 1.5, relativeLift: 60, significant: true } });
+    expect(abTestService.chooseWinner(abTest)).toEqual({ variant: b, reason: 'criteria' });
+  });
+});
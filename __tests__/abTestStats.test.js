@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const ABTest = require('../models/ABTest');
+const abTestService = require('../services/abTestService');
+const { normalQuantile, wilsonInterval, twoProportionZTest, minimumDetectableEffect, compareArms } = require('../utils/abTestStats');
+
+describe('A/B test statistics', () => {
+  test('matches textbook values for intervals, z-tests and detectable effects', () => {
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+
+    const interval = wilsonInterval(50, 100);
+    expect(interval.low).toBeCloseTo(0.4038, 4);
+    expect(interval.high).toBeCloseTo(0.5962, 4);
+    // Stays inside [0, 1] for a 0% rate
+    expect(wilsonInterval(0, 40).low).toBe(0);
+
+    const { zScore, pValue } = twoProportionZTest(200, 1000, 150, 1000);
+    expect(zScore).toBeCloseTo(2.942, 3);
+    expect(pValue).toBeCloseTo(0.00326, 4);
+    expect(twoProportionZTest(0, 100, 0, 100)).toEqual({ zScore: 0, pValue: 1 });
+
+    expect(minimumDetectableEffect(0.2, 1000)).toBeCloseTo(0.0501, 4);
+    expect(minimumDetectableEffect(0, 1000)).toBeNull();
+  });
+
+  test('only calls a winner once the leader beats every other arm with enough sends', () => {
+    // B is well ahead of A but not of C
+    const arms = [{ successes: 150, trials: 1000 }, { successes: 200, trials: 1000 }, { successes: 190, trials: 1000 }];
+    const result = compareArms(arms);
+    expect(result).toMatchObject({ leaderIndex: 1, significant: false, enoughData: true });
+    expect(result.arms[1].vsControl).toMatchObject({ significant: true });
+    expect(result.arms[0].vsControl).toBeNull();
+
+    arms[2].successes = 140;
+    expect(compareArms(arms).significant).toBe(true);
+    // Same rates, too few sends
+    expect(compareArms([{ successes: 0, trials: 20 }, { successes: 10, trials: 20 }])).toMatchObject({ enoughData: false, significant: false });
+  });
+
+  test('reports significance against the default variant and refuses to auto-declare a noisy lead', async () => {
+    const abTest = new ABTest({
+      user: new mongoose.Types.ObjectId(),
+      campaign: new mongoose.Types.ObjectId(),
+      name: 'Subject test',
+      status: 'running',
+      confidenceLevel: 0.99,
+      variants: [{ name: 'A', sentCount: 1000, openCount: 200 }, { name: 'B', sentCount: 1000, openCount: 230 }]
+    });
+    abTest.defaultVariant = abTest.variants[1]._id;
+
+    const significance = abTest.getSignificance();
+    expect(significance).toMatchObject({ metric: 'open_rate', confidenceLevel: 0.99, significant: false });
+    expect(String(significance.control)).toBe(String(abTest.variants[1]._id));
+    expect(significance.variants[0]).toMatchObject({ rate: 20, isControl: false, vsControl: { absoluteLift: -3, relativeLift: -13.04 } });
+    expect(significance.variants[0].vsControl.pValue).toBeCloseTo(0.1025, 3);
+    expect(significance.variants[1].confidenceInterval.low).toBeLessThan(23);
+
+    jest.spyOn(ABTest, 'findOne').mockResolvedValue(abTest);
+    await expect(abTestService.declareWinner({ id: abTest.user }, abTest._id)).rejects.toThrow('No variant is ahead at the 99% confidence level yet');
+  });
+});
@@ -42,3 +42,25 @@ describe('AnalyticsService.getDashboardOverview', () => {
     expect(result).toHaveProperty('recentActivity');
   });
 });
+
+describe('AnalyticsService.getCampaignAnalytics', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('finds campaigns anywhere in the caller\'s workspace and reads the creator\'s analytics', async () => {
+    const organization = '507f1f77bcf86cd799439012';
+    const creator = '507f1f77bcf86cd799439013';
+    const teammate = { _id: '507f1f77bcf86cd799439014', organization };
+    Campaign.findOne = jest.fn().mockResolvedValue({ _id: 'c1', name: 'Shared', user: creator, totalRecipients: 10 });
+    const stored = { metrics: { sent: 10 }, periodStart: new Date(), updatedAt: new Date() };
+    Analytics.findOne = jest.fn(() => ({ sort: jest.fn().mockResolvedValue(stored) }));
+    analyticsService.getRealTimeCampaignMetrics = jest.fn().mockResolvedValue({ opened: 4 });
+
+    const result = await analyticsService.getCampaignAnalytics(teammate, 'c1');
+
+    expect(Campaign.findOne).toHaveBeenCalledWith({ _id: 'c1', organization });
+    expect(Analytics.findOne).toHaveBeenCalledWith(expect.objectContaining({ user: creator, entityId: 'c1' }));
+    expect(result.metrics).toEqual({ sent: 10, opened: 4 });
+  });
+});
@@ -0,0 +1,153 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyLog = require('../models/ApiKeyLog');
+const User = require('../models/User');
+const { validateKeySettings } = require('../services/apiKeyService');
+const { apiKeyAuth, rbac } = require('../middleware/rbac');
+
+jest.mock('../models/ApiKey', () => {
+  const actual = jest.requireActual('../models/ApiKey');
+  return Object.assign(function MockApiKey() {}, {
+    actual,
+    schema: actual.schema,
+    findOne: jest.fn(),
+    updateOne: jest.fn(),
+    hashKey: actual.hashKey,
+    isValidAllowlistEntry: actual.isValidAllowlistEntry
+  });
+});
+jest.mock('../models/ApiKeyLog', () => ({ create: jest.fn() }));
+jest.mock('../models/User', () => ({ findById: jest.fn(), findOne: jest.fn() }));
+jest.mock('../models/Organization', () => ({}));
+jest.mock('../services/usageService', () => ({ consume: jest.fn().mockResolvedValue({ allowed: true }) }));
+
+const mockRes = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const populated = (result) => ({ populate: jest.fn().mockResolvedValue(result) });
+
+const owner = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role: 'user',
+  status: 'active',
+  hasPermission: (resource, action) => resource === 'subscribers' && ['create', 'read'].includes(action),
+  organization: { _id: new mongoose.Types.ObjectId(), hasFeature: () => true },
+  ...fields
+});
+
+describe('ApiKey model', () => {
+  test('generate returns the plaintext once and stores only its hash', () => {
+    const { key, apiKey } = ApiKey.actual.generate({ name: 'CRM sync', user: new mongoose.Types.ObjectId() });
+
+    expect(key.startsWith('xp_')).toBe(true);
+    expect(apiKey.keyHash).toBe(ApiKey.actual.hashKey(key));
+    expect(apiKey.keyPrefix).toBe(key.slice(0, 9));
+    expect(apiKey.rateLimitPerMinute).toBe(60);
+  });
+
+  test('allowsIp matches exact addresses and IPv4 CIDR ranges', () => {
+    const apiKey = new ApiKey.actual({ ipAllowlist: ['203.0.113.7', '10.1.0.0/16'] });
+
+    expect(apiKey.allowsIp('203.0.113.7')).toBe(true);
+    expect(apiKey.allowsIp('::ffff:10.1.200.3')).toBe(true);
+    expect(apiKey.allowsIp('10.2.0.1')).toBe(false);
+    expect(new ApiKey.actual({}).allowsIp('1.2.3.4')).toBe(true);
+  });
+});
+
+describe('validateKeySettings', () => {
+  test('only grants permissions the owner holds', () => {
+    const errors = validateKeySettings({
+      name: 'Signup form',
+      permissions: [{ resource: 'subscribers', actions: ['create'] }, { resource: 'campaigns', actions: ['delete'] }]
+    }, owner());
+
+    expect(errors).toEqual(['permissions[1]: you do not have delete on campaigns']);
+  });
+
+  test('rejects malformed allowlists, past expiry and missing fields', () => {
+    const errors = validateKeySettings({ ipAllowlist: ['10.0.0.0/40'], expiresAt: '2000-01-01' }, owner());
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'name is required',
+      'permissions must be a non-empty array',
+      'ipAllowlist[0] is not a valid IP address or CIDR range',
+      'expiresAt must be in the future'
+    ]));
+    expect(validateKeySettings({ rateLimitPerMinute: 120 }, owner(), { partial: true })).toEqual([]);
+  });
+});
+
+describe('apiKeyAuth', () => {
+  const makeKey = (fields = {}) => new ApiKey.actual({
+    name: 'CRM sync',
+    user: new mongoose.Types.ObjectId(),
+    keyHash: 'h',
+    permissions: [{ resource: 'subscribers', actions: ['read'] }],
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApiKeyLog.create.mockResolvedValue({});
+    ApiKey.updateOne.mockResolvedValue({});
+  });
+
+  test('authenticates a scoped key, records usage and logs the request', async () => {
+    const apiKey = makeKey();
+    const user = owner();
+    ApiKey.findOne.mockResolvedValue(apiKey);
+    User.findById.mockReturnValue(populated(user));
+
+    const req = { header: () => 'xp_secret', headers: {}, ip: '1.2.3.4', method: 'GET', originalUrl: '/api/v1/subscribers?page=2' };
+    const res = mockRes();
+    const next = jest.fn();
+    await apiKeyAuth(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(ApiKey.findOne).toHaveBeenCalledWith({ keyHash: ApiKey.actual.hashKey('xp_secret') });
+    expect(req.apiKey).toBe(apiKey);
+    expect(req.user).toBe(user);
+    expect(ApiKey.updateOne).toHaveBeenCalledWith({ _id: apiKey._id }, expect.objectContaining({ $inc: { requestCount: 1 } }));
+
+    res.emit('finish');
+    expect(ApiKeyLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      apiKey: apiKey._id, method: 'GET', path: '/api/v1/subscribers', statusCode: 200, ipAddress: '1.2.3.4'
+    }));
+  });
+
+  test('rejects expired keys and addresses outside the allowlist', async () => {
+    const run = async (apiKey) => {
+      ApiKey.findOne.mockResolvedValue(apiKey);
+      const res = mockRes();
+      const next = jest.fn();
+      await apiKeyAuth({ header: () => 'xp_secret', headers: {}, ip: '9.9.9.9' }, res, next);
+      expect(next).not.toHaveBeenCalled();
+      return res;
+    };
+
+    expect((await run(makeKey({ expiresAt: new Date(Date.now() - 1000) }))).status).toHaveBeenCalledWith(401);
+    const blocked = await run(makeKey({ ipAllowlist: ['1.2.3.4'] }));
+    expect(blocked.status).toHaveBeenCalledWith(403);
+    expect(blocked.json.mock.calls[0][0].message).toMatch(/not allowed from this IP/);
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  test('rbac limits key requests to the key scope, even for super admins', async () => {
+    const req = { user: owner({ role: 'super_admin' }), apiKey: makeKey() };
+    const denied = mockRes();
+    const next = jest.fn();
+
+    await rbac('subscribers', 'delete')(req, denied, next);
+    expect(denied.status).toHaveBeenCalledWith(403);
+
+    await rbac('subscribers', 'read')(req, mockRes(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,147 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Subscriber = require('../models/Subscriber');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { parsePageParams, paginate, encodeCursor } = require('../utils/cursorPagination');
+const requestId = require('../middleware/requestId');
+
+jest.mock('../middleware/rbac', () => {
+  const actual = jest.requireActual('../middleware/rbac');
+  return {
+    ...actual,
+    apiKeyAuth: (req, res, next) => {
+      if (!req.header('X-API-Key')) return res.status(401).json({ message: 'API key is required' });
+      req.user = global.__apiUser;
+      req.apiKey = global.__apiKey;
+      req.isApiRequest = true;
+      next();
+    },
+    apiRateLimit: (req, res, next) => next()
+  };
+});
+jest.mock('../models/Subscriber', () => ({ find: jest.fn(), findOne: jest.fn(), create: jest.fn(), exists: jest.fn() }));
+jest.mock('../models/IdempotencyKey', () => ({ create: jest.fn(), findOne: jest.fn(), updateOne: jest.fn(), deleteOne: jest.fn() }));
+jest.mock('../services/behavioralTriggerService', () => ({ processBehavioralEvent: jest.fn().mockResolvedValue([]) }));
+jest.mock('../services/domainAuthService', () => ({ requireVerifiedDomain: jest.fn() }));
+jest.mock('../services/usageService', () => ({ consumeForUser: jest.fn().mockResolvedValue({ allowed: true }), releaseForUser: jest.fn() }));
+
+const app = express();
+app.use(requestId);
+app.use(express.json());
+app.use('/api/v1', require('../routes/v1'));
+
+const lean = (result) => ({ select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(result) });
+
+describe('cursor pagination', () => {
+  test('validates limit and cursor', () => {
+    expect(parsePageParams({})).toEqual({ limit: 25, after: null });
+    expect(parsePageParams({ limit: '500' }).error).toMatch(/limit/);
+    expect(parsePageParams({ cursor: 'not-a-cursor' }).error).toBe('cursor is invalid');
+  });
+
+  test('returns a next cursor when more documents exist', async () => {
+    const ids = [3, 2, 1].map(() => new mongoose.Types.ObjectId());
+    const chain = { sort: jest.fn().mockReturnThis(), limit: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(ids.map(_id => ({ _id }))) };
+    const Model = { find: jest.fn(() => chain) };
+    const after = String(new mongoose.Types.ObjectId());
+
+    const page = await paginate(Model, { user: 'u1' }, { limit: 2, after });
+
+    expect(Model.find).toHaveBeenCalledWith({ $and: [{ user: 'u1' }, { _id: { $lt: after } }] });
+    expect(chain.limit).toHaveBeenCalledWith(3);
+    expect(page.data).toHaveLength(2);
+    expect(page).toMatchObject({ hasMore: true, nextCursor: encodeCursor(ids[1]) });
+    expect(parsePageParams({ cursor: page.nextCursor }).after).toBe(String(ids[1]));
+  });
+});
+
+describe('API v1', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.__apiUser = { _id: userId, role: 'user', hasPermission: () => true };
+    global.__apiKey = { _id: 'key1', hasPermission: () => true };
+    IdempotencyKey.updateOne.mockResolvedValue({});
+    IdempotencyKey.deleteOne.mockResolvedValue({});
+  });
+
+  test('errors from shared middleware use the envelope and carry the request id', async () => {
+    const res = await request(app).get('/api/v1/subscribers').set('X-Request-Id', 'req-123');
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: { code: 'UNAUTHORIZED', message: 'API key is required' }, requestId: 'req-123' });
+  });
+
+  test('key scope is enforced per endpoint', async () => {
+    global.__apiKey.hasPermission = (resource, action) => action === 'read';
+    const res = await request(app).post('/api/v1/subscribers').set('X-API-Key', 'k').send({ email: 'a@example.com' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('FORBIDDEN');
+  });
+
+  test('validation errors list the failing fields', async () => {
+    const res = await request(app).post('/api/v1/subscribers').set('X-API-Key', 'k').send({ email: 'nope', status: 'bounced' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_REQUEST');
+    expect(res.body.error.details.map(d => d.field)).toEqual(['email', 'status']);
+  });
+
+  test('a retried POST with the same Idempotency-Key creates the subscriber once', async () => {
+    const subscriberId = new mongoose.Types.ObjectId();
+    Subscriber.findOne.mockReturnValue(lean(null));
+    Subscriber.create.mockImplementation(async (fields) => ({ _id: subscriberId, ...fields, createdAt: new Date(0) }));
+    IdempotencyKey.create.mockResolvedValueOnce({ _id: 'r1' });
+
+    const send = () => request(app).post('/api/v1/subscribers')
+      .set('X-API-Key', 'k').set('Idempotency-Key', 'retry-1')
+      .send({ email: 'New@Example.com', customFields: { plan: 'pro' } });
+
+    const first = await send();
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ id: String(subscriberId), object: 'subscriber', email: 'new@example.com', source: 'api', customFields: { plan: 'pro' } });
+
+    const stored = IdempotencyKey.create.mock.calls[0][0];
+    expect(stored).toMatchObject({ scope: 'key:key1', key: 'retry-1', path: '/api/v1/subscribers' });
+    const [, { $set }] = IdempotencyKey.updateOne.mock.calls[0];
+    IdempotencyKey.create.mockRejectedValueOnce(Object.assign(new Error('dup'), { code: 11000 }));
+    IdempotencyKey.findOne.mockResolvedValueOnce({ requestHash: stored.requestHash, ...$set });
+
+    const retry = await send();
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(Subscriber.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('reusing an Idempotency-Key with a different body is rejected', async () => {
+    IdempotencyKey.create.mockRejectedValueOnce(Object.assign(new Error('dup'), { code: 11000 }));
+    IdempotencyKey.findOne.mockResolvedValueOnce({ requestHash: 'other', status: 'completed' });
+
+    const res = await request(app).post('/api/v1/subscribers')
+      .set('X-API-Key', 'k').set('Idempotency-Key', 'retry-1').send({ email: 'b@example.com' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(Subscriber.create).not.toHaveBeenCalled();
+  });
+
+  test('an existing email is a conflict that points at the subscriber', async () => {
+    const existingId = new mongoose.Types.ObjectId();
+    Subscriber.findOne.mockReturnValue(lean({ _id: existingId }));
+
+    const res = await request(app).post('/api/v1/subscribers').set('X-API-Key', 'k').send({ email: 'a@example.com' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toEqual({ code: 'SUBSCRIBER_EXISTS', message: 'A subscriber with this email already exists', details: { id: String(existingId) } });
+  });
+
+  test('unknown endpoints return a 404 envelope', async () => {
+    const res = await request(app).get('/api/v1/nope').set('X-API-Key', 'k');
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('NOT_FOUND');
+  });
+});
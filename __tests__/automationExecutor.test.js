@@ -0,0 +1,143 @@
+const { executeAutomation, resumeDueRuns, buildGraph } = require('../services/automationExecutor');
+const AutomationRun = require('../models/AutomationRun');
+const AutomationStep = require('../models/AutomationStep');
+const Automation = require('../models/Automation');
+const Subscriber = require('../models/Subscriber');
+const Template = require('../models/Template');
+const EmailTracking = require('../models/EmailTracking');
+const { addEmailJob } = require('../services/queueService');
+
+jest.mock('../services/queueService', () => ({ addEmailJob: jest.fn() }));
+jest.mock('../services/usageService', () => ({ consumeForUser: jest.fn().mockResolvedValue({ allowed: true }), releaseForUser: jest.fn() }));
+jest.mock('../models/Automation', () => ({ findById: jest.fn() }));
+jest.mock('../models/AutomationRun', () => ({
+  IN_FLIGHT_STATUSES: ['active', 'waiting'],
+  findOne: jest.fn(),
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../models/AutomationStep', () => ({ create: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/Subscriber', () => ({ findById: jest.fn() }));
+jest.mock('../models/Template', () => ({ findById: jest.fn() }));
+jest.mock('../models/EmailTracking', () => ({ exists: jest.fn() }));
+
+const makeRun = (fields) => ({ save: jest.fn().mockResolvedValue(true), ...fields });
+
+const journey = () => ({
+  _id: 'auto1',
+  user: 'user1',
+  isActive: true,
+  nodes: [
+    { id: 'trigger', type: 'trigger', data: { event: 'subscriber_added' } },
+    { id: 'welcome', type: 'action', data: { type: 'send_template', config: { templateId: 'tplWelcome' } } },
+    { id: 'wait', type: 'delay', data: { type: 'wait', config: { delay: 2, unit: 'days' } } },
+    { id: 'check', type: 'condition', data: { type: 'condition', config: { conditions: [{ field: 'location.country', operator: 'equals', value: 'US' }] } } },
+    { id: 'us', type: 'action', data: { type: 'send_template', config: { templateId: 'tplUs' } } },
+    { id: 'other', type: 'action', data: { type: 'send_template', config: { templateId: 'tplOther' } } }
+  ],
+  // Deliberately not in array order, to prove the executor follows edges
+  edges: [
+    { id: 'e4', source: 'check', target: 'other', sourceHandle: 'no' },
+    { id: 'e3', source: 'check', target: 'us', sourceHandle: 'yes' },
+    { id: 'e2', source: 'wait', target: 'check' },
+    { id: 'e1', source: 'welcome', target: 'wait' },
+    { id: 'e0', source: 'trigger', target: 'welcome' }
+  ]
+});
+
+describe('automationExecutor graph runtime', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Template.findById.mockImplementation(async (id) => ({ _id: id, subject: 'Hi', htmlContent: '<p>Hi</p>' }));
+    Subscriber.findById.mockResolvedValue({ _id: 'sub1', email: 'a@example.com', status: 'subscribed', location: { country: 'CA' } });
+    addEmailJob.mockResolvedValue({ id: 'job-1' });
+    AutomationRun.findOne.mockResolvedValue(null);
+    AutomationStep.create.mockResolvedValue({});
+    AutomationStep.updateOne.mockResolvedValue({});
+  });
+
+  const recordedSteps = () => AutomationStep.create.mock.calls.map(([step]) => ({ nodeId: step.nodeId, status: step.status, reason: step.reason, branch: step.branch }));
+
+  test('buildGraph chains nodes in array order when there are no edges', () => {
+    const graph = buildGraph({ nodes: [{ id: 'a', type: 'trigger', data: {} }, { id: 'b', type: 'action', data: {} }] });
+    expect(graph.outgoing.get('a')).toEqual([{ target: 'b', sourceHandle: null }]);
+  });
+
+  test('follows edges from the trigger and parks the run on a wait node', async () => {
+    const run = makeRun({ _id: 'run1', subscriber: 'sub1', currentNode: 'trigger', status: 'active', trigger: { nodeId: 'trigger', event: 'subscriber_added' }, context: {} });
+    AutomationRun.create.mockResolvedValue(run);
+
+    const summary = await executeAutomation(journey(), { subscriberId: 'sub1', event: 'subscriber_added' });
+
+    expect(summary.emailsQueued).toBe(1);
+    expect(addEmailJob).toHaveBeenCalledTimes(1);
+    expect(addEmailJob.mock.calls[0][0].templateId).toBe('tplWelcome');
+    expect(run.status).toBe('waiting');
+    expect(run.currentNode).toBe('wait');
+    expect(run.nextRunAt.getTime()).toBeGreaterThan(Date.now() + 47 * 60 * 60 * 1000);
+    expect(recordedSteps()).toEqual([
+      { nodeId: 'trigger', status: 'executed', reason: 'subscriber_added', branch: undefined },
+      { nodeId: 'welcome', status: 'queued', reason: undefined, branch: undefined },
+      { nodeId: 'wait', status: 'waiting', reason: undefined, branch: undefined }
+    ]);
+    expect(AutomationStep.create.mock.calls[1][0].jobId).toBe('job-1');
+  });
+
+  test('does not start a second run while the subscriber is already in the flow', async () => {
+    AutomationRun.findOne.mockResolvedValue({ _id: 'existing', status: 'waiting' });
+
+    const summary = await executeAutomation(journey(), { subscriberId: 'sub1' });
+
+    expect(AutomationRun.create).not.toHaveBeenCalled();
+    expect(summary.runId).toBe('existing');
+  });
+
+  test('resumes an elapsed wait and takes the "no" branch of a condition', async () => {
+    const run = makeRun({ _id: 'run1', automation: 'auto1', subscriber: 'sub1', currentNode: 'wait', status: 'waiting', context: {} });
+    AutomationRun.findOneAndUpdate.mockResolvedValueOnce(run).mockResolvedValueOnce(null);
+    Automation.findById.mockResolvedValue(journey());
+
+    const result = await resumeDueRuns();
+
+    expect(result.resumed).toBe(1);
+    expect(addEmailJob).toHaveBeenCalledTimes(1);
+    expect(addEmailJob.mock.calls[0][0].templateId).toBe('tplOther');
+    expect(run.status).toBe('completed');
+    expect(run.exitReason).toBe('end_of_flow');
+    expect(AutomationStep.updateOne).toHaveBeenCalledWith(
+      { run: 'run1', nodeId: 'wait', status: 'waiting' },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'executed' }) })
+    );
+    expect(recordedSteps()).toEqual([
+      { nodeId: 'check', status: 'executed', reason: undefined, branch: 'no' },
+      { nodeId: 'other', status: 'queued', reason: undefined, branch: undefined }
+    ]);
+  });
+
+  test('records why a send step was skipped', async () => {
+    Template.findById.mockResolvedValue(null);
+    const run = makeRun({ _id: 'run1', subscriber: 'sub1', currentNode: 'trigger', status: 'active', context: {} });
+    AutomationRun.create.mockResolvedValue(run);
+
+    await executeAutomation(journey(), { subscriberId: 'sub1', event: 'subscriber_added' });
+
+    expect(addEmailJob).not.toHaveBeenCalled();
+    expect(recordedSteps()[1]).toEqual({ nodeId: 'welcome', status: 'skipped', reason: 'template_not_found', branch: undefined });
+  });
+
+  test('exits the run when a goal node is met', async () => {
+    const automation = journey();
+    automation.nodes.push({ id: 'goal', type: 'goal', data: { type: 'goal', config: { conditions: [{ type: 'email_clicked' }] } } });
+    EmailTracking.exists.mockResolvedValue({ _id: 't1' });
+    const run = makeRun({ _id: 'run1', automation: 'auto1', subscriber: 'sub1', currentNode: 'wait', status: 'waiting', context: {} });
+    AutomationRun.findOneAndUpdate.mockResolvedValueOnce(run).mockResolvedValueOnce(null);
+    Automation.findById.mockResolvedValue(automation);
+
+    await resumeDueRuns();
+
+    expect(addEmailJob).not.toHaveBeenCalled();
+    expect(run.status).toBe('completed');
+    expect(run.exitReason).toBe('goal_reached');
+    expect(run.currentNode).toBe('goal');
+  });
+});
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Subscriber = require('../models/Subscriber');
+const Suppression = require('../models/Suppression');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { parseBounce, softBounceStreak, handleBounce } = require('../services/bounceComplaintService');
+
+jest.mock('../models/EmailLog', () => ({ updateMany: jest.fn() }));
+jest.mock('../models/Subscriber', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/Suppression', () => ({ recordEvent: jest.fn() }));
+jest.mock('../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../models/Organization', () => ({ findById: jest.fn() }));
+
+const select = (result) => ({ select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(result), then: (resolve) => resolve(result) });
+const daysAgo = (n) => new Date(Date.now() - n * 24 * 60 * 60 * 1000);
+
+describe('bounce policy', () => {
+  let subscriber;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.BOUNCE_SOFT_THRESHOLD;
+    delete process.env.BOUNCE_SOFT_WINDOW_DAYS;
+    subscriber = {
+      _id: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(),
+      email: 'a@example.com',
+      status: 'subscribed',
+      bounceHistory: [],
+      save: jest.fn().mockResolvedValue()
+    };
+    Subscriber.findById.mockResolvedValue(subscriber);
+    User.findById.mockReturnValue(select({ organization: null }));
+  });
+
+  test('enhanced status codes map to categories', () => {
+    expect(parseBounce('550', '550 5.1.1 <a@example.com>: Recipient address rejected: User unknown')).toMatchObject({ category: 'invalid_recipient', type: 'hard', status: '5.1.1' });
+    expect(parseBounce('452', '4.2.2 The email account that you tried to reach is over quota')).toMatchObject({ category: 'mailbox_full', type: 'soft' });
+    expect(parseBounce('552', '5.2.2 Mailbox full')).toMatchObject({ category: 'mailbox_full', type: 'soft' });
+    expect(parseBounce('550', '5.7.1 Message rejected due to local policy')).toMatchObject({ category: 'policy', type: 'block' });
+    expect(parseBounce('451', '4.7.1 Greylisted, please try again later')).toMatchObject({ category: 'transient', type: 'soft' });
+    expect(parseBounce('450', 'Transient - MailboxFull')).toMatchObject({ category: 'mailbox_full', type: 'soft' });
+    expect(parseBounce('550', 'Permanent - General')).toMatchObject({ category: 'permanent', type: 'hard' });
+    expect(parseBounce(undefined, undefined)).toMatchObject({ category: 'permanent', type: 'hard' });
+  });
+
+  test('a single soft bounce is recorded but does not suppress the subscriber', async () => {
+    const result = await handleBounce({ messageId: 'm1', email: 'a@example.com', code: '450', description: '4.2.0 greylisted', campaignId: new mongoose.Types.ObjectId(), subscriberId: subscriber._id });
+
+    expect(result).toBe('soft');
+    expect(subscriber.status).toBe('subscribed');
+    expect(subscriber.bounceHistory).toEqual([expect.objectContaining({ type: 'soft', category: 'transient', suppressed: false })]);
+    expect(subscriber.save).toHaveBeenCalled();
+    expect(Suppression.recordEvent).not.toHaveBeenCalled();
+  });
+
+  test('suppresses after the threshold of soft bounces across distinct campaigns', async () => {
+    const [c1, c2, c3] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    subscriber.bounceHistory.push(
+      { at: daysAgo(10), type: 'soft', campaign: c1 },
+      { at: daysAgo(9), type: 'soft', campaign: c1 }
+    );
+
+    await handleBounce({ email: 'a@example.com', code: '452', description: '4.2.2 mailbox full', campaignId: c2, subscriberId: subscriber._id });
+    expect(subscriber.status).toBe('subscribed');
+
+    await handleBounce({ email: 'a@example.com', code: '452', description: '4.2.2 mailbox full', campaignId: c3, subscriberId: subscriber._id });
+    expect(subscriber.status).toBe('bounced');
+    expect(subscriber.bounceHistory[subscriber.bounceHistory.length - 1].suppressed).toBe(true);
+    expect(Suppression.recordEvent).toHaveBeenCalledWith(expect.objectContaining({ email: 'a@example.com', type: 'bounce', reason: 'soft_bounce_threshold' }));
+  });
+
+  test('a delivery in between, or bounces outside the window, break the streak', () => {
+    const policy = { softBounceThreshold: 3, softBounceWindowDays: 30 };
+    subscriber.bounceHistory.push(
+      { at: daysAgo(45), type: 'soft', campaign: 'c0' },
+      { at: daysAgo(20), type: 'soft', campaign: 'c1' },
+      { at: daysAgo(10), type: 'soft', campaign: 'c2' },
+      { at: daysAgo(5), type: 'block', campaign: 'c3' },
+      { at: daysAgo(2), type: 'soft', campaign: 'c4' }
+    );
+    expect(softBounceStreak(subscriber, policy)).toBe(3);
+
+    subscriber.lastDeliveredAt = daysAgo(15);
+    expect(softBounceStreak(subscriber, policy)).toBe(2);
+  });
+
+  test('hard bounces suppress at once; policy blocks never do', async () => {
+    await handleBounce({ email: 'a@example.com', code: '550', description: '5.7.1 blocked by spam filter', subscriberId: subscriber._id });
+    expect(subscriber.status).toBe('subscribed');
+    expect(Suppression.recordEvent).not.toHaveBeenCalled();
+
+    const result = await handleBounce({ email: 'a@example.com', code: '550', description: '5.1.1 user unknown', subscriberId: subscriber._id });
+    expect(result).toBe('hard');
+    expect(subscriber.status).toBe('bounced');
+    expect(Suppression.recordEvent).toHaveBeenCalledWith(expect.objectContaining({ reason: 'hard', meta: expect.objectContaining({ category: 'invalid_recipient' }) }));
+  });
+
+  test('organization settings override the default threshold', async () => {
+    const orgId = new mongoose.Types.ObjectId();
+    User.findById.mockReturnValue(select({ organization: orgId }));
+    Organization.findById.mockReturnValue(select({ settings: { bouncePolicy: { softBounceThreshold: 1, softBounceWindowDays: 7 } } }));
+
+    await handleBounce({ email: 'a@example.com', code: '450', description: 'temporary failure', campaignId: new mongoose.Types.ObjectId(), subscriberId: subscriber._id });
+
+    expect(Organization.findById).toHaveBeenCalledWith(orgId);
+    expect(subscriber.status).toBe('bounced');
+    expect(Suppression.recordEvent).toHaveBeenCalledWith(expect.objectContaining({ reason: 'soft_bounce_threshold' }));
+  });
+});
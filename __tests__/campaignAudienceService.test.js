@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Segment = require('../models/Segment');
+const Subscriber = require('../models/Subscriber');
+const suppressionService = require('../services/suppressionService');
+const { snapshotAudience } = require('../services/campaignAudienceService');
+
+jest.mock('../models/Campaign', () => ({ updateOne: jest.fn() }));
+jest.mock('../models/CampaignRecipient', () => ({ exists: jest.fn(), insertMany: jest.fn(), find: jest.fn() }));
+jest.mock('../models/Segment', () => ({ find: jest.fn() }));
+jest.mock('../models/Subscriber', () => ({ find: jest.fn() }));
+jest.mock('../services/suppressionService', () => ({ bulkFilter: jest.fn() }));
+
+const lean = (result) => ({ select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(result) });
+const id = () => new mongoose.Types.ObjectId();
+
+describe('campaign audience snapshots', () => {
+  const userId = id();
+  const groupId = id();
+  const segmentId = id();
+  const categoryId = id();
+
+  beforeEach(() => jest.clearAllMocks());
+
+  test('unions groups, segments and individuals by email and records who was left out', async () => {
+    const ana = { _id: id(), email: 'ana@example.com' };
+    const anaDuplicate = { _id: id(), email: 'ANA@example.com' };
+    const bo = { _id: id(), email: 'bo@example.com', unsubscribedCategories: [categoryId] };
+    const cy = { _id: id(), email: 'cy@example.com' };
+    const segmentQuery = { 'location.country': 'PT' };
+    Segment.find.mockResolvedValue([{ _id: segmentId, resolveQuery: jest.fn().mockResolvedValue(segmentQuery) }]);
+    Subscriber.find
+      .mockReturnValueOnce(lean([ana, bo]))
+      .mockReturnValueOnce(lean([anaDuplicate, cy]))
+      .mockReturnValueOnce(lean([cy]));
+    suppressionService.bulkFilter.mockResolvedValue({ suppressed: new Set(['cy@example.com']) });
+    CampaignRecipient.exists.mockResolvedValue(null);
+    const now = new Date('2026-10-19T12:00:00Z');
+    const campaign = {
+      _id: id(),
+      user: { _id: userId },
+      groups: [{ _id: groupId }],
+      segments: [segmentId],
+      individualSubscribers: [cy._id],
+      preferenceCategory: categoryId
+    };
+
+    const result = await snapshotAudience(campaign, { now });
+
+    const base = { user: userId, status: 'subscribed', isDeleted: false };
+    expect(Segment.find).toHaveBeenCalledWith({ _id: { $in: [segmentId] }, user: userId });
+    expect(Subscriber.find.mock.calls.map(([query]) => query)).toEqual([
+      { $and: [base, { groups: groupId }] },
+      { $and: [base, segmentQuery] },
+      { $and: [base, { _id: { $in: [cy._id] } }] }
+    ]);
+    expect(result).toMatchObject({ hasSources: true, reused: false, subscribers: [ana] });
+    // Senders build the unsubscribe link from the recipient's token
+    Subscriber.find.mock.results.forEach(({ value }) => expect(value.select).toHaveBeenCalledWith(expect.stringContaining('unsubscribeToken')));
+
+    const rows = CampaignRecipient.insertMany.mock.calls[0][0];
+    expect(rows.map(row => [row.email, row.sources, row.excludedReason])).toEqual([
+      ['ana@example.com', [{ type: 'group', ref: groupId }, { type: 'segment', ref: segmentId }], null],
+      ['bo@example.com', [{ type: 'group', ref: groupId }], 'preference'],
+      ['cy@example.com', [{ type: 'segment', ref: segmentId }, { type: 'individual', ref: null }], 'suppressed']
+    ]);
+    expect(rows[0]).toMatchObject({ campaign: campaign._id, user: userId, subscriber: ana._id, snapshotAt: now });
+
+    const snapshot = { takenAt: now, matched: 3, targeted: 1, suppressed: 1, preference: 1 };
+    expect(Campaign.updateOne).toHaveBeenCalledWith({ _id: campaign._id }, { $set: { audienceSnapshot: snapshot } });
+    expect(campaign.audienceSnapshot).toEqual(snapshot);
+  });
+
+  test('reuses an existing snapshot instead of resolving the audience again', async () => {
+    const kept = { _id: id(), email: 'kept@example.com' };
+    const left = id();
+    CampaignRecipient.exists.mockResolvedValue({ _id: id() });
+    CampaignRecipient.find.mockReturnValue(lean([{ subscriber: kept._id }, { subscriber: left }]));
+    Subscriber.find.mockReturnValue(lean([kept]));
+    const campaign = { _id: id(), user: userId, segments: [segmentId], audienceSnapshot: { targeted: 2 } };
+
+    const result = await snapshotAudience(campaign);
+
+    expect(Segment.find).not.toHaveBeenCalled();
+    expect(CampaignRecipient.find).toHaveBeenCalledWith({ campaign: campaign._id, excludedReason: null });
+    expect(Subscriber.find).toHaveBeenCalledWith({ _id: { $in: [kept._id, left] }, status: 'subscribed', isDeleted: false });
+    expect(Subscriber.find.mock.results[0].value.select).toHaveBeenCalledWith(expect.stringContaining('unsubscribeToken'));
+    expect(result).toEqual({ hasSources: true, reused: true, subscribers: [kept], snapshot: { targeted: 2 } });
+    expect(CampaignRecipient.insertMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+const express = require('express');
+const request = require('supertest');
+const emailService = require('../utils/emailService');
+const ClickEvent = require('../models/ClickEvent');
+const { addSignedClickTracking, buildClickTrackingUrl, verifyClickUrl } = require('../utils/clickTracking');
+
+jest.mock('../utils/emailService', () => ({ recordClick: jest.fn() }));
+jest.mock('../models/ClickEvent', () => ({ findOne: jest.fn(), create: jest.fn() }));
+jest.mock('../models/Campaign', () => ({ findByIdAndUpdate: jest.fn() }));
+
+const app = express();
+app.use('/api/track', require('../routes/emailTracking'));
+
+// Path and query of a tracking URL, for supertest
+const localPath = (trackingUrl) => trackingUrl.replace('http://localhost:5000', '');
+
+describe('signed click tracking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    delete process.env.BACKEND_URL;
+  });
+
+  test('rewrites http(s) links in order and leaves other links alone', () => {
+    const html = '<a href="https://a.example/x?y=1&amp;z=2">A</a> <a href="mailto:hi@example.com">M</a> <a class="btn" href=\'http://b.example\'>B</a>';
+    const out = addSignedClickTracking(html, 'm1@emailxp.com');
+    const links = [...out.matchAll(/href=["']([^"']+)["']/g)].map(m => m[1].replace(/&amp;/g, '&'));
+
+    expect(links[1]).toBe('mailto:hi@example.com');
+    const first = new URL(links[0]);
+    expect(first.searchParams.get('url')).toBe('https://a.example/x?y=1&z=2');
+    expect(first.searchParams.get('i')).toBe('0');
+    expect(new URL(links[2]).searchParams.get('i')).toBe('1');
+    expect(verifyClickUrl('m1@emailxp.com', '0', 'https://a.example/x?y=1&z=2', first.searchParams.get('sig'))).toBe(true);
+  });
+
+  test('signatures are bound to the message, the link index and the destination', () => {
+    const sig = new URL(buildClickTrackingUrl('m1', 3, 'https://shop.example')).searchParams.get('sig');
+
+    expect(verifyClickUrl('m1', '3', 'https://shop.example', sig)).toBe(true);
+    expect(verifyClickUrl('m2', '3', 'https://shop.example', sig)).toBe(false);
+    expect(verifyClickUrl('m1', '4', 'https://shop.example', sig)).toBe(false);
+    expect(verifyClickUrl('m1', '3', 'https://evil.example', sig)).toBe(false);
+    expect(verifyClickUrl('m1', '3', 'https://shop.example', undefined)).toBe(false);
+  });
+
+  test('the click route refuses unsigned and tampered links', async () => {
+    const unsigned = await request(app).get('/api/track/click/m1?url=https%3A%2F%2Fevil.example');
+    expect(unsigned.status).toBe(400);
+
+    const tampered = localPath(buildClickTrackingUrl('m1', 0, 'https://shop.example'))
+      .replace(encodeURIComponent('https://shop.example'), encodeURIComponent('https://evil.example'));
+    const res = await request(app).get(tampered);
+    expect(res.status).toBe(400);
+    expect(emailService.recordClick).not.toHaveBeenCalled();
+  });
+
+  test('a signed link records the link index and redirects', async () => {
+    emailService.recordClick.mockResolvedValue({ campaign: 'c1', subscriber: 's1', emailAddress: 'a@example.com' });
+    ClickEvent.findOne.mockResolvedValue({});
+
+    const res = await request(app).get(localPath(buildClickTrackingUrl('m1', 2, 'https://shop.example/p?a=1&b=%20x')));
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('https://shop.example/p?a=1&b=%20x');
+    expect(emailService.recordClick).toHaveBeenCalledWith('m1', expect.objectContaining({ url: 'https://shop.example/p?a=1&b=%20x', linkIndex: 2 }));
+    expect(ClickEvent.create).toHaveBeenCalledWith(expect.objectContaining({ campaign: 'c1', linkIndex: 2 }));
+  });
+});
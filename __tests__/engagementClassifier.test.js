@@ -0,0 +1,124 @@
+const express = require('express');
+const request = require('supertest');
+const ClickEvent = require('../models/ClickEvent');
+const Campaign = require('../models/Campaign');
+const Subscriber = require('../models/Subscriber');
+const EmailTracking = require('../models/EmailTracking');
+const { classifyOpen, classifyClick, humanActivityFilter, isMachineActivity } = require('../utils/engagementClassifier');
+const { addSignedClickTracking, buildHoneypotUrl, verifyHoneypotUrl } = require('../utils/clickTracking');
+const { recordHoneypotClick } = require('../services/engagementClassificationService');
+
+jest.mock('../models/ClickEvent', () => ({ exists: jest.fn(), create: jest.fn(), updateMany: jest.fn(), findOne: jest.fn() }));
+jest.mock('../models/Campaign', () => ({ updateOne: jest.fn(), findByIdAndUpdate: jest.fn() }));
+jest.mock('../models/Subscriber', () => ({ updateOne: jest.fn(), findByIdAndUpdate: jest.fn() }));
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148';
+const minutesAgo = (n) => new Date(Date.now() - n * 60 * 1000);
+
+describe('engagement classification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    delete process.env.TRACKING_SCANNER_IP_RANGES;
+    delete process.env.TRACKING_EXCLUDE_PROXY_OPENS;
+    delete process.env.TRACKING_HONEYPOT_LINKS;
+  });
+
+  test('opens from proxies, prefetchers and bots are not human', () => {
+    const deliveredAt = minutesAgo(30);
+    expect(classifyOpen({ userAgent: 'Mozilla/5.0 (Windows NT 5.1; rv:11.0) Gecko Firefox/11.0 (via ggpht.com GoogleImageProxy)', deliveredAt })).toBe('proxy');
+    expect(classifyOpen({ userAgent: 'Mozilla/5.0', ipAddress: '203.0.113.9', deliveredAt })).toBe('machine_open');
+    expect(classifyOpen({ userAgent: IPHONE, ipAddress: '::ffff:17.58.100.4', deliveredAt })).toBe('machine_open');
+    expect(classifyOpen({ userAgent: 'python-requests/2.31', deliveredAt })).toBe('machine_open');
+    expect(classifyOpen({ userAgent: IPHONE, ipAddress: '203.0.113.9', deliveredAt: new Date(Date.now() - 2000) })).toBe('machine_open');
+    expect(classifyOpen({ userAgent: IPHONE, ipAddress: '203.0.113.9', deliveredAt })).toBe('human');
+  });
+
+  test('clicks from scanners, scanner networks, right after delivery or near a honeypot hit are scanner clicks', () => {
+    process.env.TRACKING_SCANNER_IP_RANGES = '198.51.100.0/24';
+    const deliveredAt = minutesAgo(30);
+    expect(classifyClick({ userAgent: 'Mimecast URL Protect', deliveredAt })).toBe('scanner_click');
+    expect(classifyClick({ userAgent: IPHONE, ipAddress: '198.51.100.20', deliveredAt })).toBe('scanner_click');
+    expect(classifyClick({ userAgent: IPHONE, deliveredAt: new Date(Date.now() - 3000) })).toBe('scanner_click');
+    expect(classifyClick({ userAgent: IPHONE, deliveredAt, recentHoneypot: true })).toBe('scanner_click');
+    expect(classifyClick({ userAgent: IPHONE, ipAddress: '203.0.113.9', deliveredAt })).toBe('human');
+  });
+
+  test('proxy opens count unless configured otherwise; unflagged events always count', () => {
+    expect(isMachineActivity('proxy')).toBe(false);
+    expect(isMachineActivity(undefined)).toBe(false);
+    expect(humanActivityFilter()).toEqual({ classification: { $nin: ['machine_open', 'scanner_click'] } });
+
+    process.env.TRACKING_EXCLUDE_PROXY_OPENS = 'true';
+    expect(isMachineActivity('proxy')).toBe(true);
+  });
+
+  test('machine opens are stored but do not mark the email as opened', async () => {
+    const tracking = new EmailTracking({ messageId: 'm1', emailAddress: 'a@example.com' });
+    tracking.save = jest.fn().mockResolvedValue(tracking);
+
+    await tracking.recordOpen({ userAgent: 'Mozilla/5.0', classification: 'machine_open' });
+    expect(tracking.opens).toHaveLength(1);
+    expect(tracking.isOpened).toBe(false);
+    expect(tracking.totalOpens).toBe(0);
+
+    await tracking.recordOpen({ userAgent: IPHONE, classification: 'human' });
+    expect(tracking.isOpened).toBe(true);
+    expect(tracking.totalOpens).toBe(1);
+  });
+});
+
+describe('honeypot links', () => {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use('/api/track', require('../routes/emailTracking'));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    delete process.env.BACKEND_URL;
+    delete process.env.TRACKING_HONEYPOT_LINKS;
+  });
+
+  test('a hidden, signed honeypot link goes first in the body of emails with tracked links', () => {
+    const out = addSignedClickTracking('<html><body><p>Hi</p><a href="https://shop.example">Shop</a></body></html>', 'm1');
+    const hrefs = [...out.matchAll(/href="([^"]+)"/g)].map(m => m[1]);
+
+    expect(hrefs[0]).toBe(buildHoneypotUrl('m1'));
+    expect(out).toMatch(/<body><a href="[^"]+" style="display:none/);
+    expect(verifyHoneypotUrl('m1', new URL(hrefs[0]).searchParams.get('sig'))).toBe(true);
+    expect(verifyHoneypotUrl('m2', new URL(hrefs[0]).searchParams.get('sig'))).toBe(false);
+
+    expect(addSignedClickTracking('<body><p>No links</p></body>', 'm1')).toBe('<body><p>No links</p></body>');
+    process.env.TRACKING_HONEYPOT_LINKS = 'false';
+    expect(addSignedClickTracking('<a href="https://shop.example">Shop</a>', 'm1')).not.toContain('/api/track/hp/');
+  });
+
+  test('the honeypot route refuses unsigned links', async () => {
+    const res = await request(app).get('/api/track/hp/m1?sig=forged');
+    expect(res.status).toBe(400);
+  });
+
+  test('a honeypot hit re-flags the recent clicks on that message and takes them out of the counters', async () => {
+    const tracking = new EmailTracking({ messageId: 'm1', emailAddress: 'a@example.com', campaign: '507f1f77bcf86cd799439011', subscriber: '507f1f77bcf86cd799439012' });
+    tracking.save = jest.fn().mockResolvedValue(tracking);
+    tracking.clicks.push(
+      { url: 'https://old.example', timestamp: minutesAgo(60 * 24) },
+      { url: 'https://shop.example', timestamp: new Date() }
+    );
+    tracking.refreshClickCounts();
+    ClickEvent.updateMany.mockResolvedValue({ modifiedCount: 1 });
+    ClickEvent.exists.mockResolvedValue(null);
+
+    const changed = await recordHoneypotClick(tracking, { userAgent: 'Proofpoint', ipAddress: '198.51.100.20' });
+
+    expect(changed).toBe(1);
+    expect(tracking.clicks.map(c => c.classification)).toEqual(['human', 'scanner_click']);
+    expect(tracking.totalClicks).toBe(1);
+    expect(tracking.isClicked).toBe(true);
+    expect(ClickEvent.create).toHaveBeenCalledWith(expect.objectContaining({ honeypot: true, classification: 'scanner_click' }));
+    expect(ClickEvent.updateMany.mock.calls[0][0]).toMatchObject({ honeypot: { $ne: true }, classification: { $nin: ['machine_open', 'scanner_click'] } });
+    expect(Subscriber.updateOne).toHaveBeenCalledWith({ _id: tracking.subscriber }, { $inc: { clickCount: -1 } });
+    expect(Campaign.updateOne).toHaveBeenCalledWith({ _id: tracking.campaign }, { $inc: { clicks: -1 } });
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const ExportJob = require('../models/ExportJob');
+const Subscriber = require('../models/Subscriber');
+const Segment = require('../models/Segment');
+const Group = require('../models/Group');
+const Tag = require('../models/Tag');
+const ConsentRecord = require('../models/ConsentRecord');
+const { resolveSegmentQuery } = require('../services/segmentBehaviorService');
+const { validateExportRequest, buildExportQuery, runExportJob } = require('../services/exportJobService');
+
+jest.mock('../models/ExportJob', () => ({ updateOne: jest.fn() }));
+jest.mock('../models/Subscriber', () => ({ find: jest.fn(), countDocuments: jest.fn(), aggregate: jest.fn() }));
+jest.mock('../models/Segment', () => ({ exists: jest.fn(), findOne: jest.fn() }));
+jest.mock('../models/Group', () => ({ exists: jest.fn(), find: jest.fn() }));
+jest.mock('../models/Tag', () => ({ exists: jest.fn(), find: jest.fn() }));
+jest.mock('../models/ConsentRecord', () => ({ find: jest.fn() }));
+jest.mock('../services/segmentBehaviorService', () => ({ resolveSegmentQuery: jest.fn() }));
+
+const select = (result) => ({ select: jest.fn().mockReturnThis(), sort: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(result), then: (resolve) => resolve(result) });
+const cursorOf = (docs) => {
+  const query = { select: jest.fn().mockReturnThis(), sort: jest.fn().mockReturnThis(), lean: jest.fn().mockReturnThis() };
+  query.cursor = jest.fn(() => (async function* () { yield* docs; })());
+  return query;
+};
+
+describe('export jobs', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const tagId = new mongoose.Types.ObjectId();
+  const subscriberId = new mongoose.Types.ObjectId();
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-test-'));
+    process.env.EXPORT_STORAGE_DIR = dir;
+  });
+  afterAll(() => {
+    delete process.env.EXPORT_STORAGE_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ExportJob.updateOne.mockResolvedValue({ matchedCount: 1 });
+    Subscriber.countDocuments.mockResolvedValue(2);
+    Tag.find.mockReturnValue(select([{ _id: tagId, name: 'vip' }]));
+    Group.find.mockReturnValue(select([]));
+  });
+
+  const makeJob = (overrides) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    format: 'csv',
+    filter: {},
+    progress: {},
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  test('rejects unknown fields, filters on other accounts\' lists and invalid statuses', async () => {
+    Group.exists.mockResolvedValue(null);
+    const { errors } = await validateExportRequest({ user: userId }, {
+      format: 'xml',
+      fields: ['email', 'password', 'customFields.plan'],
+      filter: { group: String(new mongoose.Types.ObjectId()), status: ['subscribed', 'gone'] }
+    });
+    expect(errors).toEqual([
+      'format must be csv or json',
+      'Unknown fields: password',
+      'group not found',
+      'status must be one of pending, subscribed, unsubscribed, bounced, complained'
+    ]);
+
+    const { settings } = await validateExportRequest({ user: userId }, { filter: { status: 'subscribed' } });
+    expect(settings).toEqual({ format: 'csv', filter: { status: ['subscribed'] }, fields: ['email', 'name', 'status', 'tags', 'groups', 'createdAt'] });
+  });
+
+  test('combines the segment query with the other filters', async () => {
+    const segmentId = new mongoose.Types.ObjectId();
+    Segment.findOne.mockReturnValue(select({ _id: segmentId, filters: [{ field: 'openedCampaign', operator: 'equals', value: 'x' }] }));
+    resolveSegmentQuery.mockResolvedValue({ _id: { $in: [subscriberId] } });
+
+    const query = await buildExportQuery(makeJob({ filter: { segment: segmentId, tag: tagId, status: ['subscribed'] } }));
+
+    expect(query).toEqual({ $and: [
+      { user: userId, isDeleted: false },
+      { tags: tagId },
+      { status: { $in: ['subscribed'] } },
+      { _id: { $in: [subscriberId] } }
+    ] });
+  });
+
+  test('streams the selected columns to CSV and issues an expiring download token', async () => {
+    Subscriber.aggregate.mockReturnValue({ allowDiskUse: jest.fn().mockResolvedValue([{ _id: 'company' }, { _id: 'plan' }]) });
+    Subscriber.find.mockReturnValue(cursorOf([
+      { _id: subscriberId, email: 'a@example.com', tags: [tagId], customFields: { plan: 'pro', company: 'Acme, Inc.' }, location: { city: 'Porto' } },
+      { _id: new mongoose.Types.ObjectId(), email: 'b@example.com', tags: [], customFields: { company: '=HYPERLINK("http://x")' } }
+    ]));
+    ConsentRecord.find.mockReturnValue(select([{ subscriber: subscriberId, method: 'double-opt-in' }]));
+    const job = makeJob({ fields: ['email', 'tags', 'customFields', 'location.city', 'consent.method'] });
+
+    await runExportJob(job);
+
+    expect(fs.readFileSync(path.join(dir, `${job._id}.csv`), 'utf8')).toBe(
+      'email,tags,customFields.company,customFields.plan,location.city,consent.method\n' +
+      'a@example.com,vip,"Acme, Inc.",pro,Porto,double-opt-in\n' +
+      'b@example.com,,"\'=HYPERLINK(""http://x"")",,,\n'
+    );
+    expect(job.progress.totalRows).toBe(2);
+    const [filter, update] = ExportJob.updateOne.mock.calls[ExportJob.updateOne.mock.calls.length - 1];
+    expect(filter).toEqual({ _id: job._id, status: 'processing' });
+    expect(update.$set).toMatchObject({ status: 'completed', downloadToken: expect.stringMatching(/^[a-f0-9]{48}$/) });
+    expect(update.$set.expiresAt.getTime() - update.$set.completedAt.getTime()).toBe(72 * 60 * 60 * 1000);
+  });
+
+  test('JSON exports nest dotted fields; a cancelled export leaves no file behind', async () => {
+    Subscriber.find.mockReturnValue(cursorOf([{ _id: subscriberId, email: 'a@example.com', location: { city: 'Porto' } }]));
+    const job = makeJob({ format: 'json', fields: ['email', 'location.city'] });
+
+    await runExportJob(job);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, `${job._id}.json`), 'utf8'))).toEqual([{ email: 'a@example.com', location: { city: 'Porto' } }]);
+
+    Subscriber.find.mockReturnValue(cursorOf([{ _id: subscriberId, email: 'a@example.com' }]));
+    ExportJob.updateOne.mockResolvedValueOnce({ matchedCount: 0 });
+    const cancelled = makeJob({ fields: ['email'] });
+    await runExportJob(cancelled);
+    expect(fs.existsSync(path.join(dir, `${cancelled._id}.csv`))).toBe(false);
+  });
+});
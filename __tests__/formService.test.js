@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Form = require('../models/Form');
+const FormSubmission = require('../models/FormSubmission');
+const Subscriber = require('../models/Subscriber');
+const Group = require('../models/Group');
+const Tag = require('../models/Tag');
+const ConsentRecord = require('../models/ConsentRecord');
+const usageService = require('../services/usageService');
+const { sendConfirmationEmail } = require('../services/doubleOptInService');
+const { validateFormBody, submitForm } = require('../services/formService');
+
+const subscriberDoc = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  groups: [],
+  tags: [],
+  isDeleted: false,
+  customFields: new Map(),
+  set(path, value) { this[path] = value; },
+  save: jest.fn().mockResolvedValue(true),
+  ...fields
+});
+
+jest.mock('../models/Form', () => ({ updateOne: jest.fn().mockResolvedValue({}) }));
+jest.mock('../models/FormSubmission', () => ({ create: jest.fn().mockResolvedValue({}) }));
+jest.mock('../models/ConsentRecord', () => ({ create: jest.fn().mockResolvedValue({}) }));
+jest.mock('../models/Subscriber', () => Object.assign(jest.fn(), { findOne: jest.fn() }));
+jest.mock('../models/Group', () => ({ countDocuments: jest.fn(), updateMany: jest.fn().mockResolvedValue({}), find: jest.fn() }));
+jest.mock('../models/Tag', () => ({ countDocuments: jest.fn() }));
+jest.mock('../services/usageService', () => ({ consumeForUser: jest.fn(), releaseForUser: jest.fn() }));
+jest.mock('../services/behavioralTriggerService', () => ({ processBehavioralEvent: jest.fn().mockResolvedValue({}) }));
+jest.mock('../services/doubleOptInService', () => ({
+  confirmationFields: jest.fn(() => ({ confirmationToken: 'tok', confirmationSentAt: new Date(), confirmationExpiresAt: new Date() })),
+  sendConfirmationEmail: jest.fn().mockResolvedValue({})
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('signup forms', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const group = { _id: id(), updateSubscriberCount: jest.fn() };
+  const form = (fields = {}) => ({
+    _id: id(),
+    user: id(),
+    organization: id(),
+    optIn: 'double',
+    honeypotField: 'hp_website',
+    groups: [group._id],
+    tags: [],
+    fields: [
+      { key: 'email', label: 'Email', type: 'email', required: true, target: 'email' },
+      { key: 'first', label: 'First name', type: 'text', target: 'firstName' },
+      { key: 'plan', label: 'Plan', type: 'select', options: ['free', 'pro'], target: 'custom', customField: 'plan' }
+    ],
+    ...fields
+  });
+  const meta = { ip: '203.0.113.9', userAgent: 'jest', now };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Subscriber.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+    Subscriber.mockImplementation((fields) => subscriberDoc(fields));
+    Group.find.mockResolvedValue([group]);
+    usageService.consumeForUser.mockResolvedValue({ allowed: true });
+  });
+
+  test('drops honeypot submissions without touching subscribers', async () => {
+    const f = form();
+    const outcome = await submitForm(f, { email: 'bot@example.com', hp_website: 'http://spam' }, meta);
+
+    expect(outcome).toEqual({ spam: true });
+    expect(Form.updateOne).toHaveBeenCalledWith({ _id: f._id }, { $inc: { 'stats.spamBlocked': 1 } });
+    expect(Subscriber.findOne).not.toHaveBeenCalled();
+    expect(FormSubmission.create).not.toHaveBeenCalled();
+  });
+
+  test('creates a pending subscriber in the form workspace and sends the confirmation', async () => {
+    const f = form();
+    const outcome = await submitForm(f, { email: ' Ana@Example.com ', first: 'Ana', plan: 'pro' }, meta);
+
+    expect(Subscriber.findOne).toHaveBeenCalledWith({ organization: f.organization, email: 'ana@example.com' });
+    expect(usageService.consumeForUser).toHaveBeenCalledWith(f.user, 'subscribers');
+    const subscriber = outcome.subscriber;
+    expect(outcome.result).toBe('pending');
+    expect(subscriber).toMatchObject({ user: f.user, organization: f.organization, source: 'form', status: 'pending', name: 'Ana', confirmationToken: 'tok' });
+    expect(subscriber.customFields.get('plan')).toBe('pro');
+    expect(subscriber.groups).toEqual([String(group._id)]);
+    expect(Group.updateMany).toHaveBeenCalledWith({ _id: { $in: [String(group._id)] } }, { $addToSet: { subscribers: subscriber._id } });
+    expect(group.updateSubscriberCount).toHaveBeenCalled();
+    expect(ConsentRecord.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'signup', method: 'double-opt-in', ip: '203.0.113.9', metadata: { source: 'form', form: f._id, confirmed: false }
+    }));
+    expect(FormSubmission.create).toHaveBeenCalledWith(expect.objectContaining({ form: f._id, result: 'pending' }));
+    expect(sendConfirmationEmail).toHaveBeenCalledWith(subscriber);
+  });
+
+  test('asks an unsubscribed subscriber to confirm even on a single opt-in form', async () => {
+    const unsubscribedAt = new Date('2026-01-01');
+    const existing = subscriberDoc({ email: 'bo@example.com', status: 'unsubscribed', unsubscribedAt });
+    Subscriber.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(existing) });
+
+    const outcome = await submitForm(form({ optIn: 'single' }), { email: 'bo@example.com' }, meta);
+
+    expect(outcome.result).toBe('pending');
+    // unsubscribedAt stays so the confirmation is recorded as a resubscribe
+    expect(existing).toMatchObject({ status: 'pending', unsubscribedAt, confirmationToken: 'tok' });
+    expect(usageService.consumeForUser).not.toHaveBeenCalled();
+    expect(ConsentRecord.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'signup', method: 'double-opt-in' }));
+    expect(sendConfirmationEmail).toHaveBeenCalledWith(existing);
+  });
+
+  test('subscribes a pending subscriber straight away on a single opt-in form', async () => {
+    const existing = subscriberDoc({ email: 'di@example.com', status: 'pending', confirmationToken: 'old' });
+    Subscriber.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(existing) });
+
+    const outcome = await submitForm(form({ optIn: 'single' }), { email: 'di@example.com' }, meta);
+
+    expect(outcome.result).toBe('subscribed');
+    expect(existing).toMatchObject({ status: 'subscribed', confirmedAt: now, confirmationToken: undefined });
+    expect(sendConfirmationEmail).not.toHaveBeenCalled();
+  });
+
+  test('returns field errors and plan limits without creating anything', async () => {
+    const invalid = await submitForm(form(), { email: 'not-an-email', plan: 'enterprise' }, meta);
+    expect(invalid.errors).toEqual({ email: 'Enter a valid email address', plan: 'Plan must be one of the listed options' });
+
+    usageService.consumeForUser.mockResolvedValue({ allowed: false, current: 500, limit: 500 });
+    const limited = await submitForm(form(), { email: 'cy@example.com' }, meta);
+    expect(limited).toEqual({ limited: true });
+    expect(Subscriber).not.toHaveBeenCalled();
+    expect(FormSubmission.create).not.toHaveBeenCalled();
+  });
+
+  test('validates form definitions against the workspace', async () => {
+    Group.countDocuments.mockResolvedValue(0);
+    const workspace = { organization: id() };
+    const { errors } = await validateFormBody({
+      name: 'Newsletter',
+      fields: [
+        { key: 'email', target: 'email' },
+        { key: 'hp_website', target: 'custom' }
+      ],
+      groups: [String(id())],
+      successRedirectUrl: 'javascript:alert(1)'
+    }, workspace);
+
+    expect(errors).toEqual([
+      'successRedirectUrl must be an http(s) URL',
+      'fields[1].customField must start with a letter and use letters, digits or _',
+      'No field may use the honeypot key "hp_website"',
+      'groups contains ids that do not exist'
+    ]);
+    expect(Group.countDocuments).toHaveBeenCalledWith(expect.objectContaining(workspace));
+    expect(Tag.countDocuments).not.toHaveBeenCalled();
+
+    const { settings } = await validateFormBody({ optIn: 'single' }, workspace, { current: form() });
+    expect(settings).toEqual({ optIn: 'single' });
+  });
+});
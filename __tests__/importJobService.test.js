@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const ImportJob = require('../models/ImportJob');
+const Subscriber = require('../models/Subscriber');
+const { previewFile, suggestMapping, validateImportSettings, runImportJob } = require('../services/importJobService');
+
+jest.mock('../models/ImportJob', () => ({ updateOne: jest.fn(), findById: jest.fn() }));
+jest.mock('../models/Subscriber', () => ({ find: jest.fn(), bulkWrite: jest.fn() }));
+jest.mock('../models/Group', () => ({ find: jest.fn(), findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/Tag', () => ({ find: jest.fn(), insertMany: jest.fn() }));
+jest.mock('../services/usageService', () => ({ consumeForUser: jest.fn().mockResolvedValue({ allowed: true }), releaseForUser: jest.fn() }));
+
+const select = (result) => ({ select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(result), then: (resolve) => resolve(result) });
+
+describe('import jobs', () => {
+  let dir;
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeAll(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-test-')); });
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+  beforeEach(() => jest.clearAllMocks());
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  test('previews a semicolon CSV and suggests core and custom field targets', async () => {
+    const filePath = writeFile('preview.csv', '﻿E-mail Address;First Name;Surname;Company Name;\n' +
+      'a@example.com;Ann;Lee;Acme;\n' +
+      'b@example.com;Bob;Ray;"Foo; Bar";\n');
+
+    const columns = await previewFile(filePath, 'csv');
+    expect(columns.map(c => c.header)).toEqual(['E-mail Address', 'First Name', 'Surname', 'Company Name', 'Column 5']);
+    expect(columns[3].samples).toEqual(['Acme', 'Foo; Bar']);
+
+    expect(suggestMapping(columns).map(m => [m.target, m.customField])).toEqual([
+      ['email', undefined], ['firstName', undefined], ['lastName', undefined], ['custom', 'Company_Name'], ['skip', undefined]
+    ]);
+  });
+
+  test('reads the first worksheet of an XLSX file', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Contacts');
+    sheet.addRow(['Email', 'City']);
+    sheet.addRow([{ text: 'x@example.com', hyperlink: 'mailto:x@example.com' }, 'Lisbon']);
+    const filePath = path.join(dir, 'preview.xlsx');
+    await workbook.xlsx.writeFile(filePath);
+
+    const columns = await previewFile(filePath, 'xlsx');
+    expect(columns).toEqual([
+      { index: 0, header: 'Email', samples: ['x@example.com'] },
+      { index: 1, header: 'City', samples: ['Lisbon'] }
+    ]);
+    expect(suggestMapping(columns).map(m => m.target)).toEqual(['email', 'location.city']);
+  });
+
+  test('mapping must include email and use valid, unique targets', async () => {
+    const job = { user: userId, columns: [{ index: 0, header: 'Email' }, { index: 1, header: 'Plan' }] };
+
+    const { errors } = await validateImportSettings(job, { mapping: [{ column: 1, target: 'custom', customField: '1plan' }], mergeStrategy: 'merge' });
+    expect(errors).toEqual([
+      'mapping[0]: customField must start with a letter and contain only letters, digits and underscores',
+      'One column must be mapped to email',
+      'mergeStrategy must be one of skip, update, overwrite'
+    ]);
+
+    const { settings } = await validateImportSettings(job, { mapping: [{ column: 0, target: 'email' }, { column: 1, target: 'custom', customField: 'plan' }], mergeStrategy: 'update' });
+    expect(settings.mapping).toEqual([
+      { column: 0, header: 'Email', target: 'email', customField: undefined },
+      { column: 1, header: 'Plan', target: 'custom', customField: 'plan' }
+    ]);
+    expect(settings.options).toMatchObject({ mergeStrategy: 'update', defaultStatus: 'subscribed' });
+  });
+
+  test('imports in the background, merges existing subscribers and reports rejected rows', async () => {
+    const filePath = writeFile('run.csv', 'Email,Name,Status,Plan\n' +
+      'new@example.com,New Person,,pro\n' +
+      'OLD@example.com,,active,\n' +
+      'not-an-email,Broken,,\n' +
+      'new@example.com,Again,,\n' +
+      'x@example.com,X,maybe,\n');
+    const existingId = new mongoose.Types.ObjectId();
+    const job = {
+      _id: new mongoose.Types.ObjectId(),
+      user: userId,
+      filePath,
+      fileType: 'csv',
+      columns: ['Email', 'Name', 'Status', 'Plan'].map((header, index) => ({ index, header })),
+      mapping: [
+        { column: 0, target: 'email' },
+        { column: 1, target: 'name' },
+        { column: 2, target: 'status' },
+        { column: 3, target: 'custom', customField: 'plan' }
+      ],
+      options: { mergeStrategy: 'update', defaultStatus: 'subscribed', groupIds: [], tagNames: [] },
+      progress: { processedRows: 0 },
+      save: jest.fn().mockResolvedValue()
+    };
+    Subscriber.find.mockReturnValue(select([{ _id: existingId, email: 'old@example.com', status: 'unsubscribed' }]));
+    Subscriber.bulkWrite.mockResolvedValue({ insertedCount: 1, matchedCount: 0 });
+    ImportJob.updateOne.mockResolvedValue({ matchedCount: 1 });
+    ImportJob.findById.mockReturnValue(select({ progress: { rejected: 3 } }));
+
+    await runImportJob(job);
+
+    expect(job.progress.totalRows).toBe(5);
+    const [operations] = Subscriber.bulkWrite.mock.calls[0];
+    // 'update' leaves blank values alone and never re-subscribes an unsubscribed address, so the
+    // existing row needs no write at all
+    expect(operations).toEqual([
+      { insertOne: { document: expect.objectContaining({ email: 'new@example.com', name: 'New Person', status: 'subscribed', customFields: { plan: 'pro' }, source: 'import' }) } }
+    ]);
+    expect(ImportJob.updateOne).toHaveBeenCalledWith({ _id: job._id, status: 'processing' }, {
+      $set: expect.objectContaining({ 'progress.processedRows': 5 }),
+      $inc: { 'progress.imported': 1, 'progress.updated': 1, 'progress.skipped': 0, 'progress.rejected': 3 }
+    });
+
+    const report = fs.readFileSync(job.errorFilePath, 'utf8').trim().split('\n');
+    expect(report).toEqual([
+      'row,reason,Email,Name,Status,Plan',
+      '4,Invalid email,not-an-email,Broken,,',
+      '5,Duplicate email in file,new@example.com,Again,,',
+      '6,Unknown status: maybe,x@example.com,X,maybe,'
+    ]);
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(ImportJob.updateOne).toHaveBeenLastCalledWith(
+      { _id: job._id, status: 'processing' },
+      { $set: expect.objectContaining({ status: 'completed' }) }
+    );
+  });
+
+  test('keeps a cancellation that lands while the job is finishing', async () => {
+    const job = {
+      _id: new mongoose.Types.ObjectId(),
+      user: userId,
+      filePath: path.join(dir, 'gone.csv'),
+      progress: { processedRows: 0 },
+      save: jest.fn()
+    };
+    ImportJob.updateOne.mockResolvedValue({ matchedCount: 0 });
+    ImportJob.findById.mockReturnValue(select({ progress: { rejected: 0 } }));
+
+    await runImportJob(job);
+
+    expect(ImportJob.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, status: 'processing' },
+      { $set: expect.objectContaining({ status: 'failed', error: 'The uploaded file is no longer available' }), $unset: { errorFilePath: '' } }
+    );
+    const [filter, update] = ImportJob.updateOne.mock.calls[ImportJob.updateOne.mock.calls.length - 1];
+    expect(filter).toEqual({ _id: job._id, status: 'cancelled' });
+    expect(update.$set).toEqual({ completedAt: expect.any(Date) });
+  });
+});
@@ -0,0 +1,29 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const LandingPage = require('../models/LandingPage');
+
+jest.mock('../models/LandingPage', () => ({ findOne: jest.fn(), updateOne: jest.fn().mockResolvedValue({}) }));
+jest.mock('../models/LandingPageVisitor', () => ({
+  findOneAndUpdate: jest.fn(() => ({ lean: jest.fn().mockResolvedValue(null) }))
+}));
+jest.mock('../models/LandingPageDailyStat', () => ({ updateOne: jest.fn().mockResolvedValue({}) }));
+jest.mock('../models/Form', () => ({ findOne: jest.fn(), exists: jest.fn() }));
+jest.mock('../services/formService', () => ({ submitForm: jest.fn(), renderEmbedHtml: jest.fn(() => '<form></form>') }));
+
+const app = express();
+app.use('/', require('../routes/publicLandingPageRoutes'));
+
+describe('public landing pages', () => {
+  test('serves the page in a CSP sandbox so its scripts get an opaque origin', async () => {
+    const page = { _id: new mongoose.Types.ObjectId(), slug: 'spring', name: 'Spring', htmlContent: '<h1>Spring</h1><script>alert(1)</script>', seo: {} };
+    LandingPage.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(page) });
+
+    const res = await request(app).get('/landing/spring');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-security-policy']).toMatch(/^sandbox allow-forms allow-scripts\b/);
+    expect(res.headers['content-security-policy']).not.toContain('allow-same-origin');
+    expect(res.text).toContain('<h1>Spring</h1>');
+  });
+});
@@ -0,0 +1,172 @@
+const dns = require('dns').promises;
+const mongoose = require('mongoose');
+const LandingPage = require('../models/LandingPage');
+const LandingPageVisitor = require('../models/LandingPageVisitor');
+const LandingPageDailyStat = require('../models/LandingPageDailyStat');
+const {
+  normalizeDomain,
+  isAppHost,
+  domainVerificationRecord,
+  checkDomainRecord,
+  findPageForHost,
+  visitorIdFor,
+  trackVisit,
+  recordConversion,
+  getAnalytics,
+  renderPage
+} = require('../services/landingPageService');
+
+jest.mock('../models/LandingPage', () => ({ findOne: jest.fn(), updateOne: jest.fn().mockResolvedValue({}) }));
+jest.mock('../models/LandingPageVisitor', () => ({ findOneAndUpdate: jest.fn() }));
+jest.mock('../models/LandingPageDailyStat', () => ({ updateOne: jest.fn().mockResolvedValue({}), find: jest.fn() }));
+
+const lean = (result) => ({ lean: jest.fn().mockResolvedValue(result) });
+
+describe('landing pages', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const page = { _id: new mongoose.Types.ObjectId(), slug: 'spring', name: 'Spring sale', description: 'Save 20%', seo: {} };
+
+  beforeEach(() => jest.clearAllMocks());
+
+  test('counts a first view as a new visit and a unique visitor', async () => {
+    LandingPageVisitor.findOneAndUpdate.mockReturnValue(lean(null));
+
+    const result = await trackVisit(page, 'a'.repeat(32), { referrer: 'https://news.example', now });
+
+    expect(result).toEqual({ newVisit: true, newVisitor: true });
+    expect(LandingPageVisitor.findOneAndUpdate).toHaveBeenCalledWith(
+      { landingPage: page._id, visitorId: 'a'.repeat(32) },
+      { $set: { lastSeenAt: now }, $inc: { views: 1 }, $setOnInsert: { firstSeenAt: now, referrer: 'https://news.example' } },
+      { upsert: true, new: false }
+    );
+    expect(LandingPage.updateOne).toHaveBeenCalledWith({ _id: page._id }, { $inc: { visits: 1, uniqueVisitors: 1 } });
+    expect(LandingPageDailyStat.updateOne).toHaveBeenCalledWith(
+      { landingPage: page._id, day: '2026-10-19' },
+      { $inc: { visits: 1, newVisitors: 1 } },
+      { upsert: true }
+    );
+  });
+
+  test('deduplicates repeat views inside the visit window', async () => {
+    LandingPageVisitor.findOneAndUpdate.mockReturnValue(lean({ lastSeenAt: new Date(now.getTime() - 10 * 60 * 1000) }));
+    expect(await trackVisit(page, 'b'.repeat(32), { now })).toEqual({ newVisit: false, newVisitor: false });
+    expect(LandingPage.updateOne).not.toHaveBeenCalled();
+
+    LandingPageVisitor.findOneAndUpdate.mockReturnValue(lean({ lastSeenAt: new Date(now.getTime() - 45 * 60 * 1000) }));
+    expect(await trackVisit(page, 'b'.repeat(32), { now })).toEqual({ newVisit: true, newVisitor: false });
+    expect(LandingPage.updateOne).toHaveBeenCalledWith({ _id: page._id }, { $inc: { visits: 1 } });
+  });
+
+  test('counts a conversion once per visitor and reports the rate per unique visitor', async () => {
+    const subscriber = new mongoose.Types.ObjectId();
+    LandingPageVisitor.findOneAndUpdate.mockResolvedValueOnce({ _id: 'visitor' }).mockResolvedValueOnce(null);
+
+    expect(await recordConversion(page, 'c'.repeat(32), { subscriber, now })).toBe(true);
+    expect(await recordConversion(page, 'c'.repeat(32), { subscriber, now })).toBe(false);
+    expect(LandingPageVisitor.findOneAndUpdate).toHaveBeenCalledWith(
+      { landingPage: page._id, visitorId: 'c'.repeat(32), convertedAt: null },
+      { $set: { convertedAt: now, subscriber } }
+    );
+    expect(LandingPage.updateOne).toHaveBeenCalledTimes(1);
+
+    LandingPageDailyStat.find.mockReturnValue(lean([{ day: '2026-10-18', visits: 4, newVisitors: 3, conversions: 1 }]));
+    const analytics = await getAnalytics({ ...page, visits: 40, uniqueVisitors: 30, conversions: 4 }, { days: 3, now });
+    expect(analytics).toEqual({
+      visits: 40,
+      uniqueVisitors: 30,
+      conversions: 4,
+      conversionRate: 13.33,
+      daily: [
+        { day: '2026-10-17', visits: 0, newVisitors: 0, conversions: 0 },
+        { day: '2026-10-18', visits: 4, newVisitors: 3, conversions: 1 },
+        { day: '2026-10-19', visits: 0, newVisitors: 0, conversions: 0 }
+      ]
+    });
+  });
+
+  test('identifies visitors by cookie, falling back to IP and user-agent', () => {
+    const req = (cookie) => ({ headers: { cookie }, ip: '198.51.100.7', get: () => 'Mozilla/5.0' });
+    expect(visitorIdFor(req(`theme=dark; lp_vid=${'d'.repeat(32)}`))).toEqual({ visitorId: 'd'.repeat(32), isNew: false });
+    const derived = visitorIdFor(req('lp_vid=forged'));
+    expect(derived.isNew).toBe(true);
+    expect(derived.visitorId).toMatch(/^[a-f0-9]{32}$/);
+    expect(visitorIdFor(req()).visitorId).toBe(derived.visitorId);
+  });
+
+  test('normalizes custom domains and caches host lookups', async () => {
+    expect(normalizeDomain('https://Join.Example.com:443/path')).toBe('join.example.com');
+    expect(normalizeDomain('')).toBe('');
+    expect(normalizeDomain('localhost')).toBeNull();
+
+    LandingPage.findOne.mockReturnValue(lean(page));
+    expect(await findPageForHost('join.example.com', 1000)).toBe(page);
+    expect(await findPageForHost('join.example.com', 2000)).toBe(page);
+    expect(LandingPage.findOne).toHaveBeenCalledTimes(1);
+    expect(LandingPage.findOne).toHaveBeenCalledWith({ customDomain: 'join.example.com', customDomainVerifiedAt: { $ne: null }, status: 'published' });
+    expect(await findPageForHost('127.0.0.1')).toBeNull();
+    expect(LandingPage.findOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('never serves or accepts the app\'s own hosts as custom domains', async () => {
+    const env = { ...process.env };
+    process.env.BACKEND_URL = 'https://api.emailxp.example';
+    process.env.FRONTEND_URL = 'https://app.emailxp.example';
+    process.env.CORS_ALLOW = 'https://admin.emailxp.example/';
+    try {
+      ['api.emailxp.example', 'app.emailxp.example', 'admin.emailxp.example', 'localhost'].forEach(host => expect(isAppHost(host)).toBe(true));
+      expect(isAppHost('join.example.com')).toBe(false);
+      expect(await findPageForHost('api.emailxp.example')).toBeNull();
+      expect(LandingPage.findOne).not.toHaveBeenCalled();
+    } finally {
+      process.env = env;
+    }
+  });
+
+  test('verifies a custom domain through its DNS TXT record', async () => {
+    const claimed = { ...page, customDomain: 'join.example.com', customDomainToken: 'abc123' };
+    expect(domainVerificationRecord(claimed)).toEqual({ type: 'TXT', name: '_emailxp-verify.join.example.com', value: 'emailxp-verify=abc123' });
+
+    const resolveTxt = jest.spyOn(dns, 'resolveTxt');
+    resolveTxt.mockResolvedValueOnce([['v=spf1 -all'], ['emailxp-verify=', 'abc123']]);
+    expect(await checkDomainRecord(claimed)).toBe(true);
+    expect(resolveTxt).toHaveBeenCalledWith('_emailxp-verify.join.example.com');
+
+    resolveTxt.mockResolvedValueOnce([['emailxp-verify=someone-else']]);
+    expect(await checkDomainRecord(claimed)).toBe(false);
+    resolveTxt.mockRejectedValueOnce(Object.assign(new Error('queryTxt ENOTFOUND'), { code: 'ENOTFOUND' }));
+    expect(await checkDomainRecord(claimed)).toBe(false);
+    resolveTxt.mockRestore();
+  });
+
+  test('renders SEO and Open Graph tags and places the form at the placeholder', () => {
+    const form = {
+      honeypotField: 'hp_website',
+      fields: [{ key: 'email', label: 'Email', type: 'email', required: true, target: 'email' }]
+    };
+    const html = renderPage(
+      { ...page, htmlContent: '<h1>Spring</h1>{{form}}<footer>Bye</footer>', seo: { title: 'Spring "Sale"', image: 'https://cdn.example/og.png' } },
+      { canonicalUrl: 'https://join.example.com/', form, formAction: '/subscribe' }
+    );
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>Spring &quot;Sale&quot;</title>');
+    expect(html).toContain('<meta name="description" content="Save 20%">');
+    expect(html).toContain('<meta property="og:image" content="https://cdn.example/og.png">');
+    expect(html).toContain('<link rel="canonical" href="https://join.example.com/">');
+    expect(html).toMatch(/<h1>Spring<\/h1><form action="\/subscribe" method="POST"[\s\S]*<\/form><footer>/);
+
+    const success = renderPage(
+      { ...page, htmlContent: '<html><head><title>Own</title></head><body><p>Hi</p></body></html>' },
+      { canonicalUrl: 'x', form, formAction: '/subscribe', notice: { type: 'success', message: 'Thanks!' } }
+    );
+    expect(success).toContain('<div class="emailxp-form-success">Thanks!</div>\n</body>');
+    expect(success.match(/<title>/g)).toHaveLength(1);
+
+    // Replacement patterns in form text are left as written
+    const dollars = renderPage(
+      { ...page, htmlContent: '<body><p>Hi</p></body>' },
+      { canonicalUrl: 'x', form, formAction: '/subscribe', notice: { type: 'success', message: "Save $& and $' now" } }
+    );
+    expect(dollars).toContain("<div class=\"emailxp-form-success\">Save $&amp; and $&#39; now</div>\n</body>");
+  });
+});
@@ -0,0 +1,113 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Subscriber = require('../models/Subscriber');
+const Campaign = require('../models/Campaign');
+const ConsentRecord = require('../models/ConsentRecord');
+const suppressionService = require('../services/suppressionService');
+const emailService = require('../utils/emailService');
+const { buildListUnsubscribeHeaders } = require('../utils/listUnsubscribe');
+
+jest.mock('../models/Subscriber', () => ({ findOne: jest.fn(), findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/Campaign', () => ({ findOne: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/ConsentRecord', () => ({ create: jest.fn() }));
+jest.mock('../services/suppressionService', () => ({ add: jest.fn() }));
+jest.mock('../utils/emailService', () => ({ sendEmail: jest.fn() }));
+
+const { sendEmail } = require('../utils/resendEmailService');
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/unsubscribe', require('../routes/unsubscribe'));
+
+const select = (result) => ({ select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(result), then: (resolve) => resolve(result) });
+
+describe('List-Unsubscribe', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const organizationId = new mongoose.Types.ObjectId();
+  const campaignId = new mongoose.Types.ObjectId();
+  const categoryId = new mongoose.Types.ObjectId();
+  let subscriber;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.BACKEND_URL;
+    delete process.env.LIST_UNSUBSCRIBE_MAILTO;
+    process.env.EMAIL_FROM = 'news@mail.example.com';
+    subscriber = {
+      _id: new mongoose.Types.ObjectId(),
+      user: userId,
+      organization: organizationId,
+      email: 'a@example.com',
+      status: 'subscribed',
+      unsubscribedCategories: [],
+      unsubscribe: jest.fn().mockResolvedValue()
+    };
+    Subscriber.findOne.mockResolvedValue(subscriber);
+  });
+
+  test('headers carry a mailto and a one-click HTTPS URL built from the token', () => {
+    const headers = buildListUnsubscribeHeaders({ unsubscribeToken: 'tok', campaignId: 'c1', fromAddress: 'news@mail.example.com' });
+
+    expect(headers).toEqual({
+      'List-Unsubscribe': '<mailto:unsubscribe@mail.example.com?subject=unsubscribe%20tok>, <http://localhost:5000/api/unsubscribe/tok?campaign=c1>',
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+    expect(buildListUnsubscribeHeaders({})).toEqual({});
+  });
+
+  test('campaign and automation sends get the headers, other mail does not', async () => {
+    emailService.sendEmail.mockResolvedValue({ success: true });
+
+    await sendEmail({ to: 'a@example.com', subject: 'Hi', html: '<p>Hi</p>', subscriberId: subscriber._id, campaignId, unsubscribeToken: 'tok' });
+    expect(emailService.sendEmail.mock.calls[0][0].headers).toMatchObject({ 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' });
+    expect(emailService.sendEmail.mock.calls[0][0].headers['List-Unsubscribe']).toContain(`/api/unsubscribe/tok?campaign=${campaignId}`);
+
+    Subscriber.findById.mockReturnValue(select({ unsubscribeToken: 'looked-up' }));
+    await sendEmail({ to: 'a@example.com', subject: 'Hi', html: '<p>Hi</p>', subscriberId: subscriber._id, automationId: 'a1' });
+    expect(emailService.sendEmail.mock.calls[1][0].headers['List-Unsubscribe']).toContain('/api/unsubscribe/looked-up>');
+
+    await sendEmail({ to: 'a@example.com', subject: 'Reset', html: '<p>Reset</p>' });
+    expect(emailService.sendEmail.mock.calls[2][0].headers).toEqual({});
+  });
+
+  test('a one-click POST unsubscribes, suppresses and records consent without a confirmation page', async () => {
+    Campaign.findOne.mockReturnValue(select({ _id: campaignId, preferenceCategory: null }));
+
+    const res = await request(app)
+      .post(`/api/unsubscribe/tok?campaign=${campaignId}`)
+      .type('form')
+      .send('List-Unsubscribe=One-Click');
+
+    expect(res.status).toBe(200);
+    expect(Subscriber.findOne).toHaveBeenCalledWith({ unsubscribeToken: 'tok', isDeleted: false });
+    expect(subscriber.unsubscribe).toHaveBeenCalled();
+    expect(suppressionService.add).toHaveBeenCalledWith(expect.objectContaining({ email: 'a@example.com', type: 'unsubscribe', user: userId, organization: organizationId }));
+    expect(ConsentRecord.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'unsubscribe', method: 'one-click' }));
+    expect(Campaign.updateOne).toHaveBeenCalledWith({ _id: campaignId }, { $inc: { unsubscribedCount: 1 } });
+  });
+
+  test('a campaign with a preference category only opts out of that category', async () => {
+    Campaign.findOne.mockReturnValue(select({ _id: campaignId, preferenceCategory: categoryId }));
+
+    const res = await request(app).post(`/api/unsubscribe/tok?campaign=${campaignId}`);
+
+    expect(res.status).toBe(200);
+    expect(Subscriber.updateOne).toHaveBeenCalledWith({ _id: subscriber._id }, { $addToSet: { unsubscribedCategories: categoryId } });
+    expect(ConsentRecord.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'preference-update' }));
+    expect(subscriber.unsubscribe).not.toHaveBeenCalled();
+    expect(suppressionService.add).not.toHaveBeenCalled();
+  });
+
+  test('unknown tokens get the same response and opening the URL goes to the preference page', async () => {
+    Subscriber.findOne.mockResolvedValue(null);
+
+    const post = await request(app).post('/api/unsubscribe/nope');
+    expect(post.status).toBe(200);
+    expect(suppressionService.add).not.toHaveBeenCalled();
+
+    const get = await request(app).get('/api/unsubscribe/tok');
+    expect(get.status).toBe(302);
+    expect(get.headers.location).toBe('http://localhost:3000/unsubscribe?token=tok');
+  });
+});
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const emailService = require('../utils/emailService');
+const { revokeAllSessions } = require('../services/sessionService');
+const { forgotPassword, resetPassword } = require('../controllers/userController');
+const { protect } = require('../middleware/authMiddleware');
+
+jest.mock('../models/User', () => ({ findOne: jest.fn(), findOneAndUpdate: jest.fn(), findById: jest.fn() }));
+jest.mock('../utils/emailService', () => ({ sendPasswordResetEmail: jest.fn() }));
+jest.mock('../utils/resendEmailService', () => ({ sendEmail: jest.fn() }));
+jest.mock('../utils/fileUpload', () => ({}));
+jest.mock('../services/sessionService', () => ({ revokeAllSessions: jest.fn().mockResolvedValue(0) }));
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// asyncHandler forwards thrown errors to next()
+const run = async (handler, req, res) => {
+  const next = jest.fn();
+  await handler(req, res, next);
+  return next;
+};
+
+describe('password reset flow', () => {
+  const realModel = jest.requireActual('../models/User');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  test('stores only a hash of the reset token with a one hour expiry', () => {
+    const user = new realModel({ name: 'A', email: 'a@example.com', password: 'secret1' });
+    const token = user.getPasswordResetToken();
+
+    expect(user.passwordResetToken).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    expect(user.passwordResetToken).not.toBe(token);
+    expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+  });
+
+  test('forgot-password emails the raw token and responds generically', async () => {
+    const user = { email: 'a@example.com', getPasswordResetToken: jest.fn(() => 'raw-token'), save: jest.fn() };
+    User.findOne.mockResolvedValue(user);
+
+    const res = mockRes();
+    await run(forgotPassword, { body: { email: ' A@Example.com ' } }, res);
+
+    expect(User.findOne).toHaveBeenCalledWith({ email: 'a@example.com' });
+    expect(emailService.sendPasswordResetEmail).toHaveBeenCalledWith('a@example.com', 'raw-token');
+    expect(res.status).toHaveBeenCalledWith(200);
+
+    User.findOne.mockResolvedValue(null);
+    const missing = mockRes();
+    await run(forgotPassword, { body: { email: 'nobody@example.com' } }, missing);
+    expect(missing.json.mock.calls[0][0]).toEqual(res.json.mock.calls[0][0]);
+    expect(emailService.sendPasswordResetEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test('reset-password claims the hashed token once and records the change', async () => {
+    const user = { save: jest.fn() };
+    User.findOneAndUpdate.mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+
+    const res = mockRes();
+    await run(resetPassword, { params: { token: 'raw-token' }, body: { password: 'newpass1' } }, res);
+
+    const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+    expect(filter.passwordResetToken).toBe(crypto.createHash('sha256').update('raw-token').digest('hex'));
+    expect(update.$set).toEqual({ passwordResetToken: null, passwordResetExpires: null });
+    expect(user.password).toBe('newpass1');
+    expect(user.passwordChangedAt).toBeInstanceOf(Date);
+    expect(user.save).toHaveBeenCalled();
+    expect(revokeAllSessions).toHaveBeenCalledWith(undefined, { reason: 'password_reset' });
+
+    const reused = mockRes();
+    const next = await run(resetPassword, { params: { token: 'raw-token' }, body: { password: 'other12' } }, reused);
+    expect(reused.status).toHaveBeenCalledWith(400);
+    expect(next.mock.calls[0][0].message).toMatch(/Invalid or expired/);
+  });
+
+  test('protect rejects JWTs issued before the password change', async () => {
+    const issuedAt = Math.floor(Date.now() / 1000) - 60;
+    const token = jwt.sign({ id: 'u1', iat: issuedAt }, process.env.JWT_SECRET);
+    const user = new realModel({ name: 'A', email: 'a@example.com', password: 'secret1', isVerified: true });
+    user.passwordChangedAt = new Date();
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+    const res = mockRes();
+    const next = await run(protect, { headers: { authorization: `Bearer ${token}` }, originalUrl: '/api/campaigns' }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next.mock.calls[0][0].message).toMatch(/password was changed/);
+  });
+});
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const providerWebhooks = require('../services/providerWebhookService');
+const EmailLog = require('../models/EmailLog');
+const EmailTracking = require('../models/EmailTracking');
+const Campaign = require('../models/Campaign');
+const bounceComplaintService = require('../services/bounceComplaintService');
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+jest.mock('../models/EmailLog', () => ({ findOne: jest.fn() }));
+jest.mock('../models/EmailTracking', () => ({ findOne: jest.fn() }));
+jest.mock('../models/Subscriber', () => ({ findByIdAndUpdate: jest.fn() }));
+jest.mock('../models/Campaign', () => ({ findByIdAndUpdate: jest.fn() }));
+jest.mock('../services/abTestService', () => ({ recordEngagement: jest.fn() }));
+jest.mock('../services/bounceComplaintService', () => ({
+  handleBounce: jest.fn().mockResolvedValue('hard'),
+  handleComplaint: jest.fn()
+}));
+
+describe('provider webhook signature verification', () => {
+  const now = Date.UTC(2025, 8, 1, 12, 0, 0);
+  const ts = String(Math.floor(now / 1000));
+
+  test('accepts a valid Svix (Resend) signature and rejects tampering', () => {
+    const secretBytes = crypto.randomBytes(24);
+    const secret = `whsec_${secretBytes.toString('base64')}`;
+    const body = JSON.stringify({ type: 'email.delivered', data: { email_id: 'abc' } });
+    const sig = crypto.createHmac('sha256', secretBytes).update(`msg_1.${ts}.${body}`).digest('base64');
+    const headers = { 'svix-id': 'msg_1', 'svix-timestamp': ts, 'svix-signature': `v1,bogus v1,${sig}` };
+
+    expect(providerWebhooks.verifySvixSignature(body, headers, secret, now)).toBe(true);
+    expect(providerWebhooks.verifySvixSignature(body.replace('abc', 'xyz'), headers, secret, now)).toBe(false);
+    // Outside the replay window
+    expect(providerWebhooks.verifySvixSignature(body, headers, secret, now + 10 * 60 * 1000)).toBe(false);
+  });
+
+  test('verifies a SendGrid ECDSA signature with a base64 DER public key', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const publicDer = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+    const body = JSON.stringify([{ event: 'delivered', sg_message_id: 'abc.filter1' }]);
+    const signature = crypto.sign('sha256', Buffer.from(ts + body), privateKey).toString('base64');
+    const headers = {
+      'x-twilio-email-event-webhook-signature': signature,
+      'x-twilio-email-event-webhook-timestamp': ts
+    };
+
+    expect(providerWebhooks.verifySendGridSignature(body, headers, publicDer, now)).toBe(true);
+    expect(providerWebhooks.verifySendGridSignature(body + ' ', headers, publicDer, now)).toBe(false);
+  });
+
+  test('verifies SNS messages only from trusted certificate hosts', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    axios.get.mockResolvedValue({ data: publicKey.export({ format: 'pem', type: 'spki' }) });
+    const message = {
+      Type: 'Notification',
+      MessageId: 'm-1',
+      TopicArn: 'arn:aws:sns:us-east-1:123:ses-events',
+      Message: JSON.stringify({ eventType: 'Delivery', mail: { messageId: 'ses-1' } }),
+      Timestamp: '2025-09-01T12:00:00.000Z',
+      SignatureVersion: '2',
+      SigningCertURL: 'https://sns.us-east-1.amazonaws.com/SimpleNotificationService-abc.pem'
+    };
+    const toSign = ['Message', 'MessageId', 'Timestamp', 'TopicArn', 'Type'].map(f => `${f}\n${message[f]}\n`).join('');
+    message.Signature = crypto.createSign('RSA-SHA256').update(toSign).sign(privateKey, 'base64');
+
+    const now = Date.parse(message.Timestamp) + 60 * 1000;
+    await expect(providerWebhooks.verifySnsMessage(message, [], now)).resolves.toBe(true);
+    await expect(providerWebhooks.verifySnsMessage(message, ['arn:aws:sns:us-east-1:123:other'], now)).resolves.toBe(false);
+    await expect(providerWebhooks.verifySnsMessage({ ...message, SigningCertURL: 'https://evil.example.com/cert.pem' }, [], now)).resolves.toBe(false);
+    // A validly signed message replayed after the tolerance window is rejected
+    await expect(providerWebhooks.verifySnsMessage(message, [], now + 10 * 60 * 1000)).resolves.toBe(false);
+    await expect(providerWebhooks.verifySnsMessage(message)).resolves.toBe(false);
+  });
+});
+
+describe('provider event normalization', () => {
+  test('maps SES bounces per recipient with status code', () => {
+    const events = providerWebhooks.normalizeSesEvent({
+      eventType: 'Bounce',
+      mail: { messageId: 'ses-1', destination: ['a@example.com'] },
+      bounce: { bounceType: 'Permanent', bouncedRecipients: [{ emailAddress: 'a@example.com', status: '5.1.1', diagnosticCode: 'smtp; 550 user unknown' }] }
+    });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ provider: 'ses', type: 'bounced', messageId: 'ses-1', email: 'a@example.com', bounce: { code: '5.1.1' } });
+  });
+
+  test('maps SendGrid events and strips the sg_message_id filter suffix', () => {
+    const events = providerWebhooks.normalizeSendGridEvents([
+      { event: 'deferred', sg_message_id: 'abc.filter0001', email: 'a@example.com', timestamp: 1756728000 },
+      { event: 'group_unsubscribe', sg_message_id: 'abc.filter0001' }
+    ]);
+    expect(events).toEqual([expect.objectContaining({ type: 'delayed', messageId: 'abc', email: 'a@example.com' })]);
+  });
+
+  test('counts a SendGrid drop as a bounce only for an invalid address', () => {
+    const [suppressed, invalid] = providerWebhooks.normalizeSendGridEvents([
+      { event: 'dropped', sg_message_id: 'abc.filter0001', email: 'a@example.com', reason: 'Bounced Address' },
+      { event: 'dropped', sg_message_id: 'def.filter0001', email: 'b@example', reason: 'Invalid' }
+    ]);
+    expect(suppressed).toMatchObject({ type: 'dropped', dropReason: 'Bounced Address', bounce: undefined });
+    expect(invalid).toMatchObject({ type: 'bounced', bounce: { code: '550', description: 'Invalid' } });
+  });
+
+  test('maps Resend click events', () => {
+    const [evt] = providerWebhooks.normalizeResendEvent({
+      type: 'email.clicked',
+      created_at: '2025-09-01T12:00:00Z',
+      data: { email_id: 're-1', to: ['a@example.com'], click: { link: 'https://example.com/pricing', userAgent: 'UA' } }
+    });
+    expect(evt).toMatchObject({ type: 'clicked', messageId: 're-1', url: 'https://example.com/pricing', userAgent: 'UA' });
+  });
+});
+
+describe('applyEvent', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const makeLog = (fields = {}) => ({
+    campaignId: 'camp1',
+    subscriberId: 'sub1',
+    email: 'a@example.com',
+    status: 'sent',
+    openCount: 0,
+    clickCount: 0,
+    opens: [],
+    clickedLinks: [],
+    webhookEvents: [],
+    save: jest.fn().mockResolvedValue(true),
+    ...fields
+  });
+
+  test('marks delivered once and increments campaign stats', async () => {
+    const log = makeLog();
+    EmailLog.findOne.mockResolvedValue(log);
+    EmailTracking.findOne.mockResolvedValue(null);
+
+    await providerWebhooks.applyEvent({ provider: 'resend', type: 'delivered', messageId: 're-1', timestamp: new Date() });
+    await providerWebhooks.applyEvent({ provider: 'resend', type: 'delivered', messageId: 're-1', timestamp: new Date() });
+
+    expect(log.status).toBe('delivered');
+    expect(log.webhookEvents).toHaveLength(2);
+    expect(Campaign.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Campaign.findByIdAndUpdate).toHaveBeenCalledWith('camp1', { $inc: { 'stats.delivered': 1 } });
+  });
+
+  test('routes bounces through bounceComplaintService with the resolved subscriber', async () => {
+    EmailLog.findOne.mockResolvedValue(makeLog());
+    EmailTracking.findOne.mockResolvedValue(null);
+
+    const result = await providerWebhooks.applyEvent({ provider: 'ses', type: 'bounced', messageId: 'ses-1', email: 'a@example.com', bounce: { code: '5.1.1', description: 'Permanent' } });
+
+    expect(result).toMatchObject({ ok: true, classification: 'hard' });
+    expect(bounceComplaintService.handleBounce).toHaveBeenCalledWith(expect.objectContaining({ messageId: 'ses-1', subscriberId: 'sub1', campaignId: 'camp1', code: '5.1.1' }));
+  });
+
+  test('ignores events for unknown messages', async () => {
+    EmailLog.findOne.mockResolvedValue(null);
+    EmailTracking.findOne.mockResolvedValue(null);
+
+    await expect(providerWebhooks.applyEvent({ provider: 'sendgrid', type: 'opened', messageId: 'nope' })).resolves.toMatchObject({ ignored: true, reason: 'unknown_message' });
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const OpenEvent = require('../models/OpenEvent');
+const ClickEvent = require('../models/ClickEvent');
+const EmailLog = require('../models/EmailLog');
+const BehavioralEvent = require('../models/BehavioralEvent');
+const { resolveSegmentQuery } = require('../services/segmentBehaviorService');
+const { buildSegmentQuery } = require('../services/segmentationService');
+
+jest.mock('../models/Campaign', () => ({ distinct: jest.fn() }));
+jest.mock('../models/OpenEvent', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/ClickEvent', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/EmailLog', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/BehavioralEvent', () => ({ aggregate: jest.fn() }));
+
+const id = () => new mongoose.Types.ObjectId();
+const aggregateReturning = (rows) => ({ allowDiskUse: jest.fn().mockResolvedValue(rows) });
+const matchOf = (Model, call = 0) => Model.aggregate.mock.calls[call][0][0].$match;
+
+describe('segmentBehaviorService', () => {
+  const userId = id();
+  const campaignA = id();
+  const campaignB = id();
+  const sub1 = id();
+  const sub2 = id();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Campaign.distinct.mockResolvedValue([campaignA, campaignB]);
+  });
+
+  test('opened campaign X becomes an _id $in clause', async () => {
+    OpenEvent.aggregate.mockReturnValue(aggregateReturning([{ _id: sub1 }, { _id: sub2 }]));
+
+    const query = await resolveSegmentQuery({ filters: [{ field: 'openedCampaign', operator: 'equals', value: String(campaignA) }] }, userId);
+
+    expect(query).toEqual({ _id: { $in: [sub1, sub2] } });
+    expect(matchOf(OpenEvent).campaign.$in.map(String)).toEqual([String(campaignA)]);
+  });
+
+  test('only counts campaigns owned by the segment owner', async () => {
+    OpenEvent.aggregate.mockReturnValue(aggregateReturning([]));
+
+    await resolveSegmentQuery({ filters: [{ field: 'openedCampaign', operator: 'in', value: `${campaignB},${id()}` }] }, userId);
+
+    expect(matchOf(OpenEvent).campaign.$in.map(String)).toEqual([String(campaignB)]);
+  });
+
+  test('clicked link matches an escaped URL fragment within the time window', async () => {
+    ClickEvent.aggregate.mockReturnValue(aggregateReturning([{ _id: sub1 }]));
+
+    const query = await resolveSegmentQuery({
+      rules: { logic: 'AND', rules: [{ field: 'clickedLink', operator: 'contains', value: '/pricing?plan=pro', withinDays: 30 }] }
+    }, userId);
+
+    const match = matchOf(ClickEvent);
+    expect(match.url).toEqual({ $regex: '/pricing\\?plan=pro', $options: 'i' });
+    expect(match.campaign.$in).toEqual([campaignA, campaignB]);
+    expect(match.timestamp.$gte).toBeInstanceOf(Date);
+    expect(query).toEqual({ _id: { $in: [sub1] } });
+  });
+
+  test('negated behavior conditions exclude the matching subscribers', async () => {
+    EmailLog.aggregate.mockReturnValue(aggregateReturning([{ _id: sub1 }]));
+
+    const query = await resolveSegmentQuery({ filters: [{ field: 'campaignActivity', operator: 'not_equals', value: 'any' }] }, userId);
+
+    expect(query).toEqual({ _id: { $nin: [sub1] } });
+    expect(matchOf(EmailLog).status).toEqual({ $nin: ['queued', 'failed'] });
+  });
+
+  test('received but did not open any of the last N campaigns', async () => {
+    EmailLog.aggregate.mockReturnValue(aggregateReturning([{ _id: sub2 }]));
+
+    const query = await resolveSegmentQuery({ filters: [{ field: 'unopenedRecentCampaigns', operator: 'equals', value: 3 }] }, userId);
+
+    const pipeline = EmailLog.aggregate.mock.calls[0][0];
+    expect(pipeline[1]).toEqual({ $sort: { sentAt: -1 } });
+    expect(pipeline[3]).toEqual({ $project: { recent: { $slice: ['$recent', 3] } } });
+    expect(pipeline[4]).toEqual({ $match: { 'recent.2': { $exists: true }, recent: { $ne: 1 } } });
+    expect(query).toEqual({ _id: { $in: [sub2] } });
+  });
+
+  test('tracked events match standard and custom event types', async () => {
+    BehavioralEvent.aggregate.mockReturnValue(aggregateReturning([]));
+
+    await resolveSegmentQuery({ filters: [{ field: 'behavioralEvent', operator: 'equals', value: 'purchase', secondValue: 'pro-plan' }] }, userId);
+
+    const match = matchOf(BehavioralEvent);
+    expect(match.user).toEqual(userId);
+    expect(match.$or).toEqual([{ eventType: { $in: ['purchase'] } }, { eventType: 'custom', customEventType: { $in: ['purchase'] } }]);
+    expect(match.target).toEqual({ $regex: 'pro-plan', $options: 'i' });
+    expect(Campaign.distinct).not.toHaveBeenCalled();
+  });
+
+  test('evaluates identical conditions once and mixes with field conditions', async () => {
+    OpenEvent.aggregate.mockReturnValue(aggregateReturning([{ _id: sub1 }]));
+    const opened = { field: 'openedCampaign', operator: 'equals', value: 'any', withinDays: 30 };
+
+    const query = await resolveSegmentQuery({
+      rules: {
+        logic: 'OR',
+        rules: [
+          { logic: 'AND', rules: [opened, { field: 'location.country', operator: 'equals', value: 'US' }] },
+          { ...opened, negate: true }
+        ]
+      }
+    }, userId);
+
+    expect(OpenEvent.aggregate).toHaveBeenCalledTimes(1);
+    expect(query).toEqual({
+      $or: [
+        { $and: [{ _id: { $in: [sub1] } }, { 'location.country': 'US' }] },
+        { $nor: [{ _id: { $in: [sub1] } }] }
+      ]
+    });
+  });
+
+  test('refuses to compile behavior conditions that were not resolved', () => {
+    expect(() => buildSegmentQuery({ filters: [{ field: 'openedCampaign', operator: 'equals', value: 'any' }] })).toThrow(/must be resolved/);
+  });
+
+  test('maps engagement counters onto the Subscriber fields', () => {
+    expect(buildSegmentQuery({ filters: [{ field: 'emailOpens', operator: 'greater_than', value: '2' }] })).toEqual({ openCount: { $gt: 2 } });
+  });
+});
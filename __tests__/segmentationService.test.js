@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Segment = require('../models/Segment');
+const { buildMongoQuery, buildRuleQuery, buildSegmentQuery, validateRuleTree } = require('../services/segmentationService');
+
+// (country = US OR country = CA) AND (opened in last 30 days OR purchased ever)
+const northAmericaEngaged = () => ({
+  logic: 'AND',
+  rules: [
+    {
+      logic: 'OR',
+      rules: [
+        { field: 'location.country', operator: 'equals', value: 'US' },
+        { field: 'location.country', operator: 'equals', value: 'CA' }
+      ]
+    },
+    {
+      logic: 'OR',
+      rules: [
+        { field: 'lastActivity', operator: 'within_days', value: 30 },
+        { field: 'lastPurchaseDate', operator: 'is_not_empty' }
+      ]
+    }
+  ]
+});
+
+describe('segmentationService rule trees', () => {
+  test('compiles nested AND/OR groups', () => {
+    const query = buildRuleQuery(northAmericaEngaged());
+
+    expect(query.$and).toHaveLength(2);
+    expect(query.$and[0]).toEqual({ $or: [{ 'location.country': 'US' }, { 'location.country': 'CA' }] });
+    expect(query.$and[1].$or[0].lastActivity.$gte).toBeInstanceOf(Date);
+    expect(query.$and[1].$or[1]).toEqual({ lastPurchaseDate: { $nin: [null, ''] } });
+  });
+
+  test('wraps negated groups and conditions in $nor', () => {
+    const query = buildRuleQuery({
+      logic: 'AND',
+      rules: [
+        { field: 'tags', operator: 'contains', value: 'vip' },
+        { negate: true, logic: 'OR', rules: [{ field: 'subscriptionStatus', operator: 'equals', value: 'unsubscribed' }] }
+      ]
+    });
+
+    expect(query).toEqual({
+      $and: [
+        { tags: { $regex: 'vip', $options: 'i' } },
+        { $nor: [{ status: 'unsubscribed' }] }
+      ]
+    });
+  });
+
+  test('ignores empty groups and collapses single-child groups', () => {
+    const query = buildRuleQuery({
+      logic: 'AND',
+      rules: [{ logic: 'OR', rules: [] }, { logic: 'OR', rules: [{ field: 'email', operator: 'ends_with', value: '@example.com' }] }]
+    });
+
+    expect(query).toEqual({ email: { $regex: '@example.com$', $options: 'i' } });
+  });
+
+  test('falls back to flat filters when there is no rule tree', () => {
+    const filters = [{ field: 'email', operator: 'contains', value: 'a' }, { field: 'name', operator: 'is_empty' }];
+
+    expect(buildSegmentQuery({ filters, logic: 'OR' })).toEqual(buildMongoQuery(filters, 'OR'));
+    expect(buildSegmentQuery({ filters, logic: 'OR', rules: { logic: 'AND', rules: [] } })).toEqual(buildMongoQuery(filters, 'OR'));
+  });
+
+  test('reports structural problems with their path', () => {
+    const errors = validateRuleTree({
+      logic: 'XOR',
+      rules: [
+        { field: 'email', operator: 'matches', value: 'x' },
+        { logic: 'AND', rules: [{ field: 'name', operator: 'equals' }] }
+      ]
+    });
+
+    expect(errors).toEqual([
+      'rules.logic must be AND or OR',
+      'rules.rules[0].operator "matches" is not supported',
+      'rules.rules[1].rules[0].value is required'
+    ]);
+    expect(validateRuleTree(northAmericaEngaged())).toEqual([]);
+  });
+
+  test('rejects trees nested too deeply', () => {
+    let tree = { field: 'email', operator: 'is_not_empty' };
+    for (let i = 0; i < 6; i++) tree = { logic: 'AND', rules: [tree] };
+
+    expect(validateRuleTree(tree).join()).toMatch(/nested deeper than 5 levels/);
+  });
+});
+
+describe('Segment model rule tree', () => {
+  test('persists nested rules and compiles them through buildQuery', () => {
+    const segment = new Segment({ name: 'NA engaged', user: new mongoose.Types.ObjectId(), rules: northAmericaEngaged() });
+
+    expect(segment.validateSync()).toBeUndefined();
+    expect(segment.rules.rules[0].rules[1].value).toBe('CA');
+    expect(segment.buildQuery().$and[0].$or).toHaveLength(2);
+  });
+
+  test('validates condition fields inside the tree', () => {
+    const segment = new Segment({
+      name: 'bad',
+      user: new mongoose.Types.ObjectId(),
+      rules: { logic: 'AND', rules: [{ field: 'favouriteColour', operator: 'equals', value: 'red' }] }
+    });
+
+    expect(segment.validateSync().errors['rules.rules.0.field']).toBeDefined();
+  });
+
+  test('keeps flat segments working', () => {
+    const segment = new Segment({ name: 'flat', user: new mongoose.Types.ObjectId(), filters: [{ field: 'email', operator: 'equals', value: 'a@example.com' }] });
+
+    expect(segment.rules).toBeUndefined();
+    expect(segment.buildQuery()).toEqual({ email: 'a@example.com' });
+  });
+});
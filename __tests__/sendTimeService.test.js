@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const CampaignDispatch = require('../models/CampaignDispatch');
+const OpenEvent = require('../models/OpenEvent');
+const ClickEvent = require('../models/ClickEvent');
+const Subscriber = require('../models/Subscriber');
+const User = require('../models/User');
+const { addCampaignBatchJob } = require('../services/queueServiceWrapper');
+const { bestHour, planOptimalSend, releaseDueDispatches } = require('../services/sendTimeService');
+
+jest.mock('../models/Campaign', () => ({ distinct: jest.fn(), findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/CampaignDispatch', () => ({ insertMany: jest.fn(), findOneAndUpdate: jest.fn(), exists: jest.fn() }));
+jest.mock('../models/OpenEvent', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/ClickEvent', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/Subscriber', () => ({ find: jest.fn() }));
+jest.mock('../models/User', () => ({ findById: jest.fn(), distinct: jest.fn() }));
+jest.mock('../services/queueServiceWrapper', () => ({ addCampaignBatchJob: jest.fn() }));
+
+const lean = (result) => ({ select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(result) });
+
+describe('sendTimeService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const campaignId = new mongoose.Types.ObjectId();
+  const [early, late, unknown] = [0, 1, 2].map(() => ({ _id: new mongoose.Types.ObjectId() }));
+
+  beforeEach(() => jest.clearAllMocks());
+
+  test('picks the busiest hour, counting neighbouring hours across midnight', () => {
+    const counts = new Array(24).fill(0);
+    expect(bestHour(counts)).toBeNull();
+
+    counts[14] = 3;
+    counts[23] = 2;
+    counts[0] = 2;
+    counts[22] = 1;
+    expect(bestHour(counts)).toBe(23);
+  });
+
+  test('plans a dispatch per predicted hour and falls back to the organization best hour', async () => {
+    const now = new Date('2026-10-19T10:30:00Z');
+    OpenEvent.aggregate
+      .mockResolvedValueOnce([
+        { _id: { key: early._id, hour: 7 }, count: 3 },
+        { _id: { key: late._id, hour: 18 }, count: 1 }
+      ])
+      .mockResolvedValueOnce([{ _id: { key: null, hour: 15 }, count: 40 }]);
+    ClickEvent.aggregate
+      .mockResolvedValueOnce([{ _id: { key: late._id, hour: 21 }, count: 1 }])
+      .mockResolvedValueOnce([{ _id: { key: null, hour: 10 }, count: 5 }]);
+    User.findById.mockReturnValue(lean({ organization: 'org-1' }));
+    User.distinct.mockResolvedValue([userId]);
+    Campaign.distinct.mockResolvedValue([campaignId]);
+    const campaign = { _id: campaignId, user: userId };
+
+    const plan = await planOptimalSend(campaign, [early, late, unknown], 'group-1', { now });
+
+    expect(plan).toEqual({ dispatches: 3, predicted: 2, organizationDefault: 1, campaignDefault: 0 });
+    // Only human activity in the lookback window counts
+    expect(OpenEvent.aggregate.mock.calls[0][0][0].$match).toMatchObject({
+      subscriber: { $in: [early._id, late._id, unknown._id] },
+      classification: { $nin: expect.arrayContaining(['machine_open', 'scanner_click']) },
+      timestamp: { $gte: new Date('2026-07-21T10:30:00Z') }
+    });
+    expect(User.distinct).toHaveBeenCalledWith('_id', { organization: 'org-1' });
+
+    const dispatches = CampaignDispatch.insertMany.mock.calls[0][0];
+    expect(dispatches.map(({ hour, scheduledAtUtc, subscribers }) => [hour, scheduledAtUtc.toISOString(), subscribers])).toEqual([
+      [7, '2026-10-20T07:00:00.000Z', [early._id]],
+      [15, '2026-10-19T15:00:00.000Z', [unknown._id]],
+      [21, '2026-10-19T21:00:00.000Z', [late._id]]
+    ]);
+    expect(dispatches[0]).toMatchObject({ campaign: campaignId, user: userId, group: 'group-1' });
+    expect(campaign.scheduledDispatches.map(entry => [entry.hour, entry.recipientCount])).toEqual([[15, 1], [21, 1], [7, 1]]);
+  });
+
+  test('releases due batches to recipients still subscribed and marks the campaign sent after the last one', async () => {
+    const now = new Date('2026-10-19T15:00:30Z');
+    const dispatch = {
+      _id: 'dispatch-1', campaign: campaignId, group: null, hour: 15, subscribers: [early._id, late._id],
+      set(values) { Object.assign(this, values); },
+      save: jest.fn().mockResolvedValue()
+    };
+    CampaignDispatch.findOneAndUpdate.mockResolvedValueOnce(dispatch).mockResolvedValueOnce(null);
+    CampaignDispatch.exists.mockResolvedValue(null);
+    const campaign = { _id: campaignId, status: 'sending', subject: 'Hi', htmlContent: '<p>Hi</p>', fromEmail: 'news@example.com', emailsSuccessfullySent: 1, save: jest.fn() };
+    Campaign.findById.mockResolvedValue(campaign);
+    Subscriber.find.mockReturnValue(lean([{ _id: early._id, email: 'early@example.com' }]));
+
+    const result = await releaseDueDispatches({ now });
+
+    expect(result).toEqual({ released: 1, failed: 0 });
+    expect(CampaignDispatch.findOneAndUpdate.mock.calls[0][0]).toEqual({ status: 'pending', scheduledAtUtc: { $lte: now } });
+    expect(Subscriber.find).toHaveBeenCalledWith({ _id: { $in: [early._id, late._id] }, status: 'subscribed', isDeleted: false });
+    expect(addCampaignBatchJob.mock.calls[0][0]).toMatchObject({ campaignId, subject: 'Hi', subscribers: [{ _id: early._id, email: 'early@example.com' }] });
+    expect(Campaign.updateOne).toHaveBeenCalledWith({ _id: campaignId }, { $inc: { emailsSuccessfullySent: 1 } });
+    expect(dispatch).toMatchObject({ status: 'sent', sentCount: 1, sentAt: now });
+    expect(Campaign.updateOne).toHaveBeenCalledWith(
+      { _id: campaignId, 'scheduledDispatches.hour': 15 },
+      { $set: { 'scheduledDispatches.$.sent': true, 'scheduledDispatches.$.sentAt': now } }
+    );
+    expect(campaign).toMatchObject({ status: 'sent', sentAt: now });
+  });
+});
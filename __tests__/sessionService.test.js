@@ -0,0 +1,114 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const sessionService = require('../services/sessionService');
+
+jest.mock('../models/Session', () => {
+  const actual = jest.requireActual('../models/Session');
+  return Object.assign(function MockSession(fields) {
+    const doc = new actual(fields);
+    doc.save = jest.fn().mockResolvedValue(doc);
+    return doc;
+  }, {
+    actual,
+    findById: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    updateMany: jest.fn()
+  });
+});
+jest.mock('../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../models/Organization', () => ({ findById: jest.fn() }));
+
+// Mongoose-style query stub: chainable select/lean, awaitable result
+const query = (result) => {
+  const q = Promise.resolve(result);
+  q.select = jest.fn(() => q);
+  q.lean = jest.fn(() => q);
+  return q;
+};
+
+const req = { headers: { 'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Chrome/120.0 Safari/537.36' }, ip: '10.0.0.1' };
+
+describe('sessionService', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    Session.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    User.findById.mockReturnValue(query({ _id: userId }));
+  });
+
+  test('startSession binds the access token to a new session and stores only the refresh token hash', async () => {
+    const { accessToken, refreshToken, session } = await sessionService.startSession({ _id: userId }, req);
+
+    expect(jwt.verify(accessToken, 'test-secret')).toMatchObject({ id: String(userId), sid: String(session._id) });
+    expect(refreshToken.startsWith(`${session._id}.`)).toBe(true);
+    expect(session.refreshTokenHash).toBe(sessionService.hashToken(refreshToken));
+    expect(session.device).toBe('Chrome on macOS');
+    expect(session.save).toHaveBeenCalled();
+  });
+
+  test('refresh rotates the token, and replaying the old one revokes the session', async () => {
+    const { refreshToken, session } = await sessionService.startSession({ _id: userId }, req);
+    Session.findById.mockResolvedValue(session);
+    Session.findOneAndUpdate.mockImplementation(async (filter, update) => Object.assign(session, update.$set));
+
+    const rotated = await sessionService.refreshSession(refreshToken, req);
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(Session.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ refreshTokenHash: sessionService.hashToken(refreshToken) });
+
+    const replay = await sessionService.refreshSession(refreshToken, req);
+    expect(replay).toEqual({ error: 'token_reused' });
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: session._id }),
+      { $set: expect.objectContaining({ revokedReason: 'refresh_reuse' }) }
+    );
+  });
+
+  test('rejects malformed refresh tokens without a lookup', async () => {
+    expect(await sessionService.refreshSession('nope', req)).toEqual({ error: 'invalid_token' });
+    expect(Session.findById).not.toHaveBeenCalled();
+  });
+
+  test('validateSession enforces the organization idle timeout', async () => {
+    const session = new Session.actual({
+      user: userId,
+      refreshTokenHash: 'h',
+      lastSeenAt: new Date(Date.now() - 3 * 60 * 60 * 1000),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    Session.findById.mockResolvedValue(session);
+
+    expect(await sessionService.validateSession(session._id, userId, { sessionTimeout: 8 })).toEqual({ session });
+    expect(await sessionService.validateSession(session._id, userId, { sessionTimeout: 2 })).toEqual({ error: 'session_expired' });
+    expect(Session.updateOne).toHaveBeenLastCalledWith(
+      expect.objectContaining({ _id: session._id }),
+      { $set: expect.objectContaining({ revokedReason: 'timeout' }) }
+    );
+  });
+
+  test('validateSession rejects revoked sessions and sessions of other users', async () => {
+    const session = new Session.actual({ user: userId, refreshTokenHash: 'h', expiresAt: new Date(Date.now() + 60000) });
+    Session.findById.mockResolvedValue(session);
+
+    expect(await sessionService.validateSession(session._id, new mongoose.Types.ObjectId(), null)).toEqual({ error: 'session_revoked' });
+    session.revokedAt = new Date();
+    expect(await sessionService.validateSession(session._id, userId, null)).toEqual({ error: 'session_revoked' });
+    expect(await sessionService.validateSession(undefined, userId, null)).toEqual({ error: 'session_revoked' });
+  });
+
+  test('revokeAllSessions can keep the current session', async () => {
+    Session.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+    expect(await sessionService.revokeAllSessions(userId, { exceptSessionId: 's1' })).toBe(2);
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { user: userId, revokedAt: null, _id: { $ne: 's1' } },
+      { $set: expect.objectContaining({ revokedReason: 'revoked_all' }) }
+    );
+    expect(Organization.findById).not.toHaveBeenCalled();
+  });
+});
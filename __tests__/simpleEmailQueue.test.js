@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const campaignAudienceService = require('../services/campaignAudienceService');
+const usageService = require('../services/usageService');
+const simpleEmailQueue = require('../services/simpleEmailQueue');
+
+jest.mock('../services/emailService', () => ({ sendEmail: jest.fn() }));
+jest.mock('../models/Campaign', () => ({ find: jest.fn(), findById: jest.fn(), findByIdAndUpdate: jest.fn() }));
+jest.mock('../models/EmailLog', () => ({ findOne: jest.fn(), create: jest.fn() }));
+jest.mock('../services/campaignAudienceService', () => ({ snapshotAudience: jest.fn() }));
+jest.mock('../services/usageService', () => ({ consumeForUser: jest.fn() }));
+jest.mock('../services/domainAuthService', () => ({ getPrimaryDomainAuth: jest.fn().mockResolvedValue(null) }));
+
+describe('simple email queue', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(simpleEmailQueue, 'processQueue').mockResolvedValue();
+    simpleEmailQueue.queue = [];
+    simpleEmailQueue.stats.waiting = 0;
+    simpleEmailQueue.stats.delayed = 0;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('queues an email straight away without a delay', async () => {
+    await simpleEmailQueue.addEmailToQueue({ to: 'a@example.com' }, 'c1', 's1');
+
+    expect(simpleEmailQueue.queue).toHaveLength(1);
+    expect(simpleEmailQueue.stats.waiting).toBe(1);
+    expect(simpleEmailQueue.processQueue).toHaveBeenCalled();
+  });
+
+  test('holds a delayed email back until its delay has passed', async () => {
+    await simpleEmailQueue.addEmailToQueue({ to: 'b@example.com' }, 'c1', 's2', { delay: 3 * 3600 * 1000 });
+
+    expect(simpleEmailQueue.queue).toHaveLength(0);
+    expect(simpleEmailQueue.stats.delayed).toBe(1);
+    expect(simpleEmailQueue.processQueue).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(3 * 3600 * 1000 - 1);
+    expect(simpleEmailQueue.queue).toHaveLength(0);
+
+    jest.advanceTimersByTime(1);
+    expect(simpleEmailQueue.queue).toEqual([expect.objectContaining({ status: 'waiting', data: expect.objectContaining({ subscriberId: 's2' }) })]);
+    expect(simpleEmailQueue.stats).toMatchObject({ waiting: 1, delayed: 0 });
+    expect(simpleEmailQueue.processQueue).toHaveBeenCalled();
+  });
+
+  test('puts the recipient\'s unsubscribe token into the queued email', async () => {
+    jest.useRealTimers();
+    jest.spyOn(simpleEmailQueue, 'delay').mockResolvedValue();
+    const processSendEmail = jest.spyOn(simpleEmailQueue, 'processSendEmail').mockResolvedValue({});
+    const campaignId = new mongoose.Types.ObjectId();
+    const campaign = { _id: campaignId, user: new mongoose.Types.ObjectId(), subject: 'Hi {{firstName}}', fromName: 'News' };
+    const populate = jest.fn();
+    populate.mockReturnValueOnce({ populate }).mockReturnValueOnce({ populate }).mockReturnValueOnce({ populate }).mockResolvedValueOnce(campaign);
+    Campaign.findById.mockReturnValue({ populate });
+    const subscriber = { _id: new mongoose.Types.ObjectId(), email: 'a@example.com', name: 'Ana', unsubscribeToken: 'unsub-tok' };
+    campaignAudienceService.snapshotAudience.mockResolvedValue({ subscribers: [subscriber], reused: true });
+
+    await simpleEmailQueue.processCampaign(campaignId);
+
+    const { emailData } = processSendEmail.mock.calls[0][0];
+    expect(emailData).toMatchObject({ to: 'a@example.com', unsubscribeToken: 'unsub-tok' });
+    expect(emailData.html).toContain('/unsubscribe?token=unsub-tok');
+    expect(usageService.consumeForUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,213 @@
+const jwt = require('jsonwebtoken');
+const totp = require('../utils/totp');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const { loginUser, verifyTwoFactorLogin } = require('../controllers/userController');
+const { setupTwoFactor, enableTwoFactor } = require('../controllers/twoFactorController');
+const { protect, authenticateToken } = require('../middleware/authMiddleware');
+
+jest.mock('../models/User', () => {
+  const actual = jest.requireActual('../models/User');
+  return Object.assign(function MockUser() {}, {
+    actual,
+    findOne: jest.fn(),
+    findById: jest.fn(),
+    updateOne: jest.fn(),
+    hashRecoveryCode: actual.hashRecoveryCode
+  });
+});
+jest.mock('../models/Organization', () => ({ exists: jest.fn() }));
+jest.mock('../services/sessionService', () => ({
+  startSession: jest.fn(),
+  getOrganizationSettings: jest.fn(),
+  validateSession: jest.fn()
+}));
+jest.mock('../utils/emailService', () => ({}));
+jest.mock('../utils/resendEmailService', () => ({ sendEmail: jest.fn() }));
+jest.mock('../utils/fileUpload', () => ({}));
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const run = async (handler, req, res = mockRes()) => {
+  const next = jest.fn();
+  await handler(req, res, next);
+  return { res, next };
+};
+
+// Mongoose-style query stub: chainable select/populate, awaitable result
+const query = (result) => {
+  const q = Promise.resolve(result);
+  q.select = jest.fn(() => q);
+  q.populate = jest.fn(() => q);
+  return q;
+};
+
+const makeUser = (fields = {}) => {
+  const user = new User.actual({ name: 'A', email: 'a@example.com', password: 'secret1', isVerified: true, ...fields });
+  user.save = jest.fn().mockResolvedValue(user);
+  user.matchPassword = jest.fn().mockResolvedValue(true);
+  return user;
+};
+
+describe('totp', () => {
+  // RFC 6238 appendix B, SHA-1 seed "12345678901234567890", truncated to 6 digits
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('matches the RFC 6238 test vectors', () => {
+    expect(totp.generateCode(rfcSecret, totp.currentStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(rfcSecret, totp.currentStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(rfcSecret, totp.currentStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  test('accepts one step of drift and rejects replays', () => {
+    const now = 1700000000000;
+    const previous = totp.generateCode(rfcSecret, totp.currentStep(now) - 1);
+
+    expect(totp.verifyCode(rfcSecret, previous, { now })).toBe(totp.currentStep(now) - 1);
+    expect(totp.verifyCode(rfcSecret, previous, { now, lastUsedStep: totp.currentStep(now) - 1 })).toBeNull();
+    expect(totp.verifyCode(rfcSecret, totp.generateCode(rfcSecret, totp.currentStep(now) - 3), { now })).toBeNull();
+  });
+
+  test('builds an otpauth URI for authenticator apps', () => {
+    const url = totp.buildOtpauthUrl({ secret: 'ABC', accountName: 'a@example.com' });
+    expect(url).toBe('otpauth://totp/EmailXP%3Aa%40example.com?secret=ABC&issuer=EmailXP&algorithm=SHA1&digits=6&period=30');
+  });
+});
+
+describe('two-factor enrollment and login', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    sessionService.startSession.mockResolvedValue({ accessToken: 'access-token', refreshToken: 'refresh-token' });
+  });
+
+  test('setup issues a pending secret and enable stores hashed recovery codes', async () => {
+    const user = makeUser();
+    User.findById.mockReturnValue(query(user));
+
+    const { res: setupRes } = await run(setupTwoFactor, { user: { id: user.id } });
+    const { secret, otpauthUrl } = setupRes.json.mock.calls[0][0];
+    expect(user.twoFactorPendingSecret).toBe(secret);
+    expect(otpauthUrl).toContain(`secret=${secret}`);
+
+    const { res } = await run(enableTwoFactor, { user: { id: user.id }, body: { code: totp.generateCode(secret) } });
+    const { recoveryCodes } = res.json.mock.calls[0][0];
+
+    expect(user.twoFactorEnabled).toBe(true);
+    expect(user.twoFactorSecret).toBe(secret);
+    expect(user.twoFactorPendingSecret).toBeUndefined();
+    expect(recoveryCodes).toHaveLength(10);
+    expect(user.twoFactorBackupCodes).toHaveLength(10);
+    expect(user.twoFactorBackupCodes).not.toContain(recoveryCodes[0]);
+  });
+
+  test('login with 2FA enabled returns a challenge instead of a session', async () => {
+    const user = makeUser({ twoFactorEnabled: true });
+    User.findOne.mockReturnValue(query(user));
+
+    const { res } = await run(loginUser, { body: { email: 'a@example.com', password: 'secret1' }, headers: {} });
+    const body = res.json.mock.calls[0][0];
+
+    expect(body.twoFactorRequired).toBe(true);
+    expect(body.token).toBeUndefined();
+    expect(jwt.verify(body.challengeToken, 'test-secret').type).toBe('2fa_challenge');
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  test('the challenge plus a valid code completes login', async () => {
+    const secret = totp.generateSecret();
+    const user = makeUser({ twoFactorEnabled: true, twoFactorSecret: secret });
+    User.findById.mockReturnValue(query(user));
+    const challengeToken = jwt.sign({ id: user.id, type: '2fa_challenge' }, 'test-secret', { expiresIn: '5m' });
+
+    const { res } = await run(verifyTwoFactorLogin, { body: { challengeToken, code: totp.generateCode(secret) }, headers: {} });
+    const body = res.json.mock.calls[0][0];
+
+    expect(body).toMatchObject({ token: 'access-token', refreshToken: 'refresh-token' });
+    expect(sessionService.startSession).toHaveBeenCalledWith(user, expect.any(Object));
+    expect(User.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: user._id }),
+      { $set: { twoFactorLastUsedStep: totp.currentStep() } }
+    );
+  });
+
+  test('a recovery code works once', async () => {
+    const user = makeUser({ twoFactorEnabled: true, twoFactorSecret: totp.generateSecret() });
+    const [code] = user.generateRecoveryCodes();
+    User.findById.mockReturnValue(query(user));
+    const challengeToken = jwt.sign({ id: user.id, type: '2fa_challenge' }, 'test-secret');
+
+    await run(verifyTwoFactorLogin, { body: { challengeToken, recoveryCode: code.toUpperCase() }, headers: {} });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id, twoFactorBackupCodes: user.twoFactorBackupCodes[0] },
+      { $pull: { twoFactorBackupCodes: user.twoFactorBackupCodes[0] } }
+    );
+
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    const { res, next } = await run(verifyTwoFactorLogin, { body: { challengeToken, recoveryCode: code }, headers: {} });
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next.mock.calls[0][0].message).toBe('Invalid verification code');
+  });
+});
+
+describe('protect and the organization 2FA policy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  const request = (token, url = '/api/campaigns') => ({ headers: { authorization: `Bearer ${token}` }, originalUrl: url });
+
+  test('rejects login challenge tokens', async () => {
+    const token = jwt.sign({ id: 'u1', type: '2fa_challenge' }, 'test-secret');
+    const { res, next } = await run(protect, request(token));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(User.findById).not.toHaveBeenCalled();
+    expect(next.mock.calls[0][0].message).toMatch(/two-factor verification incomplete/);
+  });
+
+  test('blocks unenrolled users when the organization requires 2FA, except for enrollment routes', async () => {
+    const user = makeUser({ organization: new (require('mongoose').Types.ObjectId)(), permissions: [{ resource: 'campaigns', actions: ['read'] }] });
+    User.findById.mockReturnValue(query(user));
+    sessionService.getOrganizationSettings.mockResolvedValue({ requireTwoFactor: true });
+    sessionService.validateSession.mockResolvedValue({ session: { _id: 's1' } });
+    const token = jwt.sign({ id: user.id, sid: 's1' }, 'test-secret');
+
+    const blocked = await run(protect, request(token));
+    expect(blocked.res.status).toHaveBeenCalledWith(403);
+    expect(blocked.next.mock.calls[0][0].code).toBe('TWO_FACTOR_ENROLLMENT_REQUIRED');
+
+    const allowed = await run(protect, request(token, '/api/users/2fa/setup'));
+    expect(allowed.next).toHaveBeenCalledWith();
+  });
+
+  test('the shared token check used by the SSE stream and onboarding events refuses challenges', async () => {
+    const challenge = jwt.sign({ id: 'u1', type: '2fa_challenge' }, 'test-secret');
+    await expect(authenticateToken(challenge)).resolves.toEqual({ error: 'Not authorized, two-factor verification incomplete' });
+    await expect(authenticateToken(challenge, { type: 'sse' })).resolves.toEqual({ error: 'Not authorized, two-factor verification incomplete' });
+
+    // An SSE token is not an access token, and the other way round
+    const sse = jwt.sign({ id: 'u1', sid: 's1', type: 'sse' }, 'test-secret');
+    await expect(authenticateToken(sse)).resolves.toEqual({ error: 'Not authorized, wrong token type' });
+    await expect(authenticateToken('garbage')).resolves.toEqual({ error: 'Not authorized, token failed' });
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  test('the shared token check refuses tokens whose session was revoked', async () => {
+    const user = makeUser();
+    User.findById.mockReturnValue(query(user));
+    sessionService.getOrganizationSettings.mockResolvedValue({});
+    sessionService.validateSession.mockResolvedValue({ error: 'session_revoked' });
+    const sse = jwt.sign({ id: user.id, sid: 's1', type: 'sse' }, 'test-secret');
+
+    await expect(authenticateToken(sse, { type: 'sse' })).resolves.toEqual({ error: 'Not authorized, session is no longer valid' });
+    expect(sessionService.validateSession).toHaveBeenCalledWith('s1', user._id, {});
+  });
+});
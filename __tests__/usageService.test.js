@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Subscriber = require('../models/Subscriber');
+const Template = require('../models/Template');
+const Automation = require('../models/Automation');
+const emailService = require('../utils/emailService');
+const { consume, limitMessage } = require('../services/usageService');
+
+jest.mock('../models/Organization', () => ({ findById: jest.fn(), findOneAndUpdate: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/User', () => ({ find: jest.fn(), findById: jest.fn() }));
+jest.mock('../models/Subscriber', () => ({ countDocuments: jest.fn() }));
+jest.mock('../models/Template', () => ({ countDocuments: jest.fn() }));
+jest.mock('../models/Automation', () => ({ countDocuments: jest.fn() }));
+jest.mock('../utils/emailService', () => ({ sendUsageAlertEmail: jest.fn() }));
+
+const lean = (result) => ({ select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(result) });
+const id = () => new mongoose.Types.ObjectId();
+
+describe('plan usage metering', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const organization = (fields = {}) => ({
+    _id: id(),
+    name: 'Acme',
+    email: 'billing@acme.test',
+    limits: { campaignsPerMonth: 10, emailsPerMonth: 1000 },
+    usage: { campaignsThisMonth: 10, emailsSentThisMonth: 960, lastResetDate: new Date('2026-10-01T00:00:00Z'), apiCallsDay: new Date('2026-10-19T00:00:00Z') },
+    settings: { notifications: { usageAlerts: true } },
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Organization.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  test('blocks a hard limit atomically and sends one limit-reached alert', async () => {
+    const org = organization();
+    Organization.findById.mockReturnValue(lean(org));
+    Organization.findOneAndUpdate.mockReturnValue(lean(null));
+
+    const result = await consume(org._id, 'campaigns', 1, { now });
+
+    expect(Organization.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: org._id, 'usage.campaignsThisMonth': { $lte: 9 } },
+      { $inc: { 'usage.campaignsThisMonth': 1 } },
+      expect.objectContaining({ new: true })
+    );
+    expect(result).toEqual({ allowed: false, overage: false, resource: 'campaigns', current: 10, limit: 10, cap: 10, soft: false });
+    expect(Organization.updateOne).toHaveBeenCalledWith(
+      { _id: org._id, $or: [{ 'usage.alertsSent.campaigns': { $exists: false } }, { 'usage.alertsSent.campaigns': { $lt: 100 } }] },
+      { $set: { 'usage.alertsSent.campaigns': 100 } }
+    );
+    expect(emailService.sendUsageAlertEmail).toHaveBeenCalledWith('billing@acme.test', expect.objectContaining({ resource: 'monthly campaigns', blocked: true }));
+    expect(limitMessage(result)).toBe('Plan monthly campaign limit reached (10 of 10). Upgrade your plan or wait for the next billing period.');
+  });
+
+  test('lets a soft limit run into its overage allowance and flags the overage', async () => {
+    const org = organization({
+      settings: { notifications: { usageAlerts: false }, limitPolicy: { softLimits: ['emails'], overagePercent: 20 } }
+    });
+    Organization.findById.mockReturnValue(lean(org));
+    Organization.findOneAndUpdate.mockReturnValue(lean({ usage: { emailsSentThisMonth: 1010 } }));
+
+    const result = await consume(org._id, 'emails', 50, { now });
+
+    expect(Organization.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: org._id, 'usage.emailsSentThisMonth': { $lte: 1150 } });
+    expect(result).toMatchObject({ allowed: true, overage: true, current: 1010, limit: 1000, cap: 1200, soft: true });
+    expect(Organization.updateOne).toHaveBeenCalledWith(
+      { _id: org._id, 'usage.overages.emails': { $exists: false } },
+      { $set: { 'usage.overages.emails': now } }
+    );
+    // The 100% alert is recorded, but usageAlerts is off so nothing is emailed
+    expect(Organization.updateOne).toHaveBeenCalledWith(expect.anything(), { $set: { 'usage.alertsSent.emails': 100 } });
+    expect(emailService.sendUsageAlertEmail).not.toHaveBeenCalled();
+  });
+
+  test('resets monthly counters once the billing period ends and recounts the gauges', async () => {
+    const lastResetDate = new Date('2026-09-01T00:00:00Z');
+    const org = organization({ usage: { campaignsThisMonth: 10, lastResetDate, apiCallsDay: new Date('2026-10-19T00:00:00Z') } });
+    const reset = organization({ _id: org._id, usage: { campaignsThisMonth: 0, lastResetDate: now } });
+    Organization.findById.mockReturnValueOnce(lean(org)).mockReturnValueOnce(lean(reset));
+    Organization.findOneAndUpdate.mockReturnValue(lean({ usage: { campaignsThisMonth: 1 } }));
+    const userIds = [id(), id()];
+    User.find.mockReturnValue(lean(userIds.map(_id => ({ _id }))));
+    Subscriber.countDocuments.mockResolvedValue(420);
+    Template.countDocuments.mockResolvedValue(7);
+    Automation.countDocuments.mockResolvedValue(2);
+
+    const result = await consume(org._id, 'campaigns', 1, { now });
+
+    expect(Organization.updateOne).toHaveBeenCalledWith(
+      { _id: org._id, 'usage.lastResetDate': lastResetDate },
+      {
+        $set: { 'usage.emailsSentThisMonth': 0, 'usage.campaignsThisMonth': 0, 'usage.lastResetDate': now },
+        $unset: {
+          'usage.overages.emails': 1,
+          'usage.alertsSent.emails': 1,
+          'usage.overages.campaigns': 1,
+          'usage.alertsSent.campaigns': 1
+        }
+      }
+    );
+    expect(Subscriber.countDocuments).toHaveBeenCalledWith({
+      $or: [{ organization: org._id }, { organization: null, user: { $in: userIds } }],
+      isDeleted: false
+    });
+    expect(Organization.updateOne).toHaveBeenCalledWith({ _id: org._id }, {
+      $set: { 'usage.users': 2, 'usage.subscribersCount': 420, 'usage.templatesCount': 7, 'usage.automationRulesCount': 2 }
+    });
+    expect(result).toMatchObject({ allowed: true, overage: false, current: 1, limit: 10 });
+    expect(emailService.sendUsageAlertEmail).not.toHaveBeenCalled();
+  });
+});
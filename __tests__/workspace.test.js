@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Campaign = require('../models/Campaign');
+const Subscriber = require('../models/Subscriber');
+const Group = require('../models/Group');
+const { migrateWorkspaces } = require('../scripts/migrateWorkspaces');
+const { workspaceFilter, workspaceFields, inWorkspace } = require('../utils/workspace');
+const { workspaceAccess } = require('../middleware/rbac');
+
+const modelMock = () => ({
+  updateMany: jest.fn().mockResolvedValue({ modifiedCount: 0 }),
+  countDocuments: jest.fn().mockResolvedValue(0),
+  aggregate: jest.fn(() => ({ allowDiskUse: jest.fn().mockResolvedValue([]) })),
+  find: jest.fn(() => ({ sort: jest.fn().mockResolvedValue([]) })),
+  exists: jest.fn().mockResolvedValue(null),
+  updateOne: jest.fn().mockResolvedValue({}),
+  syncIndexes: jest.fn().mockResolvedValue([])
+});
+jest.mock('../models/User', () => ({ find: jest.fn() }));
+jest.mock('../models/Campaign', () => modelMock());
+jest.mock('../models/Subscriber', () => modelMock());
+jest.mock('../models/Group', () => modelMock());
+jest.mock('../models/Segment', () => modelMock());
+jest.mock('../models/Template', () => modelMock());
+jest.mock('../models/Automation', () => modelMock());
+jest.mock('../models/Tag', () => modelMock());
+
+const lean = (result) => ({ select: jest.fn().mockReturnThis(), lean: jest.fn().mockResolvedValue(result) });
+const id = () => new mongoose.Types.ObjectId();
+
+describe('organization workspaces', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('backfills each organization from its members and reports cross-member duplicates', async () => {
+    const acme = id();
+    const globex = id();
+    const [ana, bo, cy] = [id(), id(), id()];
+    User.find.mockReturnValue(lean([
+      { _id: ana, organization: acme },
+      { _id: bo, organization: acme },
+      { _id: cy, organization: globex }
+    ]));
+    Campaign.updateMany.mockResolvedValueOnce({ modifiedCount: 3 }).mockResolvedValueOnce({ modifiedCount: 1 });
+    Campaign.countDocuments.mockResolvedValue(2);
+    const duplicate = { organization: acme, value: 'ana@example.com', count: 2 };
+    Subscriber.aggregate.mockReturnValue({ allowDiskUse: jest.fn().mockResolvedValue([duplicate]) });
+    const [news, vip, tag] = [id(), id(), id()];
+    const keeper = { _id: id(), status: 'subscribed', groups: [news], tags: [], save: jest.fn().mockResolvedValue() };
+    const copy = { _id: id(), status: 'unsubscribed', groups: [news, vip], tags: [tag] };
+    Subscriber.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([keeper, copy]) });
+    const sameName = { organization: acme, value: 'Customers', count: 2 };
+    Group.aggregate.mockReturnValue({ allowDiskUse: jest.fn().mockResolvedValue([sameName]) });
+    const laterGroup = id();
+    Group.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([{ _id: id() }, { _id: laterGroup }]) });
+    Group.exists.mockResolvedValueOnce({ _id: id() }).mockResolvedValueOnce(null);
+
+    const result = await migrateWorkspaces();
+
+    expect(Campaign.updateMany.mock.calls).toEqual([
+      [{ user: { $in: [ana, bo] }, organization: null }, { $set: { organization: acme } }],
+      [{ user: { $in: [cy] }, organization: null }, { $set: { organization: globex } }]
+    ]);
+    expect(result.updated).toMatchObject({ Campaign: 4, Subscriber: 0, Tag: 0 });
+    expect(result.orphaned.Campaign).toBe(2);
+    expect(Subscriber.aggregate.mock.calls[0][0][0]).toEqual({ $match: { organization: { $ne: null }, isDeleted: false } });
+    expect(result.duplicates).toEqual({ subscribers: [duplicate], groups: [sameName] });
+
+    // Duplicates are resolved before the unique workspace indexes are built
+    expect(Subscriber.find).toHaveBeenCalledWith({ organization: acme, email: 'ana@example.com', isDeleted: false });
+    expect(keeper).toMatchObject({ status: 'unsubscribed', groups: [String(news), String(vip)], tags: [String(tag)] });
+    expect(Subscriber.updateMany).toHaveBeenCalledWith({ _id: { $in: [copy._id] } }, { $set: { isDeleted: true, deletedAt: expect.any(Date) } });
+    expect(Group.updateOne).toHaveBeenCalledWith({ _id: laterGroup }, { $set: { name: 'Customers (3)' } });
+    expect(result.resolved).toEqual({ subscribers: 1, groups: 1 });
+    expect(Subscriber.syncIndexes.mock.invocationCallOrder[0]).toBeGreaterThan(keeper.save.mock.invocationCallOrder[0]);
+    expect(Group.syncIndexes).toHaveBeenCalled();
+  });
+
+  test('counts instead of writing on a dry run', async () => {
+    User.find.mockReturnValue(lean([{ _id: id(), organization: id() }]));
+    Subscriber.countDocuments.mockResolvedValue(5);
+
+    const result = await migrateWorkspaces({ dryRun: true });
+
+    expect(Subscriber.updateMany).not.toHaveBeenCalled();
+    expect(Subscriber.syncIndexes).not.toHaveBeenCalled();
+    expect(result.updated.Subscriber).toBe(5);
+  });
+
+  test('scopes queries to the organization and falls back to the creator without one', () => {
+    const organization = id();
+    const member = { _id: id(), organization };
+    const solo = { _id: id(), organization: null };
+
+    expect(workspaceFilter(member)).toEqual({ organization });
+    expect(workspaceFilter(solo)).toEqual({ user: solo._id });
+    expect(workspaceFields(member)).toEqual({ user: member._id, organization });
+    expect(inWorkspace({ user: id(), organization }, member)).toBe(true);
+    expect(inWorkspace({ user: id(), organization: id() }, member)).toBe(false);
+    expect(inWorkspace({ user: solo._id, organization: null }, solo)).toBe(true);
+  });
+
+  test('derives the rbac action from the method and uses role defaults when none are stored', async () => {
+    const res = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+    const viewer = { role: 'viewer', permissions: [], hasPermission: jest.fn() };
+
+    const next = jest.fn();
+    await workspaceAccess('subscribers')({ method: 'GET', user: viewer }, res(), next);
+    expect(next).toHaveBeenCalled();
+
+    const denied = res();
+    await workspaceAccess('subscribers')({ method: 'DELETE', user: viewer }, denied, next);
+    expect(denied.status).toHaveBeenCalledWith(403);
+    expect(denied.json).toHaveBeenCalledWith({ message: 'Access denied. Required permission: delete on subscribers' });
+    expect(viewer.hasPermission).not.toHaveBeenCalled();
+  });
+
+  test('keeps the user role defaults; more comes from explicit organization permissions', async () => {
+    const res = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+    const next = jest.fn();
+    const member = { role: 'user', permissions: [], hasPermission: jest.fn() };
+
+    const denied = res();
+    await workspaceAccess('campaigns')({ method: 'DELETE', user: member }, denied, next);
+    expect(denied.status).toHaveBeenCalledWith(403);
+
+    const granted = { ...member, permissions: [{ resource: 'campaigns', actions: ['read', 'delete'] }], hasPermission: jest.fn(() => true) };
+    await workspaceAccess('campaigns')({ method: 'DELETE', user: granted }, res(), next);
+    expect(granted.hasPermission).toHaveBeenCalledWith('campaigns', 'delete');
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
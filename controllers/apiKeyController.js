@@ -0,0 +1,116 @@
+// emailxp/backend/controllers/apiKeyController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyLog = require('../models/ApiKeyLog');
+const { createApiKey, validateKeySettings, pickKeySettings } = require('../services/apiKeyService');
+
+// Public view of a key; the hash never leaves the server
+const serializeKey = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  keyPrefix: apiKey.keyPrefix,
+  permissions: apiKey.permissions,
+  ipAllowlist: apiKey.ipAllowlist,
+  expiresAt: apiKey.expiresAt,
+  rateLimitPerMinute: apiKey.rateLimitPerMinute,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  requestCount: apiKey.requestCount,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt,
+  active: apiKey.revokedAt ? false : !apiKey.expiresAt || new Date(apiKey.expiresAt) > new Date()
+});
+
+const findOwnKey = async (req, res) => {
+  const key = mongoose.Types.ObjectId.isValid(req.params.keyId)
+    ? await ApiKey.findOne({ _id: req.params.keyId, user: req.user._id })
+    : null;
+  if (!key) {
+    res.status(404);
+    throw new Error('API key not found');
+  }
+  return key;
+};
+
+// @desc    List the current user's API keys
+// @route   GET /api/users/api-keys
+// @access  Private
+const listApiKeys = asyncHandler(async (req, res) => {
+  const filter = { user: req.user._id };
+  if (req.query.includeRevoked !== 'true') filter.revokedAt = null;
+  const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+  res.json(keys.map(serializeKey));
+});
+
+// @desc    Create a named API key (returns the plaintext key once)
+// @route   POST /api/users/api-keys
+// @access  Private
+const createApiKeyController = asyncHandler(async (req, res) => {
+  const { key, apiKey, errors } = await createApiKey(req.user, req.body);
+  if (errors) {
+    res.status(400);
+    throw new Error(errors.join('; '));
+  }
+  res.status(201).json({ ...serializeKey(apiKey), apiKey: key });
+});
+
+// @desc    Update a key's name, permissions, IP allowlist, expiry or rate limit
+// @route   PUT /api/users/api-keys/:keyId
+// @access  Private
+const updateApiKey = asyncHandler(async (req, res) => {
+  const key = await findOwnKey(req, res);
+  if (key.revokedAt) {
+    res.status(400);
+    throw new Error('Revoked API keys cannot be changed');
+  }
+  const errors = validateKeySettings(req.body, req.user, { partial: true });
+  if (errors.length > 0) {
+    res.status(400);
+    throw new Error(errors.join('; '));
+  }
+  key.set(pickKeySettings(req.body));
+  await key.save();
+  res.json(serializeKey(key));
+});
+
+// @desc    Revoke a key; requests using it are rejected immediately
+// @route   DELETE /api/users/api-keys/:keyId
+// @access  Private
+const revokeApiKeyById = asyncHandler(async (req, res) => {
+  const key = await findOwnKey(req, res);
+  if (!key.revokedAt) {
+    key.revokedAt = new Date();
+    await key.save();
+  }
+  res.json({ message: 'API key revoked' });
+});
+
+// @desc    Request log for one key (newest first)
+// @route   GET /api/users/api-keys/:keyId/logs
+// @access  Private
+const getApiKeyLogs = asyncHandler(async (req, res) => {
+  const key = await findOwnKey(req, res);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const filter = { apiKey: key._id };
+  if (req.query.status === 'error') filter.statusCode = { $gte: 400 };
+
+  const [logs, total] = await Promise.all([
+    ApiKeyLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    ApiKeyLog.countDocuments(filter)
+  ]);
+  res.json({
+    logs,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+});
+
+module.exports = {
+  listApiKeys,
+  createApiKeyController,
+  updateApiKey,
+  revokeApiKeyById,
+  getApiKeyLogs
+};
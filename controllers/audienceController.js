@@ -2,14 +2,14 @@ const Subscriber = require('../models/Subscriber');
 const Segment = require('../models/Segment');
 const mongoose = require('mongoose');
 
-// Build Mongo query fragments for given segment ids by calling segment.buildQuery()
+// Build Mongo query fragments for given segment ids by calling segment.resolveQuery()
 async function buildSegmentQueries(segmentIds) {
   if (!segmentIds || !segmentIds.length) return [];
   const segments = await Segment.find({ _id: { $in: segmentIds } });
   const queries = [];
   for (const seg of segments) {
     try {
-      const q = seg.buildQuery();
+      const q = await seg.resolveQuery();
       if (q && Object.keys(q).length) queries.push(q);
     } catch (e) {
       console.error('Failed to build segment query for', seg._id, e.message);
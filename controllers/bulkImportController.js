@@ -3,10 +3,16 @@ const asyncHandler = require('express-async-handler');
 const Subscriber = require('../models/Subscriber');
 const Group = require('../models/Group');
 const Tag = require('../models/Tag');
+const usageService = require('../services/usageService');
+const { workspaceFilter, workspaceFields } = require('../utils/workspace');
 
-const processImportRows = async ({ rows, userId, overwriteExisting = false, groupIds = [], tagNames = [] }) => {
+const processImportRows = async ({ rows, userId, organization = null, overwriteExisting = false, groupIds = [], tagNames = [] }) => {
     console.log('Starting bulk import with:', { subscriberCount: rows.length, overwriteExisting, groupIds, tagNames });
 
+    // Rows are matched against the whole workspace; new documents are created by the importing user
+    const owner = { _id: userId, organization };
+    const workspace = workspaceFilter(owner);
+
     const results = {
         imported: 0,
         updated: 0,
@@ -20,18 +26,25 @@ const processImportRows = async ({ rows, userId, overwriteExisting = false, grou
     // Get existing emails to check for duplicates
     const existingEmails = new Map(
         (await Subscriber.find({ 
-            user: userId,
+            ...workspace,
             email: { $in: emails },
             isDeleted: false
         }).select('email tags')).map(s => [s.email, s])
     );
 
+    // Reserve plan usage for the new addresses; throws PLAN_LIMIT_REACHED when they don't fit
+    const newEmails = new Set(emails.filter(email => !existingEmails.has(email)));
+    const usage = await usageService.consumeForUser(userId, 'subscribers', newEmails.size);
+    if (!usage.allowed) {
+        throw usageService.limitError(usage);
+    }
+
     // Validate group IDs if provided (global groups)
     let validGroupIds = [];
     if (Array.isArray(groupIds) && groupIds.length > 0) {
         const groups = await Group.find({
             _id: { $in: groupIds },
-            user: userId
+            ...workspace
         });
         validGroupIds = groups.map(group => group._id);
     }
@@ -57,11 +70,11 @@ const processImportRows = async ({ rows, userId, overwriteExisting = false, grou
     // Resolve or create groups referenced in rows
     const groupNameToId = new Map();
     if (allGroupNames.size > 0) {
-        const existingGroupsByName = await Group.find({ user: userId, name: { $in: Array.from(allGroupNames) } });
+        const existingGroupsByName = await Group.find({ ...workspace, name: { $in: Array.from(allGroupNames) } });
         existingGroupsByName.forEach(g => groupNameToId.set(g.name, g._id));
         const missingGroupNames = Array.from(allGroupNames).filter(n => !groupNameToId.has(n));
         if (missingGroupNames.length > 0) {
-            const newGroups = await Group.insertMany(missingGroupNames.map(name => ({ user: userId, name })));
+            const newGroups = await Group.insertMany(missingGroupNames.map(name => ({ ...workspaceFields(owner), name })));
             newGroups.forEach(g => groupNameToId.set(g.name, g._id));
         }
     }
@@ -69,7 +82,7 @@ const processImportRows = async ({ rows, userId, overwriteExisting = false, grou
     // Process tags - combine provided tagNames with tags from rows
     const Tag = require('../models/Tag');
     const combinedTagNames = Array.from(allTagNamesFromRows);
-    const existingTags = combinedTagNames.length > 0 ? await Tag.find({ user: userId, name: { $in: combinedTagNames } }) : [];
+    const existingTags = combinedTagNames.length > 0 ? await Tag.find({ ...workspace, name: { $in: combinedTagNames } }) : [];
     const tagsByName = new Map(existingTags.map(tag => [tag.name, tag]));
     const tagIds = new Set();
 
@@ -78,7 +91,7 @@ const processImportRows = async ({ rows, userId, overwriteExisting = false, grou
     if (tagsToCreate.length > 0) {
         const newTags = await Tag.insertMany(
             tagsToCreate.map(name => ({
-                user: userId,
+                ...workspaceFields(owner),
                 name,
                 color: '#' + Math.floor(Math.random()*16777215).toString(16).padStart(6, '0')
             }))
@@ -153,7 +166,6 @@ const processImportRows = async ({ rows, userId, overwriteExisting = false, grou
                 combinedGroupIds.forEach(id => groupsToUpdate.add(id.toString()));
 
                 const subscriberData = {
-                    user: userId,
                     email,
                     firstName: subscriber.firstName || '',
                     lastName: subscriber.lastName || '',
@@ -167,14 +179,14 @@ const processImportRows = async ({ rows, userId, overwriteExisting = false, grou
                 if (existingSubscriber) {
                     return {
                         updateOne: {
-                            filter: { user: userId, email: email },
+                            filter: { _id: existingSubscriber._id },
                             update: { $set: subscriberData },
                             upsert: false
                         }
                     };
                 }
 
-                return { insertOne: { document: subscriberData } };
+                return { insertOne: { document: { ...workspaceFields(owner), ...subscriberData } } };
             } catch (error) {
                 results.errors.push(`Error processing subscriber ${rawSubscriber && rawSubscriber.email}: ${error.message}`);
                 return null;
@@ -192,12 +204,17 @@ const processImportRows = async ({ rows, userId, overwriteExisting = false, grou
         }
     }
 
+    // Give back reservations for rows that failed to insert
+    if (newEmails.size > results.imported) {
+        await usageService.releaseForUser(userId, 'subscribers', newEmails.size - results.imported);
+    }
+
     // Update groups with imported subscriber IDs
     try {
         const allGroupIdsToUpdate = Array.from(groupsToUpdate).map(id => new mongoose.Types.ObjectId(id));
         if (allGroupIdsToUpdate.length > 0) {
             const emailsAll = rows.map(r => (r.email || '').toString().toLowerCase());
-            const importedSubs = await Subscriber.find({ user: userId, email: { $in: emailsAll } }).select('_id');
+            const importedSubs = await Subscriber.find({ ...workspace, email: { $in: emailsAll } }).select('_id');
             const ids = importedSubs.map(s => s._id);
             if (ids.length > 0) {
                 await Group.updateMany(
@@ -220,9 +237,12 @@ const processImportRows = async ({ rows, userId, overwriteExisting = false, grou
 const bulkImportSubscribers = asyncHandler(async (req, res) => {
     try {
         const { subscribers, overwriteExisting = false, groupIds = [], tagNames = [] } = req.body;
-        const results = await processImportRows({ rows: subscribers, userId: req.user.id, overwriteExisting, groupIds, tagNames });
+        const results = await processImportRows({ rows: subscribers, userId: req.user.id, organization: req.user.organization, overwriteExisting, groupIds, tagNames });
         res.status(200).json(results);
     } catch (error) {
+        if (error.code === 'PLAN_LIMIT_REACHED') {
+            return res.status(429).json({ message: error.message, code: error.code });
+        }
         console.error('Bulk import error:', error);
         res.status(500).json({
             message: 'Failed to import subscribers',
@@ -270,10 +290,13 @@ const importCsvSubscribers = asyncHandler(async (req, res) => {
             };
         });
 
-        const results = await processImportRows({ rows: subscribers, userId: req.user.id, overwriteExisting: req.body.overwriteExisting || false, groupIds: req.body.groupIds || [], tagNames: req.body.tagNames || [] });
+        const results = await processImportRows({ rows: subscribers, userId: req.user.id, organization: req.user.organization, overwriteExisting: req.body.overwriteExisting || false, groupIds: req.body.groupIds || [], tagNames: req.body.tagNames || [] });
         console.log('[importCsvSubscribers] import results:', results);
         res.status(200).json(results);
     } catch (error) {
+        if (error.code === 'PLAN_LIMIT_REACHED') {
+            return res.status(429).json({ message: error.message, code: error.code });
+        }
         console.error('CSV import error:', error);
         res.status(500).json({ message: 'CSV import failed', error: error.message });
     }
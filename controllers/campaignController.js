@@ -9,8 +9,12 @@ const { sendEmail } = require('../utils/resendEmailService'); // NEW: Import Res
 // const sendgridEmailService = require('../utils/sendgridEmailService'); // OLD: Remove or comment out if you had this
 const OpenEvent = require('../models/OpenEvent');
 const ClickEvent = require('../models/ClickEvent');
+const { humanActivityFilter } = require('../utils/engagementClassifier');
 const { executeSendCampaign } = require('../utils/campaignScheduler');
 const domainAuthService = require('../services/domainAuthService');
+const { listSnapshot } = require('../services/campaignAudienceService');
+const usageService = require('../services/usageService');
+const { workspaceFilter, workspaceFields, inWorkspace } = require('../utils/workspace');
 const moment = require('moment-timezone');
 
 
@@ -18,10 +22,9 @@ const moment = require('moment-timezone');
 // @route   GET /api/campaigns
 // @access  Private
 const getCampaigns = asyncHandler(async (req, res) => {
-    const userId = req.user.id;
     const { timeframe } = req.query; // Get timeframe from query params
 
-    let query = { user: userId };
+    let query = workspaceFilter(req.user);
     const now = new Date();
 
     // Implement timeframe logic if needed, otherwise fetch all
@@ -100,8 +103,14 @@ const createCampaign = asyncHandler(async (req, res) => {
         } catch (e) { /* silent */ }
     }
 
+    const usage = await usageService.consumeForUser(req.user, 'campaigns');
+    if (!usage.allowed) {
+        res.status(429);
+        throw usageService.limitError(usage);
+    }
+
     const campaign = await Campaign.create({
-        user: req.user.id,
+        ...workspaceFields(req.user),
         name,
         subject,
         fromEmail: fromEmail || req.user.email,
@@ -139,8 +148,8 @@ const getCampaignById = asyncHandler(async (req, res) => {
         throw new Error('Campaign not found');
     }
 
-    // Ensure user owns the campaign
-    if (campaign.user.toString() !== req.user.id) {
+    // Ensure the campaign is in the user's workspace
+    if (!inWorkspace(campaign, req.user)) {
         res.status(401);
         throw new Error('Not authorized to view this campaign');
     }
@@ -161,8 +170,8 @@ const updateCampaign = asyncHandler(async (req, res) => {
         throw new Error('Campaign not found');
     }
 
-    // Ensure user owns the campaign
-    if (campaign.user.toString() !== req.user.id) {
+    // Ensure the campaign is in the user's workspace
+    if (!inWorkspace(campaign, req.user)) {
         res.status(401);
         throw new Error('Not authorized to update this campaign');
     }
@@ -247,8 +256,8 @@ const deleteCampaign = asyncHandler(async (req, res) => {
         throw new Error('Campaign not found');
     }
 
-    // Ensure user owns the campaign
-    if (campaign.user.toString() !== req.user.id) {
+    // Ensure the campaign is in the user's workspace
+    if (!inWorkspace(campaign, req.user)) {
         res.status(401);
         throw new Error('Not authorized to delete this campaign');
     }
@@ -270,8 +279,8 @@ const sendTestEmail = asyncHandler(async (req, res) => {
         throw new Error('Campaign not found');
     }
 
-    // Ensure user owns the campaign
-    if (campaign.user.toString() !== req.user.id) {
+    // Ensure the campaign is in the user's workspace
+    if (!inWorkspace(campaign, req.user)) {
         res.status(401);
         throw new Error('Not authorized to send test email for this campaign');
     }
@@ -321,8 +330,8 @@ const sendCampaign = asyncHandler(async (req, res) => {
         throw new Error('Campaign not found');
     }
 
-    // Ensure user owns the campaign
-    if (campaign.user.toString() !== req.user.id) {
+    // Ensure the campaign is in the user's workspace
+    if (!inWorkspace(campaign, req.user)) {
         res.status(401);
         throw new Error('Not authorized to send this campaign');
     }
@@ -352,10 +361,9 @@ const sendCampaign = asyncHandler(async (req, res) => {
 // @route   GET /api/campaigns/dashboard-stats
 // @access  Private
 const getDashboardStats = asyncHandler(async (req, res) => {
-    const userId = req.user.id;
     const { timeframe } = req.query; // e.g., 'Last 30 days', 'All Time'
 
-    let query = { user: userId };
+    let query = workspaceFilter(req.user);
     const now = new Date();
 
     if (timeframe) {
@@ -399,7 +407,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     }
 
     // Fetch total active subscribers across all groups for the user
-    const userGroups = await Group.find({ user: userId }).populate('subscribers');
+    const userGroups = await Group.find(workspaceFilter(req.user)).populate('subscribers');
     let totalActiveSubscribers = 0;
     userGroups.forEach(group => {
         totalActiveSubscribers += group.subscribers.filter(sub => sub.status === 'subscribed').length;
@@ -431,10 +439,9 @@ const getDashboardStats = asyncHandler(async (req, res) => {
 // @access  Private
 const getCampaignAnalytics = asyncHandler(async (req, res) => {
     const campaignId = req.params.id;
-    const userId = req.user.id;
     
-    // Verify campaign ownership
-    const campaign = await Campaign.findOne({ _id: campaignId, user: userId });
+    // Verify the campaign is in the caller's workspace
+    const campaign = await Campaign.findOne({ _id: campaignId, ...workspaceFilter(req.user) });
     if (!campaign) {
         res.status(404);
         throw new Error('Campaign not found');
@@ -442,11 +449,63 @@ const getCampaignAnalytics = asyncHandler(async (req, res) => {
     
     // Get analytics from analytics service
     const analyticsService = require('../services/analyticsService');
-    const analytics = await analyticsService.getCampaignAnalytics(userId, campaignId);
+    const analytics = await analyticsService.getCampaignAnalytics(req.user, campaignId);
     
     res.json(analytics);
 });
 
+// @desc    Clicks per link (by position in the email, from signed tracking links)
+// @route   GET /api/campaigns/:id/analytics/links
+// @access  Private
+const getCampaignLinkStats = asyncHandler(async (req, res) => {
+    const campaign = await Campaign.findOne({ _id: req.params.id, ...workspaceFilter(req.user) }).select('_id');
+    if (!campaign) {
+        res.status(404);
+        throw new Error('Campaign not found');
+    }
+    const links = await ClickEvent.aggregate([
+        { $match: { campaign: campaign._id, linkIndex: { $ne: null }, ...humanActivityFilter() } },
+        { $sort: { timestamp: -1 } },
+        { $group: {
+            _id: '$linkIndex',
+            url: { $first: '$url' },
+            clicks: { $sum: 1 },
+            subscribers: { $addToSet: '$subscriber' },
+            lastClickedAt: { $first: '$timestamp' }
+        }},
+        { $project: {
+            _id: 0,
+            linkIndex: '$_id',
+            url: 1,
+            clicks: 1,
+            uniqueClicks: { $size: '$subscribers' },
+            lastClickedAt: 1
+        }},
+        { $sort: { linkIndex: 1 } }
+    ]);
+    res.json({ campaignId: campaign._id, links });
+});
+
+// @desc    List the audience snapshot taken when the campaign was sent
+// @route   GET /api/campaigns/:id/recipients?excluded=suppressed|preference|none&page=&limit=
+// @access  Private
+const getCampaignRecipients = asyncHandler(async (req, res) => {
+    const campaign = await Campaign.findOne({ _id: req.params.id, ...workspaceFilter(req.user) }).select('_id audienceSnapshot');
+    if (!campaign) {
+        res.status(404);
+        throw new Error('Campaign not found');
+    }
+    const { excluded } = req.query;
+    if (excluded && !['suppressed', 'preference', 'none'].includes(excluded)) {
+        res.status(400);
+        throw new Error('excluded must be suppressed, preference or none');
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const { recipients, pagination } = await listSnapshot(campaign._id, { page, limit, excluded });
+    res.json({ campaignId: campaign._id, snapshot: campaign.audienceSnapshot && campaign.audienceSnapshot.takenAt ? campaign.audienceSnapshot : null, recipients, pagination });
+});
+
 // @desc    Get time-series analytics for a specific campaign
 // @route   GET /api/campaigns/:id/analytics-timeseries
 // @access  Private
@@ -456,7 +515,7 @@ const getCampaignAnalyticsTimeSeries = asyncHandler(async (req, res) => {
         res.status(404);
         throw new Error('Campaign not found');
     }
-    if (campaign.user.toString() !== req.user.id) {
+    if (!inWorkspace(campaign, req.user)) {
         res.status(401);
         throw new Error('Not authorized to view analytics for this campaign');
     }
@@ -476,7 +535,7 @@ const getCampaignAnalyticsTimeSeries = asyncHandler(async (req, res) => {
     }
     // Aggregate opens by day
     const openAgg = await OpenEvent.aggregate([
-        { $match: { campaign: campaign._id, timestamp: { $gte: startDate, $lte: endDate } } },
+        { $match: { campaign: campaign._id, timestamp: { $gte: startDate, $lte: endDate }, ...humanActivityFilter() } },
         { $group: {
             _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
             count: { $sum: 1 }
@@ -485,7 +544,7 @@ const getCampaignAnalyticsTimeSeries = asyncHandler(async (req, res) => {
     ]);
     // Aggregate clicks by day
     const clickAgg = await ClickEvent.aggregate([
-        { $match: { campaign: campaign._id, timestamp: { $gte: startDate, $lte: endDate } } },
+        { $match: { campaign: campaign._id, timestamp: { $gte: startDate, $lte: endDate }, ...humanActivityFilter() } },
         { $group: {
             _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
             count: { $sum: 1 }
@@ -521,7 +580,7 @@ const cancelCampaign = asyncHandler(async (req, res) => {
         res.status(404);
         throw new Error('Campaign not found');
     }
-    if (campaign.user.toString() !== req.user.id) {
+    if (!inWorkspace(campaign, req.user)) {
         res.status(401);
         throw new Error('Not authorized to cancel this campaign');
     }
@@ -549,5 +608,7 @@ module.exports = {
     getDashboardStats,
     getCampaignAnalytics,
     getCampaignAnalyticsTimeSeries,
+    getCampaignLinkStats,
+    getCampaignRecipients,
     cancelCampaign,
 };
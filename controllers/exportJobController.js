@@ -0,0 +1,137 @@
+// emailxp/backend/controllers/exportJobController.js
+
+const fs = require('fs');
+const crypto = require('crypto');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const ExportJob = require('../models/ExportJob');
+const logger = require('../utils/logger');
+const { workspaceFilter, workspaceFields } = require('../utils/workspace');
+const {
+  EXPORT_FIELDS,
+  validateExportRequest,
+  processQueuedExportJobs,
+  removeFile
+} = require('../services/exportJobService');
+
+const backendUrl = () => (process.env.BACKEND_URL || 'http://localhost:5000').replace(/\/$/, '');
+
+const downloadUrlFor = (job) => (job.downloadToken
+  ? `${backendUrl()}/api/subscribers/exports/${job._id}/download?token=${job.downloadToken}`
+  : null);
+
+const findOwnJob = async (req, res) => {
+  const job = mongoose.Types.ObjectId.isValid(req.params.jobId)
+    ? await ExportJob.findOne({ _id: req.params.jobId, user: req.user.id }).select('+downloadToken')
+    : null;
+  if (!job) {
+    res.status(404);
+    throw new Error('Export job not found');
+  }
+  return job;
+};
+
+// @desc    Queue an export of subscribers matching a segment, group, tag and/or status
+// @route   POST /api/subscribers/exports
+// @access  Private
+const createExport = asyncHandler(async (req, res) => {
+  const { errors, settings } = await validateExportRequest(workspaceFilter(req.user), req.body);
+  if (errors) {
+    res.status(400);
+    throw new Error(errors.join('; '));
+  }
+  const job = await ExportJob.create({ ...workspaceFields(req.user), ...settings });
+
+  // Start right away instead of waiting for the next scheduler tick
+  setImmediate(() => {
+    processQueuedExportJobs().catch(error => logger.error('Export job processing failed', { error: error.message }));
+  });
+  res.status(202).json(job.toSummary());
+});
+
+// @desc    Fields that can be selected for an export
+// @route   GET /api/subscribers/exports/fields
+// @access  Private
+const getExportFields = asyncHandler(async (req, res) => {
+  res.json({ fields: EXPORT_FIELDS, customFieldPattern: 'customFields.<key>' });
+});
+
+// @desc    List the current user's export jobs
+// @route   GET /api/subscribers/exports
+// @access  Private
+const listExports = asyncHandler(async (req, res) => {
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+  const jobs = await ExportJob.find({ user: req.user.id }).select('+downloadToken').sort({ createdAt: -1 }).limit(limit);
+  res.json(jobs.map(job => job.toSummary(downloadUrlFor(job))));
+});
+
+// @desc    Get an export job's status, progress and (once finished) download link
+// @route   GET /api/subscribers/exports/:jobId
+// @access  Private
+const getExport = asyncHandler(async (req, res) => {
+  const job = await findOwnJob(req, res);
+  res.json(job.toSummary(downloadUrlFor(job)));
+});
+
+// @desc    Cancel a queued or running export
+// @route   POST /api/subscribers/exports/:jobId/cancel
+// @access  Private
+const cancelExport = asyncHandler(async (req, res) => {
+  const job = await findOwnJob(req, res);
+  const cancelled = await ExportJob.findOneAndUpdate(
+    { _id: job._id, status: { $in: ['queued', 'processing'] } },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  if (!cancelled) {
+    res.status(409);
+    throw new Error(`Export job is already ${job.status}`);
+  }
+  res.json(cancelled.toSummary());
+});
+
+// @desc    Delete an export job and its file
+// @route   DELETE /api/subscribers/exports/:jobId
+// @access  Private
+const deleteExport = asyncHandler(async (req, res) => {
+  const job = await findOwnJob(req, res);
+  if (['queued', 'processing'].includes(job.status)) {
+    res.status(409);
+    throw new Error('Cancel the export before deleting it');
+  }
+  await removeFile(job.filePath);
+  await job.deleteOne();
+  res.json({ message: 'Export job deleted' });
+});
+
+// @desc    Download a finished export with the token from its download link
+// @route   GET /api/subscribers/exports/:jobId/download?token=
+// @access  Public (tokenized link)
+const downloadExport = asyncHandler(async (req, res) => {
+  const job = mongoose.Types.ObjectId.isValid(req.params.jobId)
+    ? await ExportJob.findById(req.params.jobId).select('+downloadToken')
+    : null;
+  const token = String(req.query.token || '');
+  const valid = job && job.status === 'completed' && job.downloadToken && token.length === job.downloadToken.length
+    && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(job.downloadToken))
+    && job.expiresAt > new Date() && job.filePath && fs.existsSync(job.filePath);
+  // Same answer for unknown, expired and wrong-token links
+  if (!valid) {
+    res.status(404);
+    throw new Error('Export not found or expired');
+  }
+  res.setHeader('Content-Type', job.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${job.fileName}"`);
+  res.setHeader('Content-Length', job.fileSize);
+  fs.createReadStream(job.filePath).pipe(res);
+});
+
+module.exports = {
+  createExport,
+  getExportFields,
+  listExports,
+  getExport,
+  cancelExport,
+  deleteExport,
+  downloadExport
+};
@@ -0,0 +1,177 @@
+// emailxp/backend/controllers/formController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Form = require('../models/Form');
+const FormSubmission = require('../models/FormSubmission');
+const { workspaceFilter, workspaceFields } = require('../utils/workspace');
+const {
+  validateFormBody,
+  publicDefinition,
+  renderEmbedHtml,
+  renderSuccessPage,
+  submitForm
+} = require('../services/formService');
+
+const backendUrl = () => (process.env.BACKEND_URL || 'http://localhost:5000').replace(/\/$/, '');
+
+const submitUrlFor = (form) => `${backendUrl()}/api/forms/public/${form._id}/submit`;
+
+const findWorkspaceForm = async (req, res) => {
+  const form = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Form.findOne({ _id: req.params.id, ...workspaceFilter(req.user) })
+    : null;
+  if (!form) {
+    res.status(404);
+    throw new Error('Form not found');
+  }
+  return form;
+};
+
+const findActiveForm = async (req, res) => {
+  const form = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Form.findOne({ _id: req.params.id, status: 'active' })
+    : null;
+  if (!form) {
+    res.status(404);
+    throw new Error('Form not found');
+  }
+  return form;
+};
+
+// @desc    Get all signup forms in the workspace
+// @route   GET /api/forms
+// @access  Private
+const getForms = asyncHandler(async (req, res) => {
+  const forms = await Form.find(workspaceFilter(req.user)).sort({ createdAt: -1 });
+  res.status(200).json(forms);
+});
+
+// @desc    Create a signup form
+// @route   POST /api/forms
+// @access  Private
+const createForm = asyncHandler(async (req, res) => {
+  const { errors, settings } = await validateFormBody(req.body, workspaceFilter(req.user));
+  if (errors) {
+    res.status(400);
+    throw new Error(errors.join('; '));
+  }
+  const form = await Form.create({ ...workspaceFields(req.user), ...settings });
+  res.status(201).json(form);
+});
+
+// @desc    Get a signup form
+// @route   GET /api/forms/:id
+// @access  Private
+const getForm = asyncHandler(async (req, res) => {
+  const form = await findWorkspaceForm(req, res);
+  res.status(200).json(form);
+});
+
+// @desc    Update a signup form
+// @route   PUT /api/forms/:id
+// @access  Private
+const updateForm = asyncHandler(async (req, res) => {
+  const form = await findWorkspaceForm(req, res);
+  const { errors, settings } = await validateFormBody(req.body, workspaceFilter(req.user), { current: form });
+  if (errors) {
+    res.status(400);
+    throw new Error(errors.join('; '));
+  }
+  form.set(settings);
+  await form.save();
+  res.status(200).json(form);
+});
+
+// @desc    Delete a signup form (its submissions are kept for the consent trail)
+// @route   DELETE /api/forms/:id
+// @access  Private
+const deleteForm = asyncHandler(async (req, res) => {
+  const form = await findWorkspaceForm(req, res);
+  await form.deleteOne();
+  res.status(200).json({ message: 'Form removed', id: form._id });
+});
+
+// @desc    List a form's submissions, newest first
+// @route   GET /api/forms/:id/submissions
+// @access  Private
+const getFormSubmissions = asyncHandler(async (req, res) => {
+  const form = await findWorkspaceForm(req, res);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const [submissions, total] = await Promise.all([
+    FormSubmission.find({ form: form._id })
+      .sort({ submittedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    FormSubmission.countDocuments({ form: form._id })
+  ]);
+  res.status(200).json({ submissions, total, page, pages: Math.ceil(total / limit) });
+});
+
+// @desc    Get the HTML snippet that embeds the form on another site
+// @route   GET /api/forms/:id/embed
+// @access  Private
+const getFormEmbed = asyncHandler(async (req, res) => {
+  const form = await findWorkspaceForm(req, res);
+  res.status(200).json({
+    submitUrl: submitUrlFor(form),
+    definitionUrl: `${backendUrl()}/api/forms/public/${form._id}`,
+    html: renderEmbedHtml(form, submitUrlFor(form))
+  });
+});
+
+// @desc    Get the fields of an active form so a site can render it
+// @route   GET /api/forms/public/:id
+// @access  Public
+const getPublicForm = asyncHandler(async (req, res) => {
+  const form = await findActiveForm(req, res);
+  res.status(200).json(publicDefinition(form));
+});
+
+// @desc    Submit an active form; JSON for scripts, a redirect or success page for plain HTML posts
+// @route   POST /api/forms/public/:id/submit
+// @access  Public
+const submitPublicForm = asyncHandler(async (req, res) => {
+  const form = await findActiveForm(req, res);
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+  const outcome = await submitForm(form, req.body || {}, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    referrer: req.get('referer')
+  });
+  if (outcome.errors) {
+    return res.status(400).json({ message: 'Please correct the highlighted fields', errors: outcome.errors });
+  }
+  if (outcome.limited) {
+    // The visitor can't fix this; the owner sees it in their usage alerts
+    res.status(429);
+    throw new Error('This form is not accepting signups right now. Please try again later.');
+  }
+
+  // Spam gets the same answer as a real signup so bots learn nothing
+  const pending = outcome.result === 'pending';
+  if (wantsHtml) {
+    if (form.successRedirectUrl) return res.redirect(303, form.successRedirectUrl);
+    return res.status(200).type('html').send(renderSuccessPage(form));
+  }
+  res.status(200).json({
+    message: form.successMessage,
+    confirmationRequired: outcome.spam ? form.optIn === 'double' : pending,
+    redirectUrl: form.successRedirectUrl || undefined
+  });
+});
+
+module.exports = {
+  getForms,
+  createForm,
+  getForm,
+  updateForm,
+  deleteForm,
+  getFormSubmissions,
+  getFormEmbed,
+  getPublicForm,
+  submitPublicForm
+};
@@ -1,12 +1,13 @@
 const asyncHandler = require('express-async-handler');
 const Group = require('../models/Group');
 const Subscriber = require('../models/Subscriber'); // Also need Subscriber model for cascade delete
+const { workspaceFilter, workspaceFields, inWorkspace } = require('../utils/workspace');
 
-// @desc    Get all groups for the authenticated user
+// @desc    Get all groups in the authenticated user's workspace
 // @route   GET /api/groups
 // @access  Private
 const getGroups = asyncHandler(async (req, res) => {
-    const groups = await Group.find({ user: req.user.id })
+    const groups = await Group.find(workspaceFilter(req.user))
                             .populate('subscribers');
     res.status(200).json(groups);
 });
@@ -22,17 +23,17 @@ const createGroup = asyncHandler(async (req, res) => {
         throw new Error('Please add a group name');
     }
 
-    // Check if a group with the same name already exists for this user
-    const groupExists = await Group.findOne({ name, user: req.user.id });
+    // Group names are unique within the workspace, not just per member
+    const groupExists = await Group.findOne({ name, ...workspaceFilter(req.user) });
     if (groupExists) {
         res.status(400);
-        throw new Error('A group with this name already exists for your account');
+        throw new Error('A group with this name already exists in your workspace');
     }
 
     const group = await Group.create({
         name,
         description,
-        user: req.user.id, // Assign the group to the authenticated user
+        ...workspaceFields(req.user), // Created by the authenticated user, shared with their organization
     });
 
     res.status(201).json(group);
@@ -50,8 +51,8 @@ const getGroupById = asyncHandler(async (req, res) => {
         throw new Error('Group not found');
     }
 
-    // Make sure the authenticated user owns this group
-    if (group.user.toString() !== req.user.id) {
+    // Make sure this group is in the authenticated user's workspace
+    if (!inWorkspace(group, req.user)) {
         res.status(401);
         throw new Error('Not authorized to view this group');
     }
@@ -71,8 +72,8 @@ const updateGroup = asyncHandler(async (req, res) => {
         throw new Error('Group not found');
     }
 
-    // Make sure the authenticated user owns this group
-    if (group.user.toString() !== req.user.id) {
+    // Make sure this group is in the authenticated user's workspace
+    if (!inWorkspace(group, req.user)) {
         res.status(401);
         throw new Error('Not authorized to update this group');
     }
@@ -96,8 +97,8 @@ const deleteGroup = asyncHandler(async (req, res) => {
         throw new Error('Group not found');
     }
 
-    // Make sure the authenticated user owns this group
-    if (group.user.toString() !== req.user.id) {
+    // Make sure this group is in the authenticated user's workspace
+    if (!inWorkspace(group, req.user)) {
         res.status(401);
         throw new Error('Not authorized to delete this group');
     }
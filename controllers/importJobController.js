@@ -0,0 +1,158 @@
+// emailxp/backend/controllers/importJobController.js
+
+const fs = require('fs');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const ImportJob = require('../models/ImportJob');
+const logger = require('../utils/logger');
+const {
+  IMPORT_TARGETS,
+  MERGE_STRATEGIES,
+  createImportJob,
+  validateImportSettings,
+  processQueuedImportJobs,
+  removeFile
+} = require('../services/importJobService');
+
+const findOwnJob = async (req, res) => {
+  const job = mongoose.Types.ObjectId.isValid(req.params.jobId)
+    ? await ImportJob.findOne({ _id: req.params.jobId, user: req.user.id })
+    : null;
+  if (!job) {
+    res.status(404);
+    throw new Error('Import job not found');
+  }
+  return job;
+};
+
+// @desc    Upload a CSV/XLSX file and get back its detected columns and a suggested mapping
+// @route   POST /api/subscribers/imports
+// @access  Private
+const createImport = asyncHandler(async (req, res) => {
+  if (!req.file || !req.file.path) {
+    res.status(400);
+    throw new Error('A .csv or .xlsx file is required');
+  }
+  let job;
+  try {
+    job = await createImportJob(req.user.id, req.file, req.user.organization);
+  } catch (error) {
+    res.status(400);
+    const err = new Error(`Could not read the file: ${error.message}`);
+    err.code = 'IMPORT_FILE_UNREADABLE';
+    throw err;
+  }
+  res.status(201).json({ ...job.toSummary(), targets: IMPORT_TARGETS, mergeStrategies: MERGE_STRATEGIES });
+});
+
+// @desc    List the current user's import jobs
+// @route   GET /api/subscribers/imports
+// @access  Private
+const listImports = asyncHandler(async (req, res) => {
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+  const jobs = await ImportJob.find({ user: req.user.id }).sort({ createdAt: -1 }).limit(limit);
+  res.json(jobs.map(job => job.toSummary()));
+});
+
+// @desc    Get an import job's status and progress
+// @route   GET /api/subscribers/imports/:jobId
+// @access  Private
+const getImport = asyncHandler(async (req, res) => {
+  const job = await findOwnJob(req, res);
+  res.json(job.toSummary());
+});
+
+// @desc    Save the column mapping and merge strategy and queue the import
+// @route   POST /api/subscribers/imports/:jobId/start
+// @access  Private
+const startImport = asyncHandler(async (req, res) => {
+  const job = await findOwnJob(req, res);
+  if (job.status !== 'uploaded') {
+    res.status(409);
+    const err = new Error(`Import job is already ${job.status}`);
+    err.code = 'IMPORT_ALREADY_STARTED';
+    throw err;
+  }
+  const { errors, settings } = await validateImportSettings(job, req.body);
+  if (errors) {
+    res.status(400);
+    throw new Error(errors.join('; '));
+  }
+
+  const queued = await ImportJob.findOneAndUpdate(
+    { _id: job._id, status: 'uploaded' },
+    { $set: { mapping: settings.mapping, options: settings.options, status: 'queued', queuedAt: new Date() } },
+    { new: true }
+  );
+  if (!queued) {
+    res.status(409);
+    const err = new Error('Import job is already started');
+    err.code = 'IMPORT_ALREADY_STARTED';
+    throw err;
+  }
+
+  // Start right away instead of waiting for the next scheduler tick
+  setImmediate(() => {
+    processQueuedImportJobs().catch(error => logger.error('Import job processing failed', { error: error.message }));
+  });
+  res.status(202).json(queued.toSummary());
+});
+
+// @desc    Cancel a queued or running import; rows already written stay
+// @route   POST /api/subscribers/imports/:jobId/cancel
+// @access  Private
+const cancelImport = asyncHandler(async (req, res) => {
+  const job = await findOwnJob(req, res);
+  if (!['uploaded', 'queued', 'processing'].includes(job.status)) {
+    res.status(409);
+    throw new Error(`Import job is already ${job.status}`);
+  }
+  const cancelled = await ImportJob.findOneAndUpdate(
+    { _id: job._id, status: { $in: ['uploaded', 'queued', 'processing'] } },
+    { $set: { status: 'cancelled', completedAt: new Date() } },
+    { new: true }
+  );
+  // A running job removes its own file when it notices; otherwise nothing else will
+  if (cancelled && job.status !== 'processing') await removeFile(job.filePath);
+  res.json((cancelled || job).toSummary());
+});
+
+// @desc    Download rejected rows with the reason for each as CSV
+// @route   GET /api/subscribers/imports/:jobId/errors
+// @access  Private
+const downloadImportErrors = asyncHandler(async (req, res) => {
+  const job = await findOwnJob(req, res);
+  if (!job.errorFilePath || !fs.existsSync(job.errorFilePath)) {
+    res.status(404);
+    throw new Error('This import has no rejected rows');
+  }
+  const baseName = String(job.fileName || 'import').replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9_-]+/g, '_');
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}-rejected-rows.csv"`);
+  fs.createReadStream(job.errorFilePath).pipe(res);
+});
+
+// @desc    Delete a finished import job and its files
+// @route   DELETE /api/subscribers/imports/:jobId
+// @access  Private
+const deleteImport = asyncHandler(async (req, res) => {
+  const job = await findOwnJob(req, res);
+  if (['queued', 'processing'].includes(job.status)) {
+    res.status(409);
+    throw new Error('Cancel the import before deleting it');
+  }
+  await removeFile(job.filePath);
+  await removeFile(job.errorFilePath);
+  await job.deleteOne();
+  res.json({ message: 'Import job deleted' });
+});
+
+module.exports = {
+  createImport,
+  listImports,
+  getImport,
+  startImport,
+  cancelImport,
+  downloadImportErrors,
+  deleteImport
+};
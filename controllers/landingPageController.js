@@ -1,12 +1,90 @@
 const LandingPage = require('../models/LandingPage');
+const Form = require('../models/Form');
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { workspaceFilter } = require('../utils/workspace');
+const { submitForm } = require('../services/formService');
+const landingPageService = require('../services/landingPageService');
+
+const backendUrl = () => (process.env.BACKEND_URL || 'http://localhost:5000').replace(/\/$/, '');
+
+// The integrated form must be one the caller's workspace can use
+const formInWorkspace = async (formId, user) => !formId
+  || (mongoose.Types.ObjectId.isValid(formId) && !!(await Form.exists({ _id: formId, ...workspaceFilter(user) })));
+
+// Count the view for the requesting visitor; counting problems never block the page
+const countVisit = async (page, req, res) => {
+  const { visitorId, isNew } = landingPageService.visitorIdFor(req);
+  if (isNew) {
+    res.cookie(landingPageService.VISITOR_COOKIE, visitorId, {
+      maxAge: 365 * 24 * 3600 * 1000,
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure
+    });
+  }
+  try {
+    await landingPageService.trackVisit(page, visitorId, { referrer: req.get('referer') });
+  } catch (error) {
+    logger.warn('[LandingPage] failed to count visit', { pageId: page._id, error: error.message });
+  }
+  return visitorId;
+};
+
+// Where a page lives: its custom domain once verified, otherwise /landing/:slug on this server
+const pageUrls = (page, req) => {
+  const hasDomain = !!page.customDomain && !!page.customDomainVerifiedAt;
+  const onCustomDomain = hasDomain && req.hostname === page.customDomain;
+  const path = onCustomDomain ? '/' : `/landing/${page.slug}`;
+  return {
+    path,
+    formAction: onCustomDomain ? '/subscribe' : `${path}/subscribe`,
+    canonicalUrl: hasDomain ? `https://${page.customDomain}/` : `${backendUrl()}${path}`
+  };
+};
+
+const activeFormFor = (page) => (page.formIntegration
+  ? Form.findOne({ _id: page.formIntegration, status: 'active' })
+  : null);
+
+// Pages are tenant HTML served from the API's origin. The sandbox gives them an opaque origin, so
+// their scripts can't make same-origin calls to the API; forms, scripts and links keep working.
+const PAGE_CSP = 'sandbox allow-forms allow-scripts allow-popups allow-popups-to-escape-sandbox allow-top-navigation-by-user-activation';
+
+const notFoundHtml = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Page not found</title></head><body><h1>Page not found</h1></body></html>';
+
+const sendPage = async (page, req, res, { status = 200, notice, form } = {}) => {
+  const pageForm = form || await activeFormFor(page);
+  if (!notice && pageForm && req.query.subscribed === '1') notice = { type: 'success', message: pageForm.successMessage };
+  const { canonicalUrl, formAction } = pageUrls(page, req);
+  // Served fresh every time so each view reaches the visit counter
+  res.set('Cache-Control', 'no-cache');
+  res.set('Content-Security-Policy', PAGE_CSP);
+  res.status(status).type('html').send(landingPageService.renderPage(page, { canonicalUrl, form: pageForm, formAction, notice }));
+};
+
+const findPublishedBySlug = (slug) => LandingPage.findOne({ slug: String(slug).toLowerCase(), status: 'published' }).lean();
+
+// Validate a custom domain and make sure it isn't ours or verified by another page; returns
+// { domain } or { message }. Unverified claims by others don't count, so nobody can squat a domain.
+const checkCustomDomain = async (value, pageId, req) => {
+  const domain = landingPageService.normalizeDomain(value);
+  if (domain === null) return { message: 'Custom domain must be a host name such as join.example.com' };
+  if (domain && (landingPageService.isAppHost(domain) || domain === req.hostname)) {
+    return { message: 'This host name belongs to EmailXP and cannot be used as a custom domain' };
+  }
+  if (domain && await LandingPage.exists({ customDomain: domain, customDomainVerifiedAt: { $ne: null }, _id: { $ne: pageId } })) {
+    return { message: 'This custom domain is already used by another landing page' };
+  }
+  return { domain };
+};
 
 // Get all landing pages for a user
 exports.getLandingPages = async (req, res) => {
   try {
     const landingPages = await LandingPage.find({ user: req.user.id })
-      .select('name description slug status visits conversions formIntegration createdAt updatedAt')
+      .select('name description slug status visits uniqueVisitors conversions formIntegration customDomain customDomainVerifiedAt createdAt updatedAt')
       .populate('formIntegration', 'name')
       .sort({ createdAt: -1 })
       .lean();
@@ -58,10 +136,7 @@ exports.getLandingPageBySlug = async (req, res) => {
       return res.status(404).json({ message: 'Landing page not found' });
     }
     
-    // Increment visit count
-    landingPage.visits += 1;
-    await landingPage.save();
-    
+    await countVisit(landingPage, req, res);
     res.json(landingPage);
   } catch (error) {
     console.error('Error fetching landing page by slug:', error);
@@ -78,6 +153,9 @@ exports.createLandingPage = async (req, res) => {
     if (!name) {
       return res.status(400).json({ message: 'Landing page name is required' });
     }
+    if (!(await formInWorkspace(formIntegration, req.user))) {
+      return res.status(400).json({ message: 'Form not found' });
+    }
     
     // Generate a unique slug
     let slug = name.toLowerCase()
@@ -116,7 +194,7 @@ exports.createLandingPage = async (req, res) => {
 exports.updateLandingPage = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, design, htmlContent, status, formIntegration, seo } = req.body;
+    const { name, description, design, htmlContent, status, formIntegration, seo, customDomain } = req.body;
     
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -138,8 +216,24 @@ exports.updateLandingPage = async (req, res) => {
         return res.status(400).json({ message: 'A verified sending domain is required to publish pages.', code: 'DOMAIN_NOT_VERIFIED' });
       }
     }
-    if (formIntegration !== undefined) updateData.formIntegration = formIntegration;
+    if (formIntegration !== undefined) {
+      if (!(await formInWorkspace(formIntegration, req.user))) {
+        return res.status(400).json({ message: 'Form not found' });
+      }
+      updateData.formIntegration = formIntegration || null;
+    }
     if (seo) updateData.seo = seo;
+    if (customDomain !== undefined) {
+      const { domain, message } = await checkCustomDomain(customDomain, id, req);
+      if (message) return res.status(400).json({ message });
+      const current = await LandingPage.findOne({ _id: id, user: req.user.id }).select('customDomain').lean();
+      if (current && current.customDomain !== domain) {
+        // A new domain has to be verified again, with a fresh token
+        updateData.customDomain = domain;
+        updateData.customDomainToken = domain ? landingPageService.newDomainToken() : null;
+        updateData.customDomainVerifiedAt = null;
+      }
+    }
     
     // Handle publishedAt timestamp
     if (status === 'published' && !updateData.publishedAt) {
@@ -149,16 +243,20 @@ exports.updateLandingPage = async (req, res) => {
       }
     }
     
-    const landingPage = await LandingPage.findOneAndUpdate(
+    const previous = await LandingPage.findOneAndUpdate(
       { _id: id, user: req.user.id },
       updateData,
-      { new: true, runValidators: true }
+      { new: false, runValidators: true }
     );
     
-    if (!landingPage) {
+    if (!previous) {
       return res.status(404).json({ message: 'Landing page not found' });
     }
+    // A custom domain serves whatever the cache last saw for up to a minute otherwise
+    landingPageService.forgetHost(previous.customDomain);
     
+    const landingPage = await LandingPage.findById(id);
+    landingPageService.forgetHost(landingPage.customDomain);
     res.json(landingPage);
   } catch (error) {
     console.error('Error updating landing page:', error);
@@ -184,6 +282,7 @@ exports.deleteLandingPage = async (req, res) => {
     if (!landingPage) {
       return res.status(404).json({ message: 'Landing page not found' });
     }
+    landingPageService.forgetHost(landingPage.customDomain);
     
     res.json({ message: 'Landing page deleted successfully' });
   } catch (error) {
@@ -192,6 +291,60 @@ exports.deleteLandingPage = async (req, res) => {
   }
 };
 
+// Check the DNS TXT record for a page's custom domain and start serving it once it's there
+exports.verifyCustomDomain = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid landing page ID' });
+    }
+    
+    const landingPage = await LandingPage.findOne({ _id: id, user: req.user.id });
+    if (!landingPage) {
+      return res.status(404).json({ message: 'Landing page not found' });
+    }
+    if (!landingPage.customDomain) {
+      return res.status(400).json({ message: 'Set a custom domain for this landing page first' });
+    }
+    if (landingPageService.isAppHost(landingPage.customDomain)) {
+      return res.status(400).json({ message: 'This host name belongs to EmailXP and cannot be used as a custom domain' });
+    }
+    if (!landingPage.customDomainToken) {
+      landingPage.customDomainToken = landingPageService.newDomainToken();
+      await landingPage.save();
+    }
+    
+    const record = landingPageService.domainVerificationRecord(landingPage);
+    if (!landingPage.customDomainVerifiedAt) {
+      if (!(await landingPageService.checkDomainRecord(landingPage))) {
+        return res.json({ verified: false, customDomain: landingPage.customDomain, record });
+      }
+      landingPage.customDomainVerifiedAt = new Date();
+      try {
+        await landingPage.save();
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.status(409).json({ message: 'This custom domain is already verified for another landing page' });
+        }
+        throw error;
+      }
+      landingPageService.forgetHost(landingPage.customDomain);
+    }
+    
+    res.json({
+      verified: true,
+      customDomain: landingPage.customDomain,
+      customDomainVerifiedAt: landingPage.customDomainVerifiedAt,
+      record
+    });
+  } catch (error) {
+    console.error('Error verifying landing page domain:', error);
+    res.status(500).json({ message: 'Failed to verify custom domain' });
+  }
+};
+
 // Record conversion
 exports.recordConversion = async (req, res) => {
   try {
@@ -220,4 +373,88 @@ exports.recordConversion = async (req, res) => {
     console.error('Error recording conversion:', error);
     res.status(500).json({ message: 'Failed to record conversion' });
   }
-};
\ No newline at end of file
+};
+
+// Render a published landing page as HTML (GET /landing/:slug, or / on its custom domain)
+exports.renderLandingPage = async (req, res) => {
+  try {
+    const page = req.landingPage || await findPublishedBySlug(req.params.slug);
+    if (!page) {
+      return res.status(404).type('html').send(notFoundHtml);
+    }
+    await countVisit(page, req, res);
+    await sendPage(page, req, res);
+  } catch (error) {
+    console.error('Error rendering landing page:', error);
+    res.status(500).type('html').send('<!DOCTYPE html><html><body><h1>Something went wrong</h1></body></html>');
+  }
+};
+
+// Submit the signup form of a published landing page and count the visitor's conversion
+// (POST /landing/:slug/subscribe, or /subscribe on its custom domain)
+exports.submitLandingPageForm = async (req, res) => {
+  try {
+    const page = req.landingPage || await findPublishedBySlug(req.params.slug);
+    const form = page && await activeFormFor(page);
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+    const outcome = await submitForm(form, req.body || {}, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      referrer: req.get('referer')
+    });
+    if (outcome.errors || outcome.limited) {
+      const status = outcome.errors ? 400 : 429;
+      const messages = outcome.errors
+        ? Object.values(outcome.errors)
+        : ['This form is not accepting signups right now. Please try again later.'];
+      if (wantsHtml) return sendPage(page, req, res, { status, form, notice: { type: 'error', messages } });
+      return res.status(status).json(outcome.errors
+        ? { message: 'Please correct the highlighted fields', errors: outcome.errors }
+        : { message: messages[0] });
+    }
+
+    // Spam gets the same answer as a real signup, but isn't a conversion
+    if (!outcome.spam) {
+      const { visitorId } = landingPageService.visitorIdFor(req);
+      await landingPageService.recordConversion(page, visitorId, { subscriber: outcome.subscriber._id })
+        .catch(error => logger.warn('[LandingPage] failed to record conversion', { pageId: page._id, error: error.message }));
+    }
+    if (wantsHtml) {
+      return res.redirect(303, form.successRedirectUrl || `${pageUrls(page, req).path}?subscribed=1`);
+    }
+    res.json({
+      message: form.successMessage,
+      confirmationRequired: outcome.spam ? form.optIn === 'double' : outcome.result === 'pending',
+      redirectUrl: form.successRedirectUrl || undefined
+    });
+  } catch (error) {
+    console.error('Error submitting landing page form:', error);
+    res.status(500).json({ message: 'Failed to submit form' });
+  }
+};
+
+// Visits, unique visitors and conversions for a landing page
+exports.getLandingPageAnalytics = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate ObjectId
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid landing page ID' });
+    }
+    
+    const landingPage = await LandingPage.findOne({ _id: id, user: req.user.id }).lean();
+    if (!landingPage) {
+      return res.status(404).json({ message: 'Landing page not found' });
+    }
+    
+    res.json(await landingPageService.getAnalytics(landingPage, { days: req.query.days }));
+  } catch (error) {
+    console.error('Error fetching landing page analytics:', error);
+    res.status(500).json({ message: 'Failed to fetch landing page analytics' });
+  }
+};
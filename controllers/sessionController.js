@@ -0,0 +1,85 @@
+// emailxp/backend/controllers/sessionController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const {
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessionService');
+
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @route   POST /api/users/refresh-token
+// @access  Public (requires a refresh token)
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const result = await refreshSession(req.body.refreshToken, req);
+  if (result.error) {
+    res.status(401);
+    throw new Error(result.error === 'session_expired'
+      ? 'Session expired. Please log in again.'
+      : 'Invalid refresh token. Please log in again.');
+  }
+  res.json({ token: result.accessToken, refreshToken: result.refreshToken });
+});
+
+// @desc    Sign out the current session
+// @route   POST /api/users/logout
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+  await revokeSession(req.authSession._id, req.user._id, 'logout');
+  res.json({ message: 'Signed out' });
+});
+
+// @desc    List active sessions for the current user
+// @route   GET /api/users/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user._id);
+  const currentId = String(req.authSession._id);
+  res.json(sessions.map(s => ({
+    _id: s._id,
+    device: s.device,
+    userAgent: s.userAgent,
+    ipAddress: s.ipAddress,
+    lastSeenAt: s.lastSeenAt,
+    createdAt: s.createdAt,
+    expiresAt: s.expiresAt,
+    current: String(s._id) === currentId
+  })));
+});
+
+// @desc    Sign out one session (e.g. a lost device)
+// @route   DELETE /api/users/sessions/:sessionId
+// @access  Private
+const revokeSessionById = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+  const revoked = await revokeSession(req.params.sessionId, req.user._id, 'revoked');
+  if (!revoked) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+  res.json({ message: 'Session revoked' });
+});
+
+// @desc    Sign out every other session (pass ?includeCurrent=true to sign out this one too)
+// @route   DELETE /api/users/sessions
+// @access  Private
+const revokeAllUserSessions = asyncHandler(async (req, res) => {
+  const includeCurrent = req.query.includeCurrent === 'true';
+  const revoked = await revokeAllSessions(req.user._id, {
+    exceptSessionId: includeCurrent ? undefined : req.authSession._id
+  });
+  res.json({ message: 'Sessions revoked', revoked });
+});
+
+module.exports = {
+  refreshAccessToken,
+  logout,
+  getSessions,
+  revokeSessionById,
+  revokeAllUserSessions
+};
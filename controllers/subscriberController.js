@@ -3,13 +3,22 @@ const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const OpenEvent = require('../models/OpenEvent');
 const ClickEvent = require('../models/ClickEvent');
+const { humanActivityFilter } = require('../utils/engagementClassifier');
 const Subscriber = require('../models/Subscriber');
 const Group = require('../models/Group');
 const logger = require('../utils/logger');
+const { csvCell } = require('../utils/csv');
 const { campaignAutomationEngine } = require('../services/campaignAutomation');
 const behavioralTriggerService = require('../services/behavioralTriggerService');
 const Automation = require('../models/Automation');
+const AutomationRun = require('../models/AutomationRun');
+const AutomationStep = require('../models/AutomationStep');
 const { executeAutomation } = require('../services/automationExecutor');
+const { getBouncePolicy, softBounceStreak } = require('../services/bounceComplaintService');
+const usageService = require('../services/usageService');
+const { confirmationFields, sendConfirmationEmail } = require('../services/doubleOptInService');
+const suppressionService = require('../services/suppressionService');
+const { workspaceFilter, workspaceFields, workspaceOf } = require('../utils/workspace');
 // tag cleanup removed
 
 // @desc    Get subscriber activity history (unified opens, clicks, status entries) with pagination
@@ -97,12 +106,85 @@ const getSubscriberActivity = asyncHandler(async (req, res) => {
 
     res.json({ activities: paged, pagination: { page, limit, total, totalPages }, campaignCount });
 });
+// @desc    Get automation runs and their steps for a subscriber
+// @route   GET /api/subscribers/:id/automation-history?limit=20
+// @access  Private
+const getSubscriberAutomationHistory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400);
+        throw new Error('Invalid subscriber ID');
+    }
+
+    const subscriber = await Subscriber.findOne({ _id: id, ...workspaceFilter(req.user) }).select('email status');
+    if (!subscriber) {
+        res.status(404);
+        throw new Error('Subscriber not found');
+    }
+
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+    const runs = await AutomationRun.find({ subscriber: subscriber._id })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate('automation', 'name isActive status')
+        .lean();
+
+    const steps = runs.length
+        ? await AutomationStep.find({ run: { $in: runs.map(r => r._id) } })
+            .sort({ startedAt: 1, createdAt: 1 })
+            .populate('template', 'name subject')
+            .lean()
+        : [];
+
+    // Group steps under their run so the UI can render a per-flow timeline
+    const stepsByRun = new Map();
+    steps.forEach(step => {
+        const key = String(step.run);
+        if (!stepsByRun.has(key)) stepsByRun.set(key, []);
+        stepsByRun.get(key).push(step);
+    });
+
+    res.json({
+        subscriber: { _id: subscriber._id, email: subscriber.email, status: subscriber.status },
+        runs: runs.map(run => ({ ...run, steps: stepsByRun.get(String(run._id)) || [] }))
+    });
+});
+
+// @desc    Get bounce history for a subscriber and where they stand against the bounce policy
+// @route   GET /api/subscribers/:id/bounces
+// @access  Private
+const getSubscriberBounces = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400);
+        throw new Error('Invalid subscriber ID');
+    }
+
+    const subscriber = await Subscriber.findOne({ _id: id, ...workspaceFilter(req.user) })
+        .select('email status user bounceHistory lastDeliveredAt lastOpenAt lastClickAt')
+        .populate('bounceHistory.campaign', 'name')
+        .lean();
+    if (!subscriber) {
+        res.status(404);
+        throw new Error('Subscriber not found');
+    }
+
+    const policy = await getBouncePolicy(subscriber.user);
+    res.json({
+        subscriber: { _id: subscriber._id, email: subscriber.email, status: subscriber.status },
+        policy,
+        softBounceStreak: softBounceStreak(subscriber, policy),
+        lastDeliveredAt: subscriber.lastDeliveredAt || null,
+        bounces: (subscriber.bounceHistory || []).slice().reverse()
+    });
+});
+
 // @desc    Segment subscribers by groups, status, signup date (tags removed)
 // @route   POST /api/subscribers/segment
 // @access  Private
 const segmentSubscribers = asyncHandler(async (req, res) => {
     const { groupIds = [], status, signupFrom, signupTo, search, page = 1, limit = 20 } = req.body;
-    const query = { user: req.user.id };
+    const query = workspaceFilter(req.user);
     // tags removed from segmentation
     if (Array.isArray(groupIds) && groupIds.length > 0) {
         query.groups = { $in: groupIds };
@@ -167,7 +249,7 @@ const getSubscribers = asyncHandler(async (req, res) => {
     logger.debug('User ID:', req.user.id);
 
     // Build query for user's subscribers
-    const query = { user: req.user.id, isDeleted: false };
+    const query = { ...workspaceFilter(req.user), isDeleted: false };
 
     if (groupId && mongoose.Types.ObjectId.isValid(groupId)) {
         query.groups = groupId;
@@ -239,13 +321,13 @@ const getSubscribersByGroup = asyncHandler(async (req, res) => {
     }
 
     // Verify group ownership
-    const group = await Group.findOne({ _id: groupId, user: req.user.id });
+    const group = await Group.findOne({ _id: groupId, ...workspaceFilter(req.user) });
     if (!group) {
         res.status(404);
         throw new Error('Group not found');
     }
 
-    const query = { groups: groupId, user: req.user.id, isDeleted: false };
+    const query = { groups: groupId, ...workspaceFilter(req.user), isDeleted: false };
 
     // Default to excluding unsubscribed users unless status filter is explicitly provided
     if (status) {
@@ -301,7 +383,7 @@ const getSubscriber = asyncHandler(async (req, res) => {
         throw new Error('Invalid subscriber ID');
     }
 
-    const subscriber = await Subscriber.findOne({ _id: id, user: req.user.id })
+    const subscriber = await Subscriber.findOne({ _id: id, ...workspaceFilter(req.user) })
         .populate('groups', 'name description');
 
     if (!subscriber) {
@@ -319,16 +401,16 @@ const getSubscriber = asyncHandler(async (req, res) => {
 
         // We will compute event rates (events per day) for the current and previous period
         const [opensCurrentCount, opensPrevCount, clicksCurrentCount, clicksPrevCount, openCampaigns, clickCampaigns] = await Promise.all([
-            OpenEvent.countDocuments({ subscriber: id, timestamp: { $gte: periodStart, $lte: now } }),
-            OpenEvent.countDocuments({ subscriber: id, timestamp: { $gte: prevPeriodStart, $lt: periodStart } }),
-            ClickEvent.countDocuments({ subscriber: id, timestamp: { $gte: periodStart, $lte: now } }),
-            ClickEvent.countDocuments({ subscriber: id, timestamp: { $gte: prevPeriodStart, $lt: periodStart } }),
+            OpenEvent.countDocuments({ subscriber: id, timestamp: { $gte: periodStart, $lte: now }, ...humanActivityFilter() }),
+            OpenEvent.countDocuments({ subscriber: id, timestamp: { $gte: prevPeriodStart, $lt: periodStart }, ...humanActivityFilter() }),
+            ClickEvent.countDocuments({ subscriber: id, timestamp: { $gte: periodStart, $lte: now }, ...humanActivityFilter() }),
+            ClickEvent.countDocuments({ subscriber: id, timestamp: { $gte: prevPeriodStart, $lt: periodStart }, ...humanActivityFilter() }),
             OpenEvent.aggregate([
-                { $match: { subscriber: mongoose.Types.ObjectId(id), campaign: { $exists: true, $ne: null } } },
+                { $match: { subscriber: mongoose.Types.ObjectId(id), campaign: { $exists: true, $ne: null }, ...humanActivityFilter() } },
                 { $group: { _id: '$campaign' } }
             ]),
             ClickEvent.aggregate([
-                { $match: { subscriber: mongoose.Types.ObjectId(id), campaign: { $exists: true, $ne: null } } },
+                { $match: { subscriber: mongoose.Types.ObjectId(id), campaign: { $exists: true, $ne: null }, ...humanActivityFilter() } },
                 { $group: { _id: '$campaign' } }
             ])
         ]);
@@ -389,10 +471,10 @@ const createSubscriber = asyncHandler(async (req, res) => {
         validGroupIds = [groupId];
     }
 
-    // Check if subscriber already exists for this user
+    // Check if subscriber already exists in this workspace
     const existingSubscriber = await Subscriber.findOne({
         email: email.toLowerCase(),
-        user: req.user.id,
+        ...workspaceFilter(req.user),
         isDeleted: false
     });
 
@@ -406,22 +488,14 @@ const createSubscriber = asyncHandler(async (req, res) => {
     if (validGroupIds.length > 0) {
         const groups = await Group.find({
             _id: { $in: validGroupIds },
-            user: req.user.id
+            ...workspaceFilter(req.user)
         });
         finalGroupIds = groups.map(group => group._id);
         // Deduplicate group IDs
         finalGroupIds = [...new Set(finalGroupIds.map(id => id.toString()))];
     }
 
-    let initialStatus = status || 'subscribed';
-    let confirmationToken;
-    let confirmationExpiresAt;
-    if (doubleOptIn) {
-        initialStatus = 'pending';
-        confirmationToken = require('crypto').randomBytes(24).toString('hex');
-        const ttlHours = parseInt(process.env.DOUBLE_OPT_IN_TOKEN_TTL_HOURS || '48', 10);
-        confirmationExpiresAt = new Date(Date.now() + ttlHours * 3600 * 1000);
-    }
+    const initialStatus = doubleOptIn ? 'pending' : (status || 'subscribed');
     // Normalize customFields: frontend uses an array of {name, value}
     let normalizedCustomFields = {};
     if (Array.isArray(customFields)) {
@@ -438,8 +512,14 @@ const createSubscriber = asyncHandler(async (req, res) => {
         });
     }
 
+    const usage = await usageService.consumeForUser(req.user, 'subscribers');
+    if (!usage.allowed) {
+        res.status(429);
+        throw usageService.limitError(usage);
+    }
+
     const subscriber = await Subscriber.create({
-        user: req.user.id,
+        ...workspaceFields(req.user),
         groups: finalGroupIds,
         email: email.toLowerCase(),
         name: `${firstName || ''} ${lastName || ''}`.trim(),
@@ -447,9 +527,7 @@ const createSubscriber = asyncHandler(async (req, res) => {
         // tags removed
         customFields: normalizedCustomFields,
         source: 'manual',
-        confirmationToken,
-        confirmationSentAt: doubleOptIn ? new Date() : undefined,
-        confirmationExpiresAt
+        ...(doubleOptIn ? confirmationFields() : {})
     });
 
     // Add subscriber to groups
@@ -470,13 +548,7 @@ const createSubscriber = asyncHandler(async (req, res) => {
 
     if (doubleOptIn) {
         try {
-            const emailService = require('../services/emailService');
-            const confirmUrl = `${process.env.FRONTEND_URL || ''}/confirm?token=${confirmationToken}`;
-            await emailService.sendEmail({
-                to: subscriber.email,
-                subject: 'Confirm your subscription',
-                html: `<p>Please confirm your subscription by clicking <a href="${confirmUrl}">here</a>.</p>`
-            });
+            await sendConfirmationEmail(subscriber);
         } catch (e) {
             console.error('Failed to send confirmation email', e.message);
         }
@@ -485,7 +557,7 @@ const createSubscriber = asyncHandler(async (req, res) => {
         // Diagnostic (synchronous): determine whether subscriber_added would trigger automations/templates
         try {
             const Automation = require('../models/Automation');
-            const allAutomationsForUser = await Automation.find({ user: populatedSubscriber.user, isActive: true });
+            const allAutomationsForUser = await Automation.find({ ...workspaceOf(populatedSubscriber), isActive: true });
             let diagAutomationsMatched = 0;
             let diagEstimatedTemplateSends = 0;
             const diagList = [];
@@ -595,18 +667,25 @@ const confirmSubscriber = asyncHandler(async (req, res) => {
     if (subscriber.confirmationExpiresAt && subscriber.confirmationExpiresAt < new Date()) {
         res.status(400); throw new Error('Confirmation token expired');
     }
+    // Someone who unsubscribed earlier and signed up again (e.g. through a form) is opting back in
+    const resubscribed = !!subscriber.unsubscribedAt;
     subscriber.status = 'subscribed';
     subscriber.confirmedAt = new Date();
     subscriber.confirmationToken = undefined;
     subscriber.confirmationExpiresAt = undefined;
+    subscriber.unsubscribedAt = undefined;
     await subscriber.save();
+    if (resubscribed) {
+        await suppressionService.remove({ email: subscriber.email, type: 'unsubscribe', organization: subscriber.organization });
+    }
     try {
         const ConsentRecord = require('../models/ConsentRecord');
         await ConsentRecord.create({
             subscriber: subscriber._id,
             email: subscriber.email,
             user: subscriber.user,
-            type: 'signup',
+            organization: subscriber.organization,
+            type: resubscribed ? 'resubscribe' : 'signup',
             method: 'double-opt-in',
             ip: req.ip,
             userAgent: req.headers['user-agent']
@@ -623,22 +702,13 @@ const confirmSubscriber = asyncHandler(async (req, res) => {
 const resendConfirmation = asyncHandler(async (req, res) => {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) { res.status(400); throw new Error('Invalid subscriber ID'); }
-    const subscriber = await Subscriber.findOne({ _id: id, user: req.user.id });
+    const subscriber = await Subscriber.findOne({ _id: id, ...workspaceFilter(req.user) });
     if (!subscriber) { res.status(404); throw new Error('Subscriber not found'); }
     if (subscriber.status !== 'pending') { res.status(400); throw new Error('Subscriber is not pending confirmation'); }
-    subscriber.confirmationToken = require('crypto').randomBytes(24).toString('hex');
-    subscriber.confirmationSentAt = new Date();
-    const ttlHours = parseInt(process.env.DOUBLE_OPT_IN_TOKEN_TTL_HOURS || '48', 10);
-    subscriber.confirmationExpiresAt = new Date(Date.now() + ttlHours * 3600 * 1000);
+    Object.assign(subscriber, confirmationFields());
     await subscriber.save();
     try {
-        const emailService = require('../services/emailService');
-        const confirmUrl = `${process.env.FRONTEND_URL || ''}/confirm?token=${subscriber.confirmationToken}`;
-        await emailService.sendEmail({
-            to: subscriber.email,
-            subject: 'Confirm your subscription',
-            html: `<p>Please confirm your subscription by clicking <a href="${confirmUrl}">here</a>.</p>`
-        });
+        await sendConfirmationEmail(subscriber);
     } catch(e) {
         console.error('Failed to resend confirmation email', e.message);
     }
@@ -663,7 +733,7 @@ const updateSubscriber = asyncHandler(async (req, res) => {
         throw new Error('Invalid subscriber ID');
     }
 
-    const subscriber = await Subscriber.findOne({ _id: id, user: req.user.id });
+    const subscriber = await Subscriber.findOne({ _id: id, ...workspaceFilter(req.user) });
     if (!subscriber) {
         res.status(404);
         throw new Error('Subscriber not found');
@@ -673,7 +743,7 @@ const updateSubscriber = asyncHandler(async (req, res) => {
     if (email && email.toLowerCase() !== subscriber.email) {
         const existingSubscriber = await Subscriber.findOne({
             email: email.toLowerCase(),
-            user: req.user.id,
+            ...workspaceFilter(req.user),
             _id: { $ne: id },
             isDeleted: false
         });
@@ -729,7 +799,7 @@ const updateSubscriber = asyncHandler(async (req, res) => {
         if (groupIds.length > 0) {
             const groups = await Group.find({
                 _id: { $in: groupIds },
-                user: req.user.id
+                ...workspaceFilter(req.user)
             });
             validGroupIds = groups.map(group => group._id.toString());
         }
@@ -781,7 +851,7 @@ const deleteSubscriber = asyncHandler(async (req, res) => {
         throw new Error('Invalid subscriber ID');
     }
 
-    const subscriber = await Subscriber.findOne({ _id: id, user: req.user.id });
+    const subscriber = await Subscriber.findOne({ _id: id, ...workspaceFilter(req.user) });
     if (!subscriber) {
         res.status(404);
         throw new Error('Subscriber not found');
@@ -803,6 +873,7 @@ const deleteSubscriber = asyncHandler(async (req, res) => {
     // tag cleanup removed
 
     await subscriber.deleteOne();
+    if (!subscriber.isDeleted) await usageService.releaseForUser(req.user, 'subscribers');
 
     res.json({ message: 'Subscriber deleted successfully' });
 });
@@ -824,18 +895,26 @@ const bulkImportSubscribers = asyncHandler(async (req, res) => {
     // Get existing emails to check for duplicates
     const existingEmails = new Map(
         (await Subscriber.find({ 
-            user: req.user.id,
+            ...workspaceFilter(req.user),
             email: { $in: subscribers.map(s => s.email.toLowerCase()) },
             isDeleted: false
     }).select('email')).map(s => [s.email, s])
     );
 
+    // Reserve plan usage for the new addresses up front; the import is refused if they don't fit
+    const newEmails = new Set(subscribers.map(s => s.email.toLowerCase()).filter(email => !existingEmails.has(email)));
+    const usage = await usageService.consumeForUser(req.user, 'subscribers', newEmails.size);
+    if (!usage.allowed) {
+        res.status(429);
+        throw usageService.limitError(usage);
+    }
+
     // Validate group IDs if provided
     let validGroupIds = [];
     if (groupIds.length > 0) {
         const groups = await Group.find({
             _id: { $in: groupIds },
-            user: req.user.id
+            ...workspaceFilter(req.user)
         });
         validGroupIds = groups.map(group => group._id);
     }
@@ -853,14 +932,14 @@ const bulkImportSubscribers = asyncHandler(async (req, res) => {
     const groupNameToId = new Map();
     if (allGroupNames.size > 0) {
         const existingGroupsByName = await Group.find({
-            user: req.user.id,
+            ...workspaceFilter(req.user),
             name: { $in: Array.from(allGroupNames) }
         });
         existingGroupsByName.forEach(g => groupNameToId.set(g.name, g._id));
         const missingGroupNames = Array.from(allGroupNames).filter(n => !groupNameToId.has(n));
         if (missingGroupNames.length > 0) {
             const newGroups = await Group.insertMany(
-                missingGroupNames.map(name => ({ user: req.user.id, name }))
+                missingGroupNames.map(name => ({ ...workspaceFields(req.user), name }))
             );
             newGroups.forEach(g => groupNameToId.set(g.name, g._id));
         }
@@ -898,7 +977,6 @@ const bulkImportSubscribers = asyncHandler(async (req, res) => {
                 combinedGroupIds.forEach(id => groupsToUpdate.add(id.toString()));
 
                 const subscriberData = {
-                    user: req.user.id,
                     email,
                     name: `${subscriber.firstName || ''} ${subscriber.lastName || ''}`.trim(),
                     status: subscriber.status || 'subscribed',
@@ -911,7 +989,7 @@ const bulkImportSubscribers = asyncHandler(async (req, res) => {
                 if (existingSubscriber) {
                     return {
                         updateOne: {
-                            filter: { user: req.user.id, email: email },
+                            filter: { _id: existingSubscriber._id },
                             update: { $set: subscriberData },
                             upsert: false
                         }
@@ -920,7 +998,8 @@ const bulkImportSubscribers = asyncHandler(async (req, res) => {
 
                 return {
                     insertOne: {
-                        document: subscriberData
+                        // bulkWrite skips middleware, so the workspace is set here
+                        document: { ...workspaceFields(req.user), ...subscriberData }
                     }
                 };
             } catch (error) {
@@ -940,12 +1019,17 @@ const bulkImportSubscribers = asyncHandler(async (req, res) => {
         }
     }
 
+    // Give back reservations for rows that failed to insert
+    if (newEmails.size > results.imported) {
+        await usageService.releaseForUser(req.user, 'subscribers', newEmails.size - results.imported);
+    }
+
     // Update groups with new subscribers (both global and per-row)
     try {
         const allGroupIdsToUpdate = Array.from(groupsToUpdate).map(id => new mongoose.Types.ObjectId(id));
         if (allGroupIdsToUpdate.length > 0) {
             const emails = subscribers.map(s => s.email.toLowerCase());
-            const importedSubs = await Subscriber.find({ user: req.user.id, email: { $in: emails } }).select('_id');
+            const importedSubs = await Subscriber.find({ ...workspaceFilter(req.user), email: { $in: emails } }).select('_id');
             const ids = importedSubs.map(s => s._id);
             if (ids.length > 0) {
                 await Group.updateMany(
@@ -971,8 +1055,8 @@ const bulkImportSubscribers = asyncHandler(async (req, res) => {
 // @route   GET /api/subscribers/stats
 // @access  Private
 const getSubscriberStats = asyncHandler(async (req, res) => {
-    const stats = await Subscriber.getStats(req.user.id);
-    const total = await Subscriber.countDocuments({ user: req.user.id, isDeleted: false });
+    const stats = await Subscriber.getStats(workspaceFilter(req.user));
+    const total = await Subscriber.countDocuments({ ...workspaceFilter(req.user), isDeleted: false });
 
     const formattedStats = {
         total,
@@ -1000,13 +1084,13 @@ const addSubscriberToGroup = asyncHandler(async (req, res) => {
         throw new Error('Invalid ID format');
     }
 
-    const subscriber = await Subscriber.findOne({ _id: id, user: req.user.id });
+    const subscriber = await Subscriber.findOne({ _id: id, ...workspaceFilter(req.user) });
     if (!subscriber) {
         res.status(404);
         throw new Error('Subscriber not found');
     }
 
-    const group = await Group.findOne({ _id: groupId, user: req.user.id });
+    const group = await Group.findOne({ _id: groupId, ...workspaceFilter(req.user) });
     if (!group) {
         res.status(404);
         throw new Error('Group not found');
@@ -1014,11 +1098,11 @@ const addSubscriberToGroup = asyncHandler(async (req, res) => {
 
     // Use idempotent updates to avoid duplicates
     await Subscriber.updateOne(
-        { _id: id, user: req.user.id },
+        { _id: id, ...workspaceFilter(req.user) },
         { $addToSet: { groups: groupId } }
     );
     await Group.updateOne(
-        { _id: groupId, user: req.user.id },
+        { _id: groupId, ...workspaceFilter(req.user) },
         { $addToSet: { subscribers: id } }
     );
     // Update subscriberCount
@@ -1038,25 +1122,25 @@ const removeSubscriberFromGroup = asyncHandler(async (req, res) => {
         throw new Error('Invalid ID format');
     }
 
-    const subscriber = await Subscriber.findOne({ _id: id, user: req.user.id });
+    const subscriber = await Subscriber.findOne({ _id: id, ...workspaceFilter(req.user) });
     if (!subscriber) {
         res.status(404);
         throw new Error('Subscriber not found');
     }
     // Validate group ownership
-    const group = await Group.findOne({ _id: groupId, user: req.user.id });
+    const group = await Group.findOne({ _id: groupId, ...workspaceFilter(req.user) });
     if (!group) {
         res.status(404);
         throw new Error('Group not found');
     }
 
     await Subscriber.updateOne(
-        { _id: id, user: req.user.id },
+        { _id: id, ...workspaceFilter(req.user) },
         { $pull: { groups: groupId } }
     );
 
     await Group.updateOne(
-        { _id: groupId, user: req.user.id },
+        { _id: groupId, ...workspaceFilter(req.user) },
         { $pull: { subscribers: id } }
     );
     await group.updateSubscriberCount();
@@ -1081,10 +1165,10 @@ const bulkDeleteSubscribers = asyncHandler(async (req, res) => {
         throw new Error('No valid subscriber IDs provided');
     }
 
-    // Find all subscribers that belong to the user
+    // Find all subscribers that are in the user's workspace
     const subscribers = await Subscriber.find({
         _id: { $in: validIds },
-        user: req.user.id
+        ...workspaceFilter(req.user)
     });
 
     if (subscribers.length === 0) {
@@ -1113,6 +1197,7 @@ const bulkDeleteSubscribers = asyncHandler(async (req, res) => {
     await Subscriber.deleteMany({
         _id: { $in: subscribers.map(s => s._id) }
     });
+    await usageService.releaseForUser(req.user, 'subscribers', subscribers.filter(s => !s.isDeleted).length);
 
     // Update subscriberCount for affected groups
     for (const gId of affectedGroupIds) {
@@ -1140,6 +1225,8 @@ module.exports = {
     segmentSubscribers,
     bulkDeleteSubscribers,
     getSubscriberActivity,
+    getSubscriberAutomationHistory,
+    getSubscriberBounces,
     confirmSubscriber,
     resendConfirmation,
     // Added below after export
@@ -1158,7 +1245,7 @@ const bulkUpdateSubscriberStatus = asyncHandler(async (req, res) => {
     const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
     if (validIds.length === 0) { res.status(400); throw new Error('No valid IDs'); }
     const result = await Subscriber.updateMany(
-        { _id: { $in: validIds }, user: req.user.id },
+        { _id: { $in: validIds }, ...workspaceFilter(req.user) },
         { $set: { status } }
     );
     res.json({ message: 'Status updated', matched: result.matchedCount || result.n, modified: result.modifiedCount || result.nModified });
@@ -1172,7 +1259,7 @@ const exportSelectedSubscribers = asyncHandler(async (req, res) => {
     if (!Array.isArray(ids) || ids.length === 0) { res.status(400); throw new Error('ids array required'); }
     const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
     if (validIds.length === 0) { res.status(400); throw new Error('No valid IDs'); }
-    const subscribers = await Subscriber.find({ _id: { $in: validIds }, user: req.user.id })
+    const subscribers = await Subscriber.find({ _id: { $in: validIds }, ...workspaceFilter(req.user) })
         .populate('groups', 'name')
         .lean();
     const rows = subscribers.map(s => ({
@@ -1183,7 +1270,7 @@ const exportSelectedSubscribers = asyncHandler(async (req, res) => {
         updatedAt: s.updatedAt ? s.updatedAt.toISOString() : ''
     }));
     const header = 'email,status,groups,createdAt,updatedAt';
-    const csv = [header, ...rows.map(r => `${escapeCsv(r.email)},${escapeCsv(r.status)},${escapeCsv(r.groups)},${escapeCsv(r.createdAt)},${escapeCsv(r.updatedAt)}`)].join('\n');
+    const csv = [header, ...rows.map(r => `${csvCell(r.email)},${csvCell(r.status)},${csvCell(r.groups)},${csvCell(r.createdAt)},${csvCell(r.updatedAt)}`)].join('\n');
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', 'attachment; filename="subscribers_export.csv"');
     return res.status(200).send(csv);
@@ -1303,15 +1390,6 @@ const handleUnsubscribeLink = asyncHandler(async (req, res) => {
     `);
 });
 
-function escapeCsv(value) {
-    if (value == null) return '';
-    const str = String(value);
-    if (/[",\n]/.test(str)) {
-        return '"' + str.replace(/"/g, '""') + '"';
-    }
-    return str;
-}
-
 // Re-export with new handlers (keeping existing export behavior)
 module.exports.bulkUpdateSubscriberStatus = bulkUpdateSubscriberStatus;
 module.exports.exportSelectedSubscribers = exportSelectedSubscribers;
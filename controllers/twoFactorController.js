@@ -0,0 +1,160 @@
+// emailxp/backend/controllers/twoFactorController.js
+
+const asyncHandler = require('express-async-handler');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const { verifySecondFactor, isTwoFactorRequired } = require('../services/twoFactorService');
+
+// @desc    Get two-factor status for the current user
+// @route   GET /api/users/2fa
+// @access  Private
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+twoFactorBackupCodes');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  res.json({
+    twoFactorEnabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt || null,
+    recoveryCodesRemaining: (user.twoFactorBackupCodes || []).length,
+    requiredByOrganization: await isTwoFactorRequired(user)
+  });
+});
+
+// @desc    Start TOTP enrollment (returns secret and otpauth URI for the authenticator app)
+// @route   POST /api/users/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  if (user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = totp.generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    secret,
+    otpauthUrl: totp.buildOtpauthUrl({ secret, accountName: user.email })
+  });
+});
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/users/2fa/enable
+// @access  Private
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  if (user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactorPendingSecret) {
+    res.status(400);
+    throw new Error('Start two-factor setup first');
+  }
+
+  const step = totp.verifyCode(user.twoFactorPendingSecret, code);
+  if (step === null) {
+    res.status(400);
+    throw new Error('Invalid verification code');
+  }
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorLastUsedStep = step;
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    twoFactorEnabled: true,
+    recoveryCodes,
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.'
+  });
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/users/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  const user = await User.findById(req.user.id).select('+password +twoFactorSecret');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  if (!user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  if (await isTwoFactorRequired(user)) {
+    res.status(403);
+    throw new Error('Your organization requires two-factor authentication');
+  }
+  if (!password || !(await user.matchPassword(password))) {
+    res.status(401);
+    throw new Error('Invalid password');
+  }
+  const { ok } = await verifySecondFactor(user, { code, recoveryCode });
+  if (!ok) {
+    res.status(401);
+    throw new Error('Invalid verification code');
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorBackupCodes = [];
+  user.twoFactorLastUsedStep = undefined;
+  user.twoFactorEnabledAt = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({ twoFactorEnabled: false, message: 'Two-factor authentication disabled' });
+});
+
+// @desc    Replace all recovery codes (requires a current TOTP code)
+// @route   POST /api/users/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user.id).select('+twoFactorSecret');
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+  if (!user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  const { ok } = await verifySecondFactor(user, { code });
+  if (!ok) {
+    res.status(401);
+    throw new Error('Invalid verification code');
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({ recoveryCodes });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
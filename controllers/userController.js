@@ -6,9 +6,12 @@ const User = require('../models/User');
 const Organization = require('../models/Organization');
 const generateToken = require('../utils/generateToken');
 const { sendEmail } = require('../utils/resendEmailService');
+const emailService = require('../utils/emailService');
 const crypto = require('crypto'); // Ensure crypto is imported
 const { uploadProfilePicture, deleteProfilePicture, getPublicIdFromUrl } = require('../utils/fileUpload');
 const { normalizeWebsite } = require('../utils/website');
+const { createChallengeToken, verifyChallengeToken, verifySecondFactor, isTwoFactorRequired } = require('../services/twoFactorService');
+const { startSession, revokeAllSessions } = require('../services/sessionService');
 
 // @desc    Register new user
 // @route   POST /api/users/register
@@ -108,6 +111,7 @@ const registerUser = asyncHandler(async (req, res) => {
   }
 
   if (user) {
+    const { accessToken, refreshToken } = await startSession(user, req);
     res.status(201).json({
       _id: user._id,
       companyOrOrganization: user.companyOrOrganization,
@@ -130,7 +134,8 @@ const registerUser = asyncHandler(async (req, res) => {
       city: user.city,
       country: user.country,
       hasVerifiedDomain: user.hasVerifiedDomain,
-      token: generateToken(user._id),
+      token: accessToken,
+      refreshToken,
       message: 'Registration successful! Please verify your email from the dashboard.',
     });
   } else {
@@ -139,6 +144,59 @@ const registerUser = asyncHandler(async (req, res) => {
   }
 });
 
+// Finish a successful login (after the password and, if enabled, the second factor)
+async function completeLogin(req, res, user) {
+  // Check if profile should be marked as complete
+  if (user.companyOrOrganization && user.name && user.email && !user.isProfileComplete) {
+    user.isProfileComplete = true;
+  }
+  // Update last login & auto-activate if appropriate
+  user.lastLogin = new Date();
+  if (user.isVerified && user.status === 'pending') {
+    user.status = 'active';
+  }
+  await user.save();
+  const { accessToken, refreshToken } = await startSession(user, req);
+
+  // Audit log: successful login
+  try {
+    const ip = req.ip || (req.headers && (req.headers['x-forwarded-for'] || req.connection?.remoteAddress)) || 'unknown';
+    const ua = req.headers && req.headers['user-agent'] ? req.headers['user-agent'] : 'unknown';
+    console.log(`[AUTH] Successful login: user=${user._id} email=${user.email} ip=${ip} ua="${String(ua).slice(0,200)}" time=${new Date().toISOString()}`);
+  } catch (e) {
+    // ignore logging failures
+  }
+
+  res.json({
+    _id: user._id,
+    companyOrOrganization: user.companyOrOrganization,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    organization: user.organization ? {
+      _id: user.organization._id,
+      name: user.organization.name,
+      slug: user.organization.slug,
+      plan: user.organization.subscription?.plan || 'free'
+    } : null,
+    isVerified: user.isVerified, // Include verification status
+    isProfileComplete: user.isProfileComplete, // Include profile completion status
+    profilePicture: user.profilePicture,
+    website: user.website,
+    industry: user.industry,
+    bio: user.bio,
+    address: user.address,
+    city: user.city,
+    country: user.country,
+    hasVerifiedDomain: user.hasVerifiedDomain,
+    twoFactorEnabled: user.twoFactorEnabled,
+    // Org policy requires 2FA but the user hasn't enrolled; protected routes will refuse until they do
+    twoFactorEnrollmentRequired: !user.twoFactorEnabled && await isTwoFactorRequired(user),
+    token: accessToken,
+    refreshToken,
+  });
+}
+
 // @desc    Authenticate a user
 // @route   POST /api/users/login
 // @access  Public
@@ -151,14 +209,14 @@ const loginUser = asyncHandler(async (req, res) => {
   // Primary lookup using normalized email
   let user = await User.findOne({ email: normalizedEmail })
     .select('+password')
-    .populate('organization', 'name slug subscription.plan');
+    .populate('organization', 'name slug subscription.plan settings.requireTwoFactor');
 
   // Fallback case-insensitive exact match if not found (handles legacy mixed-case stored emails)
   if(!user && rawEmail && rawEmail !== normalizedEmail){
     const escaped = rawEmail.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     user = await User.findOne({ email: { $regex: `^${escaped}$`, $options: 'i' } })
       .select('+password')
-      .populate('organization', 'name slug subscription.plan');
+      .populate('organization', 'name slug subscription.plan settings.requireTwoFactor');
   }
   if(AUTH_DEBUG){
     console.warn(`[AUTH_DEBUG] Login attempt raw='${rawEmail}' norm='${normalizedEmail}' found=${!!user}`);
@@ -173,50 +231,15 @@ const loginUser = asyncHandler(async (req, res) => {
   }
 
   if (user && passwordOk) {
-    // Check if profile should be marked as complete
-    if (user.companyOrOrganization && user.name && user.email && !user.isProfileComplete) {
-      user.isProfileComplete = true;
-    }
-    // Update last login & auto-activate if appropriate
-    user.lastLogin = new Date();
-    if (user.isVerified && user.status === 'pending') {
-      user.status = 'active';
-    }
-    await user.save();
-
-    // Audit log: successful login
-    try {
-      const ip = req.ip || (req.headers && (req.headers['x-forwarded-for'] || req.connection?.remoteAddress)) || 'unknown';
-      const ua = req.headers && req.headers['user-agent'] ? req.headers['user-agent'] : 'unknown';
-      console.log(`[AUTH] Successful login: user=${user._id} email=${user.email} ip=${ip} ua="${String(ua).slice(0,200)}" time=${new Date().toISOString()}`);
-    } catch (e) {
-      // ignore logging failures
+    // Second step: password is right, but the session is only issued after /login/2fa
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user._id),
+      });
     }
 
-    res.json({
-      _id: user._id,
-      companyOrOrganization: user.companyOrOrganization,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      organization: user.organization ? {
-        _id: user.organization._id,
-        name: user.organization.name,
-        slug: user.organization.slug,
-        plan: user.organization.subscription?.plan || 'free'
-      } : null,
-      isVerified: user.isVerified, // Include verification status
-      isProfileComplete: user.isProfileComplete, // Include profile completion status
-      profilePicture: user.profilePicture,
-      website: user.website,
-      industry: user.industry,
-      bio: user.bio,
-      address: user.address,
-      city: user.city,
-      country: user.country,
-      hasVerifiedDomain: user.hasVerifiedDomain,
-      token: generateToken(user._id),
-    });
+    return completeLogin(req, res, user);
   } else {
     // Log failed login attempts for audit (do not log passwords)
     try {
@@ -231,6 +254,39 @@ const loginUser = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/users/login/2fa
+// @access  Public (requires the challengeToken returned by /login)
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const userId = verifyChallengeToken(challengeToken);
+  if (!userId) {
+    res.status(401);
+    throw new Error('Login challenge expired. Please sign in again.');
+  }
+
+  const user = await User.findById(userId)
+    .select('+twoFactorSecret')
+    .populate('organization', 'name slug subscription.plan settings.requireTwoFactor');
+  if (!user || !user.twoFactorEnabled) {
+    res.status(401);
+    throw new Error('Login challenge expired. Please sign in again.');
+  }
+
+  const { ok, method } = await verifySecondFactor(user, { code, recoveryCode });
+  if (!ok) {
+    console.warn(`[AUTH] Failed 2FA attempt: user=${user._id} time=${new Date().toISOString()} requestId=${req.requestId || 'n/a'}`);
+    res.status(401);
+    throw new Error('Invalid verification code');
+  }
+  if (method === 'recovery_code') {
+    console.log(`[AUTH] Recovery code used: user=${user._id} time=${new Date().toISOString()}`);
+  }
+
+  return completeLogin(req, res, user);
+});
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -348,7 +404,7 @@ const updateUserProfile = asyncHandler(async (req, res) => {
       updatedAt: updatedUser.updatedAt,
       apiKeyPresent: !!updatedUser.apiKey,
       apiKeyLastUsed: updatedUser.apiKeyLastUsed,
-      token: generateToken(updatedUser._id),
+      token: generateToken(updatedUser._id, req.authSession._id),
     });
   } else {
     res.status(404);
@@ -502,6 +558,71 @@ const sendVerificationEmail = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Request a password reset email
+// @route   POST /api/users/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const normalizedEmail = (req.body.email || '').trim().toLowerCase();
+
+  // Same response whether or not the account exists, so the endpoint can't be used to probe emails
+  const genericResponse = { message: 'If an account exists for that email, a password reset link has been sent.' };
+
+  const user = await User.findOne({ email: normalizedEmail });
+  if (!user) {
+    return res.status(200).json(genericResponse);
+  }
+
+  // Issuing a new token replaces any previous one, so only the latest link works
+  const resetToken = user.getPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await emailService.sendPasswordResetEmail(user.email, resetToken);
+  } catch (emailError) {
+    console.error('Failed to send password reset email:', emailError);
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    await user.save({ validateBeforeSave: false });
+    res.status(500);
+    throw new Error('Failed to send password reset email. Please try again later.');
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+// @desc    Reset password using a token from the reset email
+// @route   POST /api/users/reset-password/:token
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const passwordResetToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  // Claim the token atomically so a link can only ever be used once
+  const user = await User.findOneAndUpdate(
+    { passwordResetToken, passwordResetExpires: { $gt: Date.now() } },
+    { $set: { passwordResetToken: null, passwordResetExpires: null } },
+    { new: true }
+  );
+
+  if (!user) {
+    res.status(400);
+    throw new Error('Invalid or expired password reset token');
+  }
+
+  user.password = password; // Hashed by the pre-save hook
+  user.passwordChangedAt = new Date();
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
+  await user.save();
+  await revokeAllSessions(user._id, { reason: 'password_reset' });
+
+  res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' });
+});
+
 // @desc    Delete a user and cascade-delete related lists/subscribers
 // @route   DELETE /api/users/:id
 // @access  Private (admin or user themselves)
@@ -539,15 +660,18 @@ const deleteUser = asyncHandler(async (req, res) => {
     throw new Error('User not found');
   }
 
+  // Organization workspace data outlives the member who created it; only unshared documents go
+  const personal = user.organization ? { user: userId, organization: null } : { user: userId };
+
   // Use a transaction to attempt an atomic cascade delete where possible
   const session = await mongoose.startSession();
   try {
     await session.withTransaction(async () => {
       // Find campaigns and subscribers owned by this user so we can cleanup logs referencing them
-      const campaigns = await Campaign.find({ user: userId }).select('_id').session(session);
+      const campaigns = await Campaign.find(personal).select('_id').session(session);
       const campaignIds = campaigns.map(c => c._id);
 
-      const subscribers = await Subscriber.find({ user: userId }).select('_id').session(session);
+      const subscribers = await Subscriber.find(personal).select('_id').session(session);
       const subscriberIds = subscribers.map(s => s._id);
 
       // Delete email logs for this user's campaigns or subscribers
@@ -561,18 +685,18 @@ const deleteUser = asyncHandler(async (req, res) => {
       }
 
       // Delete dependent resources owned by the user
-      await Template.deleteMany({ user: userId }).session(session);
+      await Template.deleteMany(personal).session(session);
       await File.deleteMany({ user: userId }).session(session);
-      await Campaign.deleteMany({ user: userId }).session(session);
-      await Segment.deleteMany({ user: userId }).session(session);
-      await Form.deleteMany({ createdBy: userId }).session(session);
+      await Campaign.deleteMany(personal).session(session);
+      await Segment.deleteMany(personal).session(session);
+      await Form.deleteMany(personal).session(session);
       await LandingPage.deleteMany({ user: userId }).session(session);
-      await Automation.deleteMany({ user: userId }).session(session);
+      await Automation.deleteMany(personal).session(session);
       await ABTest.deleteMany({ user: userId }).session(session);
 
       // Delete groups and subscribers
-      await Group.deleteMany({ user: userId }).session(session);
-      await Subscriber.deleteMany({ user: userId }).session(session);
+      await Group.deleteMany(personal).session(session);
+      await Subscriber.deleteMany(personal).session(session);
 
       // Finally delete the user
       await UserModel.deleteOne({ _id: userId }).session(session);
@@ -702,29 +826,36 @@ const confirmAccountDeletion = asyncHandler(async (req, res) => {
 
   try {
     await session.withTransaction(async () => {
+      // Organization workspace data outlives the member who created it, like in deleteUser; the
+      // last member takes the organization and its workspace with them
+      const lastMember = !!user.organization
+        && await User.countDocuments({ organization: user.organization }) === 1;
+      const owned = !user.organization
+        ? { user: user._id }
+        : lastMember
+          ? { $or: [{ user: user._id }, { organization: user.organization }] }
+          : { user: user._id, organization: null };
+
       // Delete dependent resources owned by the user
-      await mongoose.model('Template').deleteMany({ user: user._id }).session(session);
+      await mongoose.model('Template').deleteMany(owned).session(session);
       await mongoose.model('File').deleteMany({ user: user._id }).session(session);
-      await mongoose.model('Campaign').deleteMany({ user: user._id }).session(session);
-      await mongoose.model('Segment').deleteMany({ user: user._id }).session(session);
-      await mongoose.model('Form').deleteMany({ createdBy: user._id }).session(session);
+      await mongoose.model('Campaign').deleteMany(owned).session(session);
+      await mongoose.model('Segment').deleteMany(owned).session(session);
+      await mongoose.model('Form').deleteMany(owned).session(session);
       await mongoose.model('LandingPage').deleteMany({ user: user._id }).session(session);
-      await mongoose.model('Automation').deleteMany({ user: user._id }).session(session);
+      await mongoose.model('Automation').deleteMany(owned).session(session);
       await mongoose.model('ABTest').deleteMany({ user: user._id }).session(session);
 
       // Delete groups and subscribers
-      await mongoose.model('Group').deleteMany({ user: user._id }).session(session);
-      await mongoose.model('Subscriber').deleteMany({ user: user._id }).session(session);
+      await mongoose.model('Group').deleteMany(owned).session(session);
+      await mongoose.model('Subscriber').deleteMany(owned).session(session);
 
       // Delete domain authentications
       await mongoose.model('DomainAuthentication').deleteMany({ user: user._id }).session(session);
 
       // Delete organization if user is the only member
-      if (user.organization) {
-        const memberCount = await User.countDocuments({ organization: user.organization });
-        if (memberCount === 1) {
-          await mongoose.model('Organization').deleteOne({ _id: user.organization }).session(session);
-        }
+      if (lastMember) {
+        await mongoose.model('Organization').deleteOne({ _id: user.organization }).session(session);
       }
 
       // Finally delete the user
@@ -833,11 +964,14 @@ const updatePreferences = asyncHandler(async (req, res) => {
 module.exports = {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   getUserProfile,
   updateUserProfile,
   uploadProfilePictureHandler,
   verifyEmail,
   sendVerificationEmail,
+  forgotPassword,
+  resetPassword,
   deleteUser,
   initiateAccountDeletion,
   confirmAccountDeletion,
@@ -0,0 +1,72 @@
+// emailxp/backend/middleware/apiErrorMiddleware.js
+// Error envelope for the public API: { error: { code, message, details? }, requestId }
+
+const logger = require('../utils/logger');
+
+const STATUS_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  422: 'UNPROCESSABLE',
+  429: 'RATE_LIMITED'
+};
+
+const errorBody = (req, status, message, code, details) => ({
+  error: {
+    code: code || STATUS_CODES[status] || 'INTERNAL_ERROR',
+    message,
+    ...(details ? { details } : {})
+  },
+  requestId: req.requestId
+});
+
+// Shared middleware (apiKeyAuth, rbac, validate, rate limiters) answers errors with
+// { message } or { errors }; rewrite those so every v1 error has the same shape.
+const apiErrorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && !body.error) {
+      const details = Array.isArray(body.errors)
+        ? body.errors.map(e => ({ field: e.path || e.param, message: e.msg }))
+        : undefined;
+      body = errorBody(req, res.statusCode, body.message || 'Invalid request', undefined, details);
+    }
+    return json(body);
+  };
+  next();
+};
+
+// Router-level error handler (needs all four arguments); maps Mongoose errors to client errors
+const apiErrorHandler = (err, req, res, next) => {
+  let status = res.statusCode && res.statusCode !== 200 ? res.statusCode : 500;
+  let { message, code, details } = err;
+
+  if (err.name === 'ValidationError' && err.errors) {
+    status = 400;
+    details = Object.values(err.errors).map(e => ({ field: e.path, message: e.message }));
+    message = 'Validation failed';
+    code = undefined;
+  } else if (err.name === 'CastError') {
+    status = 400;
+    message = `Invalid value for ${err.path}`;
+    code = undefined;
+  } else if (err.code === 11000) {
+    status = 409;
+    message = 'A resource with these unique fields already exists';
+    code = undefined;
+  }
+  if (typeof code !== 'string') code = undefined;
+
+  if (status >= 500) {
+    logger && logger.error ? logger.error(err.stack) : console.error(err.stack);
+    if (process.env.NODE_ENV === 'production') message = 'Internal server error';
+  }
+  res.status(status).json(errorBody(req, status, message || 'An unknown error occurred', code, details));
+};
+
+module.exports = {
+  apiErrorEnvelope,
+  apiErrorHandler
+};
@@ -4,6 +4,65 @@ const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
 const { getDefaultPermissions } = require('./rbac');
+const { CHALLENGE_TOKEN_TYPE } = require('../services/twoFactorService');
+const { getOrganizationSettings, validateSession } = require('../services/sessionService');
+
+/**
+ * Resolve a JWT to its user and live server-side session. Every route that accepts a token goes
+ * through here, so 2FA challenges, tokens from before a password change and revoked or timed-out
+ * sessions are refused the same way everywhere.
+ * @param {string} token
+ * @param {Object} options - { type }: the token type expected (plain access tokens have none)
+ * @returns {Promise<Object>} { user, session, orgSettings } or { error }
+ */
+async function authenticateToken(token, { type } = {}) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return { error: 'Not authorized, token failed' };
+  }
+
+  // A 2FA login challenge only proves the password step; it is not a session
+  if (decoded.type === CHALLENGE_TOKEN_TYPE) {
+    return { error: 'Not authorized, two-factor verification incomplete' };
+  }
+  if (decoded.type !== type) {
+    return { error: 'Not authorized, wrong token type' };
+  }
+
+  // Get user from the token (excluding password)
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    return { error: 'Not authorized, user not found' };
+  }
+
+  // Tokens issued before a password reset are no longer valid
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { error: 'Not authorized, password was changed. Please log in again.' };
+  }
+
+  // Access tokens are bound to a server-side session that can be revoked or time out
+  const orgSettings = await getOrganizationSettings(user.organization);
+  const { session, error: sessionError } = await validateSession(decoded.sid, user._id, orgSettings);
+  if (sessionError) {
+    return {
+      error: sessionError === 'session_expired'
+        ? 'Session expired. Please log in again.'
+        : 'Not authorized, session is no longer valid'
+    };
+  }
+  return { user, session, orgSettings };
+}
+
+// Organization policy: users without a second factor may only reach enrollment and their profile
+const twoFactorEnrollmentRequired = (user, orgSettings) => !user.twoFactorEnabled && !!orgSettings?.requireTwoFactor;
+
+const twoFactorEnrollmentError = () => {
+  const err = new Error('Your organization requires two-factor authentication. Set it up to continue.');
+  err.code = 'TWO_FACTOR_ENROLLMENT_REQUIRED';
+  return err;
+};
 
 const protect = asyncHandler(async (req, res, next) => {
   let token;
@@ -17,16 +76,12 @@ const protect = asyncHandler(async (req, res, next) => {
     throw new Error('Not authorized, no token');
   }
 
-  // Verify token
-  const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-  // Get user from the token (excluding password)
-  const user = await User.findById(decoded.id).select('-password');
-
-  if (!user) {
+  const { user, session, orgSettings, error } = await authenticateToken(token);
+  if (error) {
     res.status(401);
-    throw new Error('Not authorized, user not found');
+    throw new Error(error);
   }
+  req.authSession = session;
 
   // Initialize permissions if they haven't been set
   if (!user.permissions || user.permissions.length === 0) {
@@ -46,7 +101,13 @@ const protect = asyncHandler(async (req, res, next) => {
     return next(new Error('Email not verified. Please verify your email to access this feature.'));
   }
 
+  const isTwoFactorRoute = req.originalUrl.startsWith('/api/users/2fa') || req.originalUrl.startsWith('/users/2fa');
+  if (!(isTwoFactorRoute || isProfileRoute) && twoFactorEnrollmentRequired(user, orgSettings)) {
+    res.status(403);
+    return next(twoFactorEnrollmentError());
+  }
+
   next();
 });
 
-module.exports = { protect };
\ No newline at end of file
+module.exports = { protect, authenticateToken, twoFactorEnrollmentRequired, twoFactorEnrollmentError };
\ No newline at end of file
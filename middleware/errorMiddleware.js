@@ -10,6 +10,7 @@ const errorHandler = (err, req, res, next) => {
     res.setHeader('Content-Type', 'application/json');
     res.json({
         message: err.message || 'An unknown error occurred',
+        code: err.code, // Machine-readable reason when set (e.g. TWO_FACTOR_ENROLLMENT_REQUIRED)
         stack: process.env.NODE_ENV === 'production' ? undefined : err.stack,
     });
 };
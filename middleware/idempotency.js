@@ -0,0 +1,88 @@
+// emailxp/backend/middleware/idempotency.js
+// Idempotency-Key support for POST requests: the first request runs, retries with the
+// same key replay its stored response instead of repeating the write.
+
+const crypto = require('crypto');
+const asyncHandler = require('express-async-handler');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+const MAX_KEY_LENGTH = 255;
+
+const requestPath = (req) => req.originalUrl.split('?')[0];
+
+const requestHash = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${requestPath(req)}\n${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+const idempotency = asyncHandler(async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (req.method !== 'POST' || !key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    res.status(400);
+    throw new Error(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+  }
+
+  const scope = req.apiKey ? `key:${req.apiKey._id}` : `user:${req.user._id}`;
+  const hash = requestHash(req);
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      scope,
+      key,
+      requestHash: hash,
+      method: req.method,
+      path: requestPath(req),
+      expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const existing = await IdempotencyKey.findOne({ scope, key });
+    if (existing && existing.requestHash !== hash) {
+      res.status(422);
+      const error = new Error('This Idempotency-Key was already used with a different request');
+      error.code = 'IDEMPOTENCY_KEY_REUSED';
+      throw error;
+    }
+    if (!existing || existing.status !== 'completed') {
+      res.status(409);
+      const error = new Error('A request with this Idempotency-Key is still in progress');
+      error.code = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+      throw error;
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Store the outcome. Server errors are not stored so the client can retry with the same key.
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (!settled) {
+      settled = true;
+      const write = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body } }
+        );
+      write.catch(err => console.error('[IDEMPOTENCY] Failed to store response:', err.message));
+    }
+    return json(body);
+  };
+  // Connection dropped before a response: release the key
+  res.on('close', () => {
+    if (!settled) {
+      settled = true;
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch(err => console.error('[IDEMPOTENCY] Failed to release key:', err.message));
+    }
+  });
+
+  next();
+});
+
+module.exports = { idempotency };
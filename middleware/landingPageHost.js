@@ -0,0 +1,33 @@
+// emailxp/backend/middleware/landingPageHost.js
+// Serves a published landing page on its custom domain: requests whose Host matches a page's
+// customDomain get the page at / and its form at /subscribe. Every other host passes through.
+
+const express = require('express');
+const landingPageController = require('../controllers/landingPageController');
+const { findPageForHost } = require('../services/landingPageService');
+const { formSubmissionLimiter } = require('./rateLimitMiddleware');
+
+const hostedPage = express.Router();
+hostedPage.get('/', landingPageController.renderLandingPage);
+hostedPage.post(
+  '/subscribe',
+  express.urlencoded({ extended: false, limit: '20kb' }),
+  express.json({ limit: '20kb' }),
+  formSubmissionLimiter,
+  landingPageController.submitLandingPageForm
+);
+hostedPage.use((req, res) => res.status(404).type('html').send('<!DOCTYPE html><html><body><h1>Page not found</h1></body></html>'));
+
+const landingPageHost = async (req, res, next) => {
+  if (req.path.startsWith('/api/')) return next();
+  try {
+    const page = await findPageForHost(req.hostname);
+    if (!page) return next();
+    req.landingPage = page;
+    return hostedPage(req, res, next);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = { landingPageHost };
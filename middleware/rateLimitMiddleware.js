@@ -1,6 +1,7 @@
 // emailxp/backend/middleware/rateLimitMiddleware.js
 
 const rateLimit = require('express-rate-limit');
+const { ipKeyGenerator } = require('express-rate-limit');
 
 // Rate limiting for auth endpoints
 const authLimiter = rateLimit({
@@ -35,8 +36,47 @@ const domainCreationLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting for forgot/reset password requests
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 password reset requests per windowMs
+  message: {
+    message: 'Too many password reset requests. Please wait 15 minutes before trying again.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Per API key rate limiting; each key carries its own requests-per-minute budget
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => `api-key:${req.apiKey._id}`,
+  skip: (req) => !req.apiKey,
+  message: {
+    message: 'API key rate limit exceeded. Please slow down and retry after a minute.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Public signup form submissions, counted per form (or landing page) and visitor IP
+const formSubmissionLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 10, // limit each IP to 10 submissions of the same form per windowMs
+  keyGenerator: (req) => `form:${req.params.id || req.params.slug || req.hostname}:${ipKeyGenerator(req.ip)}`,
+  message: {
+    message: 'Too many submissions. Please wait a few minutes before trying again.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   authLimiter,
+  formSubmissionLimiter,
+  apiKeyLimiter,
+  passwordResetLimiter,
   domainVerificationLimiter,
   domainCreationLimiter
 };
@@ -1,7 +1,22 @@
 // emailxp/backend/middleware/rbac.js
 
+const crypto = require('crypto');
+const moment = require('moment-timezone');
 const User = require('../models/User');
 const Organization = require('../models/Organization');
+const { authenticateApiKey, recordUsage, logRequestOnFinish } = require('../services/apiKeyService');
+const usageService = require('../services/usageService');
+const { apiKeyLimiter } = require('./rateLimitMiddleware');
+
+// Explicit permissions when the user has any, otherwise the defaults of their role (accounts
+// created at registration, before permissions were assigned, have none stored)
+const hasPermission = (user, resource, action) => {
+  if (!Array.isArray(user.permissions) || user.permissions.length > 0) {
+    return user.hasPermission(resource, action);
+  }
+  const permission = getDefaultPermissions(user.role).find(p => p.resource === resource);
+  return !!permission && (permission.actions.includes(action) || permission.actions.includes('manage'));
+};
 
 // Role-based access control middleware
 const rbac = (requiredResource, requiredAction) => {
@@ -11,13 +26,20 @@ const rbac = (requiredResource, requiredAction) => {
         return res.status(401).json({ message: 'Access denied. No user found.' });
       }
 
+      // Scoped API keys can never exceed their own permission list, whatever the owner's role
+      if (req.apiKey && !req.apiKey.hasPermission(requiredResource, requiredAction)) {
+        return res.status(403).json({
+          message: `API key is not permitted to ${requiredAction} ${requiredResource}`
+        });
+      }
+
       // Super admin has access to everything
       if (req.user.role === 'super_admin') {
         return next();
       }
 
       // Check if user has the required permission
-      if (!req.user.hasPermission(requiredResource, requiredAction)) {
+      if (!hasPermission(req.user, requiredResource, requiredAction)) {
         return res.status(403).json({ 
           message: `Access denied. Required permission: ${requiredAction} on ${requiredResource}` 
         });
@@ -31,6 +53,12 @@ const rbac = (requiredResource, requiredAction) => {
   };
 };
 
+const METHOD_ACTIONS = { GET: 'read', HEAD: 'read', POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Router-wide rbac for a shared workspace resource: the action follows the HTTP method
+const workspaceAccess = (resource) => (req, res, next) =>
+  rbac(resource, METHOD_ACTIONS[req.method] || 'read')(req, res, next);
+
 // Check if user can manage another user (based on role hierarchy)
 const canManageUser = async (req, res, next) => {
   try {
@@ -236,42 +264,71 @@ const requireActiveAccount = async (req, res, next) => {
 };
 
 // API key authentication
+const API_KEY_ERRORS = {
+  invalid: 'Invalid API key',
+  revoked: 'API key has been revoked',
+  expired: 'API key has expired',
+  ip_not_allowed: 'API key is not allowed from this IP address'
+};
+
 const apiKeyAuth = async (req, res, next) => {
   try {
-    const apiKey = req.header('X-API-Key');
+    const rawKey = req.header('X-API-Key');
     
-    if (!apiKey) {
+    if (!rawKey) {
       return res.status(401).json({ message: 'API key is required' });
     }
 
-    // Hash the provided API key
-    const crypto = require('crypto');
-    const hashedApiKey = crypto.createHash('sha256').update(apiKey).digest('hex');
+    const { apiKey, error } = await authenticateApiKey(rawKey, req.ip);
+    let user;
 
-    // Find user by API key
-    const user = await User.findOne({ apiKey: hashedApiKey })
-      .populate('organization');
-
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid API key' });
+    if (apiKey) {
+      // Every request made with a known key is audited, including rejected ones
+      logRequestOnFinish(apiKey, req, res);
+      if (error) {
+        return res.status(error === 'ip_not_allowed' ? 403 : 401).json({ message: API_KEY_ERRORS[error] });
+      }
+      user = await User.findById(apiKey.user).populate('organization');
+    } else {
+      // Legacy single key stored on the user; it carries the user's full permissions
+      const hashedApiKey = crypto.createHash('sha256').update(rawKey).digest('hex');
+      user = await User.findOne({ apiKey: hashedApiKey }).populate('organization');
+      if (user) {
+        user.apiKeyLastUsed = new Date();
+        await user.save();
+      }
     }
 
-    // Update last used timestamp
-    user.apiKeyLastUsed = new Date();
-    await user.save();
+    if (!user || ['inactive', 'suspended'].includes(user.status)) {
+      return res.status(401).json({ message: API_KEY_ERRORS.invalid });
+    }
 
     // Check if organization has API access feature
-    if (!user.organization.hasFeature('apiAccess')) {
+    if (!user.organization || !user.organization.hasFeature('apiAccess')) {
       return res.status(403).json({ 
         message: 'API access is not available in your current plan' 
       });
     }
 
-    // Increment API usage
-    await user.organization.incrementUsage('api');
+    if (apiKey) {
+      await recordUsage(apiKey, req.ip);
+    }
+
+    // Meter the call against the organization's daily API limit
+    const apiUsage = await usageService.consume(user.organization._id, 'api');
+    if (!apiUsage.allowed) {
+      return res.status(429).json({
+        message: 'Daily API limit exceeded',
+        limit: apiUsage.limit,
+        current: apiUsage.current,
+        resetTime: moment.utc().add(1, 'day').startOf('day').toDate()
+      });
+    }
 
     req.user = user;
     req.organization = user.organization;
+    req.apiKey = apiKey || null;
+    req.apiUsage = apiUsage;
     req.isApiRequest = true;
 
     next();
@@ -281,10 +338,18 @@ const apiKeyAuth = async (req, res, next) => {
   }
 };
 
-// Rate limiting for API requests
-const apiRateLimit = async (req, res, next) => {
+// Rate limiting for API requests: the key's per-minute limit, then the organization's daily limit
+const apiRateLimit = (req, res, next) => {
+  if (!req.isApiRequest) {
+    return next();
+  }
+  apiKeyLimiter(req, res, (err) => (err ? next(err) : checkDailyApiLimit(req, res, next)));
+};
+
+const checkDailyApiLimit = async (req, res, next) => {
   try {
-    if (!req.isApiRequest) {
+    // Calls authenticated by apiKeyAuth were already metered (and blocked) by usageService
+    if (req.apiUsage) {
       return next();
     }
 
@@ -355,6 +420,8 @@ const getDefaultPermissions = (role) => {
 
 module.exports = {
   rbac,
+  hasPermission,
+  workspaceAccess,
   canManageUser,
   requireOrganizationAccess,
   checkUsageLimit,
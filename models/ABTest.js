@@ -1,6 +1,7 @@
 // emailxp/backend/models/ABTest.js
 
 const mongoose = require('mongoose');
+const { MIN_SAMPLE_SIZE, compareArms } = require('../utils/abTestStats');
 
 const abTestVariantSchema = new mongoose.Schema({
   name: {
@@ -26,6 +27,12 @@ const abTestVariantSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // For send time tests: hour of day (campaign scheduleTimezone, UTC by default) this variant goes out
+  sendHour: {
+    type: Number,
+    min: 0,
+    max: 23
+  },
   // Statistics for this variant
   sentCount: {
     type: Number,
@@ -50,6 +57,20 @@ const abTestVariantSchema = new mongoose.Schema({
   complaintCount: {
     type: Number,
     default: 0
+  },
+  // Test recipients with at least one attributed ConversionEvent, and their summed value
+  conversionCount: {
+    type: Number,
+    default: 0
+  },
+  revenue: {
+    type: Number,
+    default: 0
+  },
+  // Sum of each recipient's squared revenue, for the variance behind revenue significance
+  revenueSumSquares: {
+    type: Number,
+    default: 0
   }
 });
 
@@ -77,15 +98,33 @@ const abTestSchema = new mongoose.Schema({
   testType: {
     type: String,
     required: true,
-    enum: ['subject', 'content', 'sender'],
+    enum: ['subject', 'content', 'sender', 'send_time', 'multivariate'],
     default: 'subject'
   },
+  // Multivariate tests: one variant per combination of these values
+  dimensions: {
+    subjects: [String],
+    fromNames: [String],
+    sendHours: [Number]
+  },
   winnerCriteria: {
     type: String,
     required: true,
-    enum: ['open_rate', 'click_rate'],
+    enum: ['open_rate', 'click_rate', 'conversion_rate', 'revenue_per_recipient'],
     default: 'open_rate'
   },
+  // Conversion criteria: only ConversionEvents of this type count (any type when empty), within
+  // attributionWindowDays of the recipient's send
+  conversionType: {
+    type: String,
+    trim: true
+  },
+  attributionWindowDays: {
+    type: Number,
+    min: 1,
+    max: 90,
+    default: 7
+  },
   testPercentage: {
     type: Number,
     required: true,
@@ -93,6 +132,13 @@ const abTestSchema = new mongoose.Schema({
     max: 100,
     default: 50
   },
+  // A winner is only declared automatically when it beats every other variant at this confidence
+  confidenceLevel: {
+    type: Number,
+    min: 0.8,
+    max: 0.999,
+    default: 0.95
+  },
   // Variants
   variants: [abTestVariantSchema],
   // Test status
@@ -121,7 +167,46 @@ const abTestSchema = new mongoose.Schema({
   manuallyDeclaredWinner: {
     type: Boolean,
     default: false
-  }
+  },
+  // manual: the whole audience gets the campaign content and the winner is declared by hand.
+  // test_then_send: testPercentage of the audience is split across the variants, and after
+  // waitHours the winner goes to everyone else (see abTestService / abTestScheduler).
+  sendMode: {
+    type: String,
+    enum: ['manual', 'test_then_send'],
+    default: 'manual'
+  },
+  waitHours: {
+    type: Number,
+    min: 1,
+    max: 168,
+    default: 4
+  },
+  // Sent to the remaining recipients when the test ends without a clear winner (defaults to the first variant)
+  defaultVariant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  winnerReason: {
+    type: String,
+    enum: ['criteria', 'default', 'manual']
+  },
+  testSentAt: Date,
+  winnerDueAt: Date,
+  testRecipients: {
+    type: Number,
+    default: 0
+  },
+  remainderRecipients: {
+    type: Number,
+    default: 0
+  },
+  remainderStatus: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  remainderSentAt: Date,
+  remainderError: String
 }, {
   timestamps: true
 });
@@ -129,6 +214,7 @@ const abTestSchema = new mongoose.Schema({
 // Index for performance
 abTestSchema.index({ user: 1, status: 1 });
 abTestSchema.index({ campaign: 1 });
+abTestSchema.index({ sendMode: 1, status: 1, winnerDueAt: 1 });
 
 // Calculate open rate for a variant
 abTestSchema.methods.getOpenRate = function(variant) {
@@ -142,6 +228,28 @@ abTestSchema.methods.getClickRate = function(variant) {
   return (variant.clickCount / variant.sentCount) * 100;
 };
 
+// Calculate conversion rate for a variant
+abTestSchema.methods.getConversionRate = function(variant) {
+  if (variant.sentCount === 0) return 0;
+  return (variant.conversionCount / variant.sentCount) * 100;
+};
+
+// Calculate revenue per recipient for a variant
+abTestSchema.methods.getRevenuePerRecipient = function(variant) {
+  if (variant.sentCount === 0) return 0;
+  return variant.revenue / variant.sentCount;
+};
+
+// Value of winnerCriteria for a variant
+abTestSchema.methods.getMetricValue = function(variant) {
+  switch (this.winnerCriteria) {
+    case 'click_rate': return this.getClickRate(variant);
+    case 'conversion_rate': return this.getConversionRate(variant);
+    case 'revenue_per_recipient': return this.getRevenuePerRecipient(variant);
+    default: return this.getOpenRate(variant);
+  }
+};
+
 // Determine winner based on criteria
 abTestSchema.methods.determineWinner = function() {
   if (this.variants.length < 2) return null;
@@ -150,12 +258,7 @@ abTestSchema.methods.determineWinner = function() {
   let bestRate = 0;
   
   for (const variant of this.variants) {
-    let rate = 0;
-    if (this.winnerCriteria === 'open_rate') {
-      rate = this.getOpenRate(variant);
-    } else if (this.winnerCriteria === 'click_rate') {
-      rate = this.getClickRate(variant);
-    }
+    const rate = this.getMetricValue(variant);
     
     if (rate > bestRate) {
       bestRate = rate;
@@ -166,15 +269,73 @@ abTestSchema.methods.determineWinner = function() {
   return bestVariant;
 };
 
-// Check if test has enough data to declare a winner
-abTestSchema.methods.hasEnoughData = function() {
-  // Simple check: at least 100 emails sent per variant
-  for (const variant of this.variants) {
-    if (variant.sentCount < 100) {
-      return false;
-    }
+// Whether winnerCriteria needs conversion stats joined from ConversionEvent
+abTestSchema.methods.usesConversions = function() {
+  return ['conversion_rate', 'revenue_per_recipient'].includes(this.winnerCriteria);
+};
+
+// Significance input for a variant: a rate arm, or a mean arm for revenue per recipient
+abTestSchema.methods.getMetricArm = function(variant) {
+  switch (this.winnerCriteria) {
+    case 'click_rate': return { successes: variant.clickCount, trials: variant.sentCount };
+    case 'conversion_rate': return { successes: variant.conversionCount, trials: variant.sentCount };
+    case 'revenue_per_recipient': return { sum: variant.revenue, sumSquares: variant.revenueSumSquares, trials: variant.sentCount };
+    default: return { successes: variant.openCount, trials: variant.sentCount };
   }
-  return true;
+};
+
+// Confidence intervals, z-test against the control (the default variant) and minimum detectable
+// effect for every variant. Rates, intervals, absolute lifts and effects are percentages, or
+// currency amounts per recipient for revenue_per_recipient; relativeLift is always a percentage.
+abTestSchema.methods.getSignificance = function() {
+  const control = this.getDefaultVariant();
+  const controlIndex = Math.max(0, this.variants.findIndex(variant => control && variant._id.equals(control._id)));
+  const comparison = compareArms(
+    this.variants.map(variant => this.getMetricArm(variant)),
+    { controlIndex, confidenceLevel: this.confidenceLevel }
+  );
+  const round = (value, factor) => (value === null || value === undefined ? null : Math.round(value * factor) / 100);
+  const percent = (value) => round(value, 10000);
+  const amount = this.winnerCriteria === 'revenue_per_recipient' ? (value) => round(value, 100) : percent;
+
+  return {
+    metric: this.winnerCriteria,
+    confidenceLevel: this.confidenceLevel,
+    minSampleSize: MIN_SAMPLE_SIZE,
+    enoughData: comparison.enoughData,
+    control: this.variants[controlIndex] ? this.variants[controlIndex]._id : null,
+    leader: this.variants[comparison.leaderIndex] ? this.variants[comparison.leaderIndex]._id : null,
+    significant: comparison.significant,
+    variants: comparison.arms.map((arm, index) => ({
+      variant: this.variants[index]._id,
+      rate: amount(arm.rate),
+      confidenceInterval: arm.confidenceInterval && { low: amount(arm.confidenceInterval.low), high: amount(arm.confidenceInterval.high) },
+      isControl: arm.isControl,
+      vsControl: arm.vsControl && {
+        absoluteLift: amount(arm.vsControl.absoluteLift),
+        relativeLift: percent(arm.vsControl.relativeLift),
+        zScore: Math.round(arm.vsControl.zScore * 1000) / 1000,
+        pValue: Math.round(arm.vsControl.pValue * 10000) / 10000,
+        significant: arm.vsControl.significant
+      },
+      minimumDetectableEffect: amount(arm.minimumDetectableEffect)
+    }))
+  };
+};
+
+// The leader has won only when it beats every other variant at confidenceLevel
+abTestSchema.methods.hasSignificantWinner = function() {
+  return this.variants.length >= 2 && this.getSignificance().significant;
+};
+
+// Variant used when the test ends without a clear winner
+abTestSchema.methods.getDefaultVariant = function() {
+  return (this.defaultVariant && this.variants.id(this.defaultVariant)) || this.variants[0] || null;
+};
+
+// Check if every variant has enough sends for the significance test to be meaningful
+abTestSchema.methods.hasEnoughData = function() {
+  return this.variants.every(variant => variant.sentCount >= MIN_SAMPLE_SIZE);
 };
 
 module.exports = mongoose.model('ABTest', abTestSchema);
\ No newline at end of file
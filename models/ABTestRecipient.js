@@ -0,0 +1,40 @@
+// emailxp/backend/models/ABTestRecipient.js
+
+const mongoose = require('mongoose');
+
+// One row per subscriber in a test-then-send A/B campaign. Test recipients are assigned a
+// variant when the test portion goes out; remainder recipients are held back until the
+// winner is picked. openedAt/clickedAt make variant open/click counts unique per recipient.
+const abTestRecipientSchema = new mongoose.Schema({
+  abTest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ABTest',
+    required: true
+  },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    required: true
+  },
+  group: {
+    type: String,
+    enum: ['test', 'remainder'],
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sentAt: Date,
+  openedAt: Date,
+  clickedAt: Date
+}, { timestamps: true });
+
+abTestRecipientSchema.index({ campaign: 1, subscriber: 1 }, { unique: true });
+abTestRecipientSchema.index({ abTest: 1, group: 1, sentAt: 1 });
+
+module.exports = mongoose.model('ABTestRecipient', abTestRecipientSchema);
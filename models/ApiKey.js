@@ -0,0 +1,113 @@
+// emailxp/backend/models/ApiKey.js
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { ipInRanges, isValidRangeEntry } = require('../utils/ipRange');
+
+const KEY_PREFIX = 'xp_';
+
+// A named API key owned by a user. It can do at most what its owner can do,
+// narrowed to its own permission list.
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // SHA-256 of the full key; the plaintext is only shown once, at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key so users can tell keys apart, e.g. "xp_3f9a1c"
+  keyPrefix: String,
+  permissions: [{
+    _id: false,
+    resource: {
+      type: String,
+      enum: [
+        'campaigns', 'templates', 'subscribers', 'segments', 'analytics',
+        'settings', 'users', 'billing', 'integrations', 'automation'
+      ],
+      required: true
+    },
+    actions: [{
+      type: String,
+      enum: ['create', 'read', 'update', 'delete', 'manage']
+    }]
+  }],
+  // Exact IPs or IPv4 CIDR ranges; empty means any address
+  ipAllowlist: [String],
+  expiresAt: Date,
+  // Requests per minute for this key
+  rateLimitPerMinute: {
+    type: Number,
+    min: 1,
+    max: 10000,
+    default: () => parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE || '60', 10)
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Method to check if the key can still authenticate
+apiKeySchema.methods.isActive = function(now = Date.now()) {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > now;
+};
+
+// Method to check the key's own scope (the owner's permissions are checked separately)
+apiKeySchema.methods.hasPermission = function(resource, action) {
+  const permission = (this.permissions || []).find(p => p.resource === resource);
+  if (!permission) return false;
+  return permission.actions.includes(action) || permission.actions.includes('manage');
+};
+
+// Method to check a client address against the allowlist
+apiKeySchema.methods.allowsIp = function(ip) {
+  if (!this.ipAllowlist || this.ipAllowlist.length === 0) return true;
+  return ipInRanges(ip, this.ipAllowlist);
+};
+
+// Static method to create a new key; returns the plaintext key alongside the unsaved document
+apiKeySchema.statics.generate = function(fields) {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+  const apiKey = new this({
+    ...fields,
+    keyHash: this.hashKey(key),
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 6)
+  });
+  return { key, apiKey };
+};
+
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+// Accepts "1.2.3.4" or "1.2.3.0/24", plus plain IPv6 addresses
+apiKeySchema.statics.isValidAllowlistEntry = function(entry) {
+  return isValidRangeEntry(entry);
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
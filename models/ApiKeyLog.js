@@ -0,0 +1,34 @@
+// emailxp/backend/models/ApiKeyLog.js
+
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.API_KEY_LOG_RETENTION_DAYS || '90', 10);
+
+// One request made with an API key, kept for auditing
+const apiKeyLogSchema = new mongoose.Schema({
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  ipAddress: String,
+  userAgent: String,
+  durationMs: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+apiKeyLogSchema.index({ apiKey: 1, createdAt: -1 });
+apiKeyLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ApiKeyLog', apiKeyLogSchema);
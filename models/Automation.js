@@ -1,6 +1,7 @@
 // emailxp/backend/models/Automation.js
 
 const mongoose = require('mongoose');
+const workspacePlugin = require('./plugins/workspace');
 
 const automationSchema = mongoose.Schema(
   {
@@ -145,4 +146,7 @@ automationSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Automation', automationSchema);
\ No newline at end of file
+// Shared by the organization; `user` is who created it
+automationSchema.plugin(workspacePlugin);
+
+module.exports = mongoose.model('Automation', automationSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One run per subscriber journey through an Automation graph. The run stores
+// where the subscriber currently is so waits survive process restarts.
+const AutomationRunSchema = new mongoose.Schema({
+  automation: { type: mongoose.Schema.Types.ObjectId, ref: 'Automation', required: true, index: true },
+  subscriber: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscriber', required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  trigger: {
+    nodeId: { type: String },
+    event: { type: String }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'waiting', 'completed', 'exited', 'failed'],
+    default: 'active',
+    index: true
+  },
+  // Node the subscriber is currently on (for waiting runs: the wait node)
+  currentNode: { type: String },
+  enteredNodeAt: { type: Date, default: Date.now },
+  // When a waiting run should be woken up by the scheduler
+  nextRunAt: { type: Date },
+  stepsExecuted: { type: Number, default: 0 },
+  exitReason: { type: String },
+  lastError: { type: String },
+  context: { type: mongoose.Schema.Types.Mixed, default: {} },
+  completedAt: { type: Date }
+}, { timestamps: true });
+
+AutomationRunSchema.index({ status: 1, nextRunAt: 1 });
+AutomationRunSchema.index({ automation: 1, subscriber: 1, status: 1 });
+
+AutomationRunSchema.statics.IN_FLIGHT_STATUSES = ['active', 'waiting'];
+
+module.exports = mongoose.model('AutomationRun', AutomationRunSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Audit record for a single node visited by an AutomationRun
+const AutomationStepSchema = new mongoose.Schema({
+  run: { type: mongoose.Schema.Types.ObjectId, ref: 'AutomationRun', required: true },
+  automation: { type: mongoose.Schema.Types.ObjectId, ref: 'Automation', required: true, index: true },
+  subscriber: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscriber', required: true },
+  nodeId: { type: String, required: true },
+  nodeKind: { type: String },
+  nodeType: { type: String },
+  status: {
+    type: String,
+    enum: ['executed', 'queued', 'waiting', 'skipped', 'failed'],
+    required: true
+  },
+  // Why a step was skipped / failed, or how the run left the node
+  reason: { type: String },
+  error: { type: String },
+  // Outcome details
+  jobId: { type: String },
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'Template' },
+  branch: { type: String, enum: ['yes', 'no'] },
+  waitUntil: { type: Date },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date }
+}, { timestamps: true });
+
+AutomationStepSchema.index({ run: 1, startedAt: 1 });
+AutomationStepSchema.index({ subscriber: 1, startedAt: -1 });
+
+module.exports = mongoose.model('AutomationStep', AutomationStepSchema);
@@ -1,6 +1,7 @@
 // emailxp/backend/models/Campaign.js
 
 const mongoose = require('mongoose');
+const workspacePlugin = require('./plugins/workspace');
 
 const campaignSchema = mongoose.Schema(
     {
@@ -85,17 +86,21 @@ const campaignSchema = mongoose.Schema(
         // Scheduling options
         scheduleType: {
             type: String,
-            enum: ['fixed', 'subscriber_local'],
+            // optimal: each subscriber gets the campaign at the hour they usually engage (sendTimeService)
+            enum: ['fixed', 'subscriber_local', 'optimal'],
             default: 'fixed',
         },
         scheduleTimezone: {
             type: String,
             default: null,
         },
-        // For subscriber-local scheduling, create per-timezone dispatches
+        // For subscriber-local scheduling, create per-timezone dispatches.
+        // Optimal scheduling records one entry per UTC hour; the recipients are in CampaignDispatch.
         scheduledDispatches: [
             {
                 timezone: { type: String, required: true },
+                hour: { type: Number, min: 0, max: 23 },
+                recipientCount: { type: Number, default: 0 },
                 scheduledAtUtc: { type: Date, required: true },
                 sent: { type: Boolean, default: false },
                 sentAt: { type: Date, default: null }
@@ -146,6 +151,14 @@ const campaignSchema = mongoose.Schema(
             type: Number,
             default: 0,
         },
+        // Summary of the frozen audience taken when the send started (rows in CampaignRecipient)
+        audienceSnapshot: {
+            takenAt: { type: Date, default: null },
+            matched: { type: Number, default: 0 },
+            targeted: { type: Number, default: 0 },
+            suppressed: { type: Number, default: 0 },
+            preference: { type: Number, default: 0 },
+        },
         // A/B Testing
         abTest: {
             type: mongoose.Schema.Types.ObjectId,
@@ -194,4 +207,9 @@ const campaignSchema = mongoose.Schema(
     }
 );
 
+// Shared by the organization; `user` is who created it
+campaignSchema.plugin(workspacePlugin);
+campaignSchema.index({ organization: 1, createdAt: -1 });
+campaignSchema.index({ organization: 1, status: 1 });
+
 module.exports = mongoose.model('Campaign', campaignSchema);
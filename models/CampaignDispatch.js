@@ -0,0 +1,55 @@
+// emailxp/backend/models/CampaignDispatch.js
+
+const mongoose = require('mongoose');
+
+// One batch of an optimal-send-time campaign: up to 1000 recipients predicted to engage at the
+// same UTC hour. Batches are planned when the campaign starts sending and released by
+// campaignScheduler once scheduledAtUtc has passed.
+const campaignDispatchSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+  // Hour of day (UTC) the recipients usually open or click
+  hour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    required: true
+  },
+  scheduledAtUtc: {
+    type: Date,
+    required: true
+  },
+  subscribers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  sentAt: Date,
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  error: String
+}, { timestamps: true });
+
+campaignDispatchSchema.index({ status: 1, scheduledAtUtc: 1 });
+campaignDispatchSchema.index({ campaign: 1, status: 1 });
+
+module.exports = mongoose.model('CampaignDispatch', campaignDispatchSchema);
@@ -0,0 +1,49 @@
+// emailxp/backend/models/CampaignRecipient.js
+
+const mongoose = require('mongoose');
+
+// Frozen audience of a campaign send: one row per address targeted when the send started, with
+// the groups/segments/individual selections that matched it. Rows skipped for a suppression or a
+// preference opt-out keep the reason, so audits can tell who was left out and why.
+const campaignRecipientSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subscriber: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  sources: [{
+    _id: false,
+    type: { type: String, enum: ['group', 'segment', 'individual'], required: true },
+    ref: { type: mongoose.Schema.Types.ObjectId }
+  }],
+  excludedReason: {
+    type: String,
+    enum: ['suppressed', 'preference'],
+    default: null
+  },
+  snapshotAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+campaignRecipientSchema.index({ campaign: 1, email: 1 }, { unique: true });
+campaignRecipientSchema.index({ campaign: 1, excludedReason: 1 });
+campaignRecipientSchema.index({ subscriber: 1, campaign: 1 });
+
+module.exports = mongoose.model('CampaignRecipient', campaignRecipientSchema);
@@ -1,6 +1,7 @@
 // emailxp/backend/models/ClickEvent.js
 
 const mongoose = require('mongoose');
+const { CLASSIFICATIONS } = require('../utils/engagementClassifier');
 
 const clickEventSchema = mongoose.Schema(
     {
@@ -26,6 +27,10 @@ const clickEventSchema = mongoose.Schema(
             type: String,
             required: true,
         },
+        // Position of the link in the email (0-based, from the signed tracking link)
+        linkIndex: {
+            type: Number,
+        },
         // Timestamp of when the click event occurred
         timestamp: {
             type: Date,
@@ -38,6 +43,16 @@ const clickEventSchema = mongoose.Schema(
         },
         userAgent: {
             type: String,
+        },
+        // human, or the kind of machine traffic (see utils/engagementClassifier)
+        classification: {
+            type: String,
+            enum: CLASSIFICATIONS,
+            default: 'human',
+        },
+        // Click on the hidden honeypot link rather than a real one
+        honeypot: {
+            type: Boolean,
         }
     },
     {
@@ -48,5 +63,8 @@ const clickEventSchema = mongoose.Schema(
 // Create an index for faster querying by campaign, subscriber, and timestamp
 clickEventSchema.index({ campaign: 1, subscriber: 1, timestamp: -1 });
 clickEventSchema.index({ timestamp: -1 }); // Index for time-based queries
+clickEventSchema.index({ subscriber: 1, timestamp: -1 }); // Per-subscriber history (send-time optimization)
+clickEventSchema.index({ campaign: 1, linkIndex: 1 }); // Per-link analytics
+clickEventSchema.index({ campaign: 1, classification: 1 });
 
 module.exports = mongoose.model('ClickEvent', clickEventSchema);
\ No newline at end of file
@@ -5,8 +5,8 @@ const ConsentRecordSchema = new mongoose.Schema({
   email: { type: String, index: true },
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', index: true },
-  type: { type: String, enum: ['signup','resubscribe','preference-update'], default: 'signup' },
-  method: { type: String, enum: ['double-opt-in','single-opt-in','manual','import'], default: 'double-opt-in' },
+  type: { type: String, enum: ['signup','resubscribe','preference-update','unsubscribe'], default: 'signup' },
+  method: { type: String, enum: ['double-opt-in','single-opt-in','manual','import','one-click'], default: 'double-opt-in' },
   ip: String,
   userAgent: String,
   metadata: mongoose.Schema.Types.Mixed,
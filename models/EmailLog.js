@@ -44,6 +44,7 @@ const emailLogSchema = new mongoose.Schema({
   bouncedAt: Date,
   complainedAt: Date,
   unsubscribedAt: Date,
+  deliveryDelayedAt: Date,
   
   // Event data
   openCount: {
@@ -1,6 +1,7 @@
 // emailxp/backend/models/EmailTracking.js
 
 const mongoose = require('mongoose');
+const { CLASSIFICATIONS, isMachineActivity } = require('../utils/engagementClassifier');
 
 const emailTrackingSchema = new mongoose.Schema({
   // Campaign and Email Information
@@ -38,6 +39,12 @@ const emailTrackingSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+
+  // Id assigned by the sending provider (e.g. Resend email id), used to match provider webhooks
+  providerMessageId: {
+    type: String,
+    required: false
+  },
   
   // Status Tracking
   status: {
@@ -80,6 +87,11 @@ const emailTrackingSchema = new mongoose.Schema({
     },
     userAgent: String,
     ipAddress: String,
+    classification: {
+      type: String,
+      enum: CLASSIFICATIONS,
+      default: 'human'
+    },
     location: {
       country: String,
       city: String,
@@ -96,8 +108,14 @@ const emailTrackingSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    linkIndex: Number,
     userAgent: String,
     ipAddress: String,
+    classification: {
+      type: String,
+      enum: CLASSIFICATIONS,
+      default: 'human'
+    },
     location: {
       country: String,
       city: String,
@@ -223,6 +241,7 @@ const emailTrackingSchema = new mongoose.Schema({
 emailTrackingSchema.index({ campaign: 1, subscriber: 1 });
 emailTrackingSchema.index({ organization: 1, sentAt: -1 });
 emailTrackingSchema.index({ messageId: 1 });
+emailTrackingSchema.index({ providerMessageId: 1 }, { sparse: true });
 emailTrackingSchema.index({ emailAddress: 1 });
 emailTrackingSchema.index({ status: 1 });
 emailTrackingSchema.index({ sentAt: -1 });
@@ -235,13 +254,15 @@ emailTrackingSchema.methods.recordOpen = function(openData = {}) {
     timestamp: new Date(),
     userAgent: openData.userAgent,
     ipAddress: openData.ipAddress,
+    classification: openData.classification || 'human',
     location: openData.location
   };
   
   this.opens.push(openRecord);
-  this.totalOpens = this.opens.length;
+  this.totalOpens = this.opens.filter(open => !isMachineActivity(open.classification)).length;
   
-  if (!this.isOpened) {
+  // Machine opens are kept for reference but don't mark the email as opened
+  if (!this.isOpened && !isMachineActivity(openRecord.classification)) {
     this.isOpened = true;
     this.openedAt = openRecord.timestamp;
     this.uniqueOpens = 1;
@@ -254,23 +275,39 @@ emailTrackingSchema.methods.recordClick = function(clickData = {}) {
   const clickRecord = {
     timestamp: new Date(),
     url: clickData.url,
+    linkIndex: clickData.linkIndex,
     userAgent: clickData.userAgent,
     ipAddress: clickData.ipAddress,
+    classification: clickData.classification || 'human',
     location: clickData.location
   };
   
   this.clicks.push(clickRecord);
-  this.totalClicks = this.clicks.length;
-  
-  if (!this.isClicked) {
-    this.isClicked = true;
-    this.firstClickedAt = clickRecord.timestamp;
-    this.uniqueClicks = 1;
-  }
-  
+  this.refreshClickCounts();
   return this.save();
 };
 
+// Re-flag clicks recorded since a given time (e.g. after a honeypot hit); returns how many changed
+emailTrackingSchema.methods.reclassifyClicks = function(since, classification) {
+  let changed = 0;
+  for (const click of this.clicks) {
+    if (click.timestamp >= since && click.classification !== classification && !isMachineActivity(click.classification)) {
+      click.classification = classification;
+      changed += 1;
+    }
+  }
+  this.refreshClickCounts();
+  return changed;
+};
+
+emailTrackingSchema.methods.refreshClickCounts = function() {
+  const humanClicks = this.clicks.filter(click => !isMachineActivity(click.classification));
+  this.totalClicks = humanClicks.length;
+  this.isClicked = humanClicks.length > 0;
+  this.firstClickedAt = humanClicks.length ? humanClicks[0].timestamp : undefined;
+  this.uniqueClicks = humanClicks.length ? 1 : 0;
+};
+
 emailTrackingSchema.methods.recordBounce = function(bounceData = {}) {
   this.status = 'bounced';
   this.isBounced = true;
@@ -0,0 +1,84 @@
+// emailxp/backend/models/ExportJob.js
+
+const mongoose = require('mongoose');
+
+// A subscriber export written to local storage in the background by services/exportJobService.
+// The file is downloadable through a tokenized link until expiresAt.
+const exportJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Workspace whose subscribers are exported (null for users without an organization)
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    default: 'csv'
+  },
+  // Criteria are ANDed; none means the whole audience
+  filter: {
+    segment: { type: mongoose.Schema.Types.ObjectId, ref: 'Segment' },
+    group: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
+    tag: { type: mongoose.Schema.Types.ObjectId, ref: 'Tag' },
+    status: [String]
+  },
+  fields: [String],
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled', 'expired'],
+    default: 'queued',
+    index: true
+  },
+  progress: {
+    totalRows: { type: Number, default: 0 },
+    exportedRows: { type: Number, default: 0 }
+  },
+  filePath: String,
+  fileName: String,
+  fileSize: Number,
+  downloadToken: {
+    type: String,
+    select: false
+  },
+  error: String,
+  queuedAt: { type: Date, default: Date.now },
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date,
+  heartbeatAt: Date
+}, { timestamps: true });
+
+exportJobSchema.index({ user: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, queuedAt: 1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+exportJobSchema.methods.toSummary = function(downloadUrl) {
+  const { totalRows, exportedRows } = this.progress || {};
+  return {
+    _id: this._id,
+    format: this.format,
+    filter: this.filter,
+    fields: this.fields,
+    status: this.status,
+    progress: this.progress,
+    percent: totalRows ? Math.min(100, Math.round((exportedRows / totalRows) * 100)) : (this.status === 'completed' ? 100 : 0),
+    fileName: this.fileName,
+    fileSize: this.fileSize,
+    downloadUrl: this.status === 'completed' ? downloadUrl || null : null,
+    error: this.error,
+    queuedAt: this.queuedAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
@@ -0,0 +1,78 @@
+// emailxp/backend/models/Form.js
+
+const mongoose = require('mongoose');
+const workspacePlugin = require('./plugins/workspace');
+
+// One input on the form and the subscriber field it fills
+const formFieldSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true }, // input name in the submitted payload
+  label: { type: String, default: '' },
+  type: {
+    type: String,
+    enum: ['email', 'text', 'textarea', 'number', 'date', 'select', 'checkbox', 'hidden'],
+    default: 'text'
+  },
+  required: { type: Boolean, default: false },
+  placeholder: String,
+  options: [String], // choices for 'select'
+  target: { type: String, required: true }, // see FORM_FIELD_TARGETS in services/formService
+  customField: String // key in Subscriber.customFields when target is 'custom'
+}, { _id: false });
+
+// A signup form that can be embedded on any site. Submissions go to the public endpoint in
+// routes/publicFormRoutes and are turned into subscribers by services/formService.
+const formSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  fields: [formFieldSchema],
+  // Where new and returning subscribers are added
+  groups: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Group' }],
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  optIn: {
+    type: String,
+    enum: ['single', 'double'],
+    default: 'double'
+  },
+  successMessage: {
+    type: String,
+    default: 'Thanks for subscribing!'
+  },
+  successRedirectUrl: {
+    type: String,
+    default: ''
+  },
+  // Hidden input that people never fill in; a submission that fills it is dropped as spam
+  honeypotField: {
+    type: String,
+    default: 'hp_website'
+  },
+  stats: {
+    submissions: { type: Number, default: 0 },
+    spamBlocked: { type: Number, default: 0 },
+    lastSubmissionAt: Date
+  }
+}, { timestamps: true });
+
+// Shared by the organization; `user` is who created it
+formSchema.plugin(workspacePlugin);
+formSchema.index({ organization: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Form', formSchema);
@@ -1,11 +1,15 @@
 const mongoose = require('mongoose');
 
 const FormSubmissionSchema = new mongoose.Schema({
-  form: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: false },
+  form: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: false, index: true },
+  subscriber: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscriber' },
+  // What the submission did: created, updated or re-subscribed the subscriber, or left them as they were
+  result: { type: String, enum: ['subscribed', 'pending', 'updated', 'resubscribed', 'unchanged'] },
   submittedAt: { type: Date, default: Date.now },
   data: { type: mongoose.Schema.Types.Mixed, default: {} },
   ip: { type: String },
-  userAgent: { type: String }
+  userAgent: { type: String },
+  referrer: { type: String }
 }, { timestamps: true });
 
 module.exports = mongoose.model('FormSubmission', FormSubmissionSchema);
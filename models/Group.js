@@ -1,5 +1,7 @@
 // emailxp/backend/models/Group.js
 const mongoose = require('mongoose');
+const workspacePlugin = require('./plugins/workspace');
+const { workspaceOf } = require('../utils/workspace');
 
 const groupSchema = mongoose.Schema(
     {
@@ -36,6 +38,7 @@ const groupSchema = mongoose.Schema(
 // ---
 // Add this compound unique index
 // This ensures that the combination of 'name' and 'user' is unique.
+// (Names are also unique within an organization; see the organization index below.)
 // So, each user can have groups with the same names, but a single user
 // cannot have two groups with the same name.
 groupSchema.index({ name: 1, user: 1 }, { unique: true });
@@ -45,7 +48,7 @@ groupSchema.index({ name: 1, user: 1 }, { unique: true });
 groupSchema.methods.updateSubscriberCount = async function() {
     const Subscriber = mongoose.model('Subscriber');
     const count = await Subscriber.countDocuments({
-        user: this.user,
+        ...workspaceOf(this),
         groups: this._id,
         isDeleted: false
     });
@@ -53,4 +56,12 @@ groupSchema.methods.updateSubscriberCount = async function() {
     return this.save();
 };
 
+// Shared by the organization; `user` is who created it
+groupSchema.plugin(workspacePlugin);
+// Group names are unique in a workspace (scripts/migrateWorkspaces.js renames older duplicates)
+groupSchema.index(
+    { organization: 1, name: 1 },
+    { unique: true, partialFilterExpression: { organization: { $type: 'objectId' } } }
+);
+
 module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,42 @@
+// emailxp/backend/models/IdempotencyKey.js
+
+const mongoose = require('mongoose');
+
+// The stored outcome of a POST sent with an Idempotency-Key header.
+// Retries with the same key get the original response instead of repeating the write.
+const idempotencyKeySchema = new mongoose.Schema({
+  // Who sent it: "key:<apiKeyId>" or "user:<userId>", so clients can't collide
+  scope: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of method, path and body; the same key with a different request is rejected
+  requestHash: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
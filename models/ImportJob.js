@@ -0,0 +1,108 @@
+// emailxp/backend/models/ImportJob.js
+
+const mongoose = require('mongoose');
+
+// Where a file column goes: a core subscriber field, a custom field, or nowhere
+const columnMappingSchema = new mongoose.Schema({
+  column: { type: Number, required: true }, // zero-based column index in the file
+  header: String,
+  target: { type: String, required: true }, // see IMPORT_TARGETS in services/importJobService
+  customField: String // key in Subscriber.customFields when target is 'custom'
+}, { _id: false });
+
+// A subscriber import from an uploaded CSV/XLSX file. The file is previewed on upload,
+// mapped by the user, then processed in the background by services/importJobService.
+const importJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Workspace the rows are imported into (null for users without an organization)
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  fileName: String,
+  fileType: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  fileSize: Number,
+  filePath: String,
+  errorFilePath: String,
+  status: {
+    type: String,
+    enum: ['uploaded', 'queued', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'uploaded',
+    index: true
+  },
+  // Detected on upload
+  columns: [{
+    _id: false,
+    index: Number,
+    header: String,
+    samples: [String],
+    suggestedTarget: String,
+    suggestedCustomField: String
+  }],
+  mapping: [columnMappingSchema],
+  options: {
+    mergeStrategy: {
+      type: String,
+      enum: ['skip', 'update', 'overwrite'],
+      default: 'skip'
+    },
+    groupIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Group' }],
+    tagNames: [String],
+    defaultStatus: {
+      type: String,
+      enum: ['subscribed', 'pending', 'unsubscribed'],
+      default: 'subscribed'
+    }
+  },
+  progress: {
+    totalRows: { type: Number, default: 0 },
+    processedRows: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 }
+  },
+  error: String,
+  queuedAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  // Bumped after every batch so a job orphaned by a restart can be picked up again
+  heartbeatAt: Date
+}, { timestamps: true });
+
+importJobSchema.index({ user: 1, createdAt: -1 });
+importJobSchema.index({ status: 1, queuedAt: 1 });
+
+importJobSchema.methods.toSummary = function() {
+  const { totalRows, processedRows } = this.progress || {};
+  return {
+    _id: this._id,
+    fileName: this.fileName,
+    fileType: this.fileType,
+    fileSize: this.fileSize,
+    status: this.status,
+    columns: this.columns,
+    mapping: this.mapping,
+    options: this.options,
+    progress: this.progress,
+    percent: totalRows ? Math.min(100, Math.round((processedRows / totalRows) * 100)) : (this.status === 'completed' ? 100 : 0),
+    hasErrorReport: Boolean(this.errorFilePath && this.progress && this.progress.rejected > 0),
+    error: this.error,
+    queuedAt: this.queuedAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
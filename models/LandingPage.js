@@ -35,10 +35,16 @@ const landingPageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Visits are deduplicated per visitor within a window; see services/landingPageService
   visits: {
     type: Number,
     default: 0
   },
+  uniqueVisitors: {
+    type: Number,
+    default: 0
+  },
+  // Visitors who submitted the page's form, each counted once
   conversions: {
     type: Number,
     default: 0
@@ -60,11 +66,26 @@ const landingPageSchema = new mongoose.Schema({
     keywords: {
       type: String,
       default: ''
+    },
+    image: {
+      type: String,
+      default: ''
     }
   },
+  // Host name (e.g. "join.example.com") that serves this page at its root once verified
   customDomain: {
     type: String,
-    default: ''
+    default: '',
+    lowercase: true,
+    trim: true
+  },
+  // Value of the DNS TXT record that proves the page's owner controls customDomain
+  customDomainToken: {
+    type: String
+  },
+  customDomainVerifiedAt: {
+    type: Date,
+    default: null
   },
   publishedAt: {
     type: Date
@@ -82,6 +103,11 @@ const landingPageSchema = new mongoose.Schema({
 // Index for performance
 landingPageSchema.index({ user: 1, status: 1 });
 landingPageSchema.index({ user: 1, createdAt: -1 });
+// Unverified claims don't block anyone; a domain belongs to the page that verifies it
+landingPageSchema.index(
+  { customDomain: 1 },
+  { unique: true, partialFilterExpression: { customDomain: { $gt: '' }, customDomainVerifiedAt: { $type: 'date' } } }
+);
 
 // Update the updatedAt field before saving
 landingPageSchema.pre('save', function(next) {
@@ -0,0 +1,16 @@
+// emailxp/backend/models/LandingPageDailyStat.js
+
+const mongoose = require('mongoose');
+
+// Per-day landing page counters (UTC days), incremented alongside the page totals
+const landingPageDailyStatSchema = new mongoose.Schema({
+  landingPage: { type: mongoose.Schema.Types.ObjectId, ref: 'LandingPage', required: true },
+  day: { type: String, required: true }, // YYYY-MM-DD
+  visits: { type: Number, default: 0 },
+  newVisitors: { type: Number, default: 0 },
+  conversions: { type: Number, default: 0 }
+});
+
+landingPageDailyStatSchema.index({ landingPage: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('LandingPageDailyStat', landingPageDailyStatSchema);
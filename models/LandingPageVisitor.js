@@ -0,0 +1,23 @@
+// emailxp/backend/models/LandingPageVisitor.js
+
+const mongoose = require('mongoose');
+
+// One row per visitor of a landing page; a visitor is the id in their lp_vid cookie
+// (see services/landingPageService). Drives unique-visitor and conversion counts.
+const landingPageVisitorSchema = new mongoose.Schema({
+  landingPage: { type: mongoose.Schema.Types.ObjectId, ref: 'LandingPage', required: true },
+  visitorId: { type: String, required: true },
+  firstSeenAt: { type: Date, default: Date.now },
+  // A view more than the visit window after lastSeenAt starts a new visit
+  lastSeenAt: { type: Date, default: Date.now },
+  views: { type: Number, default: 0 },
+  referrer: String,
+  convertedAt: Date,
+  subscriber: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscriber' }
+});
+
+landingPageVisitorSchema.index({ landingPage: 1, visitorId: 1 }, { unique: true });
+// Visitors who haven't been back in a year no longer matter for deduplication
+landingPageVisitorSchema.index({ lastSeenAt: 1 }, { expireAfterSeconds: 365 * 24 * 3600 });
+
+module.exports = mongoose.model('LandingPageVisitor', landingPageVisitorSchema);
@@ -1,6 +1,7 @@
 // emailxp/backend/models/OpenEvent.js
 
 const mongoose = require('mongoose');
+const { CLASSIFICATIONS } = require('../utils/engagementClassifier');
 
 const openEventSchema = mongoose.Schema(
     {
@@ -33,6 +34,12 @@ const openEventSchema = mongoose.Schema(
         },
         userAgent: {
             type: String,
+        },
+        // human, or the kind of machine traffic (see utils/engagementClassifier)
+        classification: {
+            type: String,
+            enum: CLASSIFICATIONS,
+            default: 'human',
         }
     },
     {
@@ -43,5 +50,7 @@ const openEventSchema = mongoose.Schema(
 // Create an index for faster querying by campaign, subscriber, and timestamp
 openEventSchema.index({ campaign: 1, subscriber: 1, timestamp: -1 });
 openEventSchema.index({ timestamp: -1 }); // Index for time-based queries
+openEventSchema.index({ subscriber: 1, timestamp: -1 }); // Per-subscriber history (send-time optimization)
+openEventSchema.index({ campaign: 1, classification: 1 });
 
 module.exports = mongoose.model('OpenEvent', openEventSchema);
\ No newline at end of file
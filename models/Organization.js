@@ -174,6 +174,23 @@ const organizationSchema = new mongoose.Schema({
     lastResetDate: {
       type: Date,
       default: Date.now
+    },
+    // UTC day apiCallsToday counts; a call on a later day starts the count again
+    apiCallsDay: {
+      type: Date,
+      default: null
+    },
+    // When each resource first went past its limit (soft limits only), cleared when its counter resets
+    overages: {
+      type: Map,
+      of: Date,
+      default: {}
+    },
+    // Highest usage alert (percent of the limit) already sent per resource
+    alertsSent: {
+      type: Map,
+      of: Number,
+      default: {}
     }
   },
   
@@ -235,6 +252,38 @@ const organizationSchema = new mongoose.Schema({
       default: 24 // hours
     },
     
+    // Bounce handling: suppress after this many soft bounces (from distinct campaigns,
+    // with no delivery in between) inside the window
+    bouncePolicy: {
+      softBounceThreshold: {
+        type: Number,
+        min: 1,
+        max: 20,
+        default: 3
+      },
+      softBounceWindowDays: {
+        type: Number,
+        min: 1,
+        max: 365,
+        default: 30
+      }
+    },
+    
+    // Plan enforcement (services/usageService): resources listed in softLimits may go up to
+    // overagePercent past their limit and are flagged as overage; all other limits are hard
+    limitPolicy: {
+      softLimits: [{
+        type: String,
+        enum: ['users', 'emails', 'subscribers', 'templates', 'campaigns', 'automation', 'api']
+      }],
+      overagePercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 20
+      }
+    },
+    
     // Feature Flags
     features: {
       advancedAnalytics: {
@@ -384,6 +433,12 @@ organizationSchema.methods.resetMonthlyUsage = function() {
       'usage.emailsSentThisMonth': 0,
       'usage.campaignsThisMonth': 0,
       'usage.lastResetDate': new Date()
+    },
+    $unset: {
+      'usage.overages.emails': 1,
+      'usage.overages.campaigns': 1,
+      'usage.alertsSent.emails': 1,
+      'usage.alertsSent.campaigns': 1
     }
   });
 };
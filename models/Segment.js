@@ -1,56 +1,68 @@
 // emailxp/backend/models/Segment.js
 
 const mongoose = require('mongoose');
+const workspacePlugin = require('./plugins/workspace');
+const { workspaceOf } = require('../utils/workspace');
+
+const FILTER_FIELDS = [
+  'email',
+  'name',
+  'tags',
+  'createdAt',
+  'lastActivity',
+  'location.country',
+  'location.city',
+  'location.timezone',
+  'customFields',
+  'emailOpens',
+  'emailClicks',
+  'campaignActivity',
+  'engagementScore',
+  'lifetimeValue',
+  'purchaseCount',
+  'lastPurchaseDate',
+  'subscriptionStatus',
+  'bounceCount',
+  'complaintCount',
+  'unsubscribeDate',
+  // Behavior conditions, resolved against event collections (see segmentBehaviorService)
+  'openedCampaign',
+  'clickedCampaign',
+  'clickedLink',
+  'unopenedRecentCampaigns',
+  'behavioralEvent'
+];
+
+const FILTER_OPERATORS = [
+  'equals',
+  'not_equals',
+  'contains',
+  'not_contains',
+  'starts_with',
+  'ends_with',
+  'is_empty',
+  'is_not_empty',
+  'greater_than',
+  'less_than',
+  'between',
+  'in',
+  'not_in',
+  'before',
+  'after',
+  'within_days',
+  'more_than_days_ago'
+];
 
 const filterSchema = new mongoose.Schema({
   field: {
     type: String,
     required: true,
-    enum: [
-      'email',
-      'name', 
-      'tags',
-      'createdAt',
-      'lastActivity',
-      'location.country',
-      'location.city',
-      'location.timezone',
-      'customFields',
-      'emailOpens',
-      'emailClicks',
-      'campaignActivity',
-      'engagementScore',
-      'lifetimeValue',
-      'purchaseCount',
-      'lastPurchaseDate',
-      'subscriptionStatus',
-      'bounceCount',
-      'complaintCount',
-      'unsubscribeDate'
-    ]
+    enum: FILTER_FIELDS
   },
   operator: {
     type: String,
     required: true,
-    enum: [
-      'equals',
-      'not_equals',
-      'contains',
-      'not_contains',
-      'starts_with',
-      'ends_with',
-      'is_empty',
-      'is_not_empty',
-      'greater_than',
-      'less_than',
-      'between',
-      'in',
-      'not_in',
-      'before',
-      'after',
-      'within_days',
-      'more_than_days_ago'
-    ]
+    enum: FILTER_OPERATORS
   },
   value: {
     type: mongoose.Schema.Types.Mixed, // Can be string, number, array, date
@@ -60,9 +72,47 @@ const filterSchema = new mongoose.Schema({
   },
   secondValue: {
     type: mongoose.Schema.Types.Mixed, // For 'between' operator
+  },
+  // Behavior conditions only: limit the activity to the last N days
+  withinDays: {
+    type: Number,
+    min: 1
   }
 });
 
+// Recursive rule tree: a node is either a condition (field/operator/value)
+// or a group of child nodes combined with its own logic. Either kind may be negated.
+const ruleNodeSchema = new mongoose.Schema({
+  logic: {
+    type: String,
+    enum: ['AND', 'OR'],
+    default: 'AND'
+  },
+  negate: {
+    type: Boolean,
+    default: false
+  },
+  field: {
+    type: String,
+    enum: FILTER_FIELDS
+  },
+  operator: {
+    type: String,
+    enum: FILTER_OPERATORS
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  secondValue: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  withinDays: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+ruleNodeSchema.add({ rules: { type: [ruleNodeSchema], default: undefined } });
+
 const segmentSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -84,6 +134,11 @@ const segmentSchema = new mongoose.Schema({
     enum: ['AND', 'OR'],
     default: 'AND'
   },
+  // Nested condition groups; takes precedence over the flat filters/logic pair when present
+  rules: {
+    type: ruleNodeSchema,
+    default: undefined
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -119,23 +174,35 @@ segmentSchema.methods.buildQuery = function() {
   if (this.customQuery && Object.keys(this.customQuery).length > 0) {
     return this.customQuery;
   }
-  const { buildMongoQuery } = require('../services/segmentationService');
-  return buildMongoQuery(this.filters || [], this.logic || 'AND');
+  const { buildSegmentQuery } = require('../services/segmentationService');
+  return buildSegmentQuery(this);
+};
+
+// Method to build the full query, resolving behavior conditions (opens, clicks,
+// sends, tracked events) into subscriber id sets first
+segmentSchema.methods.resolveQuery = async function() {
+  if (this.customQuery && Object.keys(this.customQuery).length > 0) {
+    return this.customQuery;
+  }
+  const { resolveSegmentQuery } = require('../services/segmentBehaviorService');
+  return resolveSegmentQuery(this, this.user, { organization: this.organization });
 };
 
 // Method to count matching subscribers
 segmentSchema.methods.countSubscribers = async function() {
   const Subscriber = mongoose.model('Subscriber');
-  const query = {
-    user: this.user,
-    ...this.buildQuery()
-  };
   
   try {
+    const query = {
+      ...workspaceOf(this),
+      ...(await this.resolveQuery())
+    };
     const count = await Subscriber.countDocuments(query);
     this.subscriberCount = count;
     this.lastCalculated = new Date();
-    this.cachedQuery = query;
+    // Resolved behavior id sets can be huge and go stale; don't persist them
+    const { hasBehaviorConditions } = require('../services/segmentationService');
+    this.cachedQuery = hasBehaviorConditions(this) ? {} : query;
     await this.save();
     return count;
   } catch (error) {
@@ -147,12 +214,12 @@ segmentSchema.methods.countSubscribers = async function() {
 // Method to get matching subscribers
 segmentSchema.methods.getSubscribers = async function(limit = null, skip = 0) {
   const Subscriber = mongoose.model('Subscriber');
-  const query = {
-    user: this.user,
-    ...this.buildQuery()
-  };
   
   try {
+    const query = {
+      ...workspaceOf(this),
+      ...(await this.resolveQuery())
+    };
     let subscriberQuery = Subscriber.find(query).skip(skip);
     if (limit) {
       subscriberQuery = subscriberQuery.limit(limit);
@@ -230,11 +297,43 @@ segmentSchema.statics.getFilterFields = function() {
       type: 'number',
       operators: ['equals', 'not_equals', 'greater_than', 'less_than', 'between']
     },
+    // Behavior conditions: "equals"/"in" mean the subscriber did it, "not_*" that they didn't.
+    // Campaign values are campaign ids (comma separated for in/not_in) or "any".
     {
       field: 'campaignActivity',
-      label: 'Campaign Activity',
-      type: 'string',
-      operators: ['equals', 'not_equals', 'contains', 'not_contains']
+      label: 'Received Campaign',
+      type: 'behavior',
+      operators: ['equals', 'not_equals', 'in', 'not_in']
+    },
+    {
+      field: 'openedCampaign',
+      label: 'Opened Campaign',
+      type: 'behavior',
+      operators: ['equals', 'not_equals', 'in', 'not_in']
+    },
+    {
+      field: 'clickedCampaign',
+      label: 'Clicked In Campaign',
+      type: 'behavior',
+      operators: ['equals', 'not_equals', 'in', 'not_in']
+    },
+    {
+      field: 'clickedLink',
+      label: 'Clicked Link URL',
+      type: 'behavior',
+      operators: ['equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'ends_with']
+    },
+    {
+      field: 'unopenedRecentCampaigns',
+      label: 'Opened None Of Last N Campaigns',
+      type: 'behavior',
+      operators: ['equals', 'not_equals']
+    },
+    {
+      field: 'behavioralEvent',
+      label: 'Tracked Event',
+      type: 'behavior',
+      operators: ['equals', 'not_equals', 'in', 'not_in']
     },
     // New advanced segmentation fields
     {
@@ -288,4 +387,8 @@ segmentSchema.statics.getFilterFields = function() {
   ];
 };
 
-module.exports = mongoose.model('Segment', segmentSchema);
\ No newline at end of file
+// Shared by the organization; `user` is who created it
+segmentSchema.plugin(workspacePlugin);
+segmentSchema.index({ organization: 1, isActive: 1 });
+
+module.exports = mongoose.model('Segment', segmentSchema);
@@ -0,0 +1,56 @@
+// emailxp/backend/models/Session.js
+
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens carry the session id (sid) and are only honoured
+// while the session is live; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token it replaced; presenting it again means the token leaked
+  previousRefreshTokenHash: String,
+  userAgent: String,
+  device: String,
+  ipAddress: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Hard limit on refresh; expired sessions are removed by the TTL index
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'password_reset', 'timeout', 'refresh_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function(now = Date.now()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Method to check the organization's idle timeout (hours since last activity)
+sessionSchema.methods.isIdleExpired = function(timeoutHours, now = Date.now()) {
+  if (!timeoutHours || timeoutHours <= 0) return false;
+  return now - new Date(this.lastSeenAt).getTime() > timeoutHours * 60 * 60 * 1000;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
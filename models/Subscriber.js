@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspacePlugin = require('./plugins/workspace');
 const crypto = require('crypto');
 
 const subscriberSchema = new mongoose.Schema(
@@ -92,6 +93,21 @@ const subscriberSchema = new mongoose.Schema(
             type: Date,
             index: true
         },
+        // Last delivery reported by the provider; a soft-bounce streak starts over after it
+        lastDeliveredAt: {
+            type: Date
+        },
+        // Most recent bounces (newest last), see services/bounceComplaintService
+        bounceHistory: [{
+            at: { type: Date, default: Date.now },
+            type: { type: String, enum: ['hard', 'soft', 'block'] },
+            category: String,
+            code: String,
+            description: String,
+            campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+            messageId: String,
+            suppressed: Boolean
+        }],
         // Unsubscribe token for secure unsubscribe links
         unsubscribeToken: {
             type: String,
@@ -172,11 +188,11 @@ subscriberSchema.methods.restore = function() {
 };
 
 // Static methods
-subscriberSchema.statics.getStats = function(userId) {
+subscriberSchema.statics.getStats = function(workspace) {
     return this.aggregate([
         {
             $match: {
-                user: new mongoose.Types.ObjectId(userId),
+                ...workspace,
                 isDeleted: false
             }
         },
@@ -224,4 +240,13 @@ subscriberSchema.pre('save', function(next) {
     next();
 });
 
+// Shared by the organization; `user` is who created it
+subscriberSchema.plugin(workspacePlugin);
+// One live subscriber per email in a workspace (scripts/migrateWorkspaces.js merges older duplicates)
+subscriberSchema.index(
+    { organization: 1, email: 1 },
+    { unique: true, partialFilterExpression: { isDeleted: false, organization: { $type: 'objectId' } } }
+);
+subscriberSchema.index({ organization: 1, isDeleted: 1, status: 1 });
+
 module.exports = mongoose.model('Subscriber', subscriberSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const workspacePlugin = require('./plugins/workspace');
 
 const tagSchema = new mongoose.Schema({
     user: {
@@ -22,4 +23,8 @@ const tagSchema = new mongoose.Schema({
     }
 }, { timestamps: true });
 
+// Shared by the organization; `user` is who created it
+tagSchema.plugin(workspacePlugin);
+tagSchema.index({ organization: 1, name: 1 });
+
 module.exports = mongoose.model('Tag', tagSchema);
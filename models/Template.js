@@ -1,6 +1,7 @@
 // emailxp/backend/models/Template.js
 
 const mongoose = require('mongoose');
+const workspacePlugin = require('./plugins/workspace');
 
 const templateSchema = new mongoose.Schema({
   user: {
@@ -369,12 +370,12 @@ templateSchema.statics.getPopular = function(limit = 10) {
     .limit(limit);
 };
 
-// Static method to get templates by category
-templateSchema.statics.getByCategory = function(category, userId = null) {
+// Static method to get templates by category; `workspace` is a filter from utils/workspace
+templateSchema.statics.getByCategory = function(category, workspace = null) {
   const query = { category, isActive: true };
-  if (userId) {
+  if (workspace) {
     query.$or = [
-      { user: userId },
+      workspace,
       { type: { $in: ['system', 'shared'] } }
     ];
   } else {
@@ -416,4 +417,8 @@ templateSchema.pre('validate', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Template', templateSchema);
\ No newline at end of file
+// Shared by the organization; `user` is who created it
+templateSchema.plugin(workspacePlugin);
+templateSchema.index({ organization: 1, isActive: 1 });
+
+module.exports = mongoose.model('Template', templateSchema);
@@ -197,6 +197,19 @@ const userSchema = mongoose.Schema(
       type: Boolean,
       default: false
     },
+    // Base32 TOTP secret, set once enrollment is confirmed
+    twoFactorSecret: {
+      type: String,
+      select: false
+    },
+    // Secret issued by /2fa/setup, promoted to twoFactorSecret by /2fa/enable
+    twoFactorPendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted TOTP time step, so a code can't be used twice
+    twoFactorLastUsedStep: Number,
+    twoFactorEnabledAt: Date,
     // ACCOUNT DELETION
     deletionRequestedAt: {
       type: Date,
@@ -211,7 +224,22 @@ const userSchema = mongoose.Schema(
       default: null
     },
     // END ACCOUNT DELETION
-    twoFactorBackupCodes: [String],
+    // PASSWORD RESET
+    passwordResetToken: {
+      type: String,
+      default: null
+    },
+    passwordResetExpires: {
+      type: Date,
+      default: null
+    },
+    // Tokens issued before this moment are rejected by the auth middleware
+    passwordChangedAt: Date,
+    // SHA-256 hashes of unused recovery codes
+    twoFactorBackupCodes: {
+      type: [String],
+      select: false
+    },
     
     // API ACCESS
     apiKey: String,
@@ -246,6 +274,12 @@ const userSchema = mongoose.Schema(
   }
 );
 
+// Recovery codes are compared case-insensitively and without the separator
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
@@ -278,6 +312,37 @@ userSchema.methods.getVerificationToken = function () {
   return verificationToken; // Return the unhashed token to send in email
 };
 
+// Method to generate and hash a single-use password reset token
+userSchema.methods.getPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  // Matches the "expires in 1 hour" copy in the reset email
+  this.passwordResetExpires = Date.now() + 60 * 60 * 1000;
+
+  return resetToken; // Return the unhashed token to send in email
+};
+
+// Method to check whether a JWT (iat in seconds) predates the last password change
+userSchema.methods.changedPasswordAfter = function (jwtIssuedAt) {
+  if (!this.passwordChangedAt || !jwtIssuedAt) return false;
+  return jwtIssuedAt < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
+// Method to generate one-time 2FA recovery codes (stores hashes, returns plaintext once)
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactorBackupCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
 // Method to check if user has permission
 userSchema.methods.hasPermission = function(resource, action) {
   // Super admin has all permissions
@@ -368,6 +433,9 @@ userSchema.methods.incrementUsage = function(resource, amount = 1) {
   return this.updateOne({ $set: updates });
 };
 
+// Static method to hash a recovery code the same way generateRecoveryCodes stores it
+userSchema.statics.hashRecoveryCode = hashRecoveryCode;
+
 // Static method to get role hierarchy
 userSchema.statics.getRoleHierarchy = function() {
   return {
@@ -390,6 +458,7 @@ userSchema.statics.canManageRole = function(managerRole, targetRole) {
 userSchema.index({ email: 1 });
 userSchema.index({ organization: 1, role: 1 });
 userSchema.index({ apiKey: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 userSchema.index({ status: 1 });
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,23 @@
+// emailxp/backend/models/plugins/workspace.js
+// Organization workspaces: campaigns, subscribers, groups, segments, templates, automations and
+// tags belong to the creator's organization, so every member works on the same data (what each
+// member may do with it is decided by rbac). `user` stays on the document as "created by".
+
+const mongoose = require('mongoose');
+
+module.exports = function workspacePlugin(schema) {
+  schema.add({
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      index: true
+    }
+  });
+
+  // Documents created without an organization join their creator's
+  schema.pre('validate', async function() {
+    if (this.organization || !this.user) return;
+    const creator = await mongoose.model('User').findById(this.user).select('organization').lean();
+    if (creator && creator.organization) this.organization = creator.organization;
+  });
+};
@@ -5,6 +5,7 @@ const router = express.Router();
 const Analytics = require('../models/Analytics');
 const Campaign = require('../models/Campaign');
 const analyticsService = require('../services/analyticsService');
+const { workspaceFilter } = require('../utils/workspace');
 const { protect } = require('../middleware/authMiddleware');
 
 // Get dashboard overview
@@ -27,7 +28,7 @@ router.get('/campaigns/:campaignId', protect, async (req, res) => {
     const { timeframe = '30d' } = req.query;
     
     const analytics = await analyticsService.getCampaignAnalytics(
-      req.user._id, 
+      req.user, 
       req.params.campaignId, 
       timeframe
     );
@@ -49,13 +50,13 @@ router.get('/campaigns', protect, async (req, res) => {
     
     const { periodStart } = analyticsService.getTimeframeDates(timeframe);
     
-    // Get all campaigns for this user
-    const campaigns = await Campaign.find({ user: req.user._id })
+    // Get all campaigns in the user's workspace
+    const campaigns = await Campaign.find(workspaceFilter(req.user))
       .sort({ createdAt: -1 });
     
-    // Get analytics for campaigns that have them
+    // Get analytics for campaigns that have them (stored under each campaign's creator)
     const analyticsQuery = {
-      user: req.user._id,
+      entityId: { $in: campaigns.map(campaign => campaign._id) },
       type: 'campaign',
       periodStart: { $gte: periodStart }
     };
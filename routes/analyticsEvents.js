@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { authenticateToken, twoFactorEnrollmentRequired, twoFactorEnrollmentError } = require('../middleware/authMiddleware');
 
-// Lightweight auth that allows unverified users (for onboarding analytics capture)
+// Lightweight auth that allows unverified users (for onboarding analytics capture); otherwise the
+// same token and session checks as protect
 async function softAuth(req, res, next) {
   try {
     const auth = req.headers.authorization || '';
     if (!auth.startsWith('Bearer ')) return res.status(401).json({ message: 'No token' });
-    const token = auth.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
-    if (!user) return res.status(401).json({ message: 'User not found' });
+    const { user, orgSettings, error } = await authenticateToken(auth.split(' ')[1]);
+    if (error) return res.status(401).json({ message: 'Not authorized' });
+    if (twoFactorEnrollmentRequired(user, orgSettings)) {
+      const err = twoFactorEnrollmentError();
+      return res.status(403).json({ message: err.message, code: err.code });
+    }
     req.user = user; // even if not verified
     next();
   } catch (e) {
@@ -4,20 +4,25 @@ const express = require('express');
 const router = express.Router();
 const asyncHandler = require('express-async-handler');
 const { protect, admin } = require('../middleware/authMiddleware');
+const { rbac } = require('../middleware/rbac');
 const logger = require('../utils/logger');
 
 // Import models
 const Automation = require('../models/Automation');
+const AutomationRun = require('../models/AutomationRun');
+const AutomationStep = require('../models/AutomationStep');
 const { executeAutomation } = require('../services/automationExecutor');
+const usageService = require('../services/usageService');
+const { workspaceFilter, workspaceFields, inWorkspace } = require('../utils/workspace');
 
 // @desc    Get all automations
 // @route   GET /api/automations
 // @access  Private
-router.get('/', protect, asyncHandler(async (req, res) => {
+router.get('/', protect, rbac('automation', 'read'), asyncHandler(async (req, res) => {
   const { status, type } = req.query;
   
   // Build query
-  const query = { user: req.user.id };
+  const query = workspaceFilter(req.user);
   
   if (status && status !== 'all') {
     query.status = status;
@@ -38,7 +43,7 @@ router.get('/', protect, asyncHandler(async (req, res) => {
 // @desc    Get single automation
 // @route   GET /api/automations/:id
 // @access  Private
-router.get('/:id', protect, asyncHandler(async (req, res) => {
+router.get('/:id', protect, rbac('automation', 'read'), asyncHandler(async (req, res) => {
   const automation = await Automation.findById(req.params.id)
     .populate('campaign')
     .populate('triggerCampaign');
@@ -48,8 +53,8 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
     throw new Error('Automation not found');
   }
   
-  // Check if user owns the automation
-  if (automation.user.toString() !== req.user.id) {
+  // Check the automation is in the user's workspace
+  if (!inWorkspace(automation, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
@@ -60,11 +65,17 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
 // @desc    Create automation
 // @route   POST /api/automations
 // @access  Private
-router.post('/', protect, asyncHandler(async (req, res) => {
+router.post('/', protect, rbac('automation', 'create'), asyncHandler(async (req, res) => {
   const { name, description, nodes, edges, isActive } = req.body;
   
+  const usage = await usageService.consumeForUser(req.user, 'automation');
+  if (!usage.allowed) {
+    res.status(429);
+    throw usageService.limitError(usage);
+  }
+  
   const automation = new Automation({
-    user: req.user.id,
+    ...workspaceFields(req.user),
     name,
     description,
     nodes,
@@ -102,7 +113,7 @@ router.post('/', protect, asyncHandler(async (req, res) => {
 // @desc    Update automation
 // @route   PUT /api/automations/:id
 // @access  Private
-router.put('/:id', protect, asyncHandler(async (req, res) => {
+router.put('/:id', protect, rbac('automation', 'update'), asyncHandler(async (req, res) => {
   const { name, description, nodes, edges, isActive } = req.body;
   
   const automation = await Automation.findById(req.params.id);
@@ -112,8 +123,8 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
     throw new Error('Automation not found');
   }
   
-  // Check if user owns the automation
-  if (automation.user.toString() !== req.user.id) {
+  // Check the automation is in the user's workspace
+  if (!inWorkspace(automation, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
@@ -140,7 +151,7 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
 // @desc    Delete automation
 // @route   DELETE /api/automations/:id
 // @access  Private
-router.delete('/:id', protect, asyncHandler(async (req, res) => {
+router.delete('/:id', protect, rbac('automation', 'delete'), asyncHandler(async (req, res) => {
   const automation = await Automation.findById(req.params.id);
   
   if (!automation) {
@@ -148,14 +159,15 @@ router.delete('/:id', protect, asyncHandler(async (req, res) => {
     throw new Error('Automation not found');
   }
   
-  // Check if user owns the automation
-  if (automation.user.toString() !== req.user.id) {
+  // Check the automation is in the user's workspace
+  if (!inWorkspace(automation, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
   
   // Use model-level delete to avoid relying on document.remove (may be unavailable in some Mongoose versions)
   await Automation.findByIdAndDelete(req.params.id);
+  await usageService.releaseForUser(req.user, 'automation');
   
   res.json({ success: true, message: 'Automation removed' });
 }));
@@ -163,7 +175,7 @@ router.delete('/:id', protect, asyncHandler(async (req, res) => {
 // @desc    Start automation
 // @route   POST /api/automations/:id/start
 // @access  Private
-router.post('/:id/start', protect, asyncHandler(async (req, res) => {
+router.post('/:id/start', protect, rbac('automation', 'update'), asyncHandler(async (req, res) => {
   const automation = await Automation.findById(req.params.id);
   
   if (!automation) {
@@ -171,8 +183,8 @@ router.post('/:id/start', protect, asyncHandler(async (req, res) => {
     throw new Error('Automation not found');
   }
   
-  // Check if user owns the automation
-  if (automation.user.toString() !== req.user.id) {
+  // Check the automation is in the user's workspace
+  if (!inWorkspace(automation, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
@@ -187,7 +199,7 @@ router.post('/:id/start', protect, asyncHandler(async (req, res) => {
 // @desc    Pause automation
 // @route   POST /api/automations/:id/pause
 // @access  Private
-router.post('/:id/pause', protect, asyncHandler(async (req, res) => {
+router.post('/:id/pause', protect, rbac('automation', 'update'), asyncHandler(async (req, res) => {
   const automation = await Automation.findById(req.params.id);
   
   if (!automation) {
@@ -195,8 +207,8 @@ router.post('/:id/pause', protect, asyncHandler(async (req, res) => {
     throw new Error('Automation not found');
   }
   
-  // Check if user owns the automation
-  if (automation.user.toString() !== req.user.id) {
+  // Check the automation is in the user's workspace
+  if (!inWorkspace(automation, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
@@ -211,7 +223,7 @@ router.post('/:id/pause', protect, asyncHandler(async (req, res) => {
 // @desc    Duplicate automation
 // @route   POST /api/automations/:id/duplicate
 // @access  Private
-router.post('/:id/duplicate', protect, asyncHandler(async (req, res) => {
+router.post('/:id/duplicate', protect, rbac('automation', 'create'), asyncHandler(async (req, res) => {
   const originalAutomation = await Automation.findById(req.params.id);
   
   if (!originalAutomation) {
@@ -219,15 +231,21 @@ router.post('/:id/duplicate', protect, asyncHandler(async (req, res) => {
     throw new Error('Automation not found');
   }
   
-  // Check if user owns the automation
-  if (originalAutomation.user.toString() !== req.user.id) {
+  // Check the automation is in the user's workspace
+  if (!inWorkspace(originalAutomation, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
   
+  const usage = await usageService.consumeForUser(req.user, 'automation');
+  if (!usage.allowed) {
+    res.status(429);
+    throw usageService.limitError(usage);
+  }
+  
   // Create a copy with "Copy" appended to the name
   const duplicatedAutomation = new Automation({
-    user: req.user.id,
+    ...workspaceFields(req.user),
     name: `${originalAutomation.name} (Copy)`,
     description: originalAutomation.description,
     nodes: originalAutomation.nodes,
@@ -262,10 +280,71 @@ router.post('/:id/duplicate', protect, asyncHandler(async (req, res) => {
   res.status(201).json({ success: true, automation: createdAutomation });
 }));
 
+// @desc    List per-subscriber runs of an automation
+// @route   GET /api/automations/:id/runs?status=&subscriber=&page=1&limit=50
+// @access  Private
+router.get('/:id/runs', protect, rbac('automation', 'read'), asyncHandler(async (req, res) => {
+  const automation = await Automation.findById(req.params.id).select('user organization name');
+
+  if (!automation) {
+    res.status(404);
+    throw new Error('Automation not found');
+  }
+
+  // Check the automation is in the user's workspace
+  if (!inWorkspace(automation, req.user)) {
+    res.status(401);
+    throw new Error('Not authorized');
+  }
+
+  const page = Math.max(1, parseInt(req.query.page || '1', 10));
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '50', 10)));
+  const query = { automation: automation._id };
+  if (req.query.status && req.query.status !== 'all') query.status = req.query.status;
+  if (req.query.subscriber) query.subscriber = req.query.subscriber;
+
+  const [runs, total] = await Promise.all([
+    AutomationRun.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('subscriber', 'email name status'),
+    AutomationRun.countDocuments(query)
+  ]);
+
+  res.json({ success: true, runs, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } });
+}));
+
+// @desc    Get a single automation run with its step audit trail
+// @route   GET /api/automations/:id/runs/:runId
+// @access  Private
+router.get('/:id/runs/:runId', protect, rbac('automation', 'read'), asyncHandler(async (req, res) => {
+  const run = await AutomationRun.findOne({ _id: req.params.runId, automation: req.params.id })
+    .populate('automation', 'user organization name')
+    .populate('subscriber', 'email name status');
+
+  if (!run || !run.automation) {
+    res.status(404);
+    throw new Error('Automation run not found');
+  }
+
+  // Check the automation is in the user's workspace
+  if (!inWorkspace(run.automation, req.user)) {
+    res.status(401);
+    throw new Error('Not authorized');
+  }
+
+  const steps = await AutomationStep.find({ run: run._id })
+    .sort({ startedAt: 1, createdAt: 1 })
+    .populate('template', 'name subject');
+
+  res.json({ success: true, run, steps });
+}));
+
 // @desc    Trigger automation (for testing or runtime triggers)
 // @route   POST /api/automations/:id/trigger
 // @access  Private
-router.post('/:id/trigger', protect, asyncHandler(async (req, res) => {
+router.post('/:id/trigger', protect, rbac('automation', 'update'), asyncHandler(async (req, res) => {
   const { subscriberId, event } = req.body;
 
   const automation = await Automation.findById(req.params.id);
@@ -274,8 +353,8 @@ router.post('/:id/trigger', protect, asyncHandler(async (req, res) => {
     throw new Error('Automation not found');
   }
 
-  // Check ownership
-  if (automation.user.toString() !== req.user.id) {
+  // Check the automation is in the user's workspace
+  if (!inWorkspace(automation, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
@@ -2,46 +2,65 @@
 const express = require('express');
 const asyncHandler = require('express-async-handler');
 const { protect } = require('../middleware/authMiddleware');
+const { rbac } = require('../middleware/rbac');
 const Campaign = require('../models/Campaign');
 const EmailLog = require('../models/EmailLog');
 const emailQueueService = require('../services/emailQueueService');
 const emailService = require('../services/emailService');
+const usageService = require('../services/usageService');
+const { workspaceFilter, workspaceFields, inWorkspace } = require('../utils/workspace');
 const { 
   getCampaigns, 
   getDashboardStats, 
   getCampaignById,
   deleteCampaign,
   getCampaignAnalytics,
-  getCampaignAnalyticsTimeSeries
+  getCampaignAnalyticsTimeSeries,
+  getCampaignLinkStats,
+  getCampaignRecipients
 } = require('../controllers/campaignController');
 
 const router = express.Router();
 
 // Get all campaigns
-router.get('/', protect, getCampaigns);
+router.get('/', protect, rbac('campaigns', 'read'), getCampaigns);
 
 // Get dashboard statistics
-router.get('/dashboard-stats', protect, getDashboardStats);
+router.get('/dashboard-stats', protect, rbac('campaigns', 'read'), getDashboardStats);
 
 /**
  * @desc    Get campaign analytics
  * @route   GET /api/campaigns/:id/analytics
  * @access  Private
  */
-router.get('/:id/analytics', protect, getCampaignAnalytics);
+router.get('/:id/analytics', protect, rbac('campaigns', 'read'), getCampaignAnalytics);
 
 /**
  * @desc    Get campaign time-series analytics  
  * @route   GET /api/campaigns/:id/analytics/time-series
  * @access  Private
  */
-router.get('/:id/analytics/time-series', protect, getCampaignAnalyticsTimeSeries);
+router.get('/:id/analytics/time-series', protect, rbac('campaigns', 'read'), getCampaignAnalyticsTimeSeries);
+
+/**
+ * @desc    Get clicks per link
+ * @route   GET /api/campaigns/:id/analytics/links
+ * @access  Private
+ */
+router.get('/:id/analytics/links', protect, rbac('campaigns', 'read'), getCampaignLinkStats);
+
+/**
+ * @desc    List the audience snapshot (who was targeted or excluded at send time)
+ * @route   GET /api/campaigns/:id/recipients
+ * @access  Private
+ */
+router.get('/:id/recipients', protect, rbac('campaigns', 'read'), getCampaignRecipients);
 
 // Get single campaign by ID (must come after specific routes)
-router.get('/:id', protect, getCampaignById);
+router.get('/:id', protect, rbac('campaigns', 'read'), getCampaignById);
 
 // Create campaign
-router.post('/', protect, asyncHandler(async (req, res) => {
+router.post('/', protect, rbac('campaigns', 'create'), asyncHandler(async (req, res) => {
   const { name, subject, fromEmail, fromName, htmlContent, group, groups = [], segments = [], individuals = [], scheduledAt, scheduleType, scheduleTimezone, template } = req.body;
 
   if (!name || !subject || (!htmlContent && !template)) {
@@ -49,8 +68,14 @@ router.post('/', protect, asyncHandler(async (req, res) => {
     throw new Error('Please include required fields: name, subject, and either htmlContent or template');
   }
 
+  const usage = await usageService.consumeForUser(req.user, 'campaigns');
+  if (!usage.allowed) {
+    res.status(429);
+    throw usageService.limitError(usage);
+  }
+
   const campaign = await Campaign.create({
-    user: req.user.id,
+    ...workspaceFields(req.user),
     name,
     subject,
     fromEmail: fromEmail || req.user.email,
@@ -71,7 +96,7 @@ router.post('/', protect, asyncHandler(async (req, res) => {
 }));
 
 // Update campaign
-router.put('/:id', protect, asyncHandler(async (req, res) => {
+router.put('/:id', protect, rbac('campaigns', 'update'), asyncHandler(async (req, res) => {
   const { name, subject, fromEmail, fromName, htmlContent, group, groups = [], segments = [], individuals = [], scheduledAt, scheduleType, scheduleTimezone, template } = req.body;
 
   const update = {
@@ -90,7 +115,7 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
     template: template || null
   };
 
-  const updated = await Campaign.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+  const updated = await Campaign.findOneAndUpdate({ _id: req.params.id, ...workspaceFilter(req.user) }, update, { new: true, runValidators: true });
   if (!updated) {
     res.status(404);
     throw new Error('Campaign not found');
@@ -99,14 +124,14 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
 }));
 
 // Delete campaign
-router.delete('/:id', protect, deleteCampaign);
+router.delete('/:id', protect, rbac('campaigns', 'delete'), deleteCampaign);
 
 /**
  * @desc    Send campaign immediately
  * @route   POST /api/campaigns/:id/send
  * @access  Private
  */
-router.post('/:id/send', protect, asyncHandler(async (req, res) => {
+router.post('/:id/send', protect, rbac('campaigns', 'update'), asyncHandler(async (req, res) => {
   console.log(`🚀 Campaign send request received for campaign: ${req.params.id}, user: ${req.user.id}`);
   
   const campaign = await Campaign.findById(req.params.id);
@@ -116,7 +141,7 @@ router.post('/:id/send', protect, asyncHandler(async (req, res) => {
     throw new Error('Campaign not found');
   }
   
-  if (campaign.user.toString() !== req.user.id) {
+  if (!inWorkspace(campaign, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
@@ -184,7 +209,7 @@ router.post('/:id/send', protect, asyncHandler(async (req, res) => {
  * @route   POST /api/campaigns/:id/schedule
  * @access  Private
  */
-router.post('/:id/schedule', protect, asyncHandler(async (req, res) => {
+router.post('/:id/schedule', protect, rbac('campaigns', 'update'), asyncHandler(async (req, res) => {
   const { scheduledTime } = req.body;
   const campaign = await Campaign.findById(req.params.id);
   
@@ -193,7 +218,7 @@ router.post('/:id/schedule', protect, asyncHandler(async (req, res) => {
     throw new Error('Campaign not found');
   }
   
-  if (campaign.user.toString() !== req.user.id) {
+  if (!inWorkspace(campaign, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
@@ -229,7 +254,7 @@ router.post('/:id/schedule', protect, asyncHandler(async (req, res) => {
  * @route   POST /api/campaigns/:id/cancel
  * @access  Private
  */
-router.post('/:id/cancel', protect, asyncHandler(async (req, res) => {
+router.post('/:id/cancel', protect, rbac('campaigns', 'update'), asyncHandler(async (req, res) => {
   const campaign = await Campaign.findById(req.params.id);
   
   if (!campaign) {
@@ -237,7 +262,7 @@ router.post('/:id/cancel', protect, asyncHandler(async (req, res) => {
     throw new Error('Campaign not found');
   }
   
-  if (campaign.user.toString() !== req.user.id) {
+  if (!inWorkspace(campaign, req.user)) {
     res.status(401);
     throw new Error('Not authorized');
   }
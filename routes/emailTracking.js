@@ -4,6 +4,12 @@ const express = require('express');
 const router = express.Router();
 const EmailTracking = require('../models/EmailTracking');
 const emailService = require('../utils/emailService');
+const { verifyClickUrl, verifyHoneypotUrl, isTrackableUrl } = require('../utils/clickTracking');
+const { isMachineActivity, humanActivityFilter } = require('../utils/engagementClassifier');
+const engagementClassificationService = require('../services/engagementClassificationService');
+
+// Classification of the open/click that was just recorded on the tracking document
+const lastClassification = (events) => (events && events.length && events[events.length - 1].classification) || 'human';
 
 // Track email opens
 router.get('/open/:messageId', async (req, res) => {
@@ -21,11 +27,13 @@ router.get('/open/:messageId', async (req, res) => {
     // Also create OpenEvent document if tracking exists
     if (tracking) {
       const OpenEvent = require('../models/OpenEvent');
+      const classification = lastClassification(tracking.opens);
 
-      // Check if this is the first open for this subscriber-campaign combination
+      // Check if this is the first human open for this subscriber-campaign combination
       const existingOpen = await OpenEvent.findOne({
         campaign: tracking.campaign,
-        subscriber: tracking.subscriber
+        subscriber: tracking.subscriber,
+        ...humanActivityFilter()
       });
 
       await OpenEvent.create({
@@ -33,12 +41,13 @@ router.get('/open/:messageId', async (req, res) => {
         subscriber: tracking.subscriber,
         email: tracking.emailAddress,
         ipAddress: ipAddress,
-        userAgent: userAgent
+        userAgent: userAgent,
+        classification
       });
       console.log('OpenEvent created for messageId:', messageId);
 
-      // Update campaign open count only if this is the first open
-      if (!existingOpen) {
+      // Update campaign open count only if this is the first human open
+      if (!existingOpen && !isMachineActivity(classification)) {
         const Campaign = require('../models/Campaign');
         console.log('Updating campaign opens for campaign:', tracking.campaign);
         await Campaign.findByIdAndUpdate(tracking.campaign, {
@@ -78,28 +87,26 @@ router.get('/open/:messageId', async (req, res) => {
   }
 });
 
-// Track email clicks
+// Track email clicks. Only signed links (built by utils/clickTracking at send time) are
+// followed, so the tracking domain can't be used as an open redirector or to forge clicks.
 router.get('/click/:messageId', async (req, res) => {
+  const { messageId } = req.params;
+  const { url, i: linkIndexParam, sig } = req.query;
+
+  if (typeof url !== 'string' || !verifyClickUrl(messageId, linkIndexParam, url, sig) || !isTrackableUrl(url)) {
+    console.warn('Rejected unsigned or tampered click link:', { messageId, ip: req.ip });
+    return res.status(400).json({ message: 'Invalid or expired tracking link' });
+  }
+  const linkIndex = Number(linkIndexParam);
+
   try {
-    const { messageId } = req.params;
-    const { url } = req.query;
     const userAgent = req.get('User-Agent');
     const ipAddress = req.ip || req.connection.remoteAddress;
 
-    console.log('Click tracking request:', { messageId, url, userAgent, ipAddress });
-
-    if (!url) {
-      console.error('No URL parameter provided for click tracking');
-      return res.status(400).json({ message: 'URL parameter is required' });
-    }
-
-    const decodedUrl = decodeURIComponent(url);
-    console.log('Decoded URL:', decodedUrl);
-    console.log('About to redirect to decoded URL:', decodedUrl);
-
     // Record the click
     const tracking = await emailService.recordClick(messageId, {
-      url: decodedUrl,
+      url,
+      linkIndex,
       userAgent,
       ipAddress
     });
@@ -107,54 +114,66 @@ router.get('/click/:messageId', async (req, res) => {
     // Also create ClickEvent document if tracking exists
     if (tracking) {
       const ClickEvent = require('../models/ClickEvent');
+      const classification = lastClassification(tracking.clicks);
 
-      // Check if this is the first click for this subscriber-campaign combination
+      // Check if this is the first human click for this subscriber-campaign combination
       const existingClick = await ClickEvent.findOne({
         campaign: tracking.campaign,
-        subscriber: tracking.subscriber
+        subscriber: tracking.subscriber,
+        honeypot: { $ne: true },
+        ...humanActivityFilter()
       });
 
       await ClickEvent.create({
         campaign: tracking.campaign,
         subscriber: tracking.subscriber,
         email: tracking.emailAddress,
-        url: decodedUrl,
+        url,
+        linkIndex,
         ipAddress: ipAddress,
-        userAgent: userAgent
+        userAgent: userAgent,
+        classification
       });
-      console.log('ClickEvent created for messageId:', messageId);
 
-      // Update campaign click count only if this is the first click
-      if (!existingClick) {
+      // Update campaign click count only if this is the first human click
+      if (!existingClick && !isMachineActivity(classification)) {
         const Campaign = require('../models/Campaign');
-        console.log('Updating campaign clicks for campaign:', tracking.campaign);
         await Campaign.findByIdAndUpdate(tracking.campaign, {
           $inc: { clicks: 1 }
         });
-        console.log('Campaign clicks updated successfully');
       }
     } else {
       console.log('No EmailTracking found for messageId:', messageId);
     }
-
-    console.log('Click recorded, redirecting to:', decodedUrl);
-
-    // Redirect to the original URL
-    res.redirect(decodedUrl);
   } catch (error) {
+    // The link is genuine, so still send the reader on even if tracking fails
     console.error('Error tracking email click:', error);
-    
-    // Still redirect even if tracking fails
-    const { url } = req.query;
-    if (url) {
-      const decodedUrl = decodeURIComponent(url);
-      console.log('Error occurred, still redirecting to:', decodedUrl);
-      res.redirect(decodedUrl);
-    } else {
-      console.error('No URL to redirect to after error');
-      res.status(400).json({ message: 'URL parameter is required' });
+  }
+
+  res.redirect(url);
+});
+
+// Hidden honeypot link (see utils/clickTracking). People never see it, so whatever follows it
+// is a link scanner; its other clicks on the same message are re-flagged as scanner clicks.
+router.get('/hp/:messageId', async (req, res) => {
+  const { messageId } = req.params;
+  if (!verifyHoneypotUrl(messageId, req.query.sig)) {
+    return res.status(400).json({ message: 'Invalid or expired tracking link' });
+  }
+
+  try {
+    const tracking = await EmailTracking.findOne({ messageId });
+    if (tracking) {
+      await engagementClassificationService.recordHoneypotClick(tracking, {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip || req.connection.remoteAddress
+      });
     }
+  } catch (error) {
+    console.error('Error recording honeypot click:', error);
   }
+
+  res.status(204).end();
 });
 
 // Unsubscribe endpoint
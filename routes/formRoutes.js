@@ -0,0 +1,32 @@
+// emailxp/backend/routes/formRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+  getForms,
+  createForm,
+  getForm,
+  updateForm,
+  deleteForm,
+  getFormSubmissions,
+  getFormEmbed
+} = require('../controllers/formController');
+const { protect } = require('../middleware/authMiddleware');
+const { workspaceAccess } = require('../middleware/rbac');
+
+// Forms add people to the list, so they share the subscribers permission
+router.use(protect, workspaceAccess('subscribers'));
+
+router.route('/')
+  .get(getForms)
+  .post(createForm);
+
+router.route('/:id')
+  .get(getForm)
+  .put(updateForm)
+  .delete(deleteForm);
+
+router.get('/:id/submissions', getFormSubmissions);
+router.get('/:id/embed', getFormEmbed);
+
+module.exports = router;
@@ -18,9 +18,10 @@ const {
     removeSubscriberFromGroup, // Use this to remove from group, not delete entirely
 } = require('../controllers/subscriberController');
 const { protect } = require('../middleware/authMiddleware');
+const { workspaceAccess } = require('../middleware/rbac');
 
 // Protect all routes in this file
-router.use(protect);
+router.use(protect, workspaceAccess('subscribers'));
 
 // Group Management Routes
 router.route('/')
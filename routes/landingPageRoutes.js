@@ -13,6 +13,12 @@ router.route('/:id')
   .put(protect, landingPageController.updateLandingPage)
   .delete(protect, landingPageController.deleteLandingPage);
 
+router.route('/:id/analytics')
+  .get(protect, landingPageController.getLandingPageAnalytics);
+
+router.route('/:id/domain/verify')
+  .post(protect, landingPageController.verifyCustomDomain);
+
 router.route('/:id/conversion')
   .post(protect, landingPageController.recordConversion);
 
@@ -6,7 +6,7 @@ const asyncHandler = require('express-async-handler');
 
 router.get('/', protect, asyncHandler(async (req, res) => {
   const days = parseInt(req.query.days||'30',10);
-  const data = await listHealthService.getListHealth({ userId: req.user._id, days });
+  const data = await listHealthService.getListHealth({ user: req.user, days });
   res.json(data);
 }));
 
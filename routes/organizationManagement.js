@@ -10,6 +10,7 @@ const {
   rbac,
   getDefaultPermissions
 } = require('../middleware/rbac');
+const usageService = require('../services/usageService');
 
 // Get all organizations (super admin only)
 router.get('/', protect, rbac('settings', 'manage'), async (req, res) => {
@@ -274,31 +275,33 @@ router.get('/:organizationId/usage',
   requireOrganizationAccess('read'),
   async (req, res) => {
     try {
-      const organization = req.organization;
+      // Counters whose billing period or day has ended are reset before reporting
+      const summary = await usageService.usageSummary(req.organization._id);
       
       const usageStats = {
-        current: organization.usage,
-        limits: organization.limits,
-        percentages: {
-          users: organization.getUsagePercentage('users'),
-          emailsSentThisMonth: organization.getUsagePercentage('emailsSentThisMonth'),
-          subscribersCount: organization.getUsagePercentage('subscribersCount'),
-          templatesCount: organization.getUsagePercentage('templatesCount'),
-          campaignsThisMonth: organization.getUsagePercentage('campaignsThisMonth'),
-          automationRulesCount: organization.getUsagePercentage('automationRulesCount'),
-          apiCallsToday: organization.getUsagePercentage('apiCallsToday')
-        },
+        current: summary.usage,
+        limits: summary.limits,
+        percentages: {},
+        periodEnd: summary.periodEnd,
+        resources: summary.resources,
         warnings: []
       };
 
-      // Add warnings for high usage
-      Object.keys(usageStats.percentages).forEach(key => {
-        const percentage = usageStats.percentages[key];
-        if (percentage >= 90) {
+      // Percentages keyed by usage counter, with warnings for high usage and overages
+      Object.entries(summary.resources).forEach(([resource, stats]) => {
+        const key = usageService.RESOURCES[resource].counter;
+        usageStats.percentages[key] = Math.min(stats.percentage, 100);
+        if (stats.overageSince) {
+          usageStats.warnings.push({
+            resource: key,
+            percentage: stats.percentage,
+            message: `${key} is over its plan limit (${stats.current} of ${stats.limit})`
+          });
+        } else if (stats.percentage >= 90) {
           usageStats.warnings.push({
             resource: key,
-            percentage,
-            message: `${key} usage is at ${percentage.toFixed(1)}% of limit`
+            percentage: stats.percentage,
+            message: `${key} usage is at ${stats.percentage.toFixed(1)}% of limit`
           });
         }
       });
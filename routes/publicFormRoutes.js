@@ -0,0 +1,16 @@
+// emailxp/backend/routes/publicFormRoutes.js
+// Mounted ahead of the app-wide CORS allowlist and body parsers: forms are embedded on customer
+// sites, so any origin may read a form and post to it.
+
+const express = require('express');
+const router = express.Router();
+const { getPublicForm, submitPublicForm } = require('../controllers/formController');
+const { formSubmissionLimiter } = require('../middleware/rateLimitMiddleware');
+
+router.use(express.json({ limit: '20kb' }));
+router.use(express.urlencoded({ extended: false, limit: '20kb' }));
+
+router.get('/:id', getPublicForm);
+router.post('/:id/submit', formSubmissionLimiter, submitPublicForm);
+
+module.exports = router;
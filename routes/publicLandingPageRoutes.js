@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const landingPageController = require('../controllers/landingPageController');
+const { formSubmissionLimiter } = require('../middleware/rateLimitMiddleware');
 
 // Public route to serve landing pages by slug
 router.route('/landing/:slug')
-  .get(landingPageController.getLandingPageBySlug);
+  .get(landingPageController.renderLandingPage);
 
-module.exports = router;
\ No newline at end of file
+// Signup form embedded in the page
+router.route('/landing/:slug/subscribe')
+  .post(formSubmissionLimiter, landingPageController.submitLandingPageForm);
+
+module.exports = router;
@@ -3,16 +3,35 @@
 const express = require('express');
 const router = express.Router();
 const Segment = require('../models/Segment');
+const Subscriber = require('../models/Subscriber');
 const { protect } = require('../middleware/authMiddleware');
+const { workspaceAccess } = require('../middleware/rbac');
+const { validateRuleTree, hasRuleTree } = require('../services/segmentationService');
+const { resolveSegmentQuery } = require('../services/segmentBehaviorService');
+const { workspaceFilter, workspaceFields, workspaceOf } = require('../utils/workspace');
+
+// Segments are defined either by a flat filters array or a nested rules tree.
+// Returns an error message, or null when the criteria are usable.
+function checkCriteria({ filters, rules }) {
+  if (rules !== undefined && rules !== null) {
+    const errors = validateRuleTree(rules);
+    if (errors.length > 0) return `Invalid rules: ${errors.join('; ')}`;
+    if (hasRuleTree(rules)) return null;
+  }
+  if (!filters || !Array.isArray(filters) || filters.length === 0) {
+    return 'At least one filter or rule is required';
+  }
+  return null;
+}
 
 // Protect all segment routes
-router.use(protect);
+router.use(protect, workspaceAccess('segments'));
 
-// Get all segments for the authenticated user
+// Get all segments in the authenticated user's workspace
 router.get('/', async (req, res) => {
   try {
     const segments = await Segment.find({ 
-      user: req.user.id, 
+      ...workspaceFilter(req.user),
       isActive: true 
     }).sort({ createdAt: -1 });
     
@@ -28,7 +47,7 @@ router.get('/:id', async (req, res) => {
   try {
     const segment = await Segment.findOne({
       _id: req.params.id,
-      user: req.user.id
+      ...workspaceFilter(req.user)
     });
     
     if (!segment) {
@@ -45,20 +64,21 @@ router.get('/:id', async (req, res) => {
 // Create a new segment
 router.post('/', async (req, res) => {
   try {
-    const { name, description, filters, logic } = req.body;
+    const { name, description, filters, logic, rules } = req.body;
     
     // Validation
     if (!name || !name.trim()) {
       return res.status(400).json({ message: 'Segment name is required' });
     }
     
-    if (!filters || !Array.isArray(filters) || filters.length === 0) {
-      return res.status(400).json({ message: 'At least one filter is required' });
+    const criteriaError = checkCriteria({ filters, rules });
+    if (criteriaError) {
+      return res.status(400).json({ message: criteriaError });
     }
     
     // Check for duplicate name
     const existingSegment = await Segment.findOne({
-      user: req.user.id,
+      ...workspaceFilter(req.user),
       name: name.trim(),
       isActive: true
     });
@@ -71,9 +91,10 @@ router.post('/', async (req, res) => {
     const segment = new Segment({
       name: name.trim(),
       description: description?.trim(),
-      user: req.user.id,
-      filters,
-      logic: logic || 'AND'
+      ...workspaceFields(req.user),
+      filters: filters || [],
+      logic: logic || 'AND',
+      rules: rules || undefined
     });
     
     await segment.save();
@@ -91,11 +112,11 @@ router.post('/', async (req, res) => {
 // Update a segment
 router.put('/:id', async (req, res) => {
   try {
-    const { name, description, filters, logic } = req.body;
+    const { name, description, filters, logic, rules } = req.body;
     
     const segment = await Segment.findOne({
       _id: req.params.id,
-      user: req.user.id
+      ...workspaceFilter(req.user)
     });
     
     if (!segment) {
@@ -107,13 +128,14 @@ router.put('/:id', async (req, res) => {
       return res.status(400).json({ message: 'Segment name is required' });
     }
     
-    if (!filters || !Array.isArray(filters) || filters.length === 0) {
-      return res.status(400).json({ message: 'At least one filter is required' });
+    const criteriaError = checkCriteria({ filters, rules });
+    if (criteriaError) {
+      return res.status(400).json({ message: criteriaError });
     }
     
     // Check for duplicate name (excluding current segment)
     const existingSegment = await Segment.findOne({
-      user: req.user.id,
+      ...workspaceFilter(req.user),
       name: name.trim(),
       isActive: true,
       _id: { $ne: req.params.id }
@@ -126,8 +148,9 @@ router.put('/:id', async (req, res) => {
     // Update segment
     segment.name = name.trim();
     segment.description = description?.trim();
-    segment.filters = filters;
+    segment.filters = filters || [];
     segment.logic = logic || 'AND';
+    segment.rules = rules || undefined;
     
     await segment.save();
     
@@ -146,7 +169,7 @@ router.delete('/:id', async (req, res) => {
   try {
     const segment = await Segment.findOne({
       _id: req.params.id,
-      user: req.user.id
+      ...workspaceFilter(req.user)
     });
     
     if (!segment) {
@@ -166,25 +189,20 @@ router.delete('/:id', async (req, res) => {
 // Preview segment (get subscriber count without saving)
 router.post('/preview', async (req, res) => {
   try {
-    const { filters, logic } = req.body;
+    const { filters, logic, rules } = req.body;
     
-    if (!filters || !Array.isArray(filters) || filters.length === 0) {
-      return res.status(400).json({ message: 'Filters are required for preview' });
+    const criteriaError = checkCriteria({ filters, rules });
+    if (criteriaError) {
+      return res.status(400).json({ message: criteriaError });
     }
     
-    // Create temporary segment for preview
-    const tempSegment = new Segment({
-      name: 'temp',
-      user: req.user.id,
-      filters,
-      logic: logic || 'AND'
-    });
-    
-    const count = await tempSegment.countSubscribers();
+    const workspace = workspaceFilter(req.user);
+    const query = await resolveSegmentQuery({ filters, logic, rules }, req.user.id, workspace);
+    const subscriberCount = await Subscriber.countDocuments({ ...workspace, ...query });
     
     res.json({ 
-      subscriberCount: count,
-      query: tempSegment.buildQuery()
+      subscriberCount,
+      query
     });
   } catch (error) {
     console.error('Error previewing segment:', error);
@@ -199,7 +217,7 @@ router.get('/:id/subscribers', async (req, res) => {
     
     const segment = await Segment.findOne({
       _id: req.params.id,
-      user: req.user.id
+      ...workspaceFilter(req.user)
     });
     
     if (!segment) {
@@ -227,10 +245,9 @@ router.get('/:id/subscribers', async (req, res) => {
 router.get('/:id/preview', async (req, res) => {
   try {
     const { sample = 20 } = req.query;
-    const segment = await Segment.findOne({ _id: req.params.id, user: req.user.id });
+    const segment = await Segment.findOne({ _id: req.params.id, ...workspaceFilter(req.user) });
     if (!segment) return res.status(404).json({ message: 'Segment not found' });
-    const query = { user: req.user.id, ...segment.buildQuery() };
-    const Subscriber = require('../models/Subscriber');
+    const query = { ...workspaceOf(segment), ...(await segment.resolveQuery()) };
     const count = await Subscriber.countDocuments(query);
     const docs = await Subscriber.find(query).limit(parseInt(sample,10)).select('email name status tags createdAt');
     res.json({ count, sample: docs, query });
@@ -256,7 +273,7 @@ router.post('/:id/refresh', async (req, res) => {
   try {
     const segment = await Segment.findOne({
       _id: req.params.id,
-      user: req.user.id
+      ...workspaceFilter(req.user)
     });
     
     if (!segment) {
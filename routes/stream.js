@@ -1,8 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authenticateToken, twoFactorEnrollmentRequired, twoFactorEnrollmentError } = require('../middleware/authMiddleware');
 const analyticsService = require('../services/analyticsService');
 const { summary } = require('../services/deliverabilityMetricsService');
 
@@ -12,9 +11,9 @@ const clientConnections = new Map();
 // GET /api/stream/token - returns a short-lived token for SSE auth
 router.get('/token', protect, (req, res) => {
   try {
-    // Create a short-lived token (5 minutes) containing user id
+    // Create a short-lived token (5 minutes) bound to the caller's session
     const token = jwt.sign(
-      { id: req.user._id, type: 'sse' },
+      { id: req.user._id, sid: String(req.authSession._id), type: 'sse' },
       process.env.JWT_SECRET,
       { expiresIn: '5m' }
     );
@@ -25,31 +24,26 @@ router.get('/token', protect, (req, res) => {
 });
 
 router.get('/', async (req, res) => {
-  let user;
-  const token = req.query.token;
-  if (token) {
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      if (decoded.type !== 'sse') throw new Error('Invalid token type');
-      // Get user
-      user = await User.findById(decoded.id).select('-password');
-      if (!user) throw new Error('User not found');
-    } catch (error) {
-      return res.status(401).json({ message: 'Invalid token' });
-    }
-  } else {
-    // Fallback to header auth for backward compatibility
-    if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
-      return res.status(401).json({ message: 'No auth provided' });
-    }
-    try {
-      const authToken = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(authToken, process.env.JWT_SECRET);
-      user = await User.findById(decoded.id).select('-password');
-      if (!user) throw new Error('User not found');
-    } catch (error) {
-      return res.status(401).json({ message: 'Invalid auth' });
-    }
+  // SSE clients can't set headers, so they pass a token from /token; the Bearer header is kept
+  // for backward compatibility. Both go through the same checks as protect.
+  const token = req.query.token
+    || (req.headers.authorization && req.headers.authorization.startsWith('Bearer') ? req.headers.authorization.split(' ')[1] : null);
+  if (!token) {
+    return res.status(401).json({ message: 'No auth provided' });
+  }
+  let auth;
+  try {
+    auth = await authenticateToken(token, { type: req.query.token ? 'sse' : undefined });
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid auth' });
+  }
+  if (auth.error) {
+    return res.status(401).json({ message: auth.error });
+  }
+  const { user, orgSettings } = auth;
+  if (twoFactorEnrollmentRequired(user, orgSettings)) {
+    const err = twoFactorEnrollmentError();
+    return res.status(403).json({ message: err.message, code: err.code });
   }
 
   req.user = user; // Set for the rest of the handler
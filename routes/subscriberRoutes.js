@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const {
     getSubscriberActivity,
+    getSubscriberAutomationHistory,
+    getSubscriberBounces,
     segmentSubscribers,
     getSubscribers,
     getSubscribersByGroup,
@@ -22,9 +24,56 @@ const {
     handleUnsubscribeLink
 } = require('../controllers/subscriberController');
 const { importCsvSubscribers } = require('../controllers/bulkImportController');
+const {
+    createImport,
+    listImports,
+    getImport,
+    startImport,
+    cancelImport,
+    downloadImportErrors,
+    deleteImport
+} = require('../controllers/importJobController');
+const { importDir, fileTypeOf } = require('../services/importJobService');
+const {
+    createExport,
+    getExportFields,
+    listExports,
+    getExport,
+    cancelExport,
+    deleteExport,
+    downloadExport
+} = require('../controllers/exportJobController');
 const { protect } = require('../middleware/authMiddleware');
+const { workspaceAccess } = require('../middleware/rbac');
 const multer = require('multer');
 const upload = multer({ storage: multer.memoryStorage() });
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Import job uploads go to disk; the rows are streamed from there in the background
+const importUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            fs.mkdir(importDir(), { recursive: true }, err => cb(err, importDir()));
+        },
+        filename: (req, file, cb) => {
+            cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${fileTypeOf(file.originalname) || 'upload'}`);
+        }
+    }),
+    limits: { fileSize: (parseInt(process.env.IMPORT_MAX_FILE_MB, 10) || 200) * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (fileTypeOf(file.originalname)) return cb(null, true);
+        const err = new Error('Only .csv, .tsv, .txt and .xlsx files can be imported');
+        err.code = 'IMPORT_FILE_TYPE';
+        cb(err);
+    }
+});
+const handleImportUpload = (req, res, next) => {
+    importUpload.single('file')(req, res, err => {
+        if (err) res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+        next(err);
+    });
+};
 const {
     validateSubscriber,
     validateSubscriberUpdate
@@ -37,12 +86,21 @@ router.get('/unsubscribe/:subscriberId/:campaignId?', handleUnsubscribeLink);
 // Public confirmation endpoint
 router.get('/confirm/:token', confirmSubscriber);
 
+// Export download links carry their own token so they work from a plain browser link
+router.get('/exports/:jobId/download', downloadExport);
+
 // All remaining routes are protected
-router.use(protect);
+router.use(protect, workspaceAccess('subscribers'));
 
 // Activity history endpoint
 router.get('/:id/activity', getSubscriberActivity);
 
+// Automation run history (which flows the subscriber entered and what each step did)
+router.get('/:id/automation-history', getSubscriberAutomationHistory);
+
+// Bounce history and soft-bounce streak
+router.get('/:id/bounces', getSubscriberBounces);
+
 // Segmentation endpoint
 router.post('/segment', segmentSubscribers);
 
@@ -61,6 +119,27 @@ router.route('/')
 // Global subscriber routes
 router.get('/stats', getSubscriberStats);
 
+// Import jobs: upload + preview, map columns and start, poll progress, download rejected rows
+router.route('/imports')
+    .get(listImports)
+    .post(handleImportUpload, createImport);
+router.route('/imports/:jobId')
+    .get(getImport)
+    .delete(deleteImport);
+router.post('/imports/:jobId/start', startImport);
+router.post('/imports/:jobId/cancel', cancelImport);
+router.get('/imports/:jobId/errors', downloadImportErrors);
+
+// Export jobs: filter + field selection, poll progress, then download via the returned link
+router.get('/exports/fields', getExportFields);
+router.route('/exports')
+    .get(listExports)
+    .post(createExport);
+router.route('/exports/:jobId')
+    .get(getExport)
+    .delete(deleteExport);
+router.post('/exports/:jobId/cancel', cancelExport);
+
 router.route('/:id')
     .get(getSubscriber)
     .put(validateSubscriberUpdate, updateSubscriber)
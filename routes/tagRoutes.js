@@ -1,21 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/authMiddleware');
+const { workspaceAccess } = require('../middleware/rbac');
 const Tag = require('../models/Tag');
+const { workspaceFilter, workspaceFields } = require('../utils/workspace');
 
-// All routes are protected
-router.use(protect);
+// All routes are protected; tags are shared by the workspace like the subscribers they label
+router.use(protect, workspaceAccess('subscribers'));
 
-// Get all tags for the user
+// Get all tags in the workspace
 router.get('/', async (req, res) => {
-  const tags = await Tag.find({ user: req.user.id });
+  const tags = await Tag.find(workspaceFilter(req.user));
   res.json(tags);
 });
 
 // Create a new tag
 router.post('/', async (req, res) => {
   const { name, color, description } = req.body;
-  const tag = new Tag({ user: req.user.id, name, color, description });
+  const tag = new Tag({ ...workspaceFields(req.user), name, color, description });
   await tag.save();
   res.status(201).json(tag);
 });
@@ -24,7 +26,7 @@ router.post('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   const { name, color, description } = req.body;
   const tag = await Tag.findOneAndUpdate(
-    { _id: req.params.id, user: req.user.id },
+    { _id: req.params.id, ...workspaceFilter(req.user) },
     { name, color, description },
     { new: true }
   );
@@ -35,12 +37,12 @@ router.put('/:id', async (req, res) => {
 // Clean up unused tags
 router.delete('/cleanup', async (req, res) => {
   try {
-    // Get all tags for the user
-    const tags = await Tag.find({ user: req.user.id });
+    // Get all tags in the workspace
+    const tags = await Tag.find(workspaceFilter(req.user));
     
-    // Get all subscribers for the user to check their tags
+    // Get all subscribers in the workspace to check their tags
     const Subscriber = require('../models/Subscriber');
-    const subscribers = await Subscriber.find({ user: req.user.id }).select('tags');
+    const subscribers = await Subscriber.find(workspaceFilter(req.user)).select('tags');
     
     // Create a Set of all tags currently in use
     const usedTagIds = new Set();
@@ -69,7 +71,7 @@ router.delete('/cleanup', async (req, res) => {
 
 // Delete a tag
 router.delete('/:id', async (req, res) => {
-  const tag = await Tag.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+  const tag = await Tag.findOneAndDelete({ _id: req.params.id, ...workspaceFilter(req.user) });
   if (!tag) return res.status(404).json({ message: 'Tag not found' });
   res.json({ message: 'Tag deleted' });
 });
@@ -4,6 +4,19 @@ const express = require('express');
 const router = express.Router();
 const Template = require('../models/Template');
 const { protect } = require('../middleware/authMiddleware');
+const { workspaceAccess } = require('../middleware/rbac');
+const usageService = require('../services/usageService');
+const { workspaceFilter, workspaceFields } = require('../utils/workspace');
+
+// Count a new or reactivated template against the organization's plan; answers 429 when blocked
+const meterTemplate = async (req, res) => {
+  const usage = await usageService.consumeForUser(req.user, 'templates');
+  if (!usage.allowed) {
+    res.status(429).json({ message: usageService.limitMessage(usage), code: 'PLAN_LIMIT_REACHED' });
+    return false;
+  }
+  return true;
+};
 
 // Helper: generate PNG thumbnail data URL from HTML using puppeteer (lazy require)
 const generateThumbnailFromHtml = async (html) => {
@@ -27,9 +40,9 @@ const generateThumbnailFromHtml = async (html) => {
 };
 
 // Protect all template routes
-router.use(protect);
+router.use(protect, workspaceAccess('templates'));
 
-// Get all templates for the authenticated user
+// Get all templates in the authenticated user's workspace
 router.get('/', async (req, res) => {
   try {
     const { category, type, tags, search, limit = 50, skip = 0 } = req.query;
@@ -37,7 +50,7 @@ router.get('/', async (req, res) => {
     // Build query
     const query = {
       $or: [
-        { user: req.user.id },
+        workspaceFilter(req.user),
         { type: { $in: ['system', 'shared'] } }
       ],
       isActive: true
@@ -92,7 +105,7 @@ router.get('/popular', async (req, res) => {
 router.get('/category/:category', async (req, res) => {
   try {
     const { category } = req.params;
-    const templates = await Template.getByCategory(category, req.user.id);
+    const templates = await Template.getByCategory(category, workspaceFilter(req.user));
     res.json(templates);
   } catch (error) {
     console.error('Error fetching templates by category:', error);
@@ -106,7 +119,7 @@ router.get('/:id', async (req, res) => {
     const template = await Template.findOne({
       _id: req.params.id,
       $or: [
-        { user: req.user.id },
+        workspaceFilter(req.user),
         { type: { $in: ['system', 'shared'] } }
       ],
       isActive: true
@@ -125,6 +138,7 @@ router.get('/:id', async (req, res) => {
 
 // Create a new template
 router.post('/', async (req, res) => {
+  let metered = false;
   try {
     const { name, description, category, structure, htmlContent, plainTextContent, emailDesign, tags, thumbnail, subject } = req.body;
     
@@ -138,12 +152,14 @@ router.post('/', async (req, res) => {
     const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const existing = await Template.findOne({
       name: { $regex: `^${escapeRegExp(name)}$`, $options: 'i' },
-      user: req.user.id
+      ...workspaceFilter(req.user)
     });
 
     if (existing) {
         if (!existing.isActive) {
         // Reactivate and update the existing soft-deleted template
+        if (!(await meterTemplate(req, res))) return;
+        metered = true;
         existing.isActive = true;
         if (description !== undefined) existing.description = description;
           if (subject !== undefined) existing.subject = subject;
@@ -161,8 +177,11 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: `Duplicate key error: { name: \"${existing.name}\" }` });
     }
 
+    if (!(await meterTemplate(req, res))) return;
+    metered = true;
+
     const template = new Template({
-      user: req.user.id,
+      ...workspaceFields(req.user),
       name,
       subject: subject || '',
       description,
@@ -195,6 +214,8 @@ router.post('/', async (req, res) => {
     res.status(201).json(template);
   } catch (error) {
     console.error('Error creating template:', error);
+    // The template wasn't saved, so it doesn't count against the plan
+    if (metered) await usageService.releaseForUser(req.user, 'templates').catch(() => {});
     // Handle duplicate key (unique index) errors from MongoDB
     if (error && (error.code === 11000 || error.name === 'MongoServerError')) {
       const keyVal = (error.keyValue && JSON.stringify(error.keyValue)) || '';
@@ -214,7 +235,7 @@ router.put('/:id', async (req, res) => {
     
     const template = await Template.findOne({
       _id: req.params.id,
-      user: req.user.id,
+      ...workspaceFilter(req.user),
       isActive: true
     });
     
@@ -271,7 +292,7 @@ router.delete('/:id', async (req, res) => {
   try {
     const template = await Template.findOne({
       _id: req.params.id,
-      user: req.user.id,
+      ...workspaceFilter(req.user),
       isActive: true
     });
     
@@ -284,6 +305,7 @@ router.delete('/:id', async (req, res) => {
     // presence of footer/html content. We only need to mark the record as
     // inactive for soft-delete semantics.
     await template.save({ validateBeforeSave: false });
+    await usageService.releaseForUser(req.user, 'templates');
 
     // Log deletion for observability (helps debugging when UI reports success
     // but DB shows the record still active)
@@ -299,11 +321,12 @@ router.delete('/:id', async (req, res) => {
 
 // Duplicate a template
 router.post('/:id/duplicate', async (req, res) => {
+  let metered = false;
   try {
     const originalTemplate = await Template.findOne({
       _id: req.params.id,
       $or: [
-        { user: req.user.id },
+        workspaceFilter(req.user),
         { type: { $in: ['system', 'shared'] } }
       ],
       isActive: true
@@ -313,8 +336,11 @@ router.post('/:id/duplicate', async (req, res) => {
       return res.status(404).json({ message: 'Template not found' });
     }
     
+    if (!(await meterTemplate(req, res))) return;
+    metered = true;
+
     const duplicatedTemplate = new Template({
-      user: req.user.id,
+      ...workspaceFields(req.user),
       name: `${originalTemplate.name} (Copy)`,
       description: originalTemplate.description,
       category: originalTemplate.category,
@@ -332,6 +358,7 @@ router.post('/:id/duplicate', async (req, res) => {
     res.status(201).json(duplicatedTemplate);
   } catch (error) {
     console.error('Error duplicating template:', error);
+    if (metered) await usageService.releaseForUser(req.user, 'templates').catch(() => {});
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -342,7 +369,7 @@ router.post('/:id/use', async (req, res) => {
     const template = await Template.findOne({
       _id: req.params.id,
       $or: [
-        { user: req.user.id },
+        workspaceFilter(req.user),
         { type: { $in: ['system', 'shared'] } }
       ],
       isActive: true
@@ -381,7 +408,7 @@ router.get('/:id/preview', async (req, res) => {
     const template = await Template.findOne({
       _id: req.params.id,
       $or: [
-        { user: req.user.id },
+        workspaceFilter(req.user),
         { type: { $in: ['system', 'shared'] } }
       ],
       isActive: true
@@ -424,7 +451,7 @@ router.get('/:id/export', protect, async (req, res) => {
     const template = await Template.findOne({
       _id: req.params.id,
       $or: [
-        { user: req.user._id },
+        workspaceFilter(req.user),
         { type: { $in: ['system', 'shared'] } }
       ],
       isActive: true
@@ -500,9 +527,11 @@ router.post('/import', protect, async (req, res) => {
       importedAutoFooter = true;
     }
 
+    if (!(await meterTemplate(req, res))) return;
+
     // Create new template from imported data
     const template = new Template({
-      user: req.user._id,
+      ...workspaceFields(req.user),
       name: `${name} (Imported)`,
       description: description || 'Imported template',
       category: category || 'custom',
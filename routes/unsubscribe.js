@@ -0,0 +1,30 @@
+// emailxp/backend/routes/unsubscribe.js
+// Target of the List-Unsubscribe header. Mailbox providers POST here (RFC 8058 one-click) with
+// no confirmation step; a browser opening the same URL is sent to the preference page instead.
+
+const express = require('express');
+const router = express.Router();
+const unsubscribeService = require('../services/unsubscribeService');
+
+router.post('/:unsubscribeToken', async (req, res) => {
+  try {
+    await unsubscribeService.processOneClickUnsubscribe({
+      unsubscribeToken: req.params.unsubscribeToken,
+      campaignId: req.query.campaign,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error('Error processing one-click unsubscribe:', error);
+    return res.status(500).json({ message: 'Could not process unsubscribe request' });
+  }
+
+  // Unknown tokens get the same answer, so the endpoint can't be used to probe for subscribers
+  res.status(200).json({ message: 'Unsubscribed' });
+});
+
+router.get('/:unsubscribeToken', (req, res) => {
+  res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/unsubscribe?token=${encodeURIComponent(req.params.unsubscribeToken)}`);
+});
+
+module.exports = router;
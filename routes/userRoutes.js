@@ -5,11 +5,14 @@ const router = express.Router();
 const {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
   getUserProfile,
   updateUserProfile,
   uploadProfilePictureHandler,
   verifyEmail,
   sendVerificationEmail, // Import the renamed function
+  forgotPassword,
+  resetPassword,
   initiateAccountDeletion,
   confirmAccountDeletion,
   cancelAccountDeletion,
@@ -17,6 +20,27 @@ const {
   revokeApiKeyController,
   updatePreferences,
 } = require('../controllers/userController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../controllers/twoFactorController');
+const {
+  refreshAccessToken,
+  logout,
+  getSessions,
+  revokeSessionById,
+  revokeAllUserSessions,
+} = require('../controllers/sessionController');
+const {
+  listApiKeys,
+  createApiKeyController,
+  updateApiKey,
+  revokeApiKeyById,
+  getApiKeyLogs,
+} = require('../controllers/apiKeyController');
 const rateLimit = require('express-rate-limit');
 
 // Lightweight per-user/email limiter for verification email resends
@@ -45,7 +69,7 @@ function verificationCooldown(req, res, next){
 const { protect } = require('../middleware/authMiddleware');
 const { check } = require('express-validator');
 const { validate } = require('../middleware/validationMiddleware');
-const { authLimiter } = require('../middleware/rateLimitMiddleware');
+const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimitMiddleware');
 const { uploadProfilePicture, handleUploadError } = require('../utils/fileUpload');
 
 router.post('/register',
@@ -66,21 +90,71 @@ router.post('/login',
   ]),
   loginUser
 );
+router.post('/login/2fa',
+  authLimiter,
+  validate([
+    check('challengeToken').notEmpty().withMessage('Login challenge is required'),
+    check('code').if(check('recoveryCode').not().exists()).notEmpty().withMessage('Verification code is required'),
+  ]),
+  verifyTwoFactorLogin
+);
+router.post('/refresh-token',
+  validate([
+    check('refreshToken').notEmpty().withMessage('Refresh token is required'),
+  ]),
+  refreshAccessToken
+);
+router.post('/logout', protect, logout);
 router.get('/profile', protect, getUserProfile);
 router.put('/profile', protect, updateUserProfile);
 router.post('/profile-picture', protect, uploadProfilePicture, handleUploadError, uploadProfilePictureHandler);
 router.get('/verify-email/:token', verifyEmail); // Public route for email verification
 router.post('/send-verification-email', protect, verificationEmailLimiter, verificationCooldown, sendVerificationEmail); // send (or resend) verification email with rate limiting
 
+// Password reset routes
+router.post('/forgot-password',
+  passwordResetLimiter,
+  validate([
+    check('email').isEmail().withMessage('Valid email is required'),
+  ]),
+  forgotPassword
+);
+router.post('/reset-password/:token',
+  passwordResetLimiter,
+  validate([
+    check('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ]),
+  resetPassword
+);
+
+// Two-factor authentication (TOTP + recovery codes)
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, authLimiter, enableTwoFactor);
+router.post('/2fa/disable', protect, authLimiter, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, authLimiter, regenerateRecoveryCodes);
+
+// Session management (signed-in devices)
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllUserSessions);
+router.delete('/sessions/:sessionId', protect, revokeSessionById);
+
 // Account deletion routes
 router.post('/initiate-deletion', protect, initiateAccountDeletion);
 router.post('/confirm-deletion/:token', confirmAccountDeletion);
 router.post('/cancel-deletion', protect, cancelAccountDeletion);
 
-// API key management
+// API key management (legacy single key with the user's full permissions)
 router.post('/api-key', protect, generateApiKeyController);
 router.delete('/api-key', protect, revokeApiKeyController);
 
+// Named, scoped API keys
+router.get('/api-keys', protect, listApiKeys);
+router.post('/api-keys', protect, createApiKeyController);
+router.put('/api-keys/:keyId', protect, updateApiKey);
+router.delete('/api-keys/:keyId', protect, revokeApiKeyById);
+router.get('/api-keys/:keyId/logs', protect, getApiKeyLogs);
+
 // Preferences update
 router.put('/preferences', protect, updatePreferences);
 
@@ -0,0 +1,110 @@
+// emailxp/backend/routes/v1/campaigns.js
+
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const { check } = require('express-validator');
+const Campaign = require('../../models/Campaign');
+const Group = require('../../models/Group');
+const Segment = require('../../models/Segment');
+const { rbac } = require('../../middleware/rbac');
+const { workspaceFilter, workspaceFields } = require('../../utils/workspace');
+const { validate } = require('../../middleware/validationMiddleware');
+const { idempotency } = require('../../middleware/idempotency');
+const { parsePageParams, paginate } = require('../../utils/cursorPagination');
+const domainAuthService = require('../../services/domainAuthService');
+const usageService = require('../../services/usageService');
+const { serializeCampaign, list } = require('./serializers');
+
+const router = express.Router();
+
+const LIST_FIELDS = '-htmlContent -design -plainTextContent -individualSubscribers -scheduledDispatches';
+
+// @desc    List campaigns (filter: status)
+// @route   GET /api/v1/campaigns
+// @access  API key (campaigns:read)
+router.get('/', rbac('campaigns', 'read'), asyncHandler(async (req, res) => {
+  const page = parsePageParams(req.query);
+  if (page.error) {
+    res.status(400);
+    throw new Error(page.error);
+  }
+  const filter = workspaceFilter(req.user);
+  if (req.query.status) filter.status = String(req.query.status);
+  res.json(list(await paginate(Campaign, filter, { ...page, select: LIST_FIELDS }), serializeCampaign));
+}));
+
+// @desc    Get one campaign with its delivery stats
+// @route   GET /api/v1/campaigns/:id
+// @access  API key (campaigns:read)
+router.get('/:id', rbac('campaigns', 'read'), asyncHandler(async (req, res) => {
+  const campaign = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Campaign.findOne({ _id: req.params.id, ...workspaceFilter(req.user) }).select(LIST_FIELDS).lean()
+    : null;
+  if (!campaign) {
+    res.status(404);
+    throw new Error('Campaign not found');
+  }
+  res.json(serializeCampaign(campaign));
+}));
+
+// @desc    Create a draft campaign (sending and scheduling stay in the app)
+// @route   POST /api/v1/campaigns
+// @access  API key (campaigns:create)
+router.post('/', rbac('campaigns', 'create'), validate([
+  check('name').isString().trim().notEmpty().withMessage('name is required'),
+  check('subject').isString().trim().notEmpty().withMessage('subject is required'),
+  check('htmlContent').isString().notEmpty().withMessage('htmlContent is required'),
+  check('fromEmail').optional().isEmail().withMessage('fromEmail must be a valid email'),
+  check('fromName').optional().isString(),
+  check('groups').optional().isArray(),
+  check('groups.*').isMongoId().withMessage('groups must contain valid ids'),
+  check('segments').optional().isArray(),
+  check('segments.*').isMongoId().withMessage('segments must contain valid ids')
+]), idempotency, asyncHandler(async (req, res) => {
+  const { name, subject, htmlContent, plainTextContent, fromEmail, fromName } = req.body;
+  const groups = [...new Set((req.body.groups || []).map(String))];
+  const segments = [...new Set((req.body.segments || []).map(String))];
+
+  const [groupCount, segmentCount] = await Promise.all([
+    groups.length ? Group.countDocuments({ _id: { $in: groups }, ...workspaceFilter(req.user) }) : 0,
+    segments.length ? Segment.countDocuments({ _id: { $in: segments }, ...workspaceFilter(req.user) }) : 0
+  ]);
+  if (groupCount !== groups.length || segmentCount !== segments.length) {
+    res.status(400);
+    throw new Error('groups or segments contain ids that do not exist');
+  }
+
+  const sender = fromEmail || req.user.email;
+  const domainCheck = await domainAuthService.requireVerifiedDomain(sender.split('@').pop());
+  if (!domainCheck.allowed) {
+    res.status(400);
+    const error = new Error(`Sending domain not verified: ${domainCheck.reason}`);
+    error.code = 'DOMAIN_NOT_VERIFIED';
+    throw error;
+  }
+
+  const usage = await usageService.consumeForUser(req.user, 'campaigns');
+  if (!usage.allowed) {
+    res.status(429);
+    throw usageService.limitError(usage);
+  }
+
+  const campaign = await Campaign.create({
+    ...workspaceFields(req.user),
+    name: name.trim(),
+    subject: subject.trim(),
+    htmlContent,
+    plainTextContent: plainTextContent || '',
+    editorType: 'quill',
+    fromEmail: sender,
+    fromName: fromName || req.user.name,
+    group: groups[0] || undefined,
+    groups,
+    segments,
+    status: 'draft'
+  });
+  res.status(201).json(serializeCampaign(campaign));
+}));
+
+module.exports = router;
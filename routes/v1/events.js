@@ -0,0 +1,91 @@
+// emailxp/backend/routes/v1/events.js
+
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const { check } = require('express-validator');
+const BehavioralEvent = require('../../models/BehavioralEvent');
+const Subscriber = require('../../models/Subscriber');
+const { rbac } = require('../../middleware/rbac');
+const { workspaceFilter } = require('../../utils/workspace');
+const { validate } = require('../../middleware/validationMiddleware');
+const { idempotency } = require('../../middleware/idempotency');
+const { parsePageParams, paginate } = require('../../utils/cursorPagination');
+const behavioralTriggerService = require('../../services/behavioralTriggerService');
+const { serializeEvent, list } = require('./serializers');
+
+const router = express.Router();
+
+const EVENT_TYPES = BehavioralEvent.schema.path('eventType').enumValues;
+
+// @desc    List behavioral events (filters: subscriber, eventType)
+// @route   GET /api/v1/events
+// @access  API key (analytics:read)
+router.get('/', rbac('analytics', 'read'), asyncHandler(async (req, res) => {
+  const page = parsePageParams(req.query);
+  if (page.error) {
+    res.status(400);
+    throw new Error(page.error);
+  }
+  const filter = { user: req.user._id };
+  if (req.query.subscriber) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.subscriber)) {
+      res.status(400);
+      throw new Error('subscriber must be a valid id');
+    }
+    filter.subscriber = req.query.subscriber;
+  }
+  if (req.query.eventType) filter.eventType = String(req.query.eventType);
+  res.json(list(await paginate(BehavioralEvent, filter, page), serializeEvent));
+}));
+
+// @desc    Record an event for a subscriber (by id or email); runs matching behavioral triggers
+// @route   POST /api/v1/events
+// @access  API key (subscribers:update)
+router.post('/', rbac('subscribers', 'update'), validate([
+  check('subscriber').optional().isMongoId().withMessage('subscriber must be a valid id'),
+  check('email').optional().isEmail().withMessage('email must be a valid email'),
+  check('eventType').isIn(EVENT_TYPES).withMessage(`eventType must be one of: ${EVENT_TYPES.join(', ')}`),
+  check('customEventType').if(check('eventType').equals('custom')).isString().trim().notEmpty()
+    .withMessage('customEventType is required for custom events'),
+  check('target').optional().isString().isLength({ max: 2000 }),
+  check('timestamp').optional().isISO8601().withMessage('timestamp must be an ISO 8601 date')
+]), idempotency, asyncHandler(async (req, res) => {
+  const { subscriber: subscriberId, email, eventType, customEventType, target, data, timestamp } = req.body;
+  if (!subscriberId && !email) {
+    res.status(400);
+    throw new Error('subscriber or email is required');
+  }
+
+  const subscriber = await Subscriber.findOne({
+    ...(subscriberId ? { _id: subscriberId } : { email: String(email).toLowerCase().trim() }),
+    ...workspaceFilter(req.user),
+    isDeleted: false
+  }).select('_id').lean();
+  if (!subscriber) {
+    res.status(404);
+    throw new Error('Subscriber not found');
+  }
+
+  const triggeredCampaigns = await behavioralTriggerService.processBehavioralEvent({
+    user: req.user._id,
+    subscriber: subscriber._id,
+    eventType,
+    customEventType,
+    target,
+    data,
+    timestamp: timestamp ? new Date(timestamp) : undefined,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.status(202).json({
+    object: 'event',
+    accepted: true,
+    subscriber: String(subscriber._id),
+    eventType,
+    triggeredCampaigns: triggeredCampaigns.length
+  });
+}));
+
+module.exports = router;
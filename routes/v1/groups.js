@@ -0,0 +1,113 @@
+// emailxp/backend/routes/v1/groups.js
+
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const { check } = require('express-validator');
+const Group = require('../../models/Group');
+const Subscriber = require('../../models/Subscriber');
+const { rbac } = require('../../middleware/rbac');
+const { workspaceFilter, workspaceFields } = require('../../utils/workspace');
+const { validate } = require('../../middleware/validationMiddleware');
+const { idempotency } = require('../../middleware/idempotency');
+const { parsePageParams, paginate } = require('../../utils/cursorPagination');
+const { serializeGroup, list } = require('./serializers');
+
+const router = express.Router();
+
+const MAX_MEMBERS_PER_REQUEST = 1000;
+
+const findGroup = async (req, res) => {
+  const group = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Group.findOne({ _id: req.params.id, ...workspaceFilter(req.user) })
+    : null;
+  if (!group) {
+    res.status(404);
+    throw new Error('Group not found');
+  }
+  return group;
+};
+
+// @desc    List groups
+// @route   GET /api/v1/groups
+// @access  API key (subscribers:read)
+router.get('/', rbac('subscribers', 'read'), asyncHandler(async (req, res) => {
+  const page = parsePageParams(req.query);
+  if (page.error) {
+    res.status(400);
+    throw new Error(page.error);
+  }
+  const data = await paginate(Group, workspaceFilter(req.user), { ...page, select: '-subscribers' });
+  res.json(list(data, serializeGroup));
+}));
+
+// @desc    Get one group
+// @route   GET /api/v1/groups/:id
+// @access  API key (subscribers:read)
+router.get('/:id', rbac('subscribers', 'read'), asyncHandler(async (req, res) => {
+  res.json(serializeGroup(await findGroup(req, res)));
+}));
+
+// @desc    Create a group
+// @route   POST /api/v1/groups
+// @access  API key (subscribers:create)
+router.post('/', rbac('subscribers', 'create'), validate([
+  check('name').isString().trim().notEmpty().withMessage('name is required'),
+  check('description').optional().isString()
+]), idempotency, asyncHandler(async (req, res) => {
+  const name = req.body.name.trim();
+  if (await Group.exists({ ...workspaceFilter(req.user), name })) {
+    res.status(409);
+    const error = new Error('A group with this name already exists');
+    error.code = 'GROUP_EXISTS';
+    throw error;
+  }
+  const group = await Group.create({ ...workspaceFields(req.user), name, description: req.body.description || '' });
+  res.status(201).json(serializeGroup(group));
+}));
+
+// @desc    Add subscribers to a group
+// @route   POST /api/v1/groups/:id/subscribers
+// @access  API key (subscribers:update)
+router.post('/:id/subscribers', rbac('subscribers', 'update'), validate([
+  check('subscribers').isArray({ min: 1, max: MAX_MEMBERS_PER_REQUEST })
+    .withMessage(`subscribers must be an array of 1 to ${MAX_MEMBERS_PER_REQUEST} ids`),
+  check('subscribers.*').isMongoId().withMessage('subscribers must contain valid ids')
+]), asyncHandler(async (req, res) => {
+  const group = await findGroup(req, res);
+  const ids = await Subscriber.distinct('_id', {
+    _id: { $in: req.body.subscribers },
+    ...workspaceFilter(req.user),
+    isDeleted: false
+  });
+  if (ids.length > 0) {
+    await Subscriber.updateMany({ _id: { $in: ids } }, { $addToSet: { groups: group._id } });
+    await Group.updateOne({ _id: group._id }, { $addToSet: { subscribers: { $each: ids } } });
+  }
+  await group.updateSubscriberCount();
+  res.json({ ...serializeGroup(group), added: ids.length });
+}));
+
+// @desc    Remove a subscriber from a group
+// @route   DELETE /api/v1/groups/:id/subscribers/:subscriberId
+// @access  API key (subscribers:update)
+router.delete('/:id/subscribers/:subscriberId', rbac('subscribers', 'update'), asyncHandler(async (req, res) => {
+  const group = await findGroup(req, res);
+  if (!mongoose.Types.ObjectId.isValid(req.params.subscriberId)) {
+    res.status(404);
+    throw new Error('Subscriber not found');
+  }
+  const result = await Subscriber.updateOne(
+    { _id: req.params.subscriberId, ...workspaceFilter(req.user), groups: group._id },
+    { $pull: { groups: group._id } }
+  );
+  if (result.modifiedCount === 0) {
+    res.status(404);
+    throw new Error('Subscriber is not in this group');
+  }
+  await Group.updateOne({ _id: group._id }, { $pull: { subscribers: req.params.subscriberId } });
+  await group.updateSubscriberCount();
+  res.json(serializeGroup(group));
+}));
+
+module.exports = router;
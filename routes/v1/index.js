@@ -0,0 +1,25 @@
+// emailxp/backend/routes/v1/index.js
+// Public REST API v1: API-key auth, cursor pagination, one error envelope, Idempotency-Key on POST
+
+const express = require('express');
+const { apiKeyAuth, apiRateLimit } = require('../../middleware/rbac');
+const { apiErrorEnvelope, apiErrorHandler } = require('../../middleware/apiErrorMiddleware');
+
+const router = express.Router();
+
+router.use(apiErrorEnvelope);
+router.use(apiKeyAuth, apiRateLimit);
+
+router.use('/subscribers', require('./subscribers'));
+router.use('/groups', require('./groups'));
+router.use('/tags', require('./tags'));
+router.use('/campaigns', require('./campaigns'));
+router.use('/events', require('./events'));
+
+router.use((req, res) => {
+  res.status(404).json({ message: `No such endpoint: ${req.method} ${req.baseUrl}${req.path}` });
+});
+
+router.use(apiErrorHandler);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+// emailxp/backend/routes/v1/serializers.js
+// Stable public shapes for API v1. Internal fields never leak; ids are strings.
+
+const id = (value) => (value && value._id ? String(value._id) : value ? String(value) : null);
+
+const customFieldsObject = (fields) => {
+  if (!fields) return {};
+  if (fields instanceof Map) return Object.fromEntries(fields);
+  return { ...fields };
+};
+
+const serializeSubscriber = (s) => ({
+  id: id(s._id),
+  object: 'subscriber',
+  email: s.email,
+  name: s.name || '',
+  status: s.status,
+  source: s.source,
+  customFields: customFieldsObject(s.customFields),
+  groups: (s.groups || []).map(id),
+  tags: (s.tags || []).map(id),
+  openCount: s.openCount || 0,
+  clickCount: s.clickCount || 0,
+  lastActivityAt: s.lastActivityAt || null,
+  confirmedAt: s.confirmedAt || null,
+  unsubscribedAt: s.unsubscribedAt || null,
+  createdAt: s.createdAt,
+  updatedAt: s.updatedAt
+});
+
+const serializeGroup = (g) => ({
+  id: id(g._id),
+  object: 'group',
+  name: g.name,
+  description: g.description || '',
+  subscriberCount: g.subscriberCount || 0,
+  createdAt: g.createdAt,
+  updatedAt: g.updatedAt
+});
+
+const serializeTag = (t) => ({
+  id: id(t._id),
+  object: 'tag',
+  name: t.name,
+  color: t.color,
+  description: t.description || '',
+  createdAt: t.createdAt,
+  updatedAt: t.updatedAt
+});
+
+const serializeCampaign = (c) => ({
+  id: id(c._id),
+  object: 'campaign',
+  name: c.name,
+  subject: c.subject,
+  fromName: c.fromName || null,
+  fromEmail: c.fromEmail || null,
+  status: c.status,
+  groups: (c.groups || []).map(id),
+  segments: (c.segments || []).map(id),
+  scheduledAt: c.scheduledAt || null,
+  sentAt: c.sentAt || null,
+  stats: {
+    recipients: c.totalRecipients || 0,
+    sent: c.emailsSuccessfullySent || 0,
+    opens: c.opens || 0,
+    clicks: c.clicks || 0,
+    bounces: c.bouncedCount || 0,
+    unsubscribes: c.unsubscribedCount || 0,
+    complaints: c.complaintCount || 0
+  },
+  createdAt: c.createdAt,
+  updatedAt: c.updatedAt
+});
+
+const serializeEvent = (e) => ({
+  id: id(e._id),
+  object: 'event',
+  subscriber: id(e.subscriber),
+  eventType: e.eventType,
+  customEventType: e.customEventType || null,
+  target: e.target || null,
+  data: e.data || null,
+  campaign: id(e.campaign),
+  timestamp: e.timestamp
+});
+
+// List envelope shared by every collection endpoint
+const list = (page, serialize) => ({
+  object: 'list',
+  data: page.data.map(serialize),
+  hasMore: page.hasMore,
+  nextCursor: page.nextCursor
+});
+
+module.exports = {
+  serializeSubscriber,
+  serializeGroup,
+  serializeTag,
+  serializeCampaign,
+  serializeEvent,
+  list
+};
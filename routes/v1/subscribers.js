@@ -0,0 +1,215 @@
+// emailxp/backend/routes/v1/subscribers.js
+
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const { check } = require('express-validator');
+const Subscriber = require('../../models/Subscriber');
+const Group = require('../../models/Group');
+const Tag = require('../../models/Tag');
+const { rbac } = require('../../middleware/rbac');
+const { workspaceFilter, workspaceFields } = require('../../utils/workspace');
+const { validate } = require('../../middleware/validationMiddleware');
+const { idempotency } = require('../../middleware/idempotency');
+const { parsePageParams, paginate } = require('../../utils/cursorPagination');
+const behavioralTriggerService = require('../../services/behavioralTriggerService');
+const usageService = require('../../services/usageService');
+const logger = require('../../utils/logger');
+const { serializeSubscriber, list } = require('./serializers');
+
+const router = express.Router();
+
+const WRITABLE_STATUSES = ['subscribed', 'unsubscribed', 'pending'];
+
+const notFound = (res) => {
+  res.status(404);
+  throw new Error('Subscriber not found');
+};
+
+const findSubscriber = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) notFound(res);
+  const subscriber = await Subscriber.findOne({ _id: req.params.id, ...workspaceFilter(req.user), isDeleted: false });
+  if (!subscriber) notFound(res);
+  return subscriber;
+};
+
+// Only ids of groups/tags in the caller's workspace are accepted
+const ownIds = async (Model, ids, workspace, label, res) => {
+  if (ids === undefined) return undefined;
+  const unique = [...new Set(ids.map(String))];
+  if (unique.some(v => !mongoose.Types.ObjectId.isValid(v))) {
+    res.status(400);
+    throw new Error(`${label} contains an invalid id`);
+  }
+  const found = await Model.find({ _id: { $in: unique }, ...workspace }).select('_id').lean();
+  if (found.length !== unique.length) {
+    res.status(400);
+    throw new Error(`${label} contains ids that do not exist`);
+  }
+  return unique;
+};
+
+const stringMap = (fields = {}) => Object.fromEntries(
+  Object.entries(fields).map(([k, v]) => [String(k), v === undefined || v === null ? '' : String(v)])
+);
+
+// Keep Group.subscribers and the cached count in step with the subscriber's groups
+const syncGroups = async (subscriberId, added, removed) => {
+  if (added.length) await Group.updateMany({ _id: { $in: added } }, { $addToSet: { subscribers: subscriberId } });
+  if (removed.length) await Group.updateMany({ _id: { $in: removed } }, { $pull: { subscribers: subscriberId } });
+  for (const groupId of [...added, ...removed]) {
+    const group = await Group.findById(groupId);
+    if (group) await group.updateSubscriberCount();
+  }
+};
+
+const subscriberBody = (optionalEmail) => [
+  (optionalEmail ? check('email').optional() : check('email')).isEmail().withMessage('A valid email is required'),
+  check('name').optional().isString().isLength({ max: 200 }),
+  check('status').optional().isIn(WRITABLE_STATUSES).withMessage(`status must be one of: ${WRITABLE_STATUSES.join(', ')}`),
+  check('customFields').optional().custom(v => v && typeof v === 'object' && !Array.isArray(v)).withMessage('customFields must be an object'),
+  check('groups').optional().isArray().withMessage('groups must be an array of ids'),
+  check('tags').optional().isArray().withMessage('tags must be an array of ids')
+];
+
+// @desc    List subscribers (filters: status, email, group, tag)
+// @route   GET /api/v1/subscribers
+// @access  API key (subscribers:read)
+router.get('/', rbac('subscribers', 'read'), asyncHandler(async (req, res) => {
+  const page = parsePageParams(req.query);
+  if (page.error) {
+    res.status(400);
+    throw new Error(page.error);
+  }
+  const filter = { ...workspaceFilter(req.user), isDeleted: false };
+  if (req.query.status) filter.status = String(req.query.status);
+  if (req.query.email) filter.email = String(req.query.email).toLowerCase().trim();
+  for (const field of ['group', 'tag']) {
+    if (!req.query[field]) continue;
+    if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+      res.status(400);
+      throw new Error(`${field} must be a valid id`);
+    }
+    filter[`${field}s`] = req.query[field];
+  }
+
+  res.json(list(await paginate(Subscriber, filter, page), serializeSubscriber));
+}));
+
+// @desc    Get one subscriber
+// @route   GET /api/v1/subscribers/:id
+// @access  API key (subscribers:read)
+router.get('/:id', rbac('subscribers', 'read'), asyncHandler(async (req, res) => {
+  res.json(serializeSubscriber(await findSubscriber(req, res)));
+}));
+
+// @desc    Create a subscriber (send an Idempotency-Key header to make retries safe)
+// @route   POST /api/v1/subscribers
+// @access  API key (subscribers:create)
+router.post('/', rbac('subscribers', 'create'), validate(subscriberBody(false)), idempotency, asyncHandler(async (req, res) => {
+  const { name, status, customFields } = req.body;
+  const email = String(req.body.email).toLowerCase().trim();
+
+  const existing = await Subscriber.findOne({ email, ...workspaceFilter(req.user), isDeleted: false }).select('_id').lean();
+  if (existing) {
+    res.status(409);
+    const error = new Error('A subscriber with this email already exists');
+    error.code = 'SUBSCRIBER_EXISTS';
+    error.details = { id: String(existing._id) };
+    throw error;
+  }
+
+  const groups = (await ownIds(Group, req.body.groups, workspaceFilter(req.user), 'groups', res)) || [];
+  const tags = (await ownIds(Tag, req.body.tags, workspaceFilter(req.user), 'tags', res)) || [];
+
+  const usage = await usageService.consumeForUser(req.user, 'subscribers');
+  if (!usage.allowed) {
+    res.status(429);
+    throw usageService.limitError(usage);
+  }
+
+  const subscriber = await Subscriber.create({
+    ...workspaceFields(req.user),
+    email,
+    name: name ? String(name).trim() : '',
+    status: status || 'subscribed',
+    customFields: stringMap(customFields),
+    groups,
+    tags,
+    source: 'api'
+  });
+  await syncGroups(subscriber._id, groups, []);
+
+  // Same behavioral trigger hook as subscribers created in the app; never blocks the response
+  setImmediate(() => {
+    behavioralTriggerService.processBehavioralEvent({ user: subscriber.user, subscriber: subscriber._id, eventType: 'subscriber_added' })
+      .catch(err => logger.warn('[API v1] subscriber_added trigger failed', { error: err?.message || err }));
+  });
+
+  res.status(201).json(serializeSubscriber(subscriber));
+}));
+
+// @desc    Update a subscriber; customFields are merged, groups/tags replace the current lists
+// @route   PATCH /api/v1/subscribers/:id
+// @access  API key (subscribers:update)
+router.patch('/:id', rbac('subscribers', 'update'), validate(subscriberBody(true)), asyncHandler(async (req, res) => {
+  const subscriber = await findSubscriber(req, res);
+  const { email, name, status, customFields } = req.body;
+
+  if (email !== undefined) {
+    const normalized = String(email).toLowerCase().trim();
+    if (normalized !== subscriber.email) {
+      const taken = await Subscriber.exists({ email: normalized, ...workspaceFilter(req.user), isDeleted: false });
+      if (taken) {
+        res.status(409);
+        const error = new Error('A subscriber with this email already exists');
+        error.code = 'SUBSCRIBER_EXISTS';
+        throw error;
+      }
+      subscriber.email = normalized;
+    }
+  }
+  if (name !== undefined) subscriber.name = String(name).trim();
+  if (status !== undefined && status !== subscriber.status) {
+    subscriber.status = status;
+    if (status === 'unsubscribed') subscriber.unsubscribedAt = new Date();
+  }
+  if (customFields !== undefined) {
+    for (const [key, value] of Object.entries(stringMap(customFields))) {
+      subscriber.customFields.set(key, value);
+    }
+  }
+
+  const groups = await ownIds(Group, req.body.groups, workspaceFilter(req.user), 'groups', res);
+  let added = [];
+  let removed = [];
+  if (groups) {
+    const current = subscriber.groups.map(String);
+    added = groups.filter(g => !current.includes(g));
+    removed = current.filter(g => !groups.includes(g));
+    subscriber.groups = groups;
+  }
+  const tags = await ownIds(Tag, req.body.tags, workspaceFilter(req.user), 'tags', res);
+  if (tags) subscriber.tags = tags;
+
+  await subscriber.save();
+  await syncGroups(subscriber._id, added, removed);
+  res.json(serializeSubscriber(subscriber));
+}));
+
+// @desc    Delete a subscriber (soft delete; the email can be added again later)
+// @route   DELETE /api/v1/subscribers/:id
+// @access  API key (subscribers:delete)
+router.delete('/:id', rbac('subscribers', 'delete'), asyncHandler(async (req, res) => {
+  const subscriber = await findSubscriber(req, res);
+  const groups = subscriber.groups.map(String);
+  subscriber.isDeleted = true;
+  subscriber.deletedAt = new Date();
+  subscriber.groups = [];
+  await subscriber.save();
+  await syncGroups(subscriber._id, [], groups);
+  await usageService.releaseForUser(req.user, 'subscribers');
+  res.json({ id: String(subscriber._id), object: 'subscriber', deleted: true });
+}));
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// emailxp/backend/routes/v1/tags.js
+
+const express = require('express');
+const asyncHandler = require('express-async-handler');
+const { check } = require('express-validator');
+const Tag = require('../../models/Tag');
+const { rbac } = require('../../middleware/rbac');
+const { workspaceFilter, workspaceFields } = require('../../utils/workspace');
+const { validate } = require('../../middleware/validationMiddleware');
+const { idempotency } = require('../../middleware/idempotency');
+const { parsePageParams, paginate } = require('../../utils/cursorPagination');
+const { serializeTag, list } = require('./serializers');
+
+const router = express.Router();
+
+// @desc    List tags
+// @route   GET /api/v1/tags
+// @access  API key (subscribers:read)
+router.get('/', rbac('subscribers', 'read'), asyncHandler(async (req, res) => {
+  const page = parsePageParams(req.query);
+  if (page.error) {
+    res.status(400);
+    throw new Error(page.error);
+  }
+  res.json(list(await paginate(Tag, workspaceFilter(req.user), page), serializeTag));
+}));
+
+// @desc    Create a tag
+// @route   POST /api/v1/tags
+// @access  API key (subscribers:create)
+router.post('/', rbac('subscribers', 'create'), validate([
+  check('name').isString().trim().notEmpty().withMessage('name is required'),
+  check('color').optional().matches(/^#[0-9a-f]{6}$/i).withMessage('color must be a hex color like #1a2b3c'),
+  check('description').optional().isString()
+]), idempotency, asyncHandler(async (req, res) => {
+  const name = req.body.name.trim();
+  if (await Tag.exists({ ...workspaceFilter(req.user), name })) {
+    res.status(409);
+    const error = new Error('A tag with this name already exists');
+    error.code = 'TAG_EXISTS';
+    throw error;
+  }
+  const tag = await Tag.create({
+    ...workspaceFields(req.user),
+    name,
+    color: req.body.color,
+    description: req.body.description
+  });
+  res.status(201).json(serializeTag(tag));
+}));
+
+module.exports = router;
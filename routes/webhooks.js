@@ -1,64 +1,119 @@
-// Webhook routes for handling email provider events (SendGrid, Resend)
+// Webhook routes for handling email provider events (Resend, SES, SendGrid)
 const express = require('express');
-const EmailLog = require('../models/EmailLog');
-const Subscriber = require('../models/Subscriber');
-const Campaign = require('../models/Campaign');
+const axios = require('axios');
 const bounceComplaintService = require('../services/bounceComplaintService');
+const providerWebhooks = require('../services/providerWebhookService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const RAW_TEXT = express.text({ type: ['text/plain', 'text/*'] });
+
+// Raw request body as received (signatures are computed over the exact bytes)
+const rawBodyOf = (req) => {
+  if (typeof req.rawBody === 'string') return req.rawBody;
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody.toString('utf8');
+  if (typeof req.body === 'string') return req.body;
+  return JSON.stringify(req.body || {});
+};
+
+const allowUnsigned = () => process.env.WEBHOOK_ALLOW_UNSIGNED === 'true' && process.env.NODE_ENV !== 'production';
+
+const parseJson = (raw) => {
+  try { return JSON.parse(raw); } catch (e) { return null; }
+};
+
 /**
- * Generic webhook handler for supported email providers (SendGrid, Resend)
- * Note: Mailgun webhooks removed - use SendGrid or Resend webhooks instead
+ * Resend (Svix-signed). Secret: RESEND_WEBHOOK_SECRET (whsec_...)
  */
-router.post('/email-provider', async (req, res) => {
-  try {
-    // Basic webhook acknowledgment for any email provider
-  logger.info('Email provider webhook received', { body: req.body });
-    res.status(200).json({ message: 'Webhook received' });
-  } catch (error) {
-  logger.error('Webhook processing error', { error: error.message });
-    res.status(500).json({ error: 'Internal server error' });
+async function handleResend(req, res) {
+  const raw = rawBodyOf(req);
+  if (!providerWebhooks.verifySvixSignature(raw, req.headers, process.env.RESEND_WEBHOOK_SECRET) && !allowUnsigned()) {
+    logger.warn('Resend webhook rejected: invalid signature', { requestId: req.requestId });
+    return res.status(401).json({ error: 'Invalid signature' });
   }
-});
+  const payload = typeof req.body === 'object' && req.body !== null ? req.body : parseJson(raw);
+  const results = await providerWebhooks.processEvents(providerWebhooks.normalizeResendEvent(payload));
+  res.status(200).json({ processed: results.length, results });
+}
 
 /**
- * Update campaign statistics
+ * Amazon SES via SNS. Verifies the SNS signature, confirms subscriptions and
+ * unwraps the SES notification. Optional topic allowlist: SES_SNS_TOPIC_ARNS.
  */
-async function updateCampaignStats(campaignId, metric, increment) {
-  try {
-    const updateField = {};
-    updateField[`stats.${metric}`] = increment;
-    
-    await Campaign.findByIdAndUpdate(campaignId, {
-      $inc: updateField
-    });
-  } catch (error) {
-  logger.error('Failed to update campaign stats', { error: error.message });
+async function handleSes(req, res) {
+  const raw = rawBodyOf(req);
+  const message = typeof req.body === 'object' && req.body !== null && req.body.Type ? req.body : parseJson(raw);
+  if (!message || !message.Type) {
+    return res.status(400).json({ error: 'Invalid SNS message' });
+  }
+  const allowedTopics = (process.env.SES_SNS_TOPIC_ARNS || '').split(',').map(s => s.trim()).filter(Boolean);
+  const verified = await providerWebhooks.verifySnsMessage(message, allowedTopics);
+  if (!verified && !allowUnsigned()) {
+    logger.warn('SES webhook rejected: invalid SNS signature', { requestId: req.requestId, topic: message.TopicArn });
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  if (message.Type === 'SubscriptionConfirmation') {
+    if (!providerWebhooks.isTrustedSnsUrl(message.SubscribeURL)) {
+      return res.status(400).json({ error: 'Untrusted SubscribeURL' });
+    }
+    await axios.get(message.SubscribeURL, { timeout: 5000 });
+    logger.info('SNS subscription confirmed', { topic: message.TopicArn });
+    return res.status(200).json({ message: 'Subscription confirmed' });
+  }
+  if (message.Type !== 'Notification') {
+    return res.status(200).json({ message: 'Ignored', type: message.Type });
   }
+
+  const notification = parseJson(message.Message);
+  const results = await providerWebhooks.processEvents(providerWebhooks.normalizeSesEvent(notification));
+  res.status(200).json({ processed: results.length, results });
 }
 
 /**
- * Update subscriber engagement metrics
+ * SendGrid Event Webhook (ECDSA). Public key: SENDGRID_WEBHOOK_PUBLIC_KEY
  */
-async function updateSubscriberEngagement(subscriberId, action) {
+async function handleSendGrid(req, res) {
+  const raw = rawBodyOf(req);
+  if (!providerWebhooks.verifySendGridSignature(raw, req.headers, process.env.SENDGRID_WEBHOOK_PUBLIC_KEY) && !allowUnsigned()) {
+    logger.warn('SendGrid webhook rejected: invalid signature', { requestId: req.requestId });
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  const payload = typeof req.body === 'object' && req.body !== null ? req.body : parseJson(raw);
+  const results = await providerWebhooks.processEvents(providerWebhooks.normalizeSendGridEvents(payload || []));
+  res.status(200).json({ processed: results.length, results });
+}
+
+const PROVIDER_HANDLERS = {
+  resend: handleResend,
+  ses: handleSes,
+  sendgrid: handleSendGrid
+};
+
+const dispatch = (resolveProvider) => async (req, res) => {
+  const provider = resolveProvider(req);
+  const handler = PROVIDER_HANDLERS[provider];
+  if (!handler) {
+    return res.status(400).json({ error: 'Unknown or undetectable email provider', provider: provider || null });
+  }
   try {
-    const updateData = {};
-    
-    if (action === 'opened') {
-      updateData.lastOpenedAt = new Date();
-      updateData.$inc = { totalOpens: 1 };
-    } else if (action === 'clicked') {
-      updateData.lastClickedAt = new Date();
-      updateData.$inc = { totalClicks: 1 };
-    }
-    
-    await Subscriber.findByIdAndUpdate(subscriberId, updateData);
+    await handler(req, res);
   } catch (error) {
-  logger.error('Failed to update subscriber engagement', { error: error.message });
+    logger.error('Webhook processing error', { error: error.message, provider });
+    res.status(500).json({ error: 'Internal server error' });
   }
-}
+};
+
+/**
+ * Provider-specific webhook endpoints: /email-provider/resend | ses | sendgrid
+ */
+router.post('/email-provider/:provider', RAW_TEXT, dispatch(req => String(req.params.provider || '').toLowerCase()));
+
+/**
+ * Legacy endpoint: provider detected from signature headers
+ */
+router.post('/email-provider', RAW_TEXT, dispatch(req => providerWebhooks.detectProvider(req.headers)));
 
 /**
  * Test webhook endpoint (for development)
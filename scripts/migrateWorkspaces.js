@@ -0,0 +1,139 @@
+// emailxp/backend/scripts/migrateWorkspaces.js
+// Backfills `organization` on campaigns, subscribers, groups, segments, templates, automations and
+// tags from the user who created each document, so they show up in the organization workspace.
+// Safe to re-run: only documents without an organization are touched.
+//
+//   node scripts/migrateWorkspaces.js [--dry-run]
+//
+// Subscribers with the same email and groups with the same name, created separately by members of
+// one organization, are resolved before the workspace unique indexes are built: the oldest subscriber
+// is kept with the others' groups and tags (and the most restrictive status), the others are
+// soft-deleted, and later groups get a numbered name ("Customers (2)"). A dry run only reports them.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Campaign = require('../models/Campaign');
+const Subscriber = require('../models/Subscriber');
+const Group = require('../models/Group');
+const Segment = require('../models/Segment');
+const Template = require('../models/Template');
+const Automation = require('../models/Automation');
+const Tag = require('../models/Tag');
+
+const MODELS = { Campaign, Subscriber, Group, Segment, Template, Automation, Tag };
+
+// Most restrictive first: a merged subscriber keeps any opt-out or delivery problem of its copies
+const UNDELIVERABLE_STATUSES = ['complained', 'bounced', 'unsubscribed'];
+
+// Values shared by more than one document within an organization, e.g. the same subscriber email
+async function duplicatesWithin(Model, field, extraMatch = {}) {
+  return Model.aggregate([
+    { $match: { organization: { $ne: null }, ...extraMatch } },
+    { $group: { _id: { organization: '$organization', value: `$${field}` }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $project: { _id: 0, organization: '$_id.organization', value: '$_id.value', count: 1 } }
+  ]).allowDiskUse(true);
+}
+
+const mergeIds = (docs, field) => [...new Set(docs.flatMap(doc => (doc[field] || []).map(String)))];
+
+// Keep the oldest live subscriber with this email and soft-delete the rest; returns how many went
+async function mergeSubscribers({ organization, value }) {
+  const copies = await Subscriber.find({ organization, email: value, isDeleted: false }).sort({ createdAt: 1, _id: 1 });
+  const [keeper, ...extra] = copies;
+  if (!keeper || extra.length === 0) return 0;
+
+  keeper.groups = mergeIds(copies, 'groups');
+  keeper.tags = mergeIds(copies, 'tags');
+  const blocked = UNDELIVERABLE_STATUSES.find(status => copies.some(copy => copy.status === status));
+  if (blocked) keeper.status = blocked;
+  await keeper.save();
+
+  await Subscriber.updateMany({ _id: { $in: extra.map(copy => copy._id) } }, { $set: { isDeleted: true, deletedAt: new Date() } });
+  await Group.updateMany({ _id: { $in: keeper.groups } }, { $addToSet: { subscribers: keeper._id } });
+  return extra.length;
+}
+
+// Keep the oldest group's name and number the others; returns how many were renamed
+async function renameGroups({ organization, value }) {
+  const copies = await Group.find({ organization, name: value }).sort({ createdAt: 1, _id: 1 });
+  let renamed = 0;
+  for (const group of copies.slice(1)) {
+    let number = 2;
+    let name = `${value} (${number})`;
+    while (await Group.exists({ organization, name })) name = `${value} (${++number})`;
+    await Group.updateOne({ _id: group._id }, { $set: { name } });
+    renamed++;
+  }
+  return renamed;
+}
+
+/**
+ * Run the backfill.
+ * @param {Object} options - { dryRun }: count what would change without writing
+ * @returns {Promise<Object>} { updated: { [model]: count }, orphaned: { [model]: count },
+ *   duplicates: { subscribers, groups }, resolved: { subscribers, groups } }
+ */
+async function migrateWorkspaces({ dryRun = false } = {}) {
+  const users = await User.find({ organization: { $ne: null } }).select('_id organization').lean();
+  const byOrganization = new Map();
+  users.forEach(user => {
+    const key = String(user.organization);
+    if (!byOrganization.has(key)) byOrganization.set(key, { organization: user.organization, userIds: [] });
+    byOrganization.get(key).userIds.push(user._id);
+  });
+
+  const updated = {};
+  const orphaned = {};
+  for (const [name, Model] of Object.entries(MODELS)) {
+    updated[name] = 0;
+    for (const { organization, userIds } of byOrganization.values()) {
+      const filter = { user: { $in: userIds }, organization: null };
+      if (dryRun) {
+        updated[name] += await Model.countDocuments(filter);
+      } else {
+        const result = await Model.updateMany(filter, { $set: { organization } });
+        updated[name] += result.modifiedCount || 0;
+      }
+    }
+    // Documents whose creator has no organization (or no longer exists) stay private to the creator
+    orphaned[name] = dryRun ? 0 : await Model.countDocuments({ organization: null, user: { $ne: null } });
+  }
+
+  const duplicates = {
+    subscribers: await duplicatesWithin(Subscriber, 'email', { isDeleted: false }),
+    groups: await duplicatesWithin(Group, 'name')
+  };
+
+  const resolved = { subscribers: 0, groups: 0 };
+  if (!dryRun) {
+    for (const duplicate of duplicates.subscribers) resolved.subscribers += await mergeSubscribers(duplicate);
+    for (const duplicate of duplicates.groups) resolved.groups += await renameGroups(duplicate);
+    // The unique workspace indexes can only be built once no duplicates are left
+    await Subscriber.syncIndexes();
+    await Group.syncIndexes();
+  }
+
+  return { updated, orphaned, duplicates, resolved };
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  (async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    const { updated, orphaned, duplicates, resolved } = await migrateWorkspaces({ dryRun });
+    console.log(`${dryRun ? 'Would update' : 'Updated'} documents per model:`, updated);
+    if (!dryRun) console.log('Left without an organization (creator has none):', orphaned);
+    duplicates.subscribers.forEach(d => console.warn(`Organization ${d.organization}: ${d.count} subscribers share the email ${d.value}`));
+    duplicates.groups.forEach(d => console.warn(`Organization ${d.organization}: ${d.count} groups are named "${d.value}"`));
+    if (!dryRun) console.log(`Soft-deleted ${resolved.subscribers} duplicate subscribers and renamed ${resolved.groups} duplicate groups`);
+    await mongoose.disconnect();
+  })().catch(async (error) => {
+    console.error('Workspace migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+}
+
+module.exports = { migrateWorkspaces };
@@ -10,6 +10,8 @@ if (SANITIZED_FRONTEND_URL) {
 const cors = require('cors');
 const { errorHandler } = require('./middleware/errorMiddleware');
 const requestId = require('./middleware/requestId');
+const { landingPageHost } = require('./middleware/landingPageHost');
+const appOrigins = require('./utils/appOrigins');
 const emailQueueService = require('./services/emailQueueService');
 const connectDB = require('./config/db');
 require('./config/cloudinary');
@@ -25,6 +27,10 @@ const unlayerTemplateRoutes = require('./routes/unlayerTemplates'); // Unlayer A
 const { startCampaignScheduler } = require('./utils/campaignScheduler');
 const { campaignAutomationEngine } = require('./services/campaignAutomation');
 const { startBehavioralTriggerScheduler } = require('./utils/behavioralTriggerScheduler');
+const { startAutomationRunScheduler } = require('./utils/automationRunScheduler');
+const { startImportJobScheduler } = require('./utils/importJobScheduler');
+const { startExportJobScheduler } = require('./utils/exportJobScheduler');
+const { startABTestScheduler } = require('./utils/abTestScheduler');
 const { schedulePendingSubscriberCleanup } = require('./utils/pendingSubscriberCleanup');
 const cron = require('node-cron');
 const { runDomainReverificationBatch } = require('./jobs/domainReverificationJob');
@@ -46,20 +52,16 @@ const app = express();
 app.set('trust proxy', 1); // Trust the first proxy
 
 // Configure CORS with credentials support and a flexible allowlist.
-// Build allowed origins from environment and sensible defaults. Normalize
-// entries by stripping trailing slashes so comparisons are robust.
-const sanitizeOrigin = (s) => s && String(s).trim().replace(/\/+$/, '');
-const allowedFromEnv = (process.env.CORS_ALLOW || process.env.ALLOW_ORIGINS || '')
-    .split(',')
-    .map(s => sanitizeOrigin(s))
-    .filter(Boolean);
-const allowedOrigins = [
-    sanitizeOrigin('http://localhost:3000'), // Local development
-    sanitizeOrigin('https://emailxp-frontend-production.up.railway.app'), // Production frontend
-    sanitizeOrigin(process.env.FRONTEND_URL), // Configured frontend URL
-    sanitizeOrigin(process.env.BACKEND_URL || process.env.REACT_APP_BACKEND_URL),  // Allow if backend calls itself or proxies set this
-    ...allowedFromEnv
-].filter(Boolean);
+// Allowed origins come from the environment and sensible defaults (utils/appOrigins),
+// normalized by stripping trailing slashes so comparisons are robust.
+const allowedOrigins = appOrigins.allowedOrigins();
+const { sanitizeOrigin } = appOrigins;
+
+// Landing pages on customers' own domains are answered before any API middleware
+app.use(landingPageHost);
+
+// Embedded signup forms post from customer sites, so they skip the allowlist below
+app.use('/api/forms/public', cors({ origin: true }), require('./routes/publicFormRoutes'));
 
 app.use(cors({
     origin: function (origin, callback) {
@@ -86,11 +88,17 @@ app.use(cors({
 }));
 
 app.use(requestId);
-app.use(express.json());
+// Keep the raw body around so provider webhooks can verify signatures over the exact bytes
+app.use(express.json({
+    verify: (req, res, buf) => {
+        if (req.originalUrl && req.originalUrl.startsWith('/api/webhooks')) req.rawBody = buf.toString('utf8');
+    }
+}));
 app.use(express.urlencoded({ extended: false }));
 
 // Define API routes
 app.use('/api/users', userRoutes); // Auth routes (register, login, profile)
+app.use('/api/v1', require('./routes/v1')); // Public REST API (API key auth)
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/subscribers', subscriberRoutes);
@@ -116,9 +124,11 @@ app.use('/api/behavioral-events', require('./routes/behavioralEvents'));
 app.use('/api/recommendations', require('./routes/recommendations'));
 app.use('/api/automations', require('./routes/automationRoutes'));
 app.use('/api/landing-pages', require('./routes/landingPageRoutes'));
+app.use('/api/forms', require('./routes/formRoutes'));
 app.use('/api/sending-domains', require('./routes/domainAuthRoutes'));
 app.use('/api/preference-categories', require('./routes/preferenceCategoryRoutes'));
 app.use('/api/preferences', require('./routes/preferences'));
+app.use('/api/unsubscribe', require('./routes/unsubscribe')); // List-Unsubscribe one-click (RFC 8058)
 app.use('/api/deliverability', require('./routes/deliverability'));
 app.use('/api/conversions', require('./routes/conversions'));
 app.use('/api/list-health', require('./routes/listHealth'));
@@ -179,6 +189,10 @@ if (process.env.NODE_ENV !== 'test') {
     startCampaignScheduler();
     campaignAutomationEngine.start();
     startBehavioralTriggerScheduler();
+    startAutomationRunScheduler();
+    startImportJobScheduler();
+    startExportJobScheduler();
+    startABTestScheduler();
     schedulePendingSubscriberCleanup();
     // Domain re-verification every 15 minutes
     cron.schedule('*/15 * * * *', async () => {
@@ -1,8 +1,85 @@
 // emailxp/backend/services/abTestService.js
 
 const ABTest = require('../models/ABTest');
+const ABTestRecipient = require('../models/ABTestRecipient');
 const Campaign = require('../models/Campaign');
+const Subscriber = require('../models/Subscriber');
+const ConversionEvent = require('../models/ConversionEvent');
 const logger = require('../utils/logger');
+const { isMachineActivity } = require('../utils/engagementClassifier');
+const { campaignContent, buildCampaignEmail } = require('../utils/campaignEmail');
+const { addEmailJob, addCampaignBatchJob } = require('./queueServiceWrapper');
+const { nextOccurrenceOfHour } = require('../utils/timezoneService');
+
+// Recipients written / queued per round trip when splitting and sending the remainder
+const RECIPIENT_BATCH_SIZE = 1000;
+
+const domainOf = (email) => String(email || '').split('@')[1]?.toLowerCase() || '';
+
+// Fisher-Yates, so every subscriber is equally likely to land in the test portion
+const shuffle = (items) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// Size of the test portion: testPercentage of the audience, but at least one recipient per variant
+const testSizeFor = (total, testPercentage, variantCount) => {
+  if (testPercentage >= 100) return total;
+  return Math.min(total, Math.max(variantCount, Math.round(total * testPercentage / 100)));
+};
+
+// Campaign content with a variant's overrides applied
+const variantContent = (base, variant) => ({
+  ...base,
+  subject: variant.subject || base.subject,
+  htmlContent: variant.htmlContent || base.htmlContent,
+  fromName: variant.fromName || base.fromName,
+  // A sender test may only change the mailbox, never leave the campaign's verified domain
+  fromEmail: variant.fromEmail && domainOf(variant.fromEmail) === domainOf(base.fromEmail) ? variant.fromEmail : base.fromEmail
+});
+
+// When a variant goes out: its sendHour in the campaign's timezone, otherwise right away
+const sendTimeFor = (variant, campaign, now) => (variant.sendHour === undefined || variant.sendHour === null
+  ? now
+  : nextOccurrenceOfHour(variant.sendHour, campaign.scheduleTimezone || 'UTC', now));
+
+const queueOptionsFor = (sendAt, now) => (sendAt > now ? { delay: sendAt - now } : {});
+
+// Upper bound on generated multivariate combinations; each one needs its own slice of the test audience
+const MAX_MULTIVARIATE_VARIANTS = 16;
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// One variant per combination of the multivariate dimensions that have values
+const multivariateVariants = (dimensions = {}) => {
+  const axes = [
+    ['subject', dimensions.subjects, (value, index) => `Subject ${index + 1}`],
+    ['fromName', dimensions.fromNames, (value) => value],
+    ['sendHour', dimensions.sendHours, (value) => formatHour(value)]
+  ].filter(([, values]) => Array.isArray(values) && values.length > 0);
+  if (axes.length === 0) {
+    throw new Error('Multivariate tests need at least one of dimensions.subjects, dimensions.fromNames or dimensions.sendHours');
+  }
+  if ((dimensions.sendHours || []).some(hour => !Number.isInteger(hour) || hour < 0 || hour > 23)) {
+    throw new Error('dimensions.sendHours must be whole hours from 0 to 23');
+  }
+  return axes
+    .reduce((combos, [field, values, label]) => combos.flatMap(combo => values.map((value, index) => ({
+      ...combo,
+      [field]: value,
+      labels: [...combo.labels, label(value, index)]
+    }))), [{ labels: [] }])
+    .map(({ labels, ...variant }) => ({ ...variant, name: labels.join(' / ') }));
+};
+
+const inChunks = async (items, fn) => {
+  for (let i = 0; i < items.length; i += RECIPIENT_BATCH_SIZE) {
+    await fn(items.slice(i, i + RECIPIENT_BATCH_SIZE));
+  }
+};
 
 /**
  * A/B Testing Service
@@ -19,12 +96,24 @@ class ABTestService {
    */
   async createABTest(userData, campaignData, abTestData) {
     try {
-      const { name, description, testType, winnerCriteria, testPercentage, variants } = abTestData;
+      const {
+        name, description, testType, winnerCriteria, testPercentage, confidenceLevel, sendMode, waitHours, defaultVariant,
+        dimensions, conversionType, attributionWindowDays
+      } = abTestData;
+      const variants = testType === 'multivariate' ? multivariateVariants(dimensions) : abTestData.variants;
       
       // Validate test type and variants
       if (!variants || variants.length < 2) {
         throw new Error('At least two variants are required for A/B testing');
       }
+      if (variants.length > MAX_MULTIVARIATE_VARIANTS) {
+        throw new Error(`A test can have at most ${MAX_MULTIVARIATE_VARIANTS} variants (got ${variants.length})`);
+      }
+      // defaultVariant is the index of the variant sent when the test ends without a clear winner
+      const defaultIndex = defaultVariant === undefined || defaultVariant === null ? 0 : Number(defaultVariant);
+      if (!Number.isInteger(defaultIndex) || defaultIndex < 0 || defaultIndex >= variants.length) {
+        throw new Error('defaultVariant must be the index of one of the variants');
+      }
       
       // Create the base campaign
       const campaign = new Campaign({
@@ -49,18 +138,29 @@ class ABTestService {
         testType,
         winnerCriteria,
         testPercentage,
+        confidenceLevel,
+        conversionType,
+        attributionWindowDays,
+        dimensions: testType === 'multivariate' ? dimensions : undefined,
         variants: variants.map(variant => ({
           name: variant.name,
           subject: variant.subject,
           htmlContent: variant.htmlContent,
           fromName: variant.fromName,
-          fromEmail: variant.fromEmail
+          fromEmail: variant.fromEmail,
+          sendHour: variant.sendHour
         })),
+        sendMode,
+        waitHours,
         status: 'draft'
       });
+      abTest.defaultVariant = abTest.variants[defaultIndex]._id;
       
       await abTest.save();
       
+      campaign.abTest = abTest._id;
+      await campaign.save();
+      
       logger.info(`A/B test created: ${abTest.name} for campaign ${campaign.name}`);
       
       return { campaign, abTest };
@@ -129,6 +229,13 @@ class ABTestService {
       // Update status
       abTest.status = 'completed';
       abTest.endDate = new Date();
+      // Stopping a test-then-send test before the winner is picked means the held-back recipients are never sent to
+      if (abTest.sendMode === 'test_then_send' && abTest.remainderStatus === 'pending') {
+        abTest.remainderStatus = 'cancelled';
+        if (abTest.testSentAt) {
+          await Campaign.updateOne({ _id: abTest.campaign, status: 'sending' }, { $set: { status: 'sent', sentAt: new Date() } });
+        }
+      }
       await abTest.save();
       
       logger.info(`A/B test stopped: ${abTest.name}`);
@@ -172,10 +279,16 @@ class ABTestService {
         }
         abTest.manuallyDeclaredWinner = true;
       } else {
-        // Auto-detect winner
+        // Auto-detect winner; a lead that could be noise doesn't count
+        if (abTest.usesConversions() && abTest.testSentAt) {
+          await this.refreshConversionStats(abTest);
+        }
         if (!abTest.hasEnoughData()) {
           throw new Error('Not enough data to automatically declare a winner');
         }
+        if (!abTest.hasSignificantWinner()) {
+          throw new Error(`No variant is ahead at the ${Math.round(abTest.confidenceLevel * 1000) / 10}% confidence level yet`);
+        }
         winnerVariant = abTest.determineWinner();
         if (!winnerVariant) {
           throw new Error('Could not determine a winner');
@@ -185,6 +298,23 @@ class ABTestService {
       // Update A/B test
       abTest.winnerVariant = winnerVariant._id;
       abTest.winnerDeclaredAt = new Date();
+      abTest.winnerReason = variantId ? 'manual' : 'criteria';
+      
+      // Test-then-send: declaring before the wait is over sends the winner to the held-back recipients now
+      if (abTest.sendMode === 'test_then_send' && abTest.testSentAt) {
+        const claimed = await ABTest.updateOne(
+          { _id: abTest._id, remainderStatus: { $in: ['pending', 'failed'] } },
+          { $set: { remainderStatus: 'sending' } }
+        );
+        if (claimed.modifiedCount === 0) {
+          throw new Error('The winning variant is already being sent');
+        }
+        abTest.remainderStatus = 'sending';
+        await this.sendRemainder(abTest, winnerVariant);
+        logger.info(`Winner declared for A/B test ${abTest.name}: ${winnerVariant.name}`);
+        return abTest;
+      }
+      
       abTest.status = 'completed';
       abTest.endDate = new Date();
       await abTest.save();
@@ -215,14 +345,31 @@ class ABTestService {
         throw new Error('A/B test not found');
       }
       
-      // Calculate rates for each variant
+      if (abTest.testSentAt) {
+        await this.refreshConversionStats(abTest);
+      }
+      
+      // Calculate rates and significance for each variant
+      const significance = abTest.getSignificance();
       const results = {
         ...abTest.toObject(),
-        variants: abTest.variants.map(variant => ({
+        variants: abTest.variants.map((variant, index) => ({
           ...variant.toObject(),
           openRate: abTest.getOpenRate(variant),
-          clickRate: abTest.getClickRate(variant)
-        }))
+          clickRate: abTest.getClickRate(variant),
+          conversionRate: abTest.getConversionRate(variant),
+          revenuePerRecipient: abTest.getRevenuePerRecipient(variant),
+          stats: significance.variants[index]
+        })),
+        significance: {
+          metric: significance.metric,
+          confidenceLevel: significance.confidenceLevel,
+          minSampleSize: significance.minSampleSize,
+          enoughData: significance.enoughData,
+          control: significance.control,
+          leader: significance.leader,
+          significant: significance.significant
+        }
       };
       
       return results;
@@ -285,7 +432,8 @@ class ABTestService {
         throw new Error('Cannot delete a running A/B test');
       }
       
-      await abTest.remove();
+      await ABTestRecipient.deleteMany({ abTest: abTest._id });
+      await abTest.deleteOne();
       
       logger.info(`A/B test deleted: ${abTest.name}`);
       
@@ -296,11 +444,293 @@ class ABTestService {
     }
   }
   
+  /**
+   * Send the test portion of a test-then-send campaign: testPercentage of the audience, shuffled
+   * and split evenly across the variants. Everyone else is recorded as held back until
+   * completeDueTests (or a manual declareWinner) sends them the winning variant.
+   * @param {Object} campaign - Campaign document being sent
+   * @param {Object} abTest - A/B test document (sendMode test_then_send)
+   * @param {Array} subscribers - Resolved audience ({ _id, email, name })
+   * @param {string} groupId - Primary group of the send
+   * @returns {Promise<Object>} - { successfulSends, failedSends, testRecipients, remainderRecipients }
+   */
+  async sendTestPortion(campaign, abTest, subscribers, groupId = null) {
+    const variants = abTest.variants;
+    const pool = shuffle([...subscribers]);
+    const testSize = testSizeFor(pool.length, abTest.testPercentage, variants.length);
+    const testGroup = pool.slice(0, testSize);
+    const remainder = pool.slice(testSize);
+    const variantFor = (index) => variants[index % variants.length];
+    
+    // Record the split before queueing so the winner can't go to someone who already got a variant
+    const rows = [
+      ...testGroup.map((subscriber, index) => ({ abTest: abTest._id, campaign: campaign._id, subscriber: subscriber._id, group: 'test', variant: variantFor(index)._id })),
+      ...remainder.map(subscriber => ({ abTest: abTest._id, campaign: campaign._id, subscriber: subscriber._id, group: 'remainder' }))
+    ];
+    await inChunks(rows, chunk => ABTestRecipient.insertMany(chunk, { ordered: false }));
+    
+    const now = new Date();
+    const base = campaignContent(campaign, groupId);
+    const contents = new Map(variants.map(variant => [String(variant._id), variantContent(base, variant)]));
+    // Send time variants are delayed until their hour comes round
+    const sendTimes = new Map(variants.map(variant => [String(variant._id), sendTimeFor(variant, campaign, now)]));
+    // Queued a batch at a time so a large test group doesn't open thousands of queue adds at once
+    const results = [];
+    await inChunks(testGroup.map((subscriber, index) => ({ subscriber, index })), async (chunk) => {
+      results.push(...await Promise.allSettled(chunk.map(({ subscriber, index }) => {
+        const variantId = String(variantFor(index)._id);
+        return addEmailJob(buildCampaignEmail(contents.get(variantId), subscriber), queueOptionsFor(sendTimes.get(variantId), now));
+      })));
+    });
+    
+    const sentIds = new Map(variants.map(variant => [String(variant._id), []]));
+    let failedSends = 0;
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        sentIds.get(String(variantFor(index)._id)).push(testGroup[index]._id);
+        variantFor(index).sentCount += 1;
+      } else {
+        failedSends++;
+        logger.error(`Failed to queue A/B test email for campaign ${campaign._id}:`, result.reason);
+      }
+    });
+    // sentAt is when the variant actually goes out, so conversion attribution starts there
+    for (const [variantId, ids] of sentIds) {
+      const sentAt = sendTimes.get(variantId);
+      await inChunks(ids, chunk => ABTestRecipient.updateMany({ campaign: campaign._id, subscriber: { $in: chunk } }, { $set: { sentAt } }));
+    }
+    const successfulSends = [...sentIds.values()].reduce((total, ids) => total + ids.length, 0);
+    const lastSendAt = Math.max(...sendTimes.values());
+    
+    abTest.status = 'running';
+    abTest.startDate = abTest.startDate || now;
+    abTest.testSentAt = now;
+    // The wait window starts once the last variant has gone out
+    abTest.winnerDueAt = new Date(lastSendAt + abTest.waitHours * 60 * 60 * 1000);
+    abTest.testRecipients = testGroup.length;
+    abTest.remainderRecipients = remainder.length;
+    abTest.remainderStatus = 'pending';
+    await abTest.save();
+    
+    logger.info(`A/B test ${abTest.name}: test portion of ${testGroup.length} queued across ${variants.length} variants, ${remainder.length} held for the winner`);
+    
+    return { successfulSends, failedSends, testRecipients: testGroup.length, remainderRecipients: remainder.length };
+  }
+  
+  /**
+   * Pick the variant for the remaining recipients: the best by winnerCriteria when it beats every
+   * other variant at the test's confidenceLevel, otherwise the test's default variant.
+   * @param {Object} abTest - A/B test document
+   * @returns {Object} - { variant, reason: 'criteria' | 'default' }
+   */
+  chooseWinner(abTest) {
+    if (abTest.hasSignificantWinner()) {
+      return { variant: abTest.determineWinner(), reason: 'criteria' };
+    }
+    return { variant: abTest.getDefaultVariant(), reason: 'default' };
+  }
+  
+  /**
+   * Join ConversionEvents to the test recipients and store each variant's converters, revenue and
+   * revenue sum of squares. A conversion counts for a recipient when it names this campaign and
+   * happened between the recipient's send and attributionWindowDays later.
+   * @param {Object} abTest - A/B test document
+   * @returns {Promise<Object>} - Updated A/B test
+   */
+  async refreshConversionStats(abTest) {
+    const windowMs = abTest.attributionWindowDays * 24 * 60 * 60 * 1000;
+    const rows = await ABTestRecipient.aggregate([
+      { $match: { abTest: abTest._id, group: 'test', sentAt: { $ne: null } } },
+      {
+        $lookup: {
+          from: ConversionEvent.collection.name,
+          let: { campaign: '$campaign', subscriber: '$subscriber', sentAt: '$sentAt' },
+          pipeline: [
+            {
+              $match: {
+                ...(abTest.conversionType ? { type: abTest.conversionType } : {}),
+                $expr: {
+                  $and: [
+                    { $eq: ['$campaignId', '$$campaign'] },
+                    { $eq: ['$subscriberId', '$$subscriber'] },
+                    { $gte: ['$occurredAt', '$$sentAt'] },
+                    { $lte: ['$occurredAt', { $add: ['$$sentAt', windowMs] }] }
+                  ]
+                }
+              }
+            },
+            { $group: { _id: null, value: { $sum: '$value' } } }
+          ],
+          as: 'conversion'
+        }
+      },
+      { $unwind: '$conversion' },
+      {
+        $group: {
+          _id: '$variant',
+          converters: { $sum: 1 },
+          revenue: { $sum: '$conversion.value' },
+          revenueSumSquares: { $sum: { $multiply: ['$conversion.value', '$conversion.value'] } }
+        }
+      }
+    ]);
+    
+    const byVariant = new Map(rows.map(row => [String(row._id), row]));
+    for (const variant of abTest.variants) {
+      const row = byVariant.get(String(variant._id));
+      variant.conversionCount = row ? row.converters : 0;
+      variant.revenue = row ? row.revenue : 0;
+      variant.revenueSumSquares = row ? row.revenueSumSquares : 0;
+    }
+    await abTest.save();
+    return abTest;
+  }
+  
+  /**
+   * Queue the winning variant to the held-back recipients through the campaign queue and close
+   * the test. Subscribers who unsubscribed, bounced or were deleted during the wait are skipped.
+   * The caller must have claimed the test (remainderStatus 'sending').
+   * @param {Object} abTest - A/B test document
+   * @param {Object} variant - Winning variant
+   * @returns {Promise<number>} - Number of remainder emails queued
+   */
+  async sendRemainder(abTest, variant) {
+    let queued = 0;
+    try {
+      const campaign = await Campaign.findById(abTest.campaign);
+      if (!campaign) {
+        throw new Error('Campaign not found');
+      }
+      const groupId = (Array.isArray(campaign.groups) && campaign.groups[0]) || campaign.group || null;
+      const content = variantContent(campaignContent(campaign, groupId), variant);
+      const startedAt = new Date();
+      // A winning send time goes out at its hour, like it did in the test
+      const sendAt = sendTimeFor(variant, campaign, startedAt);
+      
+      // Held recipients get the winner's id once handled, so a retry after a failure picks up where it stopped
+      for (;;) {
+        const held = await ABTestRecipient.find({ abTest: abTest._id, group: 'remainder', variant: null })
+          .select('subscriber')
+          .limit(RECIPIENT_BATCH_SIZE)
+          .lean();
+        if (held.length === 0) break;
+        
+        const ids = held.map(recipient => recipient.subscriber);
+        const subscribers = await Subscriber.find({ _id: { $in: ids }, status: 'subscribed', isDeleted: false })
+          .select('_id email name')
+          .lean();
+        if (subscribers.length > 0) {
+          await addCampaignBatchJob({ ...content, subscribers }, queueOptionsFor(sendAt, new Date()));
+          await ABTestRecipient.updateMany(
+            { abTest: abTest._id, subscriber: { $in: subscribers.map(subscriber => subscriber._id) } },
+            { $set: { sentAt: sendAt > startedAt ? sendAt : new Date() } }
+          );
+        }
+        await ABTestRecipient.updateMany({ abTest: abTest._id, subscriber: { $in: ids } }, { $set: { variant: variant._id } });
+        queued += subscribers.length;
+      }
+      
+      const now = new Date();
+      abTest.winnerVariant = variant._id;
+      abTest.winnerDeclaredAt = abTest.winnerDeclaredAt || now;
+      abTest.remainderStatus = 'sent';
+      abTest.remainderSentAt = now;
+      abTest.remainderError = undefined;
+      abTest.status = 'completed';
+      abTest.endDate = now;
+      await abTest.save();
+      
+      campaign.status = 'sent';
+      campaign.sentAt = now;
+      campaign.emailsSuccessfullySent = (campaign.emailsSuccessfullySent || 0) + queued;
+      await campaign.save();
+      
+      logger.info(`A/B test ${abTest.name}: winner ${variant.name} (${abTest.winnerReason}) queued to ${queued} remaining recipients`);
+      return queued;
+    } catch (error) {
+      abTest.remainderStatus = 'failed';
+      abTest.remainderError = error.message;
+      await abTest.save();
+      logger.error(`Failed to send the winning variant for A/B test ${abTest._id}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Pick winners for test-then-send tests whose wait window has elapsed and send them to the
+   * remaining recipients. Tests are claimed one at a time so concurrent ticks never double-send.
+   * @param {Object} options - { limit, now }
+   * @returns {Promise<Object>} - { completed, failed }
+   */
+  async completeDueTests({ limit = 20, now = new Date() } = {}) {
+    let completed = 0;
+    let failed = 0;
+    while (completed + failed < limit) {
+      const abTest = await ABTest.findOneAndUpdate(
+        { sendMode: 'test_then_send', status: 'running', remainderStatus: 'pending', winnerDueAt: { $lte: now } },
+        { $set: { remainderStatus: 'sending' } },
+        { new: true, sort: { winnerDueAt: 1 } }
+      );
+      if (!abTest) break;
+      
+      try {
+        if (abTest.usesConversions()) {
+          await this.refreshConversionStats(abTest);
+        }
+        const { variant, reason } = this.chooseWinner(abTest);
+        abTest.winnerVariant = variant._id;
+        abTest.winnerDeclaredAt = now;
+        abTest.winnerReason = reason;
+        await this.sendRemainder(abTest, variant);
+        completed++;
+      } catch (error) {
+        failed++;
+        // sendRemainder records its own failures; anything earlier must release the claim too
+        if (abTest.remainderStatus === 'sending') {
+          logger.error(`Failed to pick a winner for A/B test ${abTest._id}:`, error);
+          abTest.remainderStatus = 'failed';
+          abTest.remainderError = error.message;
+          await abTest.save();
+        }
+      }
+    }
+    return { completed, failed };
+  }
+  
+  /**
+   * Count a human open or click towards the variant the subscriber received in a test-then-send
+   * test. Each recipient counts at most once per metric; remainder recipients never count.
+   * @param {Object} event - { campaignId, subscriberId, type: 'open' | 'click', classification, at }
+   * @returns {Promise<string|null>} - Variant credited, if any
+   */
+  async recordEngagement({ campaignId, subscriberId, type, classification, at = new Date() }) {
+    if (!campaignId || !subscriberId) return null;
+    if (classification && isMachineActivity(classification)) return null;
+    const field = type === 'click' ? 'clickedAt' : 'openedAt';
+    try {
+      const recipient = await ABTestRecipient.findOneAndUpdate(
+        { campaign: campaignId, subscriber: subscriberId, group: 'test', [field]: null },
+        { $set: { [field]: at } }
+      );
+      if (!recipient || !recipient.variant) return null;
+      
+      const counter = type === 'click' ? 'clickCount' : 'openCount';
+      await ABTest.updateOne(
+        { _id: recipient.abTest, 'variants._id': recipient.variant },
+        { $inc: { [`variants.$.${counter}`]: 1 } }
+      );
+      return recipient.variant;
+    } catch (error) {
+      logger.error('Error recording A/B test engagement:', error);
+      return null;
+    }
+  }
+  
   /**
    * Update variant statistics
    * @param {string} abTestId - A/B test ID
    * @param {string} variantId - Variant ID
-   * @param {Object} stats - Statistics to update
+   * @param {Object} stats - Statistics to update; `classification` flags the open/click being counted
    * @returns {Promise<Object>} - Updated A/B test
    */
   async updateVariantStats(abTestId, variantId, stats) {
@@ -316,10 +746,11 @@ class ABTestService {
         throw new Error('Variant not found');
       }
       
-      // Update statistics
+      // Update statistics. Machine opens/clicks (prefetches, link scanners) never count towards the winner.
+      const machine = Boolean(stats.classification) && isMachineActivity(stats.classification);
       if (stats.sentCount !== undefined) variant.sentCount += stats.sentCount;
-      if (stats.openCount !== undefined) variant.openCount += stats.openCount;
-      if (stats.clickCount !== undefined) variant.clickCount += stats.clickCount;
+      if (stats.openCount !== undefined && !machine) variant.openCount += stats.openCount;
+      if (stats.clickCount !== undefined && !machine) variant.clickCount += stats.clickCount;
       if (stats.bounceCount !== undefined) variant.bounceCount += stats.bounceCount;
       if (stats.unsubscribeCount !== undefined) variant.unsubscribeCount += stats.unsubscribeCount;
       if (stats.complaintCount !== undefined) variant.complaintCount += stats.complaintCount;
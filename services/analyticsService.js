@@ -10,6 +10,11 @@ const ClickEvent = require('../models/ClickEvent');
 const mongoose = require('mongoose');
 const LandingPage = require('../models/LandingPage');
 const FormSubmission = require('../models/FormSubmission');
+const { isMachineActivity } = require('../utils/engagementClassifier');
+const { workspaceFilter } = require('../utils/workspace');
+
+// Opens/clicks by people only: proxy prefetches and link scanners are left out of every metric
+const humanEvents = (events) => (events || []).filter(event => !isMachineActivity(event.classification));
 
 class AnalyticsService {
   // Generate analytics for a specific entity
@@ -115,8 +120,9 @@ class AnalyticsService {
       if (track.status === 'failed') metrics.failed++;
 
       // Process opens array
-      if (track.opens && track.opens.length > 0) {
-        for (const openEvent of track.opens) {
+      const opens = humanEvents(track.opens);
+      if (opens.length > 0) {
+        for (const openEvent of opens) {
           metrics.opened++;
           uniqueOpeners.add(track.subscriber ? track.subscriber.toString() : 'unknown');
           
@@ -149,8 +155,9 @@ class AnalyticsService {
       }
 
       // Process clicks array
-      if (track.clicks && track.clicks.length > 0) {
-        for (const clickEvent of track.clicks) {
+      const clicks = humanEvents(track.clicks);
+      if (clicks.length > 0) {
+        for (const clickEvent of clicks) {
           metrics.clicked++;
           uniqueClickers.add(track.subscriber ? track.subscriber.toString() : 'unknown');
           
@@ -443,13 +450,15 @@ class AnalyticsService {
     }
   }
 
-  // Get detailed campaign analytics
-  async getCampaignAnalytics(userId, campaignId, timeframe = '30d') {
+  // Get detailed campaign analytics; `user` is the caller, whose workspace must hold the campaign
+  async getCampaignAnalytics(user, campaignId, timeframe = '30d') {
     try {
-      const campaign = await Campaign.findOne({ _id: campaignId, user: userId });
+      const campaign = await Campaign.findOne({ _id: campaignId, ...workspaceFilter(user) });
       if (!campaign) {
         throw new Error('Campaign not found');
       }
+      // Analytics are recorded under the campaign's creator
+      const userId = campaign.user;
 
       // Generate current analytics
       const analytics = await this.generateAnalytics(userId, campaignId, 'Campaign');
@@ -913,11 +922,20 @@ class AnalyticsService {
     }
   }
 
-  // Get campaign analytics
-  async getCampaignAnalytics(userId, campaignId, timeframe = '30d') {
+  // Get campaign analytics; `user` is the caller, whose workspace must hold the campaign
+  async getCampaignAnalytics(user, campaignId, timeframe = '30d') {
     try {
       const { periodStart } = this.getTimeframeDates(timeframe);
       
+      // Get campaign details
+      const campaign = await Campaign.findOne({ _id: campaignId, ...workspaceFilter(user) });
+      
+      if (!campaign) {
+        throw new Error('Campaign not found');
+      }
+      // Analytics are recorded under the campaign's creator
+      const userId = campaign.user;
+      
       // Try to get existing analytics first
       let analytics = await Analytics.findOne({
         user: userId,
@@ -931,14 +949,6 @@ class AnalyticsService {
         analytics = await this.generateAnalytics(userId, campaignId, 'Campaign', 'month');
       }
       
-      // Get campaign details
-      const Campaign = require('../models/Campaign');
-      const campaign = await Campaign.findOne({ _id: campaignId, user: userId });
-      
-      if (!campaign) {
-        throw new Error('Campaign not found');
-      }
-      
       // Get real-time metrics from EmailTracking
       const realTimeMetrics = await this.getRealTimeCampaignMetrics(campaignId, periodStart);
       
@@ -999,11 +1009,11 @@ class AnalyticsService {
       if (track.status === 'delivered') delivered++;
       
       // Count unique opens and clicks (not total events)
-      if (track.opens && track.opens.length > 0) {
+      if (humanEvents(track.opens).length > 0) {
         uniqueOpeners.add(track.subscriber.toString());
       }
       
-      if (track.clicks && track.clicks.length > 0) {
+      if (humanEvents(track.clicks).length > 0) {
         uniqueClickers.add(track.subscriber.toString());
       }
     }
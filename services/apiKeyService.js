@@ -0,0 +1,161 @@
+// emailxp/backend/services/apiKeyService.js
+// Named, scoped API keys: validation of key settings, authentication and request logging
+
+const ApiKey = require('../models/ApiKey');
+const ApiKeyLog = require('../models/ApiKeyLog');
+
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEYS_MAX_PER_USER || '25', 10);
+const ACTIONS = ['create', 'read', 'update', 'delete', 'manage'];
+const RESOURCES = ApiKey.schema.path('permissions').schema.path('resource').enumValues;
+// lastUsedAt is only written when it is older than this, to avoid a write per request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Validate the editable settings of a key against its owner.
+ * A key may only be granted permissions its owner holds.
+ * @param {Object} input - { name, permissions, ipAllowlist, expiresAt, rateLimitPerMinute }
+ * @param {Object} owner - User document (hasPermission)
+ * @param {{ partial?: boolean }} options - partial skips required fields (updates)
+ * @returns {string[]} error messages, empty when valid
+ */
+function validateKeySettings(input = {}, owner, { partial = false } = {}) {
+  const errors = [];
+  const { name, permissions, ipAllowlist, expiresAt, rateLimitPerMinute } = input;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) errors.push('name is required');
+    else if (name.trim().length > 100) errors.push('name must be at most 100 characters');
+  }
+
+  if (permissions !== undefined || !partial) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      errors.push('permissions must be a non-empty array');
+    } else {
+      permissions.forEach((p, i) => {
+        if (!p || !RESOURCES.includes(p.resource)) {
+          errors.push(`permissions[${i}].resource must be one of: ${RESOURCES.join(', ')}`);
+          return;
+        }
+        if (!Array.isArray(p.actions) || p.actions.length === 0 || p.actions.some(a => !ACTIONS.includes(a))) {
+          errors.push(`permissions[${i}].actions must be a non-empty subset of: ${ACTIONS.join(', ')}`);
+          return;
+        }
+        p.actions.forEach(action => {
+          if (!owner.hasPermission(p.resource, action)) {
+            errors.push(`permissions[${i}]: you do not have ${action} on ${p.resource}`);
+          }
+        });
+      });
+    }
+  }
+
+  if (ipAllowlist !== undefined && ipAllowlist !== null) {
+    if (!Array.isArray(ipAllowlist)) {
+      errors.push('ipAllowlist must be an array');
+    } else {
+      ipAllowlist.forEach((entry, i) => {
+        if (!ApiKey.isValidAllowlistEntry(entry)) errors.push(`ipAllowlist[${i}] is not a valid IP address or CIDR range`);
+      });
+    }
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) errors.push('expiresAt must be a valid date');
+    else if (date <= new Date()) errors.push('expiresAt must be in the future');
+  }
+
+  if (rateLimitPerMinute !== undefined && rateLimitPerMinute !== null) {
+    const n = Number(rateLimitPerMinute);
+    if (!Number.isInteger(n) || n < 1 || n > 10000) errors.push('rateLimitPerMinute must be an integer between 1 and 10000');
+  }
+
+  return errors;
+}
+
+// Pick the editable settings off a request body, normalised for storage
+function pickKeySettings(input = {}) {
+  const settings = {};
+  if (input.name !== undefined) settings.name = String(input.name).trim();
+  if (input.permissions !== undefined) {
+    settings.permissions = input.permissions.map(p => ({ resource: p.resource, actions: [...new Set(p.actions)] }));
+  }
+  if (input.ipAllowlist !== undefined) settings.ipAllowlist = (input.ipAllowlist || []).map(e => String(e).trim());
+  if (input.expiresAt !== undefined) settings.expiresAt = input.expiresAt ? new Date(input.expiresAt) : null;
+  if (input.rateLimitPerMinute !== undefined && input.rateLimitPerMinute !== null) {
+    settings.rateLimitPerMinute = Number(input.rateLimitPerMinute);
+  }
+  return settings;
+}
+
+/**
+ * Create a key for a user. The plaintext key is returned once and never stored.
+ * @returns {Promise<{ key?: string, apiKey?: Object, errors?: string[] }>}
+ */
+async function createApiKey(owner, input) {
+  const errors = validateKeySettings(input, owner);
+  if (errors.length > 0) return { errors };
+
+  const activeKeys = await ApiKey.countDocuments({ user: owner._id, revokedAt: null });
+  if (activeKeys >= MAX_KEYS_PER_USER) {
+    return { errors: [`You can have at most ${MAX_KEYS_PER_USER} active API keys`] };
+  }
+
+  const { key, apiKey } = ApiKey.generate({
+    ...pickKeySettings(input),
+    user: owner._id,
+    organization: owner.organization?._id || owner.organization
+  });
+  await apiKey.save();
+  return { key, apiKey };
+}
+
+/**
+ * Look up the key presented in a request.
+ * @returns {Promise<{ apiKey?: Object, error?: string }>} error is 'invalid' | 'revoked' | 'expired' | 'ip_not_allowed'
+ */
+async function authenticateApiKey(rawKey, ip) {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawKey) });
+  if (!apiKey) return { error: 'invalid' };
+  if (apiKey.revokedAt) return { error: 'revoked', apiKey };
+  if (!apiKey.isActive()) return { error: 'expired', apiKey };
+  if (!apiKey.allowsIp(ip)) return { error: 'ip_not_allowed', apiKey };
+  return { apiKey };
+}
+
+// Count the request and refresh last-used details (throttled to one write per minute per key)
+async function recordUsage(apiKey, ip) {
+  const update = { $inc: { requestCount: 1 } };
+  if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > TOUCH_INTERVAL_MS || apiKey.lastUsedIp !== ip) {
+    update.$set = { lastUsedAt: new Date(), lastUsedIp: ip };
+  }
+  await ApiKey.updateOne({ _id: apiKey._id }, update);
+}
+
+// Write the audit entry once the response has been sent
+function logRequestOnFinish(apiKey, req, res) {
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    ApiKeyLog.create({
+      apiKey: apiKey._id,
+      user: apiKey.user,
+      method: req.method,
+      path: (req.originalUrl || '').split('?')[0].slice(0, 500),
+      statusCode: res.statusCode,
+      ipAddress: req.ip,
+      userAgent: String(req.headers['user-agent'] || '').slice(0, 500),
+      durationMs: Date.now() - startedAt
+    }).catch(err => console.error('[API KEY] Failed to write request log:', err.message));
+  });
+}
+
+module.exports = {
+  RESOURCES,
+  ACTIONS,
+  validateKeySettings,
+  pickKeySettings,
+  createApiKey,
+  authenticateApiKey,
+  recordUsage,
+  logRequestOnFinish
+};
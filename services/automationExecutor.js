@@ -1,14 +1,396 @@
 // emailxp/backend/services/automationExecutor.js
 
 const Automation = require('../models/Automation');
+const AutomationRun = require('../models/AutomationRun');
+const AutomationStep = require('../models/AutomationStep');
+const EmailTracking = require('../models/EmailTracking');
 const Template = require('../models/Template');
 const Subscriber = require('../models/Subscriber');
 const logger = require('../utils/logger');
 const { addEmailJob } = require('./queueService');
+const usageService = require('./usageService');
 const mongoose = require('mongoose');
 
+// Hard cap on nodes executed in one pass so a cyclic graph can't spin forever
+const MAX_STEPS_PER_PASS = 100;
+// Runs left 'active' longer than this are assumed to belong to a crashed process
+const STALE_ACTIVE_MS = 10 * 60 * 1000;
+// How long to push back due runs whose automation is paused
+const PAUSED_RETRY_MS = 15 * 60 * 1000;
+
+const DELAY_MULTIPLIERS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+  weeks: 7 * 24 * 60 * 60 * 1000
+};
+
+const YES_HANDLES = ['yes', 'true', 'match'];
+const NO_HANDLES = ['no', 'false', 'else'];
+
+const idOf = (doc) => (doc && (doc._id || doc.id) ? String(doc._id || doc.id) : null);
+
+/**
+ * Normalize a node produced by any version of the visual editor into
+ * { id, kind, type, config }. `kind` is one of trigger, send, wait, condition,
+ * goal, exit or unknown.
+ */
+const normalizeNode = (raw) => {
+  if (!raw) return null;
+  let action;
+  if (raw.data) {
+    // UI nodes often store actionable payload under data.actionType or data.config
+    const t = raw.data.actionType || raw.data.type || raw.type || raw.nodeType;
+    const cfg = raw.data.config || raw.config || raw.data;
+    action = { id: raw.id || raw._id || null, type: t, config: cfg };
+  } else if (raw.config) {
+    action = { id: raw.id || raw._id || null, type: raw.config.type || raw.type || raw.nodeType, config: raw.config };
+  } else {
+    action = { id: raw.id || raw._id || null, type: raw.type || raw.nodeType, config: raw };
+  }
+  action.id = action.id ? String(action.id) : null;
+  action.config = action.config || {};
+
+  // Ensure any templateId present at top-level or alternative locations is copied into the normalized action
+  const foundTid = raw.templateId || raw.data?.templateId || raw.data?.config?.templateId || raw.config?.templateId || action.config.templateId || null;
+  if (foundTid) {
+    if (!action.config.templateId) action.config.templateId = foundTid;
+    action.templateId = foundTid;
+  }
+
+  const nodeType = String(raw.type || '').toLowerCase();
+  const type = String(action.type || '').toLowerCase();
+  const hasTemplate = !!(action.config.templateId || action.config.config?.templateId || action.templateId || action.config.template);
+  const configActionType = action.config.actionType || action.config.type || null;
+
+  if (nodeType === 'trigger' || type === 'trigger') action.kind = 'trigger';
+  else if (['wait', 'delay', 'time_delay'].includes(type) || ['wait', 'delay'].includes(nodeType)) action.kind = 'wait';
+  else if (['condition', 'if_else', 'yes_no', 'split'].includes(type) || nodeType === 'condition') action.kind = 'condition';
+  else if (type === 'goal' || nodeType === 'goal') action.kind = 'goal';
+  else if (['exit', 'end'].includes(type) || ['exit', 'end'].includes(nodeType)) action.kind = 'exit';
+  else if (type === 'send_template' || type === 'send_email_template') action.kind = 'send';
+  // Some editor versions store a generic node.type === 'action' with a nested
+  // config that contains actionType or templateId. Treat those as send_template.
+  else if ((type === 'action' || type === 'generic_action') && (hasTemplate || configActionType === 'send_template')) {
+    action.type = 'send_template';
+    action.kind = 'send';
+  } else action.kind = 'unknown';
+
+  return action;
+};
+
+/**
+ * Build an adjacency view of the automation. When the automation has no edges
+ * (older flat automations) nodes are chained in array order.
+ */
+const buildGraph = (automation) => {
+  const rawNodes = automation.nodes && automation.nodes.length ? automation.nodes : (automation.actions || []);
+  const nodes = new Map();
+  const order = [];
+  rawNodes.forEach((raw, index) => {
+    const node = normalizeNode(raw);
+    if (!node) return;
+    if (!node.id) node.id = `node-${index}`;
+    nodes.set(node.id, node);
+    order.push(node.id);
+  });
+
+  const outgoing = new Map();
+  const edges = automation.edges || [];
+  if (edges.length) {
+    for (const edge of edges) {
+      const source = String(edge.source);
+      if (!outgoing.has(source)) outgoing.set(source, []);
+      outgoing.get(source).push({ target: String(edge.target), sourceHandle: edge.sourceHandle ? String(edge.sourceHandle).toLowerCase() : null });
+    }
+  } else {
+    for (let i = 0; i < order.length - 1; i++) {
+      outgoing.set(order[i], [{ target: order[i + 1], sourceHandle: null }]);
+    }
+  }
+
+  return { nodes, order, outgoing };
+};
+
+const findStartNode = (graph, event) => {
+  const triggers = graph.order.map(id => graph.nodes.get(id)).filter(n => n.kind === 'trigger');
+  if (!triggers.length) return graph.order[0] || null;
+  const matching = event
+    ? triggers.find(t => [t.config.event, t.config.triggerType, t.config.eventType].map(v => v && String(v)).includes(String(event)))
+    : null;
+  return (matching || triggers[0]).id;
+};
+
+/**
+ * Pick the next node id leaving `nodeId`. Condition nodes pass the branch
+ * ('yes' / 'no') and only edges with a matching sourceHandle are followed.
+ */
+const nextNodeId = (graph, nodeId, branch) => {
+  const edges = graph.outgoing.get(nodeId) || [];
+  if (!edges.length) return null;
+  if (branch) {
+    const handles = branch === 'yes' ? YES_HANDLES : NO_HANDLES;
+    const match = edges.find(e => e.sourceHandle && handles.includes(e.sourceHandle));
+    return match ? match.target : null;
+  }
+  if (edges.length > 1) {
+    logger.warn('[AutomationExecutor] node has multiple outgoing edges, following the first', { nodeId, edges: edges.length });
+  }
+  return edges[0].target;
+};
+
+const delayToMilliseconds = (config = {}) => {
+  const amount = Number(config.delay ?? config.duration ?? config.amount ?? 0);
+  const unit = config.unit || config.delayUnit || 'hours';
+  if (!Number.isFinite(amount) || amount <= 0) return 0;
+  return amount * (DELAY_MULTIPLIERS[unit] || DELAY_MULTIPLIERS.hours);
+};
+
+const getFieldValue = (subscriber, field) => {
+  if (!field) return undefined;
+  const [head, ...rest] = String(field).split('.');
+  let value = subscriber?.[head];
+  // customFields is a Mongoose Map on the document
+  if (value instanceof Map) value = rest.length ? value.get(rest.shift()) : Object.fromEntries(value);
+  for (const f of rest) value = value?.[f];
+  return value;
+};
+
+const compare = (fieldValue, operator, conditionValue) => {
+  const asStrings = Array.isArray(fieldValue) ? fieldValue.map(v => String(v)) : null;
+  switch (operator) {
+    case 'equals':
+      return String(fieldValue) === String(conditionValue);
+    case 'not_equals':
+      return String(fieldValue) !== String(conditionValue);
+    case 'contains':
+      return asStrings ? asStrings.includes(String(conditionValue)) : String(fieldValue ?? '').includes(String(conditionValue));
+    case 'not_contains':
+      return asStrings ? !asStrings.includes(String(conditionValue)) : !String(fieldValue ?? '').includes(String(conditionValue));
+    case 'greater_than':
+      return Number(fieldValue) > Number(conditionValue);
+    case 'less_than':
+      return Number(fieldValue) < Number(conditionValue);
+    case 'exists':
+      return fieldValue !== undefined && fieldValue !== null && fieldValue !== '';
+    case 'not_exists':
+      return fieldValue === undefined || fieldValue === null || fieldValue === '';
+    default:
+      return false;
+  }
+};
+
+/**
+ * Evaluate a single condition. Engagement conditions (email_opened /
+ * email_clicked) look at emails this automation sent to the subscriber,
+ * optionally restricted to one send node.
+ */
+const evaluateCondition = async (condition, { subscriber, automation }) => {
+  const type = condition.type || condition.field;
+  if (type === 'email_opened' || type === 'email_clicked') {
+    const query = { automation: automation._id, subscriber: subscriber._id };
+    if (condition.nodeId || condition.actionId) query.actionId = String(condition.nodeId || condition.actionId);
+    query[type === 'email_opened' ? 'isOpened' : 'isClicked'] = true;
+    const found = await EmailTracking.exists(query);
+    const wanted = condition.value === undefined ? true : !(condition.value === false || condition.value === 'false');
+    return !!found === wanted;
+  }
+  return compare(getFieldValue(subscriber, condition.field), condition.operator, condition.value);
+};
+
+const evaluateConditions = async (config = {}, ctx) => {
+  const conditions = Array.isArray(config.conditions) ? config.conditions : (config.field || config.type ? [config] : []);
+  if (!conditions.length) return false;
+  const logic = String(config.logic || config.operator_logic || 'AND').toUpperCase();
+  const results = [];
+  for (const c of conditions) results.push(await evaluateCondition(c, ctx));
+  return logic === 'OR' ? results.some(Boolean) : results.every(Boolean);
+};
+
+/** Returns the first goal node whose conditions the subscriber now meets. */
+const findReachedGoal = async (graph, ctx) => {
+  for (const id of graph.order) {
+    const node = graph.nodes.get(id);
+    if (node.kind !== 'goal') continue;
+    if (await evaluateConditions(node.config, ctx)) return node;
+  }
+  return null;
+};
+
+const finishRun = async (run, status, exitReason, extra = {}) => {
+  run.status = status;
+  run.exitReason = exitReason;
+  run.nextRunAt = undefined;
+  run.completedAt = new Date();
+  Object.assign(run, extra);
+  await run.save();
+};
+
+/**
+ * Persist an AutomationStep audit record. Auditing must never break a run, so
+ * failures are logged and swallowed.
+ */
+const recordStep = async (run, node, fields = {}) => {
+  try {
+    const now = new Date();
+    await AutomationStep.create({
+      run: run._id,
+      automation: run.automation,
+      subscriber: run.subscriber,
+      nodeId: node ? node.id : (run.currentNode || 'unknown'),
+      nodeKind: node ? node.kind : undefined,
+      nodeType: node ? node.type : undefined,
+      startedAt: now,
+      finishedAt: fields.status === 'waiting' ? undefined : now,
+      ...fields
+    });
+  } catch (err) {
+    logger.warn('[AutomationExecutor] failed to record step', { runId: idOf(run), error: err.message });
+  }
+};
+
 /**
- * Execute automation actions for a given automation and context
+ * Walk the graph for `run` until it waits, exits or completes.
+ * @param {Object} run - AutomationRun document with status 'active'
+ * @param {Object} automation - Automation document
+ * @param {Object} [options] - { skipCurrent } to continue past the current node (used when a wait elapses)
+ */
+const advanceRun = async (run, automation, options = {}) => {
+  const graph = buildGraph(automation);
+  const summary = { automationId: automation._id || automation.id, runId: run._id, actionsRun: 0, emailsQueued: 0, status: run.status };
+
+  if (options.skipCurrent) {
+    // The wait on the current node has elapsed; close its audit step
+    await AutomationStep.updateOne(
+      { run: run._id, nodeId: run.currentNode, status: 'waiting' },
+      { $set: { status: 'executed', finishedAt: new Date() } }
+    ).catch(err => logger.warn('[AutomationExecutor] failed to close wait step', { runId: idOf(run), error: err.message }));
+  }
+
+  let nodeId = options.skipCurrent ? nextNodeId(graph, run.currentNode) : run.currentNode;
+  let steps = 0;
+
+  try {
+    while (true) {
+      const subscriber = await Subscriber.findById(run.subscriber);
+      if (!subscriber || subscriber.isDeleted) {
+        if (nodeId) await recordStep(run, graph.nodes.get(nodeId) || { id: nodeId }, { status: 'skipped', reason: 'subscriber_missing' });
+        await finishRun(run, 'exited', 'subscriber_missing');
+        break;
+      }
+      if (automation.settings?.respectUnsubscribe !== false && ['unsubscribed', 'bounced', 'complained'].includes(subscriber.status)) {
+        if (nodeId) await recordStep(run, graph.nodes.get(nodeId) || { id: nodeId }, { status: 'skipped', reason: `subscriber_${subscriber.status}` });
+        await finishRun(run, 'exited', `subscriber_${subscriber.status}`);
+        break;
+      }
+      const ctx = { subscriber, automation, run };
+
+      const goal = await findReachedGoal(graph, ctx);
+      if (goal) {
+        await recordStep(run, goal, { status: 'executed', reason: 'goal_reached' });
+        await finishRun(run, 'completed', 'goal_reached', { currentNode: goal.id });
+        break;
+      }
+
+      if (!nodeId) {
+        await finishRun(run, 'completed', 'end_of_flow');
+        break;
+      }
+      const node = graph.nodes.get(nodeId);
+      if (!node) {
+        await recordStep(run, { id: nodeId }, { status: 'failed', reason: 'node_missing' });
+        await finishRun(run, 'failed', 'node_missing', { lastError: `Node ${nodeId} not found` });
+        break;
+      }
+      if (++steps > MAX_STEPS_PER_PASS) {
+        await finishRun(run, 'failed', 'step_limit', { lastError: `Exceeded ${MAX_STEPS_PER_PASS} steps in one pass` });
+        break;
+      }
+
+      run.currentNode = node.id;
+      run.enteredNodeAt = new Date();
+      run.stepsExecuted = (run.stepsExecuted || 0) + 1;
+      logger.info('[AutomationExecutor] executing node', { runId: idOf(run), nodeId: node.id, kind: node.kind, type: node.type });
+
+      if (node.kind === 'wait') {
+        const ms = delayToMilliseconds(node.config);
+        if (ms > 0) {
+          run.status = 'waiting';
+          run.nextRunAt = new Date(Date.now() + ms);
+          await run.save();
+          await recordStep(run, node, { status: 'waiting', waitUntil: run.nextRunAt });
+          break;
+        }
+        await recordStep(run, node, { status: 'executed', reason: 'zero_delay' });
+        nodeId = nextNodeId(graph, node.id);
+        continue;
+      }
+
+      if (node.kind === 'condition') {
+        const matched = await evaluateConditions(node.config, ctx);
+        await recordStep(run, node, { status: 'executed', branch: matched ? 'yes' : 'no' });
+        nodeId = nextNodeId(graph, node.id, matched ? 'yes' : 'no');
+        continue;
+      }
+
+      if (node.kind === 'goal') {
+        // Reaching a goal node along an edge ends the journey as well
+        await recordStep(run, node, { status: 'executed', reason: 'goal_reached' });
+        await finishRun(run, 'completed', 'goal_reached');
+        break;
+      }
+
+      if (node.kind === 'exit') {
+        await recordStep(run, node, { status: 'executed', reason: node.config.reason || 'exit_node' });
+        await finishRun(run, 'exited', node.config.reason || 'exit_node');
+        break;
+      }
+
+      if (node.kind === 'send') {
+        try {
+          const result = await handleSendTemplateAction(node, automation, { ...(run.context || {}), subscriberId: run.subscriber, subscriber });
+          summary.actionsRun += 1;
+          if (result && result.queued) {
+            summary.emailsQueued += 1;
+            await recordStep(run, node, { status: 'queued', jobId: result.jobId ? String(result.jobId) : undefined, template: result.templateId });
+          } else {
+            await recordStep(run, node, {
+              status: result && result.reason === 'queue_failed' ? 'failed' : 'skipped',
+              reason: result && result.reason,
+              error: result && result.error,
+              template: result && mongoose.isValidObjectId(result.templateId) ? result.templateId : undefined
+            });
+          }
+        } catch (err) {
+          logger.error('[AutomationExecutor] Action failed', { action: node.id, error: err.message });
+          await recordStep(run, node, { status: 'failed', reason: 'action_error', error: err.message });
+        }
+      } else if (node.kind === 'trigger') {
+        await recordStep(run, node, { status: 'executed', reason: run.trigger?.event || undefined });
+      } else if (node.type === 'send_email') {
+        // leave existing send_email behavior to campaign engine (not implemented here)
+        logger.log('[AutomationExecutor] send_email action skipped in executor (use campaign engine)');
+        await recordStep(run, node, { status: 'skipped', reason: 'send_email_not_supported' });
+      } else {
+        logger.log(`[AutomationExecutor] Unknown or unimplemented action type: ${node.type}`);
+        await recordStep(run, node, { status: 'skipped', reason: 'unsupported_node_type' });
+      }
+
+      nodeId = nextNodeId(graph, node.id);
+      await run.save();
+    }
+  } catch (err) {
+    logger.error('[AutomationExecutor] run failed', { runId: idOf(run), error: err.message });
+    await recordStep(run, graph.nodes.get(run.currentNode) || null, { status: 'failed', reason: 'error', error: err.message });
+    await finishRun(run, 'failed', 'error', { lastError: err.message }).catch(() => {});
+  }
+
+  summary.status = run.status;
+  return summary;
+};
+
+/**
+ * Enter a subscriber into an automation and run it until the first wait or exit.
  * @param {String|Object} automationRef - automation id or automation object
  * @param {Object} context - { userId, subscriberId, event }
  */
@@ -25,125 +407,120 @@ const executeAutomation = async (automationRef, context = {}) => {
       throw new Error('Automation not found');
     }
 
-    // Detailed log for debugging: automation metadata and nodes summary
-    try {
-      const nodeSummaries = (automation.nodes || automation.actions || []).map(n => {
-        const t = n?.data?.actionType || n?.data?.type || n?.type || n?.nodeType || n?.type;
-        const tid = n?.data?.config?.templateId || n?.config?.templateId || n?.data?.templateId || n?.templateId || null;
-        return { id: n?.id || n?._id || null, type: t, templateId: tid };
-      });
-      logger.info('[AutomationExecutor] executing automation', { automationId: automation._id ? automation._id.toString() : automation.id, name: automation.name, isActive: !!automation.isActive, status: automation.status, nodes: nodeSummaries });
-      // Mirror to console for test runs so we always see this in the terminal
-      try { console.log('[AutomationExecutor] executing automation', JSON.stringify({ automationId: automation._id ? automation._id.toString() : automation.id, name: automation.name, nodes: nodeSummaries })); } catch (e) { console.log('[AutomationExecutor] executing automation', { automationId: automation._id ? automation._id.toString() : automation.id, name: automation.name, nodes: nodeSummaries }); }
-    } catch (e) {
-      logger.warn('[AutomationExecutor] failed to log automation summary', { error: e?.message || e });
-    }
-
+    const automationId = idOf(automation);
     if (automation.isActive === false) {
-      logger.info('[AutomationExecutor] automation is inactive - skipping execution', { automationId: automation._id ? automation._id.toString() : automation.id });
+      logger.info('[AutomationExecutor] automation is inactive - skipping execution', { automationId });
       return;
     }
+    if (!context.subscriberId) {
+      logger.warn('[AutomationExecutor] no subscriber in context - nothing to run', { automationId });
+      return { automationId: automation._id || automation.id, actionsRun: 0, emailsQueued: 0 };
+    }
 
-  // For now, run actions sequentially in order
-  const rawActions = automation.actions || automation.nodes || [];
-  let actionsRun = 0;
-  let emailsQueued = 0;
-  for (const raw of rawActions) {
-      // Normalize nodes produced by the UI editor which sometimes store the actionable
-      // payload under `data` or `config`. We want a normalized shape { type, config }
-      let action;
-      if (raw && raw.data) {
-        // UI nodes often store actionable payload under data.actionType or data.config
-        const t = raw.data.actionType || raw.data.type || raw.type || raw.nodeType;
-        const cfg = raw.data.config || raw.config || raw.data;
-        action = { id: raw.id || raw._id || null, type: t, config: cfg };
-      } else if (raw && raw.config) {
-        action = { id: raw.id || raw._id || null, type: raw.config.type || raw.type || raw.nodeType, config: raw.config };
-      } else if (raw && (raw.type === 'send_template' || raw.nodeType === 'send_template')) {
-        action = { id: raw.id || raw._id || null, type: raw.type || raw.nodeType, config: raw };
-      } else {
-        // fallback - try best-effort mapping
-        action = { id: raw.id || raw._id || null, type: raw.type || raw.nodeType || raw.data?.type, config: raw.config || raw.data || {} };
-      }
-
-      // Ensure any templateId present at top-level or alternative locations is copied into the normalized action
-      try {
-        const foundTid = raw?.templateId || raw?.data?.templateId || raw?.data?.config?.templateId || raw?.config?.templateId || action.config?.templateId || action.templateId || null;
-        if (foundTid) {
-          // prefer setting under config.templateId for downstream code that reads it
-          action.config = action.config || {};
-          if (!action.config.templateId) action.config.templateId = foundTid;
-          action.templateId = foundTid;
-        }
-      } catch (e) {
-        // ignore
-      }
+    // A subscriber only travels through a given flow once at a time
+    const inFlight = await AutomationRun.findOne({
+      automation: automation._id,
+      subscriber: context.subscriberId,
+      status: { $in: AutomationRun.IN_FLIGHT_STATUSES }
+    });
+    if (inFlight) {
+      logger.info('[AutomationExecutor] subscriber already in flow - skipping', { automationId, runId: idOf(inFlight) });
+      return { automationId: automation._id || automation.id, runId: inFlight._id, actionsRun: 0, emailsQueued: 0, status: inFlight.status };
+    }
 
-      // Some editor versions store a generic node.type === 'action' with a nested
-      // config that contains actionType or templateId. Treat those as send_template
-      // when appropriate so they actually execute.
-      try {
-        const hasTemplate = !!(action.config?.templateId || action.config?.config?.templateId || action.templateId || action.config?.template);
-        const configActionType = action.config?.actionType || action.config?.type || null;
-        if ((action.type === 'action' || action.type === 'generic_action') && (hasTemplate || configActionType === 'send_template')) {
-          logger.info('[AutomationExecutor] normalizing generic action node to send_template', { originalType: action.type, inferredTemplate: action.config?.templateId || action.config?.config?.templateId || null });
-          action.type = 'send_template';
-        }
-      } catch (e) {
-        // ignore normalization errors
-      }
-          try {
-        // Log action details
-        try {
-          const inferredTemplateId = action.config?.templateId || action.config?.config?.templateId || action.templateId || null;
-          logger.info('[AutomationExecutor] executing action', { actionType: action.type, actionId: action.id || action._id || null, templateId: inferredTemplateId });
-              try { console.log('[AutomationExecutor] executing action', { actionType: action.type, actionId: action.id || action._id || null, templateId: inferredTemplateId }); } catch (e) { /* ignore */ }
-        } catch (e) {
-          logger.warn('[AutomationExecutor] failed to log action details', { error: e?.message || e });
-        }
+    const graph = buildGraph(automation);
+    const startNode = findStartNode(graph, context.event);
+    const run = await AutomationRun.create({
+      automation: automation._id,
+      subscriber: context.subscriberId,
+      user: context.userId || automation.user,
+      trigger: { nodeId: startNode, event: context.event },
+      status: 'active',
+      currentNode: startNode,
+      enteredNodeAt: new Date(),
+      context: { userId: context.userId ? String(context.userId) : undefined, event: context.event }
+    });
+    logger.info('[AutomationExecutor] run started', { automationId, runId: idOf(run), startNode });
 
-        if (action.type === 'send_template' || action.type === 'send_email_template') {
-          const queued = await handleSendTemplateAction(action, automation, context);
-          actionsRun += 1;
-          emailsQueued += Number(queued || 0);
-        } else if (action.type === 'send_email') {
-          // leave existing send_email behavior to campaign engine (not implemented here)
-          logger.log('[AutomationExecutor] send_email action skipped in executor (use campaign engine)');
-        } else {
-          logger.log(`[AutomationExecutor] Unknown or unimplemented action type: ${action.type}`);
-        }
-      } catch (err) {
-        logger.error('[AutomationExecutor] Action failed', { action: action.id || action, error: err.message });
-      }
-    }
-    // Return a small execution summary
-    return { automationId: automation._id || automation.id, actionsRun, emailsQueued };
+    return await advanceRun(run, automation);
   } catch (error) {
     logger.error('[AutomationExecutor] executeAutomation failed', { error: error.message });
     throw error;
   }
 };
 
+/**
+ * Wake runs whose wait has elapsed, plus runs stuck 'active' after a crash,
+ * and continue them through the graph. Called by the automation run scheduler.
+ * @param {Object} [options] - { limit, now }
+ */
+const resumeDueRuns = async ({ limit = 100, now = new Date() } = {}) => {
+  const automations = new Map();
+  let resumed = 0;
+
+  for (let i = 0; i < limit; i++) {
+    // Claim atomically so concurrent workers never resume the same run twice.
+    // `new: false` returns the pre-claim state so we know whether the wait elapsed.
+    const claimed = await AutomationRun.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'waiting', nextRunAt: { $lte: now } },
+          { status: 'active', updatedAt: { $lt: new Date(now.getTime() - STALE_ACTIVE_MS) } }
+        ]
+      },
+      { $set: { status: 'active' }, $unset: { nextRunAt: 1 } },
+      { sort: { nextRunAt: 1 }, new: false }
+    );
+    if (!claimed) break;
+
+    const wasWaiting = claimed.status === 'waiting';
+    claimed.status = 'active';
+    claimed.nextRunAt = undefined;
+
+    const key = String(claimed.automation);
+    if (!automations.has(key)) automations.set(key, await Automation.findById(claimed.automation));
+    const automation = automations.get(key);
+
+    if (!automation) {
+      await finishRun(claimed, 'failed', 'automation_missing');
+      continue;
+    }
+    if (automation.isActive === false) {
+      // Paused flows keep their subscribers in place until resumed. Stale
+      // active runs stay active; saving bumps updatedAt so they're retried later.
+      if (wasWaiting) {
+        claimed.status = 'waiting';
+        claimed.nextRunAt = new Date(now.getTime() + PAUSED_RETRY_MS);
+      }
+      await claimed.save();
+      continue;
+    }
+
+    await advanceRun(claimed, automation, { skipCurrent: wasWaiting });
+    resumed += 1;
+  }
+
+  return { resumed };
+};
+
 const handleSendTemplateAction = async (action, automation, context) => {
   // Support multiple shapes: action.config.templateId OR action.config.config.templateId
   const templateId = action.config?.templateId || action.config?.config?.templateId || action.config?.config?.template || action.templateId || action.config?.template;
   if (!templateId) {
-    logger.warn('[AutomationExecutor] send_template action missing templateId');
-    console.log('[AutomationExecutor] send_template action missing templateId for action', JSON.stringify(action.config || action));
-    return 0;
+    logger.warn('[AutomationExecutor] send_template action missing templateId', { actionId: action.id });
+    return { queued: false, reason: 'missing_template_id' };
   }
 
   const template = await Template.findById(templateId);
   if (!template) {
     logger.warn('[AutomationExecutor] template not found', { templateId });
-    console.log('[AutomationExecutor] template not found for templateId', templateId);
-    return;
+    return { queued: false, reason: 'template_not_found', templateId };
   }
 
-  const subscriber = context.subscriberId ? await Subscriber.findById(context.subscriberId) : null;
+  const subscriber = context.subscriber || (context.subscriberId ? await Subscriber.findById(context.subscriberId) : null);
   if (!subscriber) {
     logger.warn('[AutomationExecutor] subscriber not found for send_template', { subscriberId: context.subscriberId });
-    return;
+    return { queued: false, reason: 'subscriber_not_found', templateId };
   }
 
   // Personalize subject and content using simple replacements (reuse Template.generateHTML if available)
@@ -167,6 +544,7 @@ const handleSendTemplateAction = async (action, automation, context) => {
     plainTextContent: personalize(plainTextContent),
     campaignId: null,
     subscriberId: subscriber._id,
+    unsubscribeToken: subscriber.unsubscribeToken,
     automationId: automation._id || automation.id,
     actionId: action.id || action._id,
     // propagate template id so downstream services (queue/resend/emailTracking) can persist it
@@ -177,23 +555,28 @@ const handleSendTemplateAction = async (action, automation, context) => {
     fromName: action.config?.fromName || template.fromName || 'EmailXP'
   };
 
+  const owner = context.userId || automation.user;
+  const usage = await usageService.consumeForUser(owner, 'emails');
+  if (!usage.allowed) {
+    logger.warn('[AutomationExecutor] send_template blocked by plan limit', { automationId: idOf(automation), current: usage.current, limit: usage.limit });
+    return { queued: false, reason: 'plan_limit_reached', templateId: template._id };
+  }
+
+  let queuedId = null;
   try {
-    try { console.log('[AutomationExecutor] about to add email job', { emailData }); } catch (e) { /* ignore */ }
+    // Delays are modelled as wait nodes in the graph; a per-action delay is still honoured for older flows
     const job = await addEmailJob(emailData, { delay: action.config?.delay || 0 });
     // job may be an inline send result (id starts with inline-send-) or a Bull job
-    const queuedId = job && job.id ? job.id : (job && job.inline && job.result && job.id) ? job.id : (job && job.id) || null;
-    logger.log('[AutomationExecutor] queued send_template email', { to: subscriber.email, automationId: automation._id, jobId: queuedId });
-    try { console.log('[AutomationExecutor] queued send_template email', { to: subscriber.email, automationId: automation._id ? automation._id.toString() : automation.id, jobId: queuedId }); } catch (e) { /* ignore */ }
-    try { console.log('[AutomationExecutor] EMAIL_QUEUED_OR_SENT', { to: subscriber.email, automationId: automation._id ? automation._id.toString() : automation.id, templateId: template._id ? template._id.toString() : template.id, actionId: action.id || action._id || null, jobId: queuedId }); } catch (e) { /* ignore */ }
+    queuedId = job && job.id ? job.id : null;
+    logger.log('[AutomationExecutor] queued send_template email', { to: subscriber.email, automationId: idOf(automation), templateId: idOf(template), actionId: action.id || null, jobId: queuedId });
   } catch (e) {
     logger.error('[AutomationExecutor] Failed to queue email job', { error: e?.message || e });
-    console.log('[AutomationExecutor] Failed to queue email job', { error: e?.message || e });
-    return 0;
+    await usageService.releaseForUser(owner, 'emails');
+    return { queued: false, reason: 'queue_failed', error: e?.message || String(e), templateId: template._id };
   }
   // Update template usage stats if applicable
   try { template.incrementUsage && template.incrementUsage(); } catch (e) { /* ignore */ }
-  logger.log('[AutomationExecutor] queued send_template email', { to: subscriber.email, automationId: automation._id });
-  return 1;
+  return { queued: true, jobId: queuedId, templateId: template._id };
 };
 
-module.exports = { executeAutomation };
+module.exports = { executeAutomation, resumeDueRuns, advanceRun, buildGraph, normalizeNode };
@@ -5,6 +5,7 @@ const BehavioralTrigger = require('../models/BehavioralTrigger');
 const Campaign = require('../models/Campaign');
 const Subscriber = require('../models/Subscriber');
 const { addEmailJob } = require('./queueService');
+const usageService = require('./usageService');
 const logger = require('../utils/logger');
 const { executeAutomation } = require('./automationExecutor');
 
@@ -135,6 +136,12 @@ const triggerCampaign = async (trigger, subscriber, event) => {
       return null;
     }
     
+    const usage = await usageService.consumeForUser(trigger.user, 'emails');
+    if (!usage.allowed) {
+      logger.warn('Triggered campaign blocked by plan limit:', trigger._id);
+      return null;
+    }
+    
     // Create a personalized campaign instance
     const campaignData = {
       user: trigger.user,
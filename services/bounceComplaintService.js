@@ -1,26 +1,161 @@
 const EmailLog = require('../models/EmailLog');
 const Subscriber = require('../models/Subscriber');
 const Suppression = require('../models/Suppression');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
 const logger = require('../utils/logger');
 
-function classifyBounce(code, description='') {
-  if (!code) return 'hard';
-  const c = String(code).toUpperCase();
-  if (/5\d\d/.test(c) || /PERM|PERMANENT/.test(description.toUpperCase())) return 'hard';
-  if (/4\d\d/.test(c) || /TEMP|TEMPORARY/.test(description.toUpperCase())) return 'soft';
-  return 'hard';
+const BOUNCE_HISTORY_LIMIT = 50;
+
+const defaultBouncePolicy = () => ({
+  softBounceThreshold: Math.max(1, parseInt(process.env.BOUNCE_SOFT_THRESHOLD, 10) || 3),
+  softBounceWindowDays: Math.max(1, parseInt(process.env.BOUNCE_SOFT_WINDOW_DAYS, 10) || 30)
+});
+
+// Enhanced status code (RFC 3463) anywhere in the code or diagnostic text, e.g. "550 5.1.1 user unknown"
+const ENHANCED_CODE = /(?<![\d.])([245])\.(\d{1,3})\.(\d{1,3})(?![\d.])/;
+const BASIC_CODE = /(?<![\d.])([245])\d\d(?![\d.])/;
+
+function categorizeEnhanced(klass, subject, detail) {
+  if (subject === 2 && detail === 2) return { category: 'mailbox_full', type: 'soft' };
+  if (klass === 4) return { category: 'transient', type: 'soft' };
+  // Blocked for policy/reputation reasons: says nothing about the mailbox itself
+  if (subject === 7) return { category: 'policy', type: 'block' };
+  if (subject === 1) return { category: 'invalid_recipient', type: 'hard' };
+  if (subject === 2 && detail === 1) return { category: 'mailbox_disabled', type: 'hard' };
+  if (subject === 3 || subject === 6) return { category: 'message_rejected', type: 'soft' };
+  if (subject === 4) return { category: 'routing', type: 'hard' };
+  return { category: 'permanent', type: 'hard' };
+}
+
+function categorizeText(text) {
+  if (/mailbox ?(is )?full|over ?quota|quota exceeded|insufficient (storage|space)/.test(text)) return { category: 'mailbox_full', type: 'soft' };
+  if (/spam|blocked|blacklist|blocklist|policy|reputation/.test(text)) return { category: 'policy', type: 'block' };
+  if (/user unknown|no such user|does not exist|unknown recipient|invalid recipient|recipient rejected|noemail/.test(text)) return { category: 'invalid_recipient', type: 'hard' };
+  if (/content|message too large|size limit|attachment/.test(text)) return { category: 'message_rejected', type: 'soft' };
+  if (/\btemporar|transient|greylist|graylist|try again|deferred/.test(text)) return { category: 'transient', type: 'soft' };
+  return null;
+}
+
+/**
+ * Parse a bounce into a category and a type.
+ * 'hard' bounces suppress at once, 'soft' ones count towards the soft-bounce threshold and
+ * 'block' (policy rejections) are only recorded.
+ * @param {string} code - SMTP/enhanced status code or provider bounce type
+ * @param {string} description - diagnostic text
+ * @returns {Object} { category, type, status }
+ */
+function parseBounce(code, description = '') {
+  const text = `${code || ''} ${description || ''}`;
+  const enhanced = text.match(ENHANCED_CODE);
+  if (enhanced) {
+    const [status, klass, subject, detail] = [enhanced[0], ...enhanced.slice(1).map(Number)];
+    return { ...categorizeEnhanced(klass, subject, detail), status };
+  }
+  const byText = categorizeText(text.toLowerCase());
+  if (byText) return { ...byText, status: null };
+  const basic = text.match(BASIC_CODE);
+  if (basic && basic[1] === '4') return { category: 'transient', type: 'soft', status: basic[0] };
+  return { category: 'permanent', type: 'hard', status: basic ? basic[0] : null };
+}
+
+// Kept for callers that only need hard/soft
+function classifyBounce(code, description = '') {
+  return parseBounce(code, description).type === 'hard' ? 'hard' : 'soft';
+}
+
+/**
+ * Bounce thresholds for the organization of the subscriber's owner, falling back to
+ * BOUNCE_SOFT_THRESHOLD / BOUNCE_SOFT_WINDOW_DAYS.
+ */
+async function getBouncePolicy(userId) {
+  const policy = defaultBouncePolicy();
+  if (!userId) return policy;
+  try {
+    const user = await User.findById(userId).select('organization').lean();
+    if (!user || !user.organization) return policy;
+    const org = await Organization.findById(user.organization).select('settings.bouncePolicy').lean();
+    const configured = (org && org.settings && org.settings.bouncePolicy) || {};
+    if (configured.softBounceThreshold) policy.softBounceThreshold = configured.softBounceThreshold;
+    if (configured.softBounceWindowDays) policy.softBounceWindowDays = configured.softBounceWindowDays;
+  } catch (e) {
+    logger.warn('Failed to load bounce policy', { error: e.message, userId: String(userId) });
+  }
+  return policy;
+}
+
+/**
+ * Consecutive soft bounces inside the policy window, counting at most one per campaign
+ * (or per message for non-campaign mail). Any delivery, open or click ends the streak.
+ */
+function softBounceStreak(subscriber, policy, now = new Date()) {
+  const since = [
+    new Date(now.getTime() - policy.softBounceWindowDays * 24 * 60 * 60 * 1000),
+    subscriber.lastDeliveredAt,
+    subscriber.lastOpenAt,
+    subscriber.lastClickAt
+  ].filter(Boolean).reduce((latest, d) => (new Date(d) > latest ? new Date(d) : latest), new Date(0));
+
+  const sends = new Set();
+  for (const entry of subscriber.bounceHistory || []) {
+    if (entry.type !== 'soft' || new Date(entry.at) <= since) continue;
+    sends.add(entry.campaign ? `c:${entry.campaign}` : `m:${entry.messageId || entry.at}`);
+  }
+  return sends.size;
 }
 
+/**
+ * Record a bounce and apply the bounce policy: hard bounces suppress the address at once,
+ * soft bounces only once the subscriber reaches the soft-bounce threshold, policy blocks never.
+ * @returns {Promise<string>} 'hard' | 'soft'
+ */
 async function handleBounce({ messageId, email, code, description, raw, campaignId, subscriberId, bounceToken }) {
-  const classification = classifyBounce(code, description);
+  const parsed = parseBounce(code, description);
+  const classification = parsed.type === 'hard' ? 'hard' : 'soft';
+  const at = new Date();
   try {
     if (messageId) {
-      await EmailLog.updateMany({ messageId }, { $set: { bounce: { code, description, classification, at: new Date() }, status: 'bounced' } });
+      await EmailLog.updateMany({ messageId }, { $set: { bounce: { code, description, classification, category: parsed.category, at }, status: 'bounced' } });
     }
-    if (subscriberId) {
-      await Subscriber.updateOne({ _id: subscriberId }, { status: 'bounced' });
+
+    const subscriber = subscriberId ? await Subscriber.findById(subscriberId) : null;
+    let suppress = parsed.type === 'hard';
+    let reason = classification;
+
+    if (subscriber) {
+      subscriber.bounceHistory.push({
+        at,
+        type: parsed.type,
+        category: parsed.category,
+        code: code ? String(code) : parsed.status,
+        description,
+        campaign: campaignId || undefined,
+        messageId
+      });
+      if (parsed.type === 'soft') {
+        const policy = await getBouncePolicy(subscriber.user);
+        if (softBounceStreak(subscriber, policy, at) >= policy.softBounceThreshold) {
+          suppress = true;
+          reason = 'soft_bounce_threshold';
+        }
+      }
+      subscriber.bounceHistory[subscriber.bounceHistory.length - 1].suppressed = suppress;
+      if (suppress) subscriber.status = 'bounced';
+      if (subscriber.bounceHistory.length > BOUNCE_HISTORY_LIMIT) {
+        subscriber.bounceHistory = subscriber.bounceHistory.slice(-BOUNCE_HISTORY_LIMIT);
+      }
+      await subscriber.save();
+    }
+
+    if (suppress) {
+      await Suppression.recordEvent({
+        email: email || (subscriber && subscriber.email),
+        type: 'bounce',
+        reason,
+        source: 'webhook',
+        meta: { code, description, category: parsed.category, status: parsed.status }
+      });
     }
-    await Suppression.recordEvent(email, 'bounce', classification, 'webhook', null);
   } catch (e) {
     logger.error('Bounce handling failed', { error: e.message, email });
   }
@@ -35,10 +170,10 @@ async function handleComplaint({ messageId, email, feedbackType, raw, campaignId
     if (subscriberId) {
       await Subscriber.updateOne({ _id: subscriberId }, { status: 'complained' });
     }
-    await Suppression.recordEvent(email, 'complaint', feedbackType || 'complaint', 'webhook', null);
+    await Suppression.recordEvent({ email, type: 'complaint', reason: feedbackType || 'complaint', source: 'webhook' });
   } catch (e) {
     logger.error('Complaint handling failed', { error: e.message, email });
   }
 }
 
-module.exports = { classifyBounce, handleBounce, handleComplaint };
+module.exports = { parseBounce, classifyBounce, getBouncePolicy, softBounceStreak, handleBounce, handleComplaint };
@@ -0,0 +1,180 @@
+// emailxp/backend/services/campaignAudienceService.js
+// Campaign audiences: the union of a campaign's groups, segments and individual subscribers,
+// deduplicated by email and frozen into CampaignRecipient rows when the send starts. Every send path
+// (campaignScheduler, emailQueueService, simpleEmailQueue) takes its recipients from the snapshot, so
+// a retried send goes to the same people and stats/audits can list exactly who was targeted.
+
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Segment = require('../models/Segment');
+const Subscriber = require('../models/Subscriber');
+const suppressionService = require('./suppressionService');
+const logger = require('../utils/logger');
+const { workspaceOf } = require('../utils/workspace');
+
+const BATCH_SIZE = 1000;
+const RECIPIENT_FIELDS = '_id email name status location customFields unsubscribedCategories unsubscribeToken';
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const idsOf = (values) => (Array.isArray(values) ? values.map(idOf).filter(Boolean) : []);
+
+/**
+ * Subscriber queries for each audience source of a campaign. Segments are evaluated with
+ * Segment.resolveQuery (buildQuery with behavior conditions resolved to subscriber ids); segments
+ * of another workspace, and segments without any condition, are ignored.
+ * @returns {Promise<Array<{ type: string, ref: ObjectId|null, query: Object }>>}
+ */
+async function audienceSources(campaign) {
+  const sources = [];
+
+  const groupIds = idsOf(campaign.groups);
+  if (groupIds.length === 0 && campaign.group) groupIds.push(idOf(campaign.group));
+  groupIds.forEach(id => sources.push({ type: 'group', ref: id, query: { groups: id } }));
+
+  const segmentIds = idsOf(campaign.segments);
+  if (segmentIds.length > 0) {
+    const segments = await Segment.find({ _id: { $in: segmentIds }, ...workspaceOf(campaign) });
+    for (const segment of segments) {
+      const query = await segment.resolveQuery();
+      if (query && Object.keys(query).length > 0) {
+        sources.push({ type: 'segment', ref: segment._id, query });
+      }
+    }
+  }
+
+  const individualIds = idsOf(campaign.individualSubscribers);
+  if (individualIds.length > 0) {
+    sources.push({ type: 'individual', ref: null, query: { _id: { $in: individualIds } } });
+  }
+
+  return sources;
+}
+
+/**
+ * Resolve the live audience: subscribed, non-deleted subscribers of the campaign's workspace matching any
+ * source, one per email (the first subscriber found wins), with every source that matched the email.
+ * @returns {Promise<{ hasSources: boolean, recipients: Array<{ subscriber: Object, sources: Array }> }>}
+ */
+async function resolveAudience(campaign) {
+  const sources = await audienceSources(campaign);
+  const base = { ...workspaceOf(campaign), status: 'subscribed', isDeleted: false };
+  const byEmail = new Map();
+
+  for (const source of sources) {
+    const subscribers = await Subscriber.find({ $and: [base, source.query] }).select(RECIPIENT_FIELDS).lean();
+    for (const subscriber of subscribers) {
+      const email = subscriber.email.toLowerCase();
+      if (!byEmail.has(email)) byEmail.set(email, { subscriber, sources: [] });
+      byEmail.get(email).sources.push({ type: source.type, ref: source.ref });
+    }
+  }
+
+  return { hasSources: sources.length > 0, recipients: Array.from(byEmail.values()) };
+}
+
+// Why a resolved recipient won't get this campaign, or null
+const exclusionReasons = async (campaign, recipients) => {
+  const emails = recipients.map(({ subscriber }) => subscriber.email.toLowerCase());
+  const { suppressed } = await suppressionService.bulkFilter(emails, campaign.organization || null);
+  const categoryId = campaign.preferenceCategory ? String(idOf(campaign.preferenceCategory)) : null;
+  return recipients.map(({ subscriber }, index) => {
+    if (suppressed.has(emails[index])) return 'suppressed';
+    if (categoryId && (subscriber.unsubscribedCategories || []).some(id => String(id) === categoryId)) return 'preference';
+    return null;
+  });
+};
+
+// Recipients of an existing snapshot who are still subscribed
+async function loadSnapshot(campaign) {
+  const rows = await CampaignRecipient.find({ campaign: campaign._id, excludedReason: null }).select('subscriber').lean();
+  const subscribers = [];
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const ids = rows.slice(i, i + BATCH_SIZE).map(row => row.subscriber);
+    subscribers.push(...await Subscriber.find({ _id: { $in: ids }, status: 'subscribed', isDeleted: false }).select(RECIPIENT_FIELDS).lean());
+  }
+  return subscribers;
+}
+
+/**
+ * Freeze the campaign's audience and return who to send to. The first call resolves the audience,
+ * writes a CampaignRecipient row per address (suppressed and preference opt-outs keep their reason)
+ * and stores counts in Campaign.audienceSnapshot; later calls for the same campaign reuse the rows,
+ * skipping recipients who unsubscribed, bounced or were deleted in between.
+ * @param {Object} campaign - Campaign document (groups/segments/individualSubscribers may be populated)
+ * @returns {Promise<Object>} { hasSources, reused, subscribers, snapshot }
+ */
+async function snapshotAudience(campaign, { now = new Date() } = {}) {
+  if (await CampaignRecipient.exists({ campaign: campaign._id })) {
+    const subscribers = await loadSnapshot(campaign);
+    return { hasSources: true, reused: true, subscribers, snapshot: campaign.audienceSnapshot };
+  }
+
+  const { hasSources, recipients } = await resolveAudience(campaign);
+  if (!hasSources) return { hasSources, reused: false, subscribers: [], snapshot: null };
+
+  const reasons = await exclusionReasons(campaign, recipients);
+  const rows = recipients.map(({ subscriber, sources }, index) => ({
+    campaign: campaign._id,
+    user: idOf(campaign.user),
+    subscriber: subscriber._id,
+    email: subscriber.email.toLowerCase(),
+    sources,
+    excludedReason: reasons[index],
+    snapshotAt: now
+  }));
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await CampaignRecipient.insertMany(rows.slice(i, i + BATCH_SIZE), { ordered: false });
+  }
+
+  const subscribers = recipients.filter((_, index) => !reasons[index]).map(({ subscriber }) => subscriber);
+  const snapshot = {
+    takenAt: now,
+    matched: recipients.length,
+    targeted: subscribers.length,
+    suppressed: reasons.filter(reason => reason === 'suppressed').length,
+    preference: reasons.filter(reason => reason === 'preference').length
+  };
+  // Also set on the document, so a later campaign.save() by the caller doesn't write the defaults back
+  campaign.audienceSnapshot = snapshot;
+  await Campaign.updateOne({ _id: campaign._id }, { $set: { audienceSnapshot: snapshot } });
+  logger.info('Campaign audience snapshot taken', { campaignId: campaign._id, ...snapshot });
+
+  return { hasSources, reused: false, subscribers, snapshot };
+}
+
+/**
+ * Drop a campaign's snapshot, e.g. when a send is aborted and the campaign goes back to draft.
+ */
+async function discardSnapshot(campaignId) {
+  await CampaignRecipient.deleteMany({ campaign: campaignId });
+  await Campaign.updateOne({ _id: campaignId }, { $unset: { audienceSnapshot: 1 } });
+}
+
+/**
+ * Page through a campaign's snapshot.
+ * @param {Object} options - { page, limit, excluded: 'suppressed' | 'preference' | 'none' }
+ * @returns {Promise<Object>} { recipients, pagination }
+ */
+async function listSnapshot(campaignId, { page = 1, limit = 50, excluded } = {}) {
+  const query = { campaign: campaignId };
+  if (excluded === 'none') query.excludedReason = null;
+  else if (excluded) query.excludedReason = excluded;
+
+  const [recipients, total] = await Promise.all([
+    CampaignRecipient.find(query)
+      .select('subscriber email sources excludedReason snapshotAt')
+      .sort({ email: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    CampaignRecipient.countDocuments(query)
+  ]);
+  return { recipients, pagination: { page, limit, total, pages: Math.ceil(total / limit) } };
+}
+
+module.exports = {
+  resolveAudience,
+  snapshotAudience,
+  discardSnapshot,
+  listSnapshot
+};
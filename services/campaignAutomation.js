@@ -4,6 +4,7 @@ const CampaignSchedule = require('../models/CampaignSchedule');
 const Campaign = require('../models/Campaign');
 const Subscriber = require('../models/Subscriber');
 const Template = require('../models/Template');
+const { workspaceOf } = require('../utils/workspace');
 const emailService = require('../services/emailService');
 const EventEmitter = require('events');
 const campaignAutomationEmitter = new EventEmitter();
@@ -326,6 +327,7 @@ class CampaignAutomationEngine {
       text: '',
       campaignId: campaign._id,
       subscriberId: recipient._id,
+      unsubscribeToken: recipient.unsubscribeToken,
       organizationId: undefined,
       from: campaign.fromEmail,
       fromName: campaign.fromName
@@ -418,9 +420,9 @@ class CampaignAutomationEngine {
   try {
       const Automation = require('../models/Automation');
       const { executeAutomation } = require('./automationExecutor');
-      // Find all active automations for the user and filter in JS to support
+      // Find all active automations in the subscriber's workspace and filter in JS to support
       // multiple node shapes produced by different editor versions.
-      const allAutomations = await Automation.find({ user: subscriber.user, isActive: true });
+      const allAutomations = await Automation.find({ ...workspaceOf(subscriber), isActive: true });
       const automations = (allAutomations || []).filter(a => {
         const nodes = a.nodes || [];
         return nodes.some(n => {
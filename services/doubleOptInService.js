@@ -0,0 +1,34 @@
+// emailxp/backend/services/doubleOptInService.js
+// Confirmation tokens and emails for double opt-in. The link in the email is confirmed by
+// GET /api/subscribers/confirm/:token (confirmSubscriber).
+
+const crypto = require('crypto');
+
+/**
+ * Fresh confirmation token fields for a pending subscriber.
+ * @returns {Object} { confirmationToken, confirmationSentAt, confirmationExpiresAt }
+ */
+function confirmationFields(now = new Date()) {
+  const ttlHours = parseInt(process.env.DOUBLE_OPT_IN_TOKEN_TTL_HOURS || '48', 10);
+  return {
+    confirmationToken: crypto.randomBytes(24).toString('hex'),
+    confirmationSentAt: now,
+    confirmationExpiresAt: new Date(now.getTime() + ttlHours * 3600 * 1000)
+  };
+}
+
+/**
+ * Email the subscriber their confirmation link.
+ * @param {Object} subscriber - { email, confirmationToken }
+ */
+async function sendConfirmationEmail(subscriber) {
+  const emailService = require('./emailService');
+  const confirmUrl = `${process.env.FRONTEND_URL || ''}/confirm?token=${subscriber.confirmationToken}`;
+  return emailService.sendEmail({
+    to: subscriber.email,
+    subject: 'Confirm your subscription',
+    html: `<p>Please confirm your subscription by clicking <a href="${confirmUrl}">here</a>.</p>`
+  });
+}
+
+module.exports = { confirmationFields, sendConfirmationEmail };
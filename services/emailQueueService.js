@@ -2,6 +2,8 @@
 const Queue = require('bull');
 const emailService = require('./emailService');
 const suppressionService = require('./suppressionService');
+const campaignAudienceService = require('./campaignAudienceService');
+const usageService = require('./usageService');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 const Campaign = require('../models/Campaign');
@@ -322,75 +324,26 @@ class EmailQueueService {
       segmentsCount: campaign.segments ? campaign.segments.length : 0
     });
 
-    let { individualSubscribers, template, subject, fromName, fromEmail } = campaign;
-    let subscribers = individualSubscribers || [];
+    const { template, subject, fromName, fromEmail } = campaign;
 
-    console.log(`👥 Initial subscribers from individualSubscribers: ${subscribers.length}`);
+    // Groups, segments and individuals, deduped by email and frozen for this send (suppressions and
+    // preference opt-outs are recorded in the snapshot and left out here)
+    const { subscribers, reused } = await campaignAudienceService.snapshotAudience(campaign);
 
-    // Resolve recipients if not pre-populated
-    if (!subscribers || !Array.isArray(subscribers) || subscribers.length === 0) {
-      const Subscriber = require('../models/Subscriber');
-      const mongoose = require('mongoose');
-      const userId = campaign.user || campaign.userId || null;
-
-      const idToObjectId = (ids = []) => ids
-        .filter(Boolean)
-        .map(id => {
-          try { return new mongoose.Types.ObjectId(id); } catch { return null; }
-        })
-        .filter(Boolean);
-
-      const groupIds = idToObjectId(campaign.groups || []);
-      const segmentIds = idToObjectId(campaign.segments || []);
-      const individualIds = idToObjectId(campaign.individualSubscribers || []);
-
-      // Base filter
-      const baseFilter = { user: userId, status: 'subscribed', isDeleted: false };
-
-      // From groups
-      let groupSubs = [];
-      if (groupIds.length) {
-        groupSubs = await Subscriber.find({ ...baseFilter, groups: { $in: groupIds } }, '_id email name location.timezone unsubscribeToken');
-      }
-
-      // From segments - basic approach: if you have a segment routine, call it; otherwise fallback to tag/status
-      let segmentSubs = [];
-      if (segmentIds.length) {
-        // TODO: integrate real segment logic if available; fallback pulls all subscribed for now
-        segmentSubs = await Subscriber.find(baseFilter, '_id email name location.timezone unsubscribeToken');
-      }
-
-      // Individuals
-      let individualSubs = [];
-      if (individualIds.length) {
-        individualSubs = await Subscriber.find({ ...baseFilter, _id: { $in: individualIds } }, '_id email name location.timezone unsubscribeToken');
-      }
-
-      // Combine and dedupe by _id
-      const map = new Map();
-      [...groupSubs, ...segmentSubs, ...individualSubs].forEach(s => map.set(String(s._id), s));
-      subscribers = Array.from(map.values());
-    }
-
-    console.log(`👥 Final subscribers after fetching: ${subscribers.length}`);
+    console.log(`👥 Final subscribers after fetching: ${subscribers.length}${reused ? ' (existing audience snapshot)' : ''}`);
     if (subscribers.length > 0) {
       console.log(`📧 Sample subscriber emails: ${subscribers.slice(0, 3).map(s => s.email).join(', ')}`);
     }
 
-    // Preference category filtering
-    if (campaign.preferenceCategory) {
-      const catId = String(campaign.preferenceCategory);
-      subscribers = subscribers.filter(s => {
-        if (!s.unsubscribedCategories) return true;
-        return !s.unsubscribedCategories.map(id => String(id)).includes(catId);
-      });
-    }
-
-    const allEmails = subscribers.map(s => s.email.toLowerCase());
-    const { suppressed } = await suppressionService.bulkFilter(allEmails, campaign.organization || null);
-    if (suppressed.size) {
-      subscribers = subscribers.filter(s => !suppressed.has(s.email.toLowerCase()));
-  logger.info('Suppression applied', { campaignId, skipped: allEmails.length - subscribers.length });
+    // The audience counts against the plan's monthly emails once, when its snapshot is taken
+    if (!reused && subscribers.length > 0) {
+      const usage = await usageService.consumeForUser(campaign.user, 'emails', subscribers.length);
+      if (!usage.allowed) {
+        logger.warn('Campaign blocked by plan limit', { campaignId, current: usage.current, limit: usage.limit });
+        await campaignAudienceService.discardSnapshot(campaign._id);
+        await Campaign.findByIdAndUpdate(campaignId, { status: 'failed', error: usageService.limitMessage(usage) });
+        return;
+      }
     }
 
     const totalSubscribers = subscribers.length;
@@ -445,6 +398,7 @@ class EmailQueueService {
           html: personalizedContent,
           campaignId,
           subscriberId: subscriber._id,
+          unsubscribeToken: subscriber.unsubscribeToken,
           campaignType: campaign.type,
           category: campaign.category,
           organizationId: campaign.organization || campaign.user.organization
@@ -558,43 +512,11 @@ class EmailQueueService {
   }
 
   /**
-   * Get all subscribers for a campaign
+   * Get all subscribers for a campaign (live audience, not the send snapshot)
    */
   async getCampaignSubscribers(campaign) {
-    const Subscriber = require('../models/Subscriber');
-    let subscribers = campaign.individualSubscribers || [];
-    
-    // If no individual subscribers, get from groups and segments
-    if (subscribers.length === 0) {
-      const allSubscribers = new Set();
-      
-      // Get subscribers from groups
-      if (campaign.groups && campaign.groups.length > 0) {
-        const groupIds = campaign.groups.map(g => g._id || g);
-        const groupSubscribers = await Subscriber.find({
-          groups: { $in: groupIds },
-          status: 'subscribed'
-        });
-        groupSubscribers.forEach(sub => allSubscribers.add(sub._id.toString()));
-      }
-      
-      // Get subscribers from segments
-      if (campaign.segments && campaign.segments.length > 0) {
-        // For now, get all subscribed users for segments (you can implement segment logic later)
-        const segmentSubscribers = await Subscriber.find({
-          status: 'subscribed'
-        });
-        segmentSubscribers.forEach(sub => allSubscribers.add(sub._id.toString()));
-      }
-      
-      // Convert back to subscriber objects
-      if (allSubscribers.size > 0) {
-        subscribers = await Subscriber.find({
-          _id: { $in: Array.from(allSubscribers) },
-          status: 'subscribed'
-        });
-      }
-    }
+    const { recipients } = await campaignAudienceService.resolveAudience(campaign);
+    let subscribers = recipients.map(recipient => recipient.subscriber);
 
     // Suppression filtering
     const allEmails = subscribers.map(s => s.email.toLowerCase());
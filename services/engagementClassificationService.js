@@ -0,0 +1,83 @@
+// emailxp/backend/services/engagementClassificationService.js
+// Classifies tracked opens/clicks in the context of their message (delivery time, honeypot
+// hits) and records honeypot clicks. The rules themselves live in utils/engagementClassifier.
+
+const ClickEvent = require('../models/ClickEvent');
+const Campaign = require('../models/Campaign');
+const Subscriber = require('../models/Subscriber');
+const {
+  classifyOpen,
+  classifyClick,
+  honeypotWindowSeconds,
+  humanActivityFilter
+} = require('../utils/engagementClassifier');
+
+const HONEYPOT_URL = 'honeypot';
+
+const deliveredAtOf = (tracking) => tracking.deliveredAt || tracking.sentAt;
+
+function classifyTrackedOpen(tracking, { userAgent, ipAddress } = {}) {
+  return classifyOpen({ userAgent, ipAddress, deliveredAt: deliveredAtOf(tracking) });
+}
+
+async function classifyTrackedClick(tracking, { userAgent, ipAddress } = {}) {
+  const at = new Date();
+  let recentHoneypot = false;
+  if (tracking.campaign && tracking.subscriber) {
+    recentHoneypot = Boolean(await ClickEvent.exists({
+      campaign: tracking.campaign,
+      subscriber: tracking.subscriber,
+      honeypot: true,
+      timestamp: { $gte: new Date(at - honeypotWindowSeconds() * 1000) }
+    }));
+  }
+  return classifyClick({ userAgent, ipAddress, deliveredAt: deliveredAtOf(tracking), at, recentHoneypot });
+}
+
+/**
+ * Record a hit on the hidden honeypot link. Only a scanner follows it, and scanners follow every
+ * link, so clicks on the same message around the same time are re-flagged as scanner clicks and
+ * taken back out of the campaign and subscriber counters.
+ * @returns {Promise<number>} number of clicks re-flagged
+ */
+async function recordHoneypotClick(tracking, { userAgent, ipAddress } = {}) {
+  const at = new Date();
+  const since = new Date(at - honeypotWindowSeconds() * 1000);
+
+  const reclassified = tracking.reclassifyClicks(since, 'scanner_click');
+  await tracking.save();
+
+  if (!tracking.campaign || !tracking.subscriber) return reclassified;
+
+  await ClickEvent.create({
+    campaign: tracking.campaign,
+    subscriber: tracking.subscriber,
+    email: tracking.emailAddress,
+    url: HONEYPOT_URL,
+    honeypot: true,
+    classification: 'scanner_click',
+    ipAddress,
+    userAgent
+  });
+
+  const scope = { campaign: tracking.campaign, subscriber: tracking.subscriber, honeypot: { $ne: true } };
+  const { modifiedCount } = await ClickEvent.updateMany(
+    { ...scope, timestamp: { $gte: since }, ...humanActivityFilter() },
+    { $set: { classification: 'scanner_click' } }
+  );
+  if (modifiedCount > 0) {
+    await Subscriber.updateOne({ _id: tracking.subscriber }, { $inc: { clickCount: -modifiedCount } });
+    // The campaign counts each subscriber's first human click once
+    const stillClicked = await ClickEvent.exists({ ...scope, ...humanActivityFilter() });
+    if (!stillClicked) {
+      await Campaign.updateOne({ _id: tracking.campaign }, { $inc: { clicks: -1 } });
+    }
+  }
+  return Math.max(reclassified, modifiedCount);
+}
+
+module.exports = {
+  classifyTrackedOpen,
+  classifyTrackedClick,
+  recordHoneypotClick
+};
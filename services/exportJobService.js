@@ -0,0 +1,325 @@
+// emailxp/backend/services/exportJobService.js
+// Background subscriber exports (CSV or JSON) for a segment, group, tag or status filter, streamed
+// from a cursor to local storage so the whole audience can be exported without loading it at once.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ExportJob = require('../models/ExportJob');
+const Subscriber = require('../models/Subscriber');
+const Segment = require('../models/Segment');
+const Group = require('../models/Group');
+const Tag = require('../models/Tag');
+const ConsentRecord = require('../models/ConsentRecord');
+const { resolveSegmentQuery } = require('./segmentBehaviorService');
+const { csvLine } = require('../utils/csv');
+const { workspaceOf } = require('../utils/workspace');
+const logger = require('../utils/logger');
+
+const exportDir = () => process.env.EXPORT_STORAGE_DIR || path.join(os.tmpdir(), 'emailxp-exports');
+const retentionHours = () => Math.max(1, parseInt(process.env.EXPORT_RETENTION_HOURS, 10) || 72);
+const BATCH_SIZE = 1000;
+const STALE_JOB_MINUTES = 10;
+
+const EXPORT_FIELDS = [
+  'email', 'name', 'status', 'source', 'createdAt', 'updatedAt', 'confirmedAt', 'unsubscribedAt', 'lastActivityAt',
+  'openCount', 'clickCount', 'lastOpenAt', 'lastClickAt', 'lastDeliveredAt',
+  'location.country', 'location.region', 'location.city', 'location.timezone',
+  'tags', 'groups',
+  // Latest ConsentRecord for the subscriber
+  'consent.type', 'consent.method', 'consent.occurredAt', 'consent.ip',
+  // Every custom field key in the export, one column each
+  'customFields'
+];
+const DEFAULT_FIELDS = ['email', 'name', 'status', 'tags', 'groups', 'createdAt'];
+const CUSTOM_FIELD_PATH = /^customFields\.[A-Za-z][A-Za-z0-9_]{0,49}$/;
+const SUBSCRIBER_STATUSES = ['pending', 'subscribed', 'unsubscribed', 'bounced', 'complained'];
+
+const isValidField = (field) => EXPORT_FIELDS.includes(field) || CUSTOM_FIELD_PATH.test(field);
+
+/**
+ * Validate an export request.
+ * @param {Object} workspace - the requester's workspace filter (utils/workspace)
+ * @returns {Promise<Object>} { errors } or { settings: { format, filter, fields } }
+ */
+async function validateExportRequest(workspace, body = {}) {
+  const errors = [];
+  const format = body.format || 'csv';
+  if (!['csv', 'json'].includes(format)) errors.push('format must be csv or json');
+
+  const fields = Array.isArray(body.fields) && body.fields.length > 0 ? [...new Set(body.fields.map(String))] : DEFAULT_FIELDS;
+  const unknown = fields.filter(f => !isValidField(f));
+  if (unknown.length > 0) errors.push(`Unknown fields: ${unknown.join(', ')}`);
+
+  const input = body.filter || {};
+  const filter = {};
+  const owned = [['segment', Segment], ['group', Group], ['tag', Tag]];
+  for (const [key, Model] of owned) {
+    if (!input[key]) continue;
+    if (!mongoose.Types.ObjectId.isValid(input[key]) || !(await Model.exists({ _id: input[key], ...workspace }))) {
+      errors.push(`${key} not found`);
+    } else {
+      filter[key] = input[key];
+    }
+  }
+  if (input.status) {
+    const statuses = [].concat(input.status).map(String);
+    const invalid = statuses.filter(s => !SUBSCRIBER_STATUSES.includes(s));
+    if (invalid.length > 0) errors.push(`status must be one of ${SUBSCRIBER_STATUSES.join(', ')}`);
+    else filter.status = statuses;
+  }
+
+  if (errors.length > 0) return { errors };
+  return { settings: { format, filter, fields } };
+}
+
+// Subscriber query for a job's filter; the segment is resolved when the job runs
+async function buildExportQuery(job) {
+  const conditions = [{ ...workspaceOf(job), isDeleted: false }];
+  const { segment, group, tag, status } = job.filter || {};
+  if (group) conditions.push({ groups: group });
+  if (tag) conditions.push({ tags: tag });
+  if (status && status.length > 0) conditions.push({ status: { $in: status } });
+  if (segment) {
+    const definition = await Segment.findOne({ _id: segment, ...workspaceOf(job) }).lean();
+    if (!definition) throw new Error('The segment no longer exists');
+    conditions.push(await resolveSegmentQuery(definition, job.user, workspaceOf(job)));
+  }
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+// Expand 'customFields' into one column per key present in the exported subscribers
+async function resolveColumns(fields, query) {
+  if (!fields.includes('customFields')) return fields;
+  const keys = await Subscriber.aggregate([
+    { $match: query },
+    { $project: { keys: { $map: { input: { $objectToArray: { $ifNull: ['$customFields', {}] } }, in: '$$this.k' } } } },
+    { $unwind: '$keys' },
+    { $group: { _id: '$keys' } },
+    { $sort: { _id: 1 } }
+  ]).allowDiskUse(true);
+  const explicit = new Set(fields.filter(f => f.startsWith('customFields.')));
+  const discovered = keys.map(k => `customFields.${k._id}`).filter(f => !explicit.has(f));
+  return fields.flatMap(f => (f === 'customFields' ? discovered : [f]));
+}
+
+function projectionFor(columns) {
+  const projection = { _id: 1 };
+  columns.forEach(column => {
+    if (!column.startsWith('consent.')) projection[column] = 1;
+  });
+  return projection;
+}
+
+function fieldValue(subscriber, column, context) {
+  if (column === 'tags' || column === 'groups') {
+    const names = column === 'tags' ? context.tagNames : context.groupNames;
+    return (subscriber[column] || []).map(id => names.get(String(id))).filter(Boolean);
+  }
+  if (column.startsWith('consent.')) {
+    const consent = context.consent.get(String(subscriber._id));
+    return consent ? consent[column.slice('consent.'.length)] : undefined;
+  }
+  return column.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), subscriber);
+}
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join(';');
+  return value;
+};
+
+// Nested object for JSON output, e.g. 'location.city' -> { location: { city } }
+function jsonRecord(values, columns) {
+  const record = {};
+  columns.forEach((column, i) => {
+    if (values[i] === undefined) return;
+    const keys = column.split('.');
+    let target = record;
+    keys.slice(0, -1).forEach(key => { target = target[key] = target[key] || {}; });
+    target[keys[keys.length - 1]] = values[i];
+  });
+  return record;
+}
+
+async function loadConsent(subscribers) {
+  const consent = new Map();
+  const records = await ConsentRecord.find({ subscriber: { $in: subscribers.map(s => s._id) } })
+    .sort({ occurredAt: -1 })
+    .select('subscriber type method ip occurredAt')
+    .lean();
+  records.forEach(record => {
+    const key = String(record.subscriber);
+    if (!consent.has(key)) consent.set(key, record);
+  });
+  return consent;
+}
+
+// Render a batch of subscribers as output text
+async function renderBatch(subscribers, columns, format, context, first) {
+  if (columns.some(c => c.startsWith('consent.'))) context.consent = await loadConsent(subscribers);
+  return subscribers.map((subscriber, i) => {
+    const values = columns.map(column => fieldValue(subscriber, column, context));
+    if (format === 'csv') return csvLine(values.map(csvValue));
+    return `${first && i === 0 ? '' : ',\n'}${JSON.stringify(jsonRecord(values, columns))}`;
+  }).join('');
+}
+
+const write = (stream, chunk) => new Promise((resolve, reject) => {
+  stream.write(chunk, error => (error ? reject(error) : resolve()));
+});
+
+async function removeFile(filePath) {
+  if (!filePath) return;
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.warn('Failed to remove export file', { filePath, error: error.message });
+  }
+}
+
+/**
+ * Stream a job's subscribers to its file. Progress is saved after every batch; an interrupted
+ * job starts over from the beginning.
+ */
+async function runExportJob(job) {
+  const filePath = path.join(exportDir(), `${job._id}.${job.format}`);
+  let stream;
+  try {
+    await fs.promises.mkdir(exportDir(), { recursive: true });
+    const query = await buildExportQuery(job);
+    const columns = await resolveColumns(job.fields && job.fields.length ? job.fields : DEFAULT_FIELDS, query);
+
+    job.filePath = filePath;
+    job.startedAt = job.startedAt || new Date();
+    job.progress = { totalRows: await Subscriber.countDocuments(query), exportedRows: 0 };
+    job.heartbeatAt = new Date();
+    await job.save();
+
+    const [tags, groups] = await Promise.all([
+      columns.includes('tags') ? Tag.find(workspaceOf(job)).select('name').lean() : [],
+      columns.includes('groups') ? Group.find(workspaceOf(job)).select('name').lean() : []
+    ]);
+    const context = {
+      tagNames: new Map(tags.map(t => [String(t._id), t.name])),
+      groupNames: new Map(groups.map(g => [String(g._id), g.name])),
+      consent: new Map()
+    };
+
+    stream = fs.createWriteStream(filePath);
+    await write(stream, job.format === 'csv' ? csvLine(columns) : '[\n');
+
+    let exportedRows = 0;
+    let batch = [];
+    const flush = async () => {
+      await write(stream, await renderBatch(batch, columns, job.format, context, exportedRows === 0));
+      exportedRows += batch.length;
+      batch = [];
+      const saved = await ExportJob.updateOne(
+        { _id: job._id, status: 'processing' },
+        { $set: { 'progress.exportedRows': exportedRows, heartbeatAt: new Date() } }
+      );
+      // No match means the job was cancelled in the meantime
+      return saved.matchedCount > 0;
+    };
+
+    const cursor = Subscriber.find(query).select(projectionFor(columns)).sort({ _id: 1 }).lean().cursor({ batchSize: BATCH_SIZE });
+    let cancelled = false;
+    for await (const subscriber of cursor) {
+      batch.push(subscriber);
+      if (batch.length >= BATCH_SIZE && !(await flush())) {
+        cancelled = true;
+        break;
+      }
+    }
+    if (!cancelled && batch.length > 0) cancelled = !(await flush());
+
+    if (job.format === 'json') await write(stream, '\n]\n');
+    await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+
+    if (cancelled) {
+      await removeFile(filePath);
+      await ExportJob.updateOne({ _id: job._id }, { $set: { completedAt: new Date() }, $unset: { filePath: '' } });
+      return;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    const completedAt = new Date();
+    await ExportJob.updateOne({ _id: job._id, status: 'processing' }, {
+      $set: {
+        status: 'completed',
+        fileSize: size,
+        fileName: `subscribers-${completedAt.toISOString().slice(0, 10)}.${job.format}`,
+        downloadToken: crypto.randomBytes(24).toString('hex'),
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + retentionHours() * 60 * 60 * 1000)
+      }
+    });
+    logger.info('Export job completed', { jobId: String(job._id), rows: exportedRows });
+  } catch (error) {
+    logger.error('Export job failed', { jobId: String(job._id), error: error.message });
+    if (stream) stream.destroy();
+    await removeFile(filePath);
+    await ExportJob.updateOne({ _id: job._id }, { $set: { status: 'failed', error: error.message, completedAt: new Date() }, $unset: { filePath: '' } });
+  }
+}
+
+// Oldest queued job, or one whose worker stopped sending heartbeats
+function claimNextExportJob() {
+  const staleBefore = new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000);
+  return ExportJob.findOneAndUpdate(
+    { $or: [{ status: 'queued' }, { status: 'processing', heartbeatAt: { $lt: staleBefore } }] },
+    { $set: { status: 'processing', heartbeatAt: new Date() } },
+    { sort: { queuedAt: 1 }, new: true }
+  );
+}
+
+let draining = false;
+
+/**
+ * Run queued export jobs one at a time until none are left. Calls made while a drain is
+ * already running return straight away.
+ * @returns {Promise<number>} jobs processed
+ */
+async function processQueuedExportJobs() {
+  if (draining) return 0;
+  draining = true;
+  let processed = 0;
+  try {
+    let job;
+    while ((job = await claimNextExportJob())) {
+      await runExportJob(job);
+      processed++;
+    }
+  } finally {
+    draining = false;
+  }
+  return processed;
+}
+
+/**
+ * Delete files of exports past their retention period.
+ * @returns {Promise<number>} jobs expired
+ */
+async function expireExportFiles(now = new Date()) {
+  const expired = await ExportJob.find({ status: 'completed', expiresAt: { $lte: now } }).select('filePath').limit(100);
+  for (const job of expired) {
+    await removeFile(job.filePath);
+    await ExportJob.updateOne({ _id: job._id }, { $set: { status: 'expired' }, $unset: { filePath: '', downloadToken: '' } });
+  }
+  return expired.length;
+}
+
+module.exports = {
+  EXPORT_FIELDS,
+  DEFAULT_FIELDS,
+  validateExportRequest,
+  buildExportQuery,
+  runExportJob,
+  processQueuedExportJobs,
+  expireExportFiles,
+  removeFile
+};
@@ -0,0 +1,377 @@
+// emailxp/backend/services/formService.js
+// Signup forms: validation of form definitions, and public submissions that create or update a
+// subscriber in the form's workspace. Submissions write a FormSubmission and, when they give or
+// request consent, a ConsentRecord; double opt-in forms send the usual confirmation email.
+
+const mongoose = require('mongoose');
+const Form = require('../models/Form');
+const FormSubmission = require('../models/FormSubmission');
+const Subscriber = require('../models/Subscriber');
+const Group = require('../models/Group');
+const Tag = require('../models/Tag');
+const ConsentRecord = require('../models/ConsentRecord');
+const usageService = require('./usageService');
+const { confirmationFields, sendConfirmationEmail } = require('./doubleOptInService');
+const { workspaceOf, workspaceFields } = require('../utils/workspace');
+const behavioralTriggerService = require('./behavioralTriggerService');
+const logger = require('../utils/logger');
+
+const FORM_FIELD_TARGETS = [
+  'email', 'name', 'firstName', 'lastName',
+  'location.country', 'location.region', 'location.city', 'location.timezone', 'custom'
+];
+const FORM_FIELD_TYPES = ['email', 'text', 'textarea', 'number', 'date', 'select', 'checkbox', 'hidden'];
+const INPUT_KEY = /^[A-Za-z][A-Za-z0-9_-]{0,49}$/;
+const CUSTOM_FIELD_KEY = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_VALUE_LENGTH = 1000;
+// The subscriber asked not to be mailed or the address doesn't work; a signup doesn't change that
+const UNDELIVERABLE_STATUSES = ['bounced', 'complained'];
+
+// ---------------------------------------------------------------------------
+// Form definitions
+// ---------------------------------------------------------------------------
+
+function validateFields(fields, honeypotField, errors) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    errors.push('fields must be a non-empty array');
+    return [];
+  }
+  const keys = new Set();
+  const normalized = fields.map((field, i) => {
+    const entry = field || {};
+    const key = String(entry.key || '').trim();
+    const type = entry.type || 'text';
+    const target = entry.target;
+    if (!INPUT_KEY.test(key)) errors.push(`fields[${i}].key must start with a letter and use letters, digits, - or _`);
+    else if (keys.has(key)) errors.push(`fields[${i}].key "${key}" is used twice`);
+    keys.add(key);
+    if (!FORM_FIELD_TYPES.includes(type)) errors.push(`fields[${i}].type must be one of ${FORM_FIELD_TYPES.join(', ')}`);
+    if (!FORM_FIELD_TARGETS.includes(target)) errors.push(`fields[${i}].target must be one of ${FORM_FIELD_TARGETS.join(', ')}`);
+    if (target === 'custom' && !CUSTOM_FIELD_KEY.test(entry.customField || '')) {
+      errors.push(`fields[${i}].customField must start with a letter and use letters, digits or _`);
+    }
+    const options = Array.isArray(entry.options) ? entry.options.map(String) : [];
+    if (type === 'select' && options.length === 0) errors.push(`fields[${i}].options are required for a select`);
+    return {
+      key,
+      label: entry.label !== undefined ? String(entry.label) : key,
+      type,
+      required: target === 'email' || !!entry.required,
+      placeholder: entry.placeholder !== undefined ? String(entry.placeholder) : undefined,
+      options,
+      target,
+      customField: target === 'custom' ? entry.customField : undefined
+    };
+  });
+  const emailFields = normalized.filter(f => f.target === 'email').length;
+  if (emailFields !== 1) errors.push('Exactly one field must have the email target');
+  if (keys.has(honeypotField)) errors.push(`No field may use the honeypot key "${honeypotField}"`);
+  return normalized;
+}
+
+/**
+ * Validate a form body for create (every required setting) or update (only the settings sent).
+ * @param {Object} workspace - the caller's workspace filter; groups and tags must belong to it
+ * @param {Object} options - { current }: the form being updated
+ * @returns {Promise<Object>} { errors } or { settings }
+ */
+async function validateFormBody(body = {}, workspace, { current } = {}) {
+  const partial = !!current;
+  const errors = [];
+  const settings = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (!partial || has('name')) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) errors.push('Form name is required');
+    settings.name = name;
+  }
+  if (has('description')) settings.description = String(body.description);
+  if (has('status')) {
+    if (!['active', 'inactive'].includes(body.status)) errors.push('status must be active or inactive');
+    settings.status = body.status;
+  }
+  if (has('optIn')) {
+    if (!['single', 'double'].includes(body.optIn)) errors.push('optIn must be single or double');
+    settings.optIn = body.optIn;
+  }
+  if (has('successMessage')) settings.successMessage = String(body.successMessage);
+  if (has('successRedirectUrl')) {
+    const url = String(body.successRedirectUrl || '').trim();
+    if (url && !/^https?:\/\/[^\s]+$/i.test(url)) errors.push('successRedirectUrl must be an http(s) URL');
+    settings.successRedirectUrl = url;
+  }
+  if (has('honeypotField')) {
+    if (!INPUT_KEY.test(String(body.honeypotField))) errors.push('honeypotField must start with a letter and use letters, digits, - or _');
+    settings.honeypotField = String(body.honeypotField);
+  }
+  const honeypotField = settings.honeypotField || (current && current.honeypotField) || 'hp_website';
+  if (!partial || has('fields')) {
+    settings.fields = validateFields(body.fields, honeypotField, errors);
+  } else if (has('honeypotField') && current.fields.some(f => f.key === honeypotField)) {
+    errors.push(`No field may use the honeypot key "${honeypotField}"`);
+  }
+
+  for (const [key, Model] of [['groups', Group], ['tags', Tag]]) {
+    if (!has(key)) continue;
+    const ids = Array.isArray(body[key]) ? [...new Set(body[key].map(String))] : null;
+    if (!ids || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      errors.push(`${key} must be an array of ids`);
+      continue;
+    }
+    const found = ids.length ? await Model.countDocuments({ _id: { $in: ids }, ...workspace }) : 0;
+    if (found !== ids.length) errors.push(`${key} contains ids that do not exist`);
+    settings[key] = ids;
+  }
+
+  if (errors.length > 0) return { errors };
+  return { settings };
+}
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+/**
+ * What a visitor's browser needs to render the form; nothing about the owner or its lists.
+ */
+function publicDefinition(form) {
+  return {
+    id: form._id,
+    name: form.name,
+    description: form.description,
+    fields: form.fields.map(({ key, label, type, required, placeholder, options }) => ({ key, label, type, required, placeholder, options })),
+    honeypotField: form.honeypotField,
+    successMessage: form.successMessage
+  };
+}
+
+/**
+ * Plain HTML form that posts to the public submit endpoint; it works without any script.
+ * @param {string} actionUrl - absolute URL of POST /api/forms/public/:id/submit
+ */
+function renderEmbedHtml(form, actionUrl) {
+  const inputs = form.fields.map((field) => {
+    const name = escapeHtml(field.key);
+    const label = escapeHtml(field.label || field.key);
+    const required = field.required ? ' required' : '';
+    const placeholder = field.placeholder ? ` placeholder="${escapeHtml(field.placeholder)}"` : '';
+    if (field.type === 'hidden') return `  <input type="hidden" name="${name}" value="">`;
+    if (field.type === 'checkbox') return `  <label><input type="checkbox" name="${name}" value="true"${required}> ${label}</label>`;
+    if (field.type === 'textarea') return `  <label>${label}<textarea name="${name}"${placeholder}${required}></textarea></label>`;
+    if (field.type === 'select') {
+      const options = (field.options || []).map(o => `<option value="${escapeHtml(o)}">${escapeHtml(o)}</option>`).join('');
+      return `  <label>${label}<select name="${name}"${required}><option value=""></option>${options}</select></label>`;
+    }
+    return `  <label>${label}<input type="${field.type}" name="${name}"${placeholder}${required}></label>`;
+  });
+  // Off-screen rather than display:none, which some bots check for
+  const honeypot = `  <div style="position:absolute;left:-5000px" aria-hidden="true"><input type="text" name="${escapeHtml(form.honeypotField)}" tabindex="-1" autocomplete="off"></div>`;
+  return [
+    `<form action="${escapeHtml(actionUrl)}" method="POST" class="emailxp-form">`,
+    ...inputs,
+    honeypot,
+    '  <button type="submit">Subscribe</button>',
+    '</form>'
+  ].join('\n');
+}
+
+// Shown to browsers that post the embed directly when the form has no redirect URL
+function renderSuccessPage(form) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(form.name)}</title></head>`
+    + `<body><p>${escapeHtml(form.successMessage)}</p></body></html>`;
+}
+
+// ---------------------------------------------------------------------------
+// Submissions
+// ---------------------------------------------------------------------------
+
+// Read the submitted values through the form's fields; errors are keyed by input name
+function readSubmission(form, payload) {
+  const values = { email: '', fields: {}, custom: {} };
+  const errors = {};
+  let firstName = '';
+  let lastName = '';
+  for (const field of form.fields) {
+    const raw = payload[field.key];
+    let value = Array.isArray(raw) ? raw[0] : raw;
+    value = value === undefined || value === null ? '' : String(value).trim().slice(0, MAX_VALUE_LENGTH);
+    if (field.type === 'checkbox') value = value && value !== 'false' && value !== '0' ? 'true' : '';
+
+    if (!value) {
+      if (field.required) errors[field.key] = `${field.label || field.key} is required`;
+      continue;
+    }
+    if (field.type === 'email' || field.target === 'email') {
+      value = value.toLowerCase();
+      if (!EMAIL_PATTERN.test(value)) { errors[field.key] = 'Enter a valid email address'; continue; }
+    } else if (field.type === 'number' && !Number.isFinite(Number(value))) {
+      errors[field.key] = `${field.label || field.key} must be a number`; continue;
+    } else if (field.type === 'date') {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) { errors[field.key] = `${field.label || field.key} must be a date`; continue; }
+      value = date.toISOString().slice(0, 10);
+    } else if (field.type === 'select' && !(field.options || []).includes(value)) {
+      errors[field.key] = `${field.label || field.key} must be one of the listed options`; continue;
+    }
+
+    switch (field.target) {
+      case 'email': values.email = value; break;
+      case 'firstName': firstName = value; break;
+      case 'lastName': lastName = value; break;
+      case 'custom': values.custom[field.customField] = value; break;
+      default: values.fields[field.target] = value;
+    }
+  }
+  if (!values.fields.name && (firstName || lastName)) values.fields.name = [firstName, lastName].filter(Boolean).join(' ');
+  return Object.keys(errors).length ? { errors } : { values };
+}
+
+function applyValues(subscriber, { fields, custom }) {
+  Object.entries(fields).forEach(([path, value]) => subscriber.set(path, value));
+  Object.entries(custom).forEach(([key, value]) => subscriber.customFields.set(key, value));
+}
+
+function addToLists(subscriber, form) {
+  const merge = (current, extra) => [...new Set([...(current || []), ...(extra || [])].map(String))];
+  subscriber.groups = merge(subscriber.groups, form.groups);
+  subscriber.tags = merge(subscriber.tags, form.tags);
+}
+
+// Status change for a subscriber already in the workspace; returns the submission result
+function optInExisting(subscriber, form, now) {
+  if (subscriber.status === 'subscribed') return 'updated';
+  // Anyone can type an address into a public form, so people who unsubscribed always confirm from
+  // their inbox to come back, whatever the form's opt-in (confirmSubscriber lifts the suppression)
+  if (form.optIn === 'double' || subscriber.status === 'unsubscribed') {
+    subscriber.status = 'pending';
+    Object.assign(subscriber, confirmationFields(now));
+    return 'pending';
+  }
+  subscriber.status = 'subscribed';
+  subscriber.confirmedAt = now;
+  subscriber.confirmationToken = undefined;
+  subscriber.confirmationExpiresAt = undefined;
+  return 'subscribed';
+}
+
+/**
+ * Process a public submission of a form.
+ * @param {Object} form - an active Form document
+ * @param {Object} payload - the submitted inputs, keyed by field key
+ * @param {Object} meta - { ip, userAgent, referrer, now }
+ * @returns {Promise<Object>} { spam: true } | { errors } | { limited: true } | { result, subscriber }
+ */
+async function submitForm(form, payload = {}, { ip, userAgent, referrer, now = new Date() } = {}) {
+  if (payload[form.honeypotField]) {
+    await Form.updateOne({ _id: form._id }, { $inc: { 'stats.spamBlocked': 1 } });
+    return { spam: true };
+  }
+  const { values, errors } = readSubmission(form, payload);
+  if (errors) return { errors };
+
+  const owner = { _id: form.user, organization: form.organization };
+  // Prefer a live subscriber; a deleted one with the same address is brought back
+  let subscriber = await Subscriber.findOne({ ...workspaceOf(form), email: values.email }).sort({ isDeleted: 1 });
+  const isNew = !subscriber || subscriber.isDeleted;
+  if (isNew) {
+    const usage = await usageService.consumeForUser(form.user, 'subscribers');
+    if (!usage.allowed) {
+      logger.warn('[FormService] signup blocked by plan limit', { formId: form._id, current: usage.current, limit: usage.limit });
+      return { limited: true };
+    }
+  }
+
+  let result;
+  const previousGroups = subscriber && !subscriber.isDeleted ? (subscriber.groups || []).map(String) : [];
+  if (isNew) {
+    if (!subscriber) {
+      subscriber = new Subscriber({ ...workspaceFields(owner), email: values.email, source: 'form' });
+    } else {
+      subscriber.isDeleted = false;
+      subscriber.deletedAt = undefined;
+      subscriber.groups = [];
+      subscriber.tags = [];
+    }
+    result = form.optIn === 'double' ? 'pending' : 'subscribed';
+    subscriber.status = result;
+    if (result === 'pending') Object.assign(subscriber, confirmationFields(now));
+    else subscriber.confirmedAt = now;
+    subscriber.unsubscribedAt = undefined;
+  } else if (UNDELIVERABLE_STATUSES.includes(subscriber.status)) {
+    result = 'unchanged';
+  } else {
+    result = optInExisting(subscriber, form, now);
+  }
+
+  if (result !== 'unchanged') {
+    applyValues(subscriber, values);
+    addToLists(subscriber, form);
+    subscriber.lastActivityAt = now;
+    try {
+      await subscriber.save();
+    } catch (error) {
+      if (isNew) await usageService.releaseForUser(form.user, 'subscribers');
+      throw error;
+    }
+    const added = (subscriber.groups || []).map(String).filter(id => !previousGroups.includes(id));
+    if (added.length) {
+      await Group.updateMany({ _id: { $in: added } }, { $addToSet: { subscribers: subscriber._id } });
+      for (const group of await Group.find({ _id: { $in: added } })) await group.updateSubscriberCount();
+    }
+  }
+
+  await FormSubmission.create({
+    form: form._id,
+    subscriber: subscriber._id,
+    result,
+    submittedAt: now,
+    data: { email: values.email, ...values.fields, customFields: values.custom },
+    ip,
+    userAgent,
+    referrer
+  });
+  if (['subscribed', 'pending'].includes(result)) {
+    await ConsentRecord.create({
+      subscriber: subscriber._id,
+      email: subscriber.email,
+      user: subscriber.user,
+      organization: subscriber.organization,
+      type: 'signup',
+      method: result === 'pending' ? 'double-opt-in' : 'single-opt-in',
+      ip,
+      userAgent,
+      // A double opt-in is only complete once the link is followed (confirmSubscriber records that)
+      metadata: { source: 'form', form: form._id, confirmed: result !== 'pending' },
+      occurredAt: now
+    });
+  }
+  await Form.updateOne({ _id: form._id }, { $inc: { 'stats.submissions': 1 }, $set: { 'stats.lastSubmissionAt': now } });
+
+  if (isNew && result === 'subscribed') {
+    // Same behavioral trigger hook as subscribers created in the app; double opt-in waits for confirmation
+    setImmediate(() => {
+      behavioralTriggerService.processBehavioralEvent({ user: subscriber.user, subscriber: subscriber._id, eventType: 'subscriber_added' })
+        .catch(err => logger.warn('[FormService] subscriber_added trigger failed', { error: err?.message || err }));
+    });
+  }
+  if (result === 'pending') {
+    try {
+      await sendConfirmationEmail(subscriber);
+    } catch (error) {
+      logger.error('[FormService] failed to send confirmation email', { formId: form._id, error: error.message });
+    }
+  }
+  return { result, subscriber };
+}
+
+module.exports = {
+  FORM_FIELD_TARGETS,
+  FORM_FIELD_TYPES,
+  validateFormBody,
+  publicDefinition,
+  renderEmbedHtml,
+  renderSuccessPage,
+  readSubmission,
+  submitForm
+};
@@ -0,0 +1,684 @@
+// emailxp/backend/services/importJobService.js
+// Subscriber imports from uploaded CSV/XLSX files. The upload is previewed and mapped in the
+// request; the rows themselves are streamed and written in batches in the background so large
+// lists never hold an HTTP request open.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parse } = require('csv-parse');
+const ImportJob = require('../models/ImportJob');
+const Subscriber = require('../models/Subscriber');
+const Group = require('../models/Group');
+const Tag = require('../models/Tag');
+const usageService = require('./usageService');
+const logger = require('../utils/logger');
+const { csvLine } = require('../utils/csv');
+const { workspaceOf, workspaceFields } = require('../utils/workspace');
+
+const importDir = () => process.env.IMPORT_UPLOAD_DIR || path.join(os.tmpdir(), 'emailxp-imports');
+const batchSize = () => Math.max(100, parseInt(process.env.IMPORT_BATCH_SIZE, 10) || 1000);
+const STALE_JOB_MINUTES = 10;
+const PREVIEW_SAMPLES = 5;
+
+const CORE_TARGETS = [
+  'email', 'name', 'firstName', 'lastName', 'status', 'tags', 'groups',
+  'location.country', 'location.region', 'location.city', 'location.timezone'
+];
+const IMPORT_TARGETS = [...CORE_TARGETS, 'custom', 'skip'];
+const MERGE_STRATEGIES = ['skip', 'update', 'overwrite'];
+const IMPORTABLE_STATUSES = ['subscribed', 'pending', 'unsubscribed'];
+// An import never changes these: the subscriber opted out or the address doesn't work
+const PROTECTED_STATUSES = ['unsubscribed', 'bounced', 'complained'];
+const CUSTOM_FIELD_KEY = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Header spellings recognized when suggesting a mapping (lowercase, alphanumerics only)
+const HEADER_ALIASES = {
+  email: ['email', 'emailaddress', 'mail', 'emailid', 'subscriberemail'],
+  name: ['name', 'fullname', 'contactname', 'subscribername'],
+  firstName: ['firstname', 'first', 'fname', 'givenname', 'forename'],
+  lastName: ['lastname', 'last', 'lname', 'surname', 'familyname'],
+  status: ['status', 'subscriptionstatus'],
+  tags: ['tags', 'tag', 'labels'],
+  groups: ['groups', 'group', 'lists', 'list'],
+  'location.country': ['country', 'countrycode'],
+  'location.region': ['region', 'state', 'province'],
+  'location.city': ['city', 'town'],
+  'location.timezone': ['timezone', 'tz']
+};
+
+const STATUS_VALUES = {
+  subscribed: 'subscribed', active: 'subscribed', yes: 'subscribed', true: 'subscribed', 1: 'subscribed', optin: 'subscribed',
+  pending: 'pending', unconfirmed: 'pending',
+  unsubscribed: 'unsubscribed', no: 'unsubscribed', false: 'unsubscribed', 0: 'unsubscribed', optout: 'unsubscribed'
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const isBlankRow = (values) => values.every(v => !v);
+const splitList = (value) => String(value || '').split(/[,;|]/).map(s => s.trim()).filter(Boolean);
+
+function fileTypeOf(fileName) {
+  const ext = path.extname(String(fileName || '')).toLowerCase();
+  if (ext === '.xlsx') return 'xlsx';
+  if (['.csv', '.txt', '.tsv'].includes(ext)) return 'csv';
+  return null;
+}
+
+// Custom field key derived from a header, e.g. "Company Name" -> "Company_Name"
+function toCustomFieldKey(header) {
+  let key = String(header || '').trim().replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!key) return null;
+  if (!/^[A-Za-z]/.test(key)) key = `field_${key}`;
+  return key.slice(0, 50);
+}
+
+// ---------------------------------------------------------------------------
+// Reading files
+// ---------------------------------------------------------------------------
+
+// Plain text of an ExcelJS cell value (rich text, hyperlinks, formulas, dates)
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(r => r.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+}
+
+// Pick the delimiter that occurs most often in the first line: comma, semicolon or tab
+function detectDelimiter(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const firstLine = buffer.toString('utf8', 0, bytes).split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+async function* readCsvRows(filePath) {
+  const input = fs.createReadStream(filePath);
+  const parser = input.pipe(parse({
+    bom: true,
+    delimiter: detectDelimiter(filePath),
+    info: true,
+    relax_column_count: true,
+    relax_quotes: true,
+    skip_empty_lines: true,
+    trim: true
+  }));
+  try {
+    for await (const { info, record } of parser) {
+      yield { line: info.lines, values: record.map(v => String(v || '').trim()) };
+    }
+  } finally {
+    input.destroy();
+  }
+}
+
+// First worksheet only. ExcelJS's streaming reader keeps memory flat on large workbooks.
+async function* readXlsxRows(filePath) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    styles: 'ignore',
+    worksheets: 'emit'
+  });
+  for await (const worksheet of workbook) {
+    for await (const row of worksheet) {
+      // row.values is 1-based and sparse
+      const values = Array.isArray(row.values) ? Array.from(row.values.slice(1), cellText) : [];
+      yield { line: row.number, values };
+    }
+    break;
+  }
+}
+
+const readRows = (filePath, fileType) => (fileType === 'xlsx' ? readXlsxRows(filePath) : readCsvRows(filePath));
+
+/**
+ * Read the header row and the first few data rows of an upload.
+ * @returns {Promise<Array>} columns: { index, header, samples }
+ */
+async function previewFile(filePath, fileType) {
+  let headers = null;
+  const samples = [];
+  for await (const { values } of readRows(filePath, fileType)) {
+    if (isBlankRow(values)) continue;
+    if (!headers) {
+      headers = values;
+      continue;
+    }
+    samples.push(values);
+    if (samples.length >= PREVIEW_SAMPLES) break;
+  }
+  if (!headers) return [];
+  const width = Math.max(headers.length, ...samples.map(r => r.length));
+  return Array.from({ length: width }, (_, index) => ({
+    index,
+    header: headers[index] || `Column ${index + 1}`,
+    samples: samples.map(r => r[index] || '')
+  }));
+}
+
+async function countDataRows(filePath, fileType) {
+  let rows = 0;
+  for await (const { values } of readRows(filePath, fileType)) {
+    if (!isBlankRow(values)) rows++;
+  }
+  return Math.max(0, rows - 1);
+}
+
+// ---------------------------------------------------------------------------
+// Mapping
+// ---------------------------------------------------------------------------
+
+/**
+ * Suggest a target for every column: known header spellings map to core fields (each at most
+ * once), an unrecognized column of email addresses to email, and everything else to a custom field.
+ */
+function suggestMapping(columns) {
+  const used = new Set();
+  return columns.map(col => {
+    const normalized = normalizeHeader(col.header);
+    let target = Object.keys(HEADER_ALIASES).find(t => !used.has(t) && HEADER_ALIASES[t].includes(normalized));
+    if (!target && !used.has('email') && col.samples.length && col.samples.every(v => EMAIL_PATTERN.test(v))) {
+      target = 'email';
+    }
+    if (target) {
+      used.add(target);
+      return { column: col.index, header: col.header, target };
+    }
+    // Columns with nothing in them (e.g. from a trailing delimiter) are skipped
+    const customField = col.samples.some(Boolean) ? toCustomFieldKey(col.header) : null;
+    return customField
+      ? { column: col.index, header: col.header, target: 'custom', customField }
+      : { column: col.index, header: col.header, target: 'skip' };
+  });
+}
+
+/**
+ * Validate a start request against the job's columns.
+ * @returns {Promise<Object>} { errors } or { settings: { mapping, options } }
+ */
+async function validateImportSettings(job, body = {}) {
+  const errors = [];
+  const columnCount = job.columns.length;
+  const requested = Array.isArray(body.mapping)
+    ? body.mapping
+    : job.columns.map(col => ({ column: col.index, target: col.suggestedTarget, customField: col.suggestedCustomField }));
+
+  const mapping = [];
+  const seenColumns = new Set();
+  const seenTargets = new Set();
+  const seenCustom = new Set();
+  requested.forEach((entry, i) => {
+    const column = Number(entry && entry.column);
+    const target = entry && entry.target;
+    if (!Number.isInteger(column) || column < 0 || column >= columnCount) {
+      errors.push(`mapping[${i}]: column must be between 0 and ${columnCount - 1}`);
+      return;
+    }
+    if (seenColumns.has(column)) {
+      errors.push(`mapping[${i}]: column ${column} is mapped more than once`);
+      return;
+    }
+    seenColumns.add(column);
+    if (!IMPORT_TARGETS.includes(target)) {
+      errors.push(`mapping[${i}]: target must be one of ${IMPORT_TARGETS.join(', ')}`);
+      return;
+    }
+    if (target === 'skip') return;
+    if (target === 'custom') {
+      const key = entry.customField;
+      if (!CUSTOM_FIELD_KEY.test(String(key || ''))) {
+        errors.push(`mapping[${i}]: customField must start with a letter and contain only letters, digits and underscores`);
+        return;
+      }
+      if (seenCustom.has(key)) {
+        errors.push(`mapping[${i}]: custom field "${key}" is mapped more than once`);
+        return;
+      }
+      seenCustom.add(key);
+    } else if (seenTargets.has(target)) {
+      errors.push(`mapping[${i}]: ${target} is mapped more than once`);
+      return;
+    }
+    seenTargets.add(target);
+    mapping.push({ column, header: job.columns[column].header, target, customField: target === 'custom' ? entry.customField : undefined });
+  });
+  if (!seenTargets.has('email')) errors.push('One column must be mapped to email');
+
+  const mergeStrategy = body.mergeStrategy || 'skip';
+  if (!MERGE_STRATEGIES.includes(mergeStrategy)) errors.push(`mergeStrategy must be one of ${MERGE_STRATEGIES.join(', ')}`);
+  const defaultStatus = body.defaultStatus || 'subscribed';
+  if (!IMPORTABLE_STATUSES.includes(defaultStatus)) errors.push(`defaultStatus must be one of ${IMPORTABLE_STATUSES.join(', ')}`);
+
+  const groupIds = Array.isArray(body.groupIds) ? body.groupIds.map(String) : [];
+  if (groupIds.length > 0) {
+    const owned = await Group.find({ _id: { $in: groupIds.filter(id => /^[a-f0-9]{24}$/i.test(id)) }, ...workspaceOf(job) }).select('_id').lean();
+    if (owned.length !== new Set(groupIds).size) errors.push('groupIds contains unknown groups');
+  }
+  const tagNames = Array.isArray(body.tagNames) ? body.tagNames.map(t => String(t).trim()).filter(Boolean) : [];
+
+  if (errors.length > 0) return { errors };
+  return { settings: { mapping, options: { mergeStrategy, defaultStatus, groupIds, tagNames } } };
+}
+
+// ---------------------------------------------------------------------------
+// Jobs
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a job from a file multer wrote to disk and detect its columns.
+ * @param {Object} file - multer file ({ path, originalname, size })
+ * @param {ObjectId} [organization] - the uploader's organization, whose workspace receives the rows
+ */
+async function createImportJob(userId, file, organization = null) {
+  const fileType = fileTypeOf(file.originalname);
+  try {
+    if (!fileType) throw new Error('Only .csv, .tsv, .txt and .xlsx files can be imported');
+    const columns = await previewFile(file.path, fileType);
+    if (columns.length === 0) throw new Error('The file has no header row');
+    const suggestions = suggestMapping(columns);
+    return await ImportJob.create({
+      user: userId,
+      organization,
+      fileName: file.originalname,
+      fileType,
+      fileSize: file.size,
+      filePath: file.path,
+      columns: columns.map((col, i) => ({
+        ...col,
+        suggestedTarget: suggestions[i].target,
+        suggestedCustomField: suggestions[i].customField
+      }))
+    });
+  } catch (error) {
+    await removeFile(file.path);
+    throw error;
+  }
+}
+
+async function removeFile(filePath) {
+  if (!filePath) return;
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.warn('Failed to remove import file', { filePath, error: error.message });
+  }
+}
+
+/**
+ * Turn one file row into subscriber fields.
+ * @returns {Object} { record } or { error }
+ */
+function buildRowRecord(values, mapping) {
+  const record = { fields: {}, custom: {}, tags: [], groups: [] };
+  let firstName = '';
+  let lastName = '';
+  for (const { column, target, customField } of mapping) {
+    const value = values[column] || '';
+    switch (target) {
+      case 'email': record.email = value.toLowerCase(); break;
+      case 'name': record.fields.name = value; break;
+      case 'firstName': firstName = value; break;
+      case 'lastName': lastName = value; break;
+      case 'status': {
+        if (!value) break;
+        const status = STATUS_VALUES[value.toLowerCase().replace(/[^a-z0-9]/g, '')];
+        if (!status) return { error: `Unknown status: ${value}` };
+        record.status = status;
+        break;
+      }
+      case 'tags': record.tags = splitList(value); break;
+      case 'groups': record.groups = splitList(value); break;
+      case 'custom': record.custom[customField] = value; break;
+      default:
+        if (target.startsWith('location.')) record.fields[target] = value;
+    }
+  }
+  if (record.fields.name === undefined && (firstName || lastName || mapping.some(m => m.target === 'firstName' || m.target === 'lastName'))) {
+    record.fields.name = [firstName, lastName].filter(Boolean).join(' ');
+  }
+  if (!record.email) return { error: 'Missing email' };
+  if (!EMAIL_PATTERN.test(record.email)) return { error: 'Invalid email' };
+  return { record };
+}
+
+// New documents are created by the job's user, in the job's workspace
+const ownerFields = (job) => workspaceFields({ _id: job.user, organization: job.organization });
+
+// Find or create tags/groups by name, caching ids for the rest of the job
+async function resolveNames(Model, names, job, cache) {
+  const missing = [...new Set(names)].filter(n => !cache.has(n));
+  if (missing.length > 0) {
+    const existing = await Model.find({ ...workspaceOf(job), name: { $in: missing } }).select('_id name').lean();
+    existing.forEach(doc => cache.set(doc.name, doc._id));
+    const toCreate = missing.filter(n => !cache.has(n));
+    if (toCreate.length > 0) {
+      const created = await Model.insertMany(toCreate.map(name => ({ ...ownerFields(job), name })));
+      created.forEach(doc => cache.set(doc.name, doc._id));
+    }
+  }
+  return names.map(n => cache.get(n)).filter(Boolean);
+}
+
+// $set/$unset for an existing subscriber. 'update' only fills values present in the file;
+// 'overwrite' also clears mapped fields that are blank in the file.
+function buildMergeUpdate(record, existing, strategy, extraTagIds, extraGroupIds) {
+  const $set = {};
+  const $unset = {};
+  const apply = (key, value) => {
+    if (value) {
+      $set[key] = value;
+    } else if (strategy === 'overwrite') {
+      if (key === 'name') $set.name = '';
+      else $unset[key] = '';
+    }
+  };
+  Object.entries(record.fields).forEach(([key, value]) => apply(key, value));
+  Object.entries(record.custom).forEach(([key, value]) => apply(`customFields.${key}`, value));
+  if (record.status && !PROTECTED_STATUSES.includes(existing.status)) $set.status = record.status;
+
+  const update = {};
+  if (Object.keys($set).length) update.$set = $set;
+  if (Object.keys($unset).length) update.$unset = $unset;
+  // Tags and groups are only ever added by an import
+  const tags = [...extraTagIds, ...record.tagIds];
+  const groups = [...extraGroupIds, ...record.groupIds];
+  if (tags.length || groups.length) {
+    update.$addToSet = {};
+    if (tags.length) update.$addToSet.tags = { $each: tags };
+    if (groups.length) update.$addToSet.groups = { $each: groups };
+  }
+  return update;
+}
+
+/**
+ * Write one batch of rows.
+ * @returns {Promise<Object>} { imported, updated, skipped, rejected: [{ line, reason, values }] }
+ */
+async function importBatch(rows, job, context) {
+  const { mergeStrategy, defaultStatus } = job.options;
+  const outcome = { imported: 0, updated: 0, skipped: 0, rejected: [] };
+
+  const valid = [];
+  for (const row of rows) {
+    const { record, error } = buildRowRecord(row.values, job.mapping);
+    if (error) {
+      outcome.rejected.push({ ...row, reason: error });
+    } else if (context.seenEmails.has(record.email)) {
+      outcome.rejected.push({ ...row, reason: 'Duplicate email in file' });
+    } else {
+      context.seenEmails.add(record.email);
+      valid.push({ row, record });
+    }
+  }
+  if (valid.length === 0) return outcome;
+
+  for (const item of valid) {
+    item.record.tagIds = await resolveNames(Tag, item.record.tags, job, context.tagIds);
+    item.record.groupIds = await resolveNames(Group, item.record.groups, job, context.groupIds);
+    item.record.groupIds.forEach(id => context.touchedGroups.add(String(id)));
+  }
+
+  const existing = new Map(
+    (await Subscriber.find({ ...workspaceOf(job), email: { $in: valid.map(v => v.record.email) }, isDeleted: false }).select('email status').lean())
+      .map(s => [s.email, s])
+  );
+
+  const operations = [];
+  const operationRows = [];
+  for (const { row, record } of valid) {
+    const current = existing.get(record.email);
+    if (current && mergeStrategy === 'skip') {
+      outcome.skipped++;
+      continue;
+    }
+    if (current) {
+      const update = buildMergeUpdate(record, current, mergeStrategy, context.jobTagIds, context.jobGroupIds);
+      if (Object.keys(update).length === 0) {
+        outcome.updated++;
+        continue;
+      }
+      operations.push({ updateOne: { filter: { _id: current._id }, update } });
+    } else {
+      const location = {};
+      const fields = {};
+      Object.entries(record.fields).forEach(([key, value]) => {
+        if (!key.startsWith('location.')) fields[key] = value;
+        else if (value) location[key.slice('location.'.length)] = value;
+      });
+      const customFields = Object.fromEntries(Object.entries(record.custom).filter(([, v]) => v));
+      operations.push({
+        insertOne: {
+          document: {
+            ...ownerFields(job),
+            email: record.email,
+            ...fields,
+            status: record.status || defaultStatus,
+            tags: [...new Set([...context.jobTagIds, ...record.tagIds].map(String))],
+            groups: [...new Set([...context.jobGroupIds, ...record.groupIds].map(String))],
+            customFields,
+            ...(Object.keys(location).length ? { location } : {}),
+            source: 'import'
+          }
+        }
+      });
+    }
+    operationRows.push({ row, record });
+  }
+
+  // New addresses count against the plan's subscriber limit; when they don't fit they're rejected
+  let reserved = operations.filter(op => op.insertOne).length;
+  if (reserved > 0) {
+    const usage = await usageService.consumeForUser(job.user, 'subscribers', reserved);
+    if (!usage.allowed) {
+      const reason = usageService.limitMessage(usage);
+      operationRows.forEach((item, index) => {
+        if (operations[index].insertOne) outcome.rejected.push({ ...item.row, reason });
+      });
+      const kept = operations.map((op, index) => (op.insertOne ? -1 : index)).filter(index => index >= 0);
+      operationRows.splice(0, operationRows.length, ...kept.map(index => operationRows[index]));
+      operations.splice(0, operations.length, ...kept.map(index => operations[index]));
+      reserved = 0;
+    }
+  }
+
+  if (operations.length > 0) {
+    let result;
+    try {
+      result = await Subscriber.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      result = error.result || {};
+      [].concat(error.writeErrors).forEach(writeError => {
+        const failed = operationRows[writeError.index];
+        if (!failed) return;
+        failed.failed = true;
+        const reason = writeError.code === 11000 ? 'Email already exists' : (writeError.errmsg || 'Write failed');
+        outcome.rejected.push({ ...failed.row, reason });
+      });
+    }
+    outcome.imported += result.insertedCount || 0;
+    outcome.updated += result.matchedCount || 0;
+    if (reserved > (result.insertedCount || 0)) {
+      await usageService.releaseForUser(job.user, 'subscribers', reserved - (result.insertedCount || 0));
+    }
+  }
+
+  // Keep Group.subscribers in step with Subscriber.groups
+  const written = operationRows.filter(r => !r.failed && (r.record.groupIds.length || context.jobGroupIds.length));
+  if (written.length > 0) {
+    const subscribers = await Subscriber.find({ ...workspaceOf(job), email: { $in: written.map(r => r.record.email) }, isDeleted: false }).select('_id groups').lean();
+    const byGroup = new Map();
+    subscribers.forEach(s => (s.groups || []).forEach(g => {
+      const key = String(g);
+      if (!context.touchedGroups.has(key)) return;
+      if (!byGroup.has(key)) byGroup.set(key, []);
+      byGroup.get(key).push(s._id);
+    }));
+    for (const [groupId, ids] of byGroup) {
+      await Group.updateOne({ _id: groupId }, { $addToSet: { subscribers: { $each: ids } } });
+    }
+  }
+
+  return outcome;
+}
+
+async function finishJob(job, status, error) {
+  await removeFile(job.filePath);
+  const fresh = await ImportJob.findById(job._id).select('progress');
+  const rejected = fresh && fresh.progress ? fresh.progress.rejected : 0;
+  const update = { $set: { completedAt: new Date() } };
+  if (!rejected) {
+    await removeFile(job.errorFilePath);
+    update.$unset = { errorFilePath: '' };
+  }
+  const finished = await ImportJob.updateOne(
+    { _id: job._id, status: 'processing' },
+    { ...update, $set: { ...update.$set, status, ...(error ? { error } : {}) } }
+  );
+  // A cancellation that landed while the last batch was running keeps its status
+  if (!finished.matchedCount) await ImportJob.updateOne({ _id: job._id, status: 'cancelled' }, update);
+}
+
+/**
+ * Stream the job's file and import it batch by batch. Progress is saved after every batch, and a
+ * job that was interrupted resumes after the last saved row.
+ */
+async function runImportJob(job) {
+  try {
+    if (!job.filePath || !fs.existsSync(job.filePath)) {
+      throw new Error('The uploaded file is no longer available');
+    }
+    const resumeFrom = job.progress.processedRows || 0;
+    if (!job.errorFilePath || resumeFrom === 0) {
+      job.errorFilePath = path.join(path.dirname(job.filePath), `${job._id}.errors.csv`);
+      await fs.promises.writeFile(job.errorFilePath, csvLine(['row', 'reason', ...job.columns.map(c => c.header)]));
+    }
+    if (!job.startedAt) job.startedAt = new Date();
+    if (!job.progress.totalRows) job.progress.totalRows = await countDataRows(job.filePath, job.fileType);
+    job.heartbeatAt = new Date();
+    await job.save();
+
+    const context = {
+      seenEmails: new Set(),
+      tagIds: new Map(),
+      groupIds: new Map(),
+      jobGroupIds: (job.options.groupIds || []).map(String),
+      jobTagIds: [],
+      touchedGroups: new Set((job.options.groupIds || []).map(String))
+    };
+    context.jobTagIds = (await resolveNames(Tag, job.options.tagNames || [], job, context.tagIds)).map(String);
+
+    let processedRows = resumeFrom;
+    let dataRow = 0;
+    let headerSeen = false;
+    let batch = [];
+    const flush = async () => {
+      const outcome = await importBatch(batch, job, context);
+      processedRows += batch.length;
+      batch = [];
+      if (outcome.rejected.length > 0) {
+        await fs.promises.appendFile(job.errorFilePath, outcome.rejected.map(r => csvLine([r.line, r.reason, ...r.values])).join(''));
+      }
+      const saved = await ImportJob.updateOne({ _id: job._id, status: 'processing' }, {
+        $set: { 'progress.processedRows': processedRows, heartbeatAt: new Date() },
+        $inc: {
+          'progress.imported': outcome.imported,
+          'progress.updated': outcome.updated,
+          'progress.skipped': outcome.skipped,
+          'progress.rejected': outcome.rejected.length
+        }
+      });
+      // No match means the job was cancelled (or taken over) in the meantime
+      return saved.matchedCount > 0;
+    };
+
+    for await (const { line, values } of readRows(job.filePath, job.fileType)) {
+      if (isBlankRow(values)) continue;
+      if (!headerSeen) {
+        headerSeen = true;
+        continue;
+      }
+      dataRow++;
+      if (dataRow <= resumeFrom) continue;
+      batch.push({ line, values });
+      if (batch.length >= batchSize() && !(await flush())) {
+        return finishJob(job, 'cancelled');
+      }
+    }
+    if (batch.length > 0 && !(await flush())) return finishJob(job, 'cancelled');
+
+    for (const groupId of context.touchedGroups) {
+      const group = await Group.findById(groupId);
+      if (group) await group.updateSubscriberCount();
+    }
+    await finishJob(job, 'completed');
+    logger.info('Import job completed', { jobId: String(job._id), rows: processedRows });
+  } catch (error) {
+    logger.error('Import job failed', { jobId: String(job._id), error: error.message });
+    await finishJob(job, 'failed', error.message);
+  }
+}
+
+// Oldest queued job, or one whose worker stopped sending heartbeats
+function claimNextImportJob() {
+  const staleBefore = new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000);
+  return ImportJob.findOneAndUpdate(
+    { $or: [{ status: 'queued' }, { status: 'processing', heartbeatAt: { $lt: staleBefore } }] },
+    { $set: { status: 'processing', heartbeatAt: new Date() } },
+    { sort: { queuedAt: 1 }, new: true }
+  );
+}
+
+let draining = false;
+
+/**
+ * Run queued import jobs one at a time until none are left. Safe to call repeatedly; calls made
+ * while a drain is already running return straight away.
+ * @returns {Promise<number>} jobs processed
+ */
+async function processQueuedImportJobs() {
+  if (draining) return 0;
+  draining = true;
+  let processed = 0;
+  try {
+    let job;
+    while ((job = await claimNextImportJob())) {
+      await runImportJob(job);
+      processed++;
+    }
+  } finally {
+    draining = false;
+  }
+  return processed;
+}
+
+module.exports = {
+  IMPORT_TARGETS,
+  MERGE_STRATEGIES,
+  importDir,
+  fileTypeOf,
+  previewFile,
+  suggestMapping,
+  validateImportSettings,
+  createImportJob,
+  buildRowRecord,
+  importBatch,
+  runImportJob,
+  processQueuedImportJobs,
+  removeFile
+};
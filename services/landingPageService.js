@@ -0,0 +1,261 @@
+// emailxp/backend/services/landingPageService.js
+// Serving published landing pages: the HTML document (SEO and Open Graph tags plus the signup
+// form), custom domain verification and lookup by Host, and visitor-deduplicated visit and
+// conversion counts.
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const LandingPage = require('../models/LandingPage');
+const LandingPageVisitor = require('../models/LandingPageVisitor');
+const LandingPageDailyStat = require('../models/LandingPageDailyStat');
+const { renderEmbedHtml } = require('./formService');
+const { appHostnames } = require('../utils/appOrigins');
+
+const VISITOR_COOKIE = 'lp_vid';
+const VISITOR_ID = /^[a-f0-9]{32}$/;
+const HOSTNAME = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const HOST_CACHE_MS = 60 * 1000;
+const DOMAIN_RECORD_PREFIX = '_emailxp-verify';
+const hostCache = new Map();
+
+const visitWindowMs = () => parseInt(process.env.LANDING_PAGE_VISIT_WINDOW_MINUTES || '30', 10) * 60 * 1000;
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+// ---------------------------------------------------------------------------
+// Custom domains
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize what a user typed as a custom domain ("https://Join.Example.com/" -> "join.example.com").
+ * @returns {string|null} the host name, '' to clear it, or null when it isn't a valid host name
+ */
+function normalizeDomain(value) {
+  const host = String(value || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/\.$/, '');
+  if (!host) return '';
+  return HOSTNAME.test(host) ? host : null;
+}
+
+// The API's, the frontend's and the CORS-allowed hosts can never serve a landing page
+const isAppHost = (host) => appHostnames().has(host);
+
+const newDomainToken = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * The DNS TXT record a page's owner publishes to prove they control its custom domain.
+ * @returns {Object} { type, name, value }
+ */
+function domainVerificationRecord(page) {
+  return {
+    type: 'TXT',
+    name: `${DOMAIN_RECORD_PREFIX}.${page.customDomain}`,
+    value: `emailxp-verify=${page.customDomainToken}`
+  };
+}
+
+/**
+ * Whether the page's verification record is published in DNS.
+ * @returns {Promise<boolean>}
+ */
+async function checkDomainRecord(page) {
+  const { name, value } = domainVerificationRecord(page);
+  try {
+    // dns.resolveTxt returns an array of arrays (chunks per TXT record)
+    const records = await dns.resolveTxt(name);
+    return records.some(chunks => chunks.join('') === value);
+  } catch (error) {
+    // ENOTFOUND / ENODATA until the record is added
+    return false;
+  }
+}
+
+/**
+ * Published page served at the root of a verified custom domain. Lookups, including misses, are
+ * cached for a minute so requests for the app's own hosts don't query on every hit.
+ */
+async function findPageForHost(hostname, now = Date.now()) {
+  const host = normalizeDomain(hostname);
+  if (!host || isAppHost(host)) return null;
+  const cached = hostCache.get(host);
+  if (cached && cached.expiresAt > now) return cached.page;
+  const page = await LandingPage.findOne({ customDomain: host, customDomainVerifiedAt: { $ne: null }, status: 'published' }).lean();
+  hostCache.set(host, { page, expiresAt: now + HOST_CACHE_MS });
+  return page;
+}
+
+// Drop a host from the cache after its page changes domain or status
+function forgetHost(hostname) {
+  if (hostname) hostCache.delete(hostname);
+}
+
+// ---------------------------------------------------------------------------
+// Visitors, visits and conversions
+// ---------------------------------------------------------------------------
+
+/**
+ * The visitor id from the request's cookie, or one derived from IP and user-agent for a first
+ * view (so clients that drop cookies are still counted once).
+ * @returns {Object} { visitorId, isNew }: isNew means the cookie still has to be set
+ */
+function visitorIdFor(req) {
+  const match = (req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${VISITOR_COOKIE}=([^;]+)`));
+  if (match && VISITOR_ID.test(match[1])) return { visitorId: match[1], isNew: false };
+  const visitorId = crypto.createHash('sha256')
+    .update(`${req.ip}|${req.get('user-agent') || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+  return { visitorId, isNew: true };
+}
+
+/**
+ * Count a page view. A view is a new visit when the visitor hasn't viewed the page within the
+ * visit window, and a new unique visitor the first time they view it.
+ * @returns {Promise<Object>} { newVisit, newVisitor }
+ */
+async function trackVisit(page, visitorId, { referrer, now = new Date() } = {}) {
+  let previous;
+  try {
+    // Returns the visitor as it was before this view, so the read and write are one operation
+    previous = await LandingPageVisitor.findOneAndUpdate(
+      { landingPage: page._id, visitorId },
+      { $set: { lastSeenAt: now }, $inc: { views: 1 }, $setOnInsert: { firstSeenAt: now, referrer } },
+      { upsert: true, new: false }
+    ).lean();
+  } catch (error) {
+    // Two first views raced and the other one inserted the visitor; this one is a repeat view
+    if (error.code !== 11000) throw error;
+    return trackVisit(page, visitorId, { referrer, now });
+  }
+
+  const newVisitor = !previous;
+  const newVisit = newVisitor || now - new Date(previous.lastSeenAt) > visitWindowMs();
+  if (newVisit) {
+    const inc = { visits: 1, ...(newVisitor ? { uniqueVisitors: 1 } : {}) };
+    await LandingPage.updateOne({ _id: page._id }, { $inc: inc });
+    await LandingPageDailyStat.updateOne(
+      { landingPage: page._id, day: dayOf(now) },
+      { $inc: { visits: 1, newVisitors: newVisitor ? 1 : 0 } },
+      { upsert: true }
+    );
+  }
+  return { newVisit, newVisitor };
+}
+
+/**
+ * Count a form signup from the page, once per visitor. Visitors with no recorded view don't count.
+ * @returns {Promise<boolean>} whether this was the visitor's first conversion
+ */
+async function recordConversion(page, visitorId, { subscriber, now = new Date() } = {}) {
+  const visitor = await LandingPageVisitor.findOneAndUpdate(
+    { landingPage: page._id, visitorId, convertedAt: null },
+    { $set: { convertedAt: now, subscriber } }
+  );
+  if (!visitor) return false;
+  await LandingPage.updateOne({ _id: page._id }, { $inc: { conversions: 1 } });
+  await LandingPageDailyStat.updateOne(
+    { landingPage: page._id, day: dayOf(now) },
+    { $inc: { conversions: 1 } },
+    { upsert: true }
+  );
+  return true;
+}
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+
+/**
+ * Totals and a zero-filled daily series for the last `days` UTC days.
+ */
+async function getAnalytics(page, { days = 30, now = new Date() } = {}) {
+  const span = Math.min(Math.max(parseInt(days, 10) || 30, 1), 365);
+  const start = new Date(now.getTime() - (span - 1) * 24 * 3600 * 1000);
+  const stats = await LandingPageDailyStat.find({ landingPage: page._id, day: { $gte: dayOf(start) } }).lean();
+  const byDay = new Map(stats.map(s => [s.day, s]));
+  const daily = [];
+  for (let i = 0; i < span; i++) {
+    const day = dayOf(new Date(start.getTime() + i * 24 * 3600 * 1000));
+    const stat = byDay.get(day) || {};
+    daily.push({ day, visits: stat.visits || 0, newVisitors: stat.newVisitors || 0, conversions: stat.conversions || 0 });
+  }
+  return {
+    visits: page.visits || 0,
+    uniqueVisitors: page.uniqueVisitors || 0,
+    conversions: page.conversions || 0,
+    conversionRate: percent(page.conversions || 0, page.uniqueVisitors || 0),
+    daily
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function headTags(page, canonicalUrl, { hasTitle }) {
+  const seo = page.seo || {};
+  const title = seo.title || page.name;
+  const description = seo.description || page.description;
+  const tags = [
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    !hasTitle && `<title>${escapeHtml(title)}</title>`,
+    description && `<meta name="description" content="${escapeHtml(description)}">`,
+    seo.keywords && `<meta name="keywords" content="${escapeHtml(seo.keywords)}">`,
+    `<link rel="canonical" href="${escapeHtml(canonicalUrl)}">`,
+    '<meta property="og:type" content="website">',
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    description && `<meta property="og:description" content="${escapeHtml(description)}">`,
+    `<meta property="og:url" content="${escapeHtml(canonicalUrl)}">`,
+    seo.image && `<meta property="og:image" content="${escapeHtml(seo.image)}">`,
+    `<meta name="twitter:card" content="${seo.image ? 'summary_large_image' : 'summary'}">`
+  ];
+  return tags.filter(Boolean).join('\n');
+}
+
+function formBlock(form, formAction, notice) {
+  if (notice && notice.type === 'success') {
+    return `<div class="emailxp-form-success">${escapeHtml(notice.message)}</div>`;
+  }
+  const errors = notice && notice.type === 'error'
+    ? `<ul class="emailxp-form-errors">${notice.messages.map(m => `<li>${escapeHtml(m)}</li>`).join('')}</ul>\n`
+    : '';
+  return errors + renderEmbedHtml(form, formAction);
+}
+
+/**
+ * The published page as a complete HTML document. The page's own HTML is used as written; a
+ * `{{form}}` placeholder in it marks where the signup form goes (otherwise it goes at the end).
+ * @param {Object} options - { canonicalUrl, form, formAction, notice: { type, message|messages } }
+ */
+function renderPage(page, { canonicalUrl, form, formAction, notice } = {}) {
+  let html = page.htmlContent || '';
+  const formHtml = form ? formBlock(form, formAction, notice) : '';
+  if (html.includes('{{form}}')) html = html.split('{{form}}').join(formHtml);
+  else if (formHtml) html = /<\/body>/i.test(html) ? html.replace(/<\/body>/i, () => `${formHtml}\n</body>`) : `${html}\n${formHtml}`;
+
+  const head = headTags(page, canonicalUrl, { hasTitle: /<title[\s>]/i.test(html) });
+  // Editors export either a full document or a body fragment
+  if (/<head[\s>]/i.test(html)) return html.replace(/<head([^>]*)>/i, (tag) => `${tag}\n${head}`);
+  if (/<html[\s>]/i.test(html)) return html.replace(/<html([^>]*)>/i, (tag) => `${tag}\n<head>\n${head}\n</head>`);
+  return `<!DOCTYPE html>\n<html>\n<head>\n${head}\n</head>\n<body>\n${html}\n</body>\n</html>`;
+}
+
+module.exports = {
+  VISITOR_COOKIE,
+  normalizeDomain,
+  isAppHost,
+  newDomainToken,
+  domainVerificationRecord,
+  checkDomainRecord,
+  findPageForHost,
+  forgetHost,
+  visitorIdFor,
+  trackVisit,
+  recordConversion,
+  getAnalytics,
+  renderPage
+};
@@ -1,22 +1,25 @@
 const Subscriber = require('../models/Subscriber');
 const EmailLog = require('../models/EmailLog');
+const { workspaceFilter } = require('../utils/workspace');
 
 module.exports = {
-  async getListHealth({ userId, days = 30 }) {
+  // Health of the user's whole workspace list
+  async getListHealth({ user, days = 30 }) {
+    const workspace = workspaceFilter(user);
     const since = new Date();
     since.setDate(since.getDate() - days);
 
     // Base counts (excluding deleted)
     const statusPipeline = [
-      { $match: { user: userId, isDeleted: false } },
+      { $match: { ...workspace, isDeleted: false } },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ];
     const statusRows = await Subscriber.aggregate(statusPipeline);
     const statusCounts = statusRows.reduce((acc,r)=>{ acc[r._id] = r.count; return acc; }, {});
 
     // Growth (new subscribers in window)
-    const newSubs = await Subscriber.countDocuments({ user: userId, createdAt: { $gte: since }, isDeleted: false });
-    const unsubscribes = await Subscriber.countDocuments({ user: userId, unsubscribedAt: { $gte: since } });
+    const newSubs = await Subscriber.countDocuments({ ...workspace, createdAt: { $gte: since }, isDeleted: false });
+    const unsubscribes = await Subscriber.countDocuments({ ...workspace, unsubscribedAt: { $gte: since } });
 
     // Inactivity buckets by lastActivityAt
     const now = new Date();
@@ -26,7 +29,7 @@ module.exports = {
     async function countRange(minDays, maxDays){
       const minDate = minDays != null ? daysAgo(minDays) : null; // older than minDays
       const maxDate = maxDays != null ? daysAgo(maxDays) : null; // more recent than maxDays
-      const criteria = { user: userId, isDeleted:false };
+      const criteria = { ...workspace, isDeleted:false };
       if(minDate) criteria.lastActivityAt = { ...(criteria.lastActivityAt||{}), $lt: minDate };
       if(maxDate) criteria.lastActivityAt = { ...(criteria.lastActivityAt||{}), $gte: maxDate };
       return Subscriber.countDocuments(criteria);
@@ -0,0 +1,479 @@
+// Provider webhook ingestion: signature verification + event normalization for
+// Resend (Svix), Amazon SES (SNS) and SendGrid (Event Webhook ECDSA).
+const crypto = require('crypto');
+const axios = require('axios');
+const EmailLog = require('../models/EmailLog');
+const EmailTracking = require('../models/EmailTracking');
+const Subscriber = require('../models/Subscriber');
+const Campaign = require('../models/Campaign');
+const bounceComplaintService = require('./bounceComplaintService');
+const abTestService = require('./abTestService');
+const { classifyOpen, classifyClick, isMachineActivity } = require('../utils/engagementClassifier');
+const logger = require('../utils/logger');
+
+// Reject signed payloads older than this (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const headerValue = (headers, name) => {
+  const v = headers[name] || headers[name.toLowerCase()];
+  return Array.isArray(v) ? v[0] : v;
+};
+
+const safeEqual = (a, b) => {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+};
+
+// ---------------------------------------------------------------------------
+// Signature verification
+// ---------------------------------------------------------------------------
+
+/**
+ * Verify a Svix-signed request (used by Resend webhooks).
+ * @returns {boolean}
+ */
+function verifySvixSignature(rawBody, headers, secret, nowMs = Date.now()) {
+  if (!secret) return false;
+  const id = headerValue(headers, 'svix-id');
+  const timestamp = headerValue(headers, 'svix-timestamp');
+  const signatures = headerValue(headers, 'svix-signature');
+  if (!id || !timestamp || !signatures) return false;
+  if (Math.abs(Math.floor(nowMs / 1000) - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const key = Buffer.from(secret.startsWith('whsec_') ? secret.slice(6) : secret, 'base64');
+  const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest('base64');
+  return String(signatures).split(' ').some(part => {
+    const [version, signature] = part.split(',');
+    return version === 'v1' && signature && safeEqual(signature, expected);
+  });
+}
+
+/**
+ * Verify a SendGrid Event Webhook ECDSA signature.
+ * @param {string} publicKey - base64 DER (as shown in SendGrid settings) or PEM
+ * @returns {boolean}
+ */
+function verifySendGridSignature(rawBody, headers, publicKey, nowMs = Date.now()) {
+  if (!publicKey) return false;
+  const signature = headerValue(headers, 'x-twilio-email-event-webhook-signature');
+  const timestamp = headerValue(headers, 'x-twilio-email-event-webhook-timestamp');
+  if (!signature || !timestamp) return false;
+  if (Math.abs(Math.floor(nowMs / 1000) - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) return false;
+  try {
+    const key = publicKey.includes('BEGIN PUBLIC KEY')
+      ? crypto.createPublicKey(publicKey)
+      : crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+    return crypto.verify('sha256', Buffer.from(timestamp + rawBody), key, Buffer.from(signature, 'base64'));
+  } catch (e) {
+    logger.warn('SendGrid signature verification error', { error: e.message });
+    return false;
+  }
+}
+
+const SNS_CERT_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+const snsCertCache = new Map();
+
+const isTrustedSnsUrl = (value, { requirePem = false } = {}) => {
+  try {
+    const u = new URL(value);
+    return u.protocol === 'https:' && SNS_CERT_HOST.test(u.hostname) && (!requirePem || u.pathname.endsWith('.pem'));
+  } catch (e) {
+    return false;
+  }
+};
+
+async function fetchSnsCertificate(url) {
+  if (snsCertCache.has(url)) return snsCertCache.get(url);
+  const { data } = await axios.get(url, { timeout: 5000, responseType: 'text' });
+  snsCertCache.set(url, data);
+  return data;
+}
+
+const SNS_NOTIFICATION_FIELDS = ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'];
+const SNS_SUBSCRIPTION_FIELDS = ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'];
+
+const buildSnsStringToSign = (message) => {
+  const fields = message.Type === 'Notification' ? SNS_NOTIFICATION_FIELDS : SNS_SUBSCRIPTION_FIELDS;
+  return fields
+    .filter(f => message[f] !== undefined && message[f] !== null)
+    .map(f => `${f}\n${message[f]}\n`)
+    .join('');
+};
+
+/**
+ * Verify an SNS message signature (SignatureVersion 1 = SHA1, 2 = SHA256).
+ * Optionally restrict to SES_SNS_TOPIC_ARNS (comma separated). Messages whose
+ * Timestamp is outside the signature tolerance are rejected.
+ * @returns {Promise<boolean>}
+ */
+async function verifySnsMessage(message, allowedTopicArns = [], nowMs = Date.now()) {
+  if (!message || !message.Signature || !message.SigningCertURL) return false;
+  if (!isTrustedSnsUrl(message.SigningCertURL, { requirePem: true })) return false;
+  const sentAt = Date.parse(message.Timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(nowMs - sentAt) / 1000 > SIGNATURE_TOLERANCE_SECONDS) return false;
+  if (allowedTopicArns.length && !allowedTopicArns.includes(message.TopicArn)) return false;
+  const algorithm = String(message.SignatureVersion) === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+  try {
+    const cert = await fetchSnsCertificate(message.SigningCertURL);
+    return crypto.createVerify(algorithm).update(buildSnsStringToSign(message), 'utf8').verify(cert, message.Signature, 'base64');
+  } catch (e) {
+    logger.warn('SNS signature verification error', { error: e.message });
+    return false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Normalization -> { provider, type, messageId, email, timestamp, url, bounce, complaint, userAgent, ipAddress, raw }
+// type is one of: sent, delivered, opened, clicked, bounced, complained, delayed
+// ---------------------------------------------------------------------------
+
+const RESEND_TYPES = {
+  'email.sent': 'sent',
+  'email.delivered': 'delivered',
+  'email.delivery_delayed': 'delayed',
+  'email.opened': 'opened',
+  'email.clicked': 'clicked',
+  'email.bounced': 'bounced',
+  'email.complained': 'complained'
+};
+
+function normalizeResendEvent(payload) {
+  const type = RESEND_TYPES[payload && payload.type];
+  if (!type) return [];
+  const data = payload.data || {};
+  const to = Array.isArray(data.to) ? data.to[0] : data.to;
+  return [{
+    provider: 'resend',
+    type,
+    messageId: data.email_id,
+    email: to,
+    timestamp: new Date(payload.created_at || data.created_at || Date.now()),
+    url: data.click && data.click.link,
+    userAgent: data.click && data.click.userAgent,
+    ipAddress: data.click && data.click.ipAddress,
+    bounce: type === 'bounced' ? {
+      code: data.bounce && (data.bounce.type === 'Permanent' ? '550' : data.bounce.type === 'Transient' ? '450' : undefined),
+      description: data.bounce && [data.bounce.type, data.bounce.subType, data.bounce.message].filter(Boolean).join(' - ')
+    } : undefined,
+    complaint: type === 'complained' ? { feedbackType: 'abuse' } : undefined,
+    raw: payload
+  }];
+}
+
+const SES_TYPES = {
+  Send: 'sent',
+  Delivery: 'delivered',
+  DeliveryDelay: 'delayed',
+  Open: 'opened',
+  Click: 'clicked',
+  Bounce: 'bounced',
+  Complaint: 'complained'
+};
+
+function normalizeSesEvent(notification) {
+  const type = SES_TYPES[notification && (notification.eventType || notification.notificationType)];
+  if (!type) return [];
+  const mail = notification.mail || {};
+  const base = { provider: 'ses', type, messageId: mail.messageId, raw: notification };
+
+  if (type === 'bounced') {
+    const bounce = notification.bounce || {};
+    return (bounce.bouncedRecipients || []).map(r => ({
+      ...base,
+      email: r.emailAddress,
+      timestamp: new Date(bounce.timestamp || mail.timestamp || Date.now()),
+      bounce: {
+        code: r.status || (bounce.bounceType === 'Permanent' ? '550' : '450'),
+        description: [bounce.bounceType, bounce.bounceSubType, r.diagnosticCode].filter(Boolean).join(' - ')
+      }
+    }));
+  }
+  if (type === 'complained') {
+    const complaint = notification.complaint || {};
+    return (complaint.complainedRecipients || []).map(r => ({
+      ...base,
+      email: r.emailAddress,
+      timestamp: new Date(complaint.timestamp || Date.now()),
+      complaint: { feedbackType: complaint.complaintFeedbackType || 'abuse' }
+    }));
+  }
+
+  const detail = notification.open || notification.click || notification.delivery || notification.deliveryDelay || {};
+  const recipients = (notification.delivery && notification.delivery.recipients) || mail.destination || [];
+  return [{
+    ...base,
+    email: recipients[0],
+    timestamp: new Date(detail.timestamp || mail.timestamp || Date.now()),
+    url: notification.click && notification.click.link,
+    userAgent: detail.userAgent,
+    ipAddress: detail.ipAddress
+  }];
+}
+
+const SENDGRID_TYPES = {
+  processed: 'sent',
+  delivered: 'delivered',
+  deferred: 'delayed',
+  open: 'opened',
+  click: 'clicked',
+  bounce: 'bounced',
+  // SendGrid never tried delivery (its own suppression lists, quota, bad headers). Only a drop for
+  // an invalid address says anything about the recipient, so only that one counts as a bounce.
+  dropped: 'dropped',
+  spamreport: 'complained'
+};
+
+const isInvalidAddressDrop = (evt) => /^invalid$|invalid (email|address|recipient)/i.test(String(evt.reason || '').trim());
+
+function normalizeSendGridEvents(events) {
+  return (Array.isArray(events) ? events : [events]).reduce((acc, evt) => {
+    let type = SENDGRID_TYPES[evt && evt.event];
+    if (!type) return acc;
+    if (type === 'dropped' && isInvalidAddressDrop(evt)) type = 'bounced';
+    // sg_message_id is "<X-Message-Id>.filterXXXX"; the prefix is what the send API returns
+    const messageId = evt.sg_message_id ? String(evt.sg_message_id).split('.')[0] : undefined;
+    acc.push({
+      provider: 'sendgrid',
+      type,
+      messageId,
+      email: evt.email,
+      timestamp: evt.timestamp ? new Date(Number(evt.timestamp) * 1000) : new Date(),
+      url: evt.url,
+      userAgent: evt.useragent,
+      ipAddress: evt.ip,
+      bounce: type === 'bounced' ? { code: evt.status || (evt.event === 'dropped' ? '550' : undefined), description: evt.reason || evt.type } : undefined,
+      dropReason: type === 'dropped' ? evt.reason : undefined,
+      complaint: type === 'complained' ? { feedbackType: 'abuse' } : undefined,
+      raw: evt
+    });
+    return acc;
+  }, []);
+}
+
+// ---------------------------------------------------------------------------
+// Applying events
+// ---------------------------------------------------------------------------
+
+/**
+ * Update campaign statistics
+ */
+async function updateCampaignStats(campaignId, metric, increment) {
+  if (!campaignId) return;
+  try {
+    const updateField = {};
+    updateField[`stats.${metric}`] = increment;
+
+    await Campaign.findByIdAndUpdate(campaignId, {
+      $inc: updateField
+    });
+  } catch (error) {
+    logger.error('Failed to update campaign stats', { error: error.message });
+  }
+}
+
+/**
+ * Update subscriber engagement metrics
+ */
+async function updateSubscriberEngagement(subscriberId, action, at = new Date()) {
+  if (!subscriberId) return;
+  try {
+    const update = { $set: { lastActivityAt: at } };
+
+    if (action === 'opened') {
+      update.$set.lastOpenAt = at;
+      update.$inc = { openCount: 1 };
+    } else if (action === 'clicked') {
+      update.$set.lastClickAt = at;
+      update.$inc = { clickCount: 1 };
+    }
+
+    await Subscriber.findByIdAndUpdate(subscriberId, update);
+  } catch (error) {
+    logger.error('Failed to update subscriber engagement', { error: error.message });
+  }
+}
+
+// Delivery time used to spot prefetches and scanner clicks that arrive right after delivery
+const deliveredAtOf = (log, tracking) => (log && (log.deliveredAt || log.sentAt)) || (tracking && (tracking.deliveredAt || tracking.sentAt)) || null;
+
+// EmailLog status may only move "forward" (e.g. a late delivered event must not overwrite opened)
+const STATUS_RANK = { queued: 0, sent: 1, delivered: 2, opened: 3, clicked: 4 };
+
+/**
+ * Apply a normalized provider event to EmailLog / EmailTracking and route
+ * bounces and complaints through bounceComplaintService.
+ */
+async function applyEvent(evt) {
+  if (!evt.messageId) return { ok: false, ignored: true, reason: 'missing_message_id', type: evt.type };
+
+  const [log, tracking] = await Promise.all([
+    EmailLog.findOne({ messageId: evt.messageId }),
+    EmailTracking.findOne({ $or: [{ providerMessageId: evt.messageId }, { messageId: evt.messageId }] })
+  ]);
+  if (!log && !tracking) return { ok: false, ignored: true, reason: 'unknown_message', type: evt.type, messageId: evt.messageId };
+
+  const at = evt.timestamp instanceof Date && !isNaN(evt.timestamp) ? evt.timestamp : new Date();
+  const campaignId = (log && log.campaignId) || (tracking && tracking.campaign) || null;
+  const subscriberId = (log && log.subscriberId) || (tracking && tracking.subscriber) || null;
+  const email = evt.email || (log && log.email) || (tracking && tracking.emailAddress);
+
+  if (log) {
+    log.webhookEvents.push({ eventType: `${evt.provider}:${evt.type}`, timestamp: at, data: evt.raw });
+  }
+
+  switch (evt.type) {
+    case 'delivered': {
+      if (log && !log.deliveredAt) {
+        log.deliveredAt = at;
+        if ((STATUS_RANK[log.status] ?? 99) < STATUS_RANK.delivered) log.status = 'delivered';
+        await updateCampaignStats(campaignId, 'delivered', 1);
+      }
+      if (tracking && !tracking.deliveredAt) {
+        tracking.deliveredAt = at;
+        if (tracking.status === 'sent') tracking.status = 'delivered';
+        await tracking.save();
+      }
+      // A delivery ends any soft-bounce streak (see bounceComplaintService)
+      if (subscriberId) await Subscriber.findByIdAndUpdate(subscriberId, { $max: { lastDeliveredAt: at } });
+      break;
+    }
+    case 'delayed': {
+      if (log) log.deliveryDelayedAt = at;
+      break;
+    }
+    case 'dropped': {
+      // Not a bounce: nothing reached the recipient's server, so the bounce policy isn't involved
+      if (log && !log.deliveredAt) {
+        log.status = 'failed';
+        log.error = `Dropped by provider${evt.dropReason ? `: ${evt.dropReason}` : ''}`;
+      }
+      break;
+    }
+    case 'opened': {
+      const classification = classifyOpen({ userAgent: evt.userAgent, ipAddress: evt.ipAddress, deliveredAt: deliveredAtOf(log, tracking), at });
+      if (isMachineActivity(classification)) {
+        if (tracking) await tracking.recordOpen({ userAgent: evt.userAgent, ipAddress: evt.ipAddress, classification });
+        break;
+      }
+      const firstOpen = log ? !log.openedAt : tracking && !tracking.isOpened;
+      if (log) {
+        log.openedAt = log.openedAt || at;
+        log.openCount += 1;
+        log.opens.push({ openedAt: at, userAgent: evt.userAgent, ipAddress: evt.ipAddress });
+        if ((STATUS_RANK[log.status] ?? 99) < STATUS_RANK.opened) log.status = 'opened';
+      }
+      if (tracking) await tracking.recordOpen({ userAgent: evt.userAgent, ipAddress: evt.ipAddress, classification });
+      if (firstOpen) await updateCampaignStats(campaignId, 'opened', 1);
+      await updateSubscriberEngagement(subscriberId, 'opened', at);
+      await abTestService.recordEngagement({ campaignId, subscriberId, type: 'open', classification, at });
+      break;
+    }
+    case 'clicked': {
+      const classification = classifyClick({ userAgent: evt.userAgent, ipAddress: evt.ipAddress, deliveredAt: deliveredAtOf(log, tracking), at });
+      if (isMachineActivity(classification)) {
+        if (tracking && evt.url) await tracking.recordClick({ url: evt.url, userAgent: evt.userAgent, ipAddress: evt.ipAddress, classification });
+        break;
+      }
+      const firstClick = log ? !log.clickedAt : tracking && !tracking.isClicked;
+      if (log) {
+        log.clickedAt = log.clickedAt || at;
+        log.clickCount += 1;
+        log.clickedLinks.push({ url: evt.url, clickedAt: at, userAgent: evt.userAgent, ipAddress: evt.ipAddress });
+        if ((STATUS_RANK[log.status] ?? 99) < STATUS_RANK.clicked) log.status = 'clicked';
+      }
+      if (tracking && evt.url) await tracking.recordClick({ url: evt.url, userAgent: evt.userAgent, ipAddress: evt.ipAddress, classification });
+      if (firstClick) await updateCampaignStats(campaignId, 'clicked', 1);
+      await updateSubscriberEngagement(subscriberId, 'clicked', at);
+      await abTestService.recordEngagement({ campaignId, subscriberId, type: 'click', classification, at });
+      break;
+    }
+    case 'bounced': {
+      const firstBounce = log ? !log.bouncedAt : tracking && !tracking.isBounced;
+      if (log) {
+        log.bouncedAt = log.bouncedAt || at;
+        log.bounceReason = evt.bounce && evt.bounce.description;
+      }
+      if (log) await log.save();
+      const classification = await bounceComplaintService.handleBounce({
+        messageId: evt.messageId,
+        email,
+        code: evt.bounce && evt.bounce.code,
+        description: evt.bounce && evt.bounce.description,
+        raw: evt.raw,
+        campaignId,
+        subscriberId
+      });
+      if (tracking && !tracking.isBounced) {
+        await tracking.recordBounce({ type: classification, reason: evt.bounce && evt.bounce.description, code: evt.bounce && evt.bounce.code });
+      }
+      if (firstBounce) await updateCampaignStats(campaignId, 'bounced', 1);
+      return { ok: true, type: evt.type, messageId: evt.messageId, classification };
+    }
+    case 'complained': {
+      const firstComplaint = log ? !log.complainedAt : tracking && !tracking.isSpam;
+      if (log) {
+        log.complainedAt = log.complainedAt || at;
+        log.complaintReason = evt.complaint && evt.complaint.feedbackType;
+        await log.save();
+      }
+      await bounceComplaintService.handleComplaint({
+        messageId: evt.messageId,
+        email,
+        feedbackType: evt.complaint && evt.complaint.feedbackType,
+        raw: evt.raw,
+        campaignId,
+        subscriberId
+      });
+      if (tracking && !tracking.isSpam) await tracking.recordSpam({ reason: evt.complaint && evt.complaint.feedbackType });
+      if (firstComplaint) await updateCampaignStats(campaignId, 'complained', 1);
+      return { ok: true, type: evt.type, messageId: evt.messageId };
+    }
+    default:
+      break;
+  }
+
+  if (log) await log.save();
+  return { ok: true, type: evt.type, messageId: evt.messageId };
+}
+
+/**
+ * Apply a batch of normalized events, isolating failures per event.
+ */
+async function processEvents(events) {
+  const results = [];
+  for (const evt of events) {
+    try {
+      results.push(await applyEvent(evt));
+    } catch (e) {
+      logger.error('Provider webhook event failed', { error: e.message, provider: evt.provider, type: evt.type, messageId: evt.messageId });
+      results.push({ ok: false, error: e.message, type: evt.type, messageId: evt.messageId });
+    }
+  }
+  return results;
+}
+
+/**
+ * Guess the provider from request headers (for the legacy un-suffixed endpoint).
+ */
+function detectProvider(headers) {
+  if (headerValue(headers, 'svix-id')) return 'resend';
+  if (headerValue(headers, 'x-amz-sns-message-type')) return 'ses';
+  if (headerValue(headers, 'x-twilio-email-event-webhook-signature')) return 'sendgrid';
+  return null;
+}
+
+module.exports = {
+  verifySvixSignature,
+  verifySendGridSignature,
+  verifySnsMessage,
+  isTrustedSnsUrl,
+  normalizeResendEvent,
+  normalizeSesEvent,
+  normalizeSendGridEvents,
+  applyEvent,
+  processEvents,
+  detectProvider,
+  updateCampaignStats,
+  updateSubscriberEngagement
+};
@@ -3,6 +3,7 @@
 const Queue = require('bull');
 const resendUtil = require('../utils/resendEmailService');
 const logger = require('../utils/logger');
+const { buildCampaignEmail } = require('../utils/campaignEmail');
 
 // Basic redis connection configuration (avoid advanced options that Bull forbids on bclient/subscriber)
 const baseRedis = {
@@ -49,6 +50,7 @@ emailQueue.process('send-email', 10, async (job) => {
     templateId,
     actionId,
     templateDisableAutoFooter,
+    unsubscribeToken,
     fromName 
   } = job.data;
 
@@ -66,6 +68,7 @@ emailQueue.process('send-email', 10, async (job) => {
         automationId,
         templateId,
         templateDisableAutoFooter,
+        unsubscribeToken,
         actionId,
       from: fromEmail,
       fromName
@@ -98,15 +101,9 @@ emailQueue.process('send-campaign-batch', 5, async (job) => {
     try {
       // Add individual email jobs with rate limiting
       const emailJob = await addEmailJob({
-        toEmail: subscriber.email, // Send to actual subscriber email
-        subject: job.data.subject,
-        htmlContent: job.data.htmlContent,
-        plainTextContent: job.data.plainTextContent,
-        campaignId,
-        subscriberId: subscriber._id,
-        groupId: job.data.groupId,
-  fromEmail: process.env.EMAIL_FROM || 'onboarding@resend.dev', // Use configured EMAIL_FROM if available
-        fromName: 'EmailXP',
+        ...buildCampaignEmail(job.data, subscriber),
+        // Batches carry the campaign's verified From; older jobs fall back to EMAIL_FROM
+        fromEmail: job.data.fromEmail || process.env.EMAIL_FROM || 'onboarding@resend.dev',
         // propagate template/action when campaign batch originates from an automation or template
         templateId: job.data.templateId || null,
         templateDisableAutoFooter: job.data.templateDisableAutoFooter || false,
@@ -178,6 +175,7 @@ const addEmailJob = async (emailData, options = {}) => {
         automationId: emailData.automationId,
         templateId: emailData.templateId,
         templateDisableAutoFooter: emailData.templateDisableAutoFooter || false,
+        unsubscribeToken: emailData.unsubscribeToken,
         actionId: emailData.actionId,
         from: emailData.fromEmail,
         fromName: emailData.fromName
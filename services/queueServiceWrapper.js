@@ -2,6 +2,7 @@
 
 const simpleEmailQueue = require('./simpleEmailQueue');
 const logger = require('../utils/logger');
+const { buildCampaignEmail } = require('../utils/campaignEmail');
 
 // Try to initialize the Redis-based queue service
 let queueService;
@@ -61,6 +62,15 @@ const addCampaignBatchJob = async (batchData, options = {}) => {
     }
   }
   
+  // Batches that carry their own recipients (timezone and A/B winner sends) must not fall back to
+  // re-sending the whole campaign, so their emails are queued one by one instead
+  if (Array.isArray(batchData.subscribers)) {
+    for (const subscriber of batchData.subscribers) {
+      await addEmailJob(buildCampaignEmail(batchData, subscriber), options);
+    }
+    return { id: `batch-${batchData.campaignId}-${Date.now()}`, fallback: true };
+  }
+
   // Use simple email queue as fallback
   return await simpleEmailQueue.addCampaignToQueue(batchData.campaignId, options);
 };
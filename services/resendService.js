@@ -50,6 +50,8 @@ class ResendService {
       fromName: fromName || process.env.MAILERSEND_FROM_NAME || 'EmailXP',
       subscriberId,
       campaignId,
+      automationId,
+      unsubscribeToken: emailData.unsubscribeToken,
       templateDisableAutoFooter: emailData.templateDisableAutoFooter || false
     });
 
@@ -64,6 +66,7 @@ class ResendService {
         emailAddress: to,
         subject,
         messageId,
+        providerMessageId: data?.id || null,
         status: 'sent',
         from: from || null,
         fromName: fromName || null,
@@ -0,0 +1,210 @@
+// Resolves behavior segment conditions (opens, clicks, sends, site events) into
+// sets of subscriber ids with one aggregation per distinct condition, then
+// compiles the segment with those sets substituted in as _id clauses.
+
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const OpenEvent = require('../models/OpenEvent');
+const ClickEvent = require('../models/ClickEvent');
+const { humanActivityFilter } = require('../utils/engagementClassifier');
+const EmailLog = require('../models/EmailLog');
+const BehavioralEvent = require('../models/BehavioralEvent');
+const {
+  buildSegmentQuery,
+  hasRuleTree,
+  isBehaviorField
+} = require('./segmentationService');
+
+// EmailLog statuses that never reached the subscriber's inbox
+const UNSENT_STATUSES = ['queued', 'failed'];
+
+function toObjectId(id) {
+  return id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id));
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function sinceDate(withinDays) {
+  const days = parseInt(withinDays, 10);
+  if (!days || days <= 0) return null;
+  const d = new Date();
+  d.setDate(d.getDate() - days);
+  return d;
+}
+
+function listValues(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  return String(value ?? '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Campaign ids the condition refers to, always limited to the segment owner's campaigns.
+// A value of "any" (or no value) means any of their campaigns.
+function campaignFilter(value, ctx) {
+  const requested = listValues(value);
+  if (requested.length === 0 || requested.includes('any')) {
+    return { $in: ctx.campaignIds };
+  }
+  const owned = new Set(ctx.campaignIds.map(String));
+  return { $in: requested.filter(id => owned.has(id)).map(toObjectId) };
+}
+
+function urlMatch(operator, value) {
+  const v = escapeRegExp(value);
+  switch (operator) {
+    case 'equals':
+    case 'not_equals':
+      return value;
+    case 'starts_with': return { $regex: `^${v}`, $options: 'i' };
+    case 'ends_with': return { $regex: `${v}$`, $options: 'i' };
+    default: return { $regex: v, $options: 'i' };
+  }
+}
+
+async function collectIds(Model, pipeline, idField) {
+  const rows = await Model.aggregate([
+    ...pipeline,
+    { $group: { _id: `$${idField}` } }
+  ]).allowDiskUse(true);
+  return rows.map(r => r._id).filter(Boolean);
+}
+
+const resolvers = {
+  // Received campaign X (or any campaign)
+  async campaignActivity(cond, ctx) {
+    const match = { campaignId: campaignFilter(cond.value, ctx), status: { $nin: UNSENT_STATUSES } };
+    const since = sinceDate(cond.withinDays);
+    if (since) match.sentAt = { $gte: since };
+    return collectIds(EmailLog, [{ $match: match }], 'subscriberId');
+  },
+
+  async openedCampaign(cond, ctx) {
+    const match = { campaign: campaignFilter(cond.value, ctx), ...humanActivityFilter() };
+    const since = sinceDate(cond.withinDays);
+    if (since) match.timestamp = { $gte: since };
+    return collectIds(OpenEvent, [{ $match: match }], 'subscriber');
+  },
+
+  async clickedCampaign(cond, ctx) {
+    const match = { campaign: campaignFilter(cond.value, ctx), ...humanActivityFilter() };
+    const since = sinceDate(cond.withinDays);
+    if (since) match.timestamp = { $gte: since };
+    return collectIds(ClickEvent, [{ $match: match }], 'subscriber');
+  },
+
+  // Clicked a link whose URL matches, in any of the owner's campaigns
+  async clickedLink(cond, ctx) {
+    const match = { campaign: { $in: ctx.campaignIds }, url: urlMatch(cond.operator, cond.value), ...humanActivityFilter() };
+    const since = sinceDate(cond.withinDays);
+    if (since) match.timestamp = { $gte: since };
+    return collectIds(ClickEvent, [{ $match: match }], 'subscriber');
+  },
+
+  // Received at least N campaigns and opened none of the most recent N
+  async unopenedRecentCampaigns(cond, ctx) {
+    const n = Math.max(1, parseInt(cond.value, 10) || 1);
+    const opened = {
+      $or: [
+        { $gt: ['$openCount', 0] },
+        { $gt: ['$openedAt', null] },
+        { $in: ['$status', ['opened', 'clicked']] }
+      ]
+    };
+    const rows = await EmailLog.aggregate([
+      { $match: { campaignId: { $in: ctx.campaignIds }, status: { $nin: UNSENT_STATUSES } } },
+      { $sort: { sentAt: -1 } },
+      { $group: { _id: '$subscriberId', recent: { $push: { $cond: [opened, 1, 0] } } } },
+      { $project: { recent: { $slice: ['$recent', n] } } },
+      { $match: { [`recent.${n - 1}`]: { $exists: true }, recent: { $ne: 1 } } },
+      { $project: { _id: 1 } }
+    ]).allowDiskUse(true);
+    return rows.map(r => r._id).filter(Boolean);
+  },
+
+  // Tracked site/app event by type (custom events match on their custom name),
+  // optionally narrowed to targets containing secondValue
+  async behavioralEvent(cond, ctx) {
+    const types = listValues(cond.value);
+    const match = {
+      user: ctx.userId,
+      $or: [{ eventType: { $in: types } }, { eventType: 'custom', customEventType: { $in: types } }]
+    };
+    if (cond.secondValue) match.target = { $regex: escapeRegExp(cond.secondValue), $options: 'i' };
+    const since = sinceDate(cond.withinDays);
+    if (since) match.timestamp = { $gte: since };
+    return collectIds(BehavioralEvent, [{ $match: match }], 'subscriber');
+  }
+};
+
+function conditionKey(cond) {
+  // clickedLink is the only resolver whose set depends on the operator itself
+  const operator = cond.field === 'clickedLink' ? cond.operator.replace(/^not_/, '') : null;
+  return JSON.stringify([cond.field, operator, cond.value, cond.secondValue, cond.withinDays]);
+}
+
+async function resolveCondition(cond, ctx) {
+  const key = conditionKey(cond);
+  if (!ctx.cache.has(key)) {
+    // Tracked events are keyed by user directly; everything else is scoped via the workspace's campaigns
+    if (!ctx.campaignIds && cond.field !== 'behavioralEvent') {
+      ctx.campaignIds = await Campaign.distinct('_id', ctx.organization ? { organization: ctx.organization } : { user: ctx.userId });
+    }
+    ctx.cache.set(key, await resolvers[cond.field](cond, ctx));
+  }
+  return { ...cond, subscriberIds: ctx.cache.get(key) };
+}
+
+async function resolveNode(node, ctx) {
+  if (!node) return node;
+  if (Array.isArray(node.rules)) {
+    const rules = [];
+    for (const child of node.rules) rules.push(await resolveNode(child, ctx));
+    return { ...node, rules };
+  }
+  return isBehaviorField(node.field) ? resolveCondition(node, ctx) : node;
+}
+
+/**
+ * Resolve every behavior condition in a segment definition into subscriber id sets.
+ * Identical conditions are only evaluated once.
+ * @param {Object} definition - { rules, filters, logic } (a Segment document works)
+ * @param {string|ObjectId} userId - Segment owner
+ * @param {Object} [options] - { organization }: match campaigns of the whole organization
+ * @returns {Promise<Object>} - Plain { rules, filters, logic } ready for buildSegmentQuery
+ */
+async function resolveBehaviorConditions({ rules, filters, logic } = {}, userId, { organization } = {}) {
+  const ctx = {
+    userId: toObjectId(userId),
+    organization: organization ? toObjectId(organization._id || organization) : null,
+    campaignIds: null,
+    cache: new Map()
+  };
+  const plain = (v) => (v && typeof v.toObject === 'function' ? v.toObject() : v);
+
+  const tree = plain(rules);
+  const flat = (filters || []).map(plain);
+
+  if (hasRuleTree(tree)) {
+    return { rules: await resolveNode(tree, ctx), filters: flat, logic };
+  }
+  const resolved = [];
+  for (const f of flat) resolved.push(await resolveNode(f, ctx));
+  return { rules: tree, filters: resolved, logic };
+}
+
+/**
+ * Build the Mongo query for a segment definition, including behavior conditions.
+ * @param {Object} definition - { rules, filters, logic } (a Segment document works)
+ * @param {string|ObjectId} userId - Segment owner
+ * @param {Object} [options] - { organization }: match campaigns of the whole organization
+ * @returns {Promise<Object>} - Mongo query for the Subscriber collection
+ */
+async function resolveSegmentQuery(definition, userId, options) {
+  return buildSegmentQuery(await resolveBehaviorConditions(definition, userId, options));
+}
+
+module.exports = {
+  resolveBehaviorConditions,
+  resolveSegmentQuery
+};
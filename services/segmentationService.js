@@ -7,6 +7,37 @@ const SUPPORTED_OPERATORS = new Set([
   'before','after','within_days','more_than_days_ago'
 ]);
 
+// Conditions on what a subscriber did (opens, clicks, sends, site events) rather than
+// on fields of the Subscriber document. They are resolved to subscriber id sets by
+// segmentBehaviorService before compiling; see resolveSegmentQuery there.
+const BEHAVIOR_FIELDS = new Set([
+  'campaignActivity','openedCampaign','clickedCampaign','clickedLink',
+  'unopenedRecentCampaigns','behavioralEvent'
+]);
+
+// Behavior operators that mean "has NOT done this"
+const NEGATIVE_OPERATORS = new Set(['not_equals','not_contains','not_in']);
+
+// Segment field names that are stored under a different Subscriber path
+const FIELD_PATHS = {
+  emailOpens: 'openCount',
+  emailClicks: 'clickCount',
+  subscriptionStatus: 'status'
+};
+
+function isBehaviorField(field) {
+  return BEHAVIOR_FIELDS.has(field);
+}
+
+function buildBehaviorCondition(filter) {
+  if (!Array.isArray(filter.subscriberIds)) {
+    throw new Error(`Behavior condition "${filter.field}" must be resolved before building the query`);
+  }
+  return NEGATIVE_OPERATORS.has(filter.operator)
+    ? { _id: { $nin: filter.subscriberIds } }
+    : { _id: { $in: filter.subscriberIds } };
+}
+
 function normalizeValue(field, operator, value) {
   if (['within_days','more_than_days_ago'].includes(operator)) {
     const n = parseInt(value,10); return isNaN(n)?0:n;
@@ -27,9 +58,10 @@ function dateRelative(days, direction) {
 function buildSingleCondition(filter) {
   const { field, operator } = filter;
   if (!SUPPORTED_OPERATORS.has(operator)) return {};
+  if (isBehaviorField(field)) return buildBehaviorCondition(filter);
   const value = normalizeValue(field, operator, filter.value);
   const secondValue = filter.secondValue;
-  const path = field;
+  const path = FIELD_PATHS[field] || field;
   const cond = {};
 
   switch(operator) {
@@ -71,11 +103,6 @@ function buildSingleCondition(filter) {
   }
 
 
-  if (field === 'subscriptionStatus') {
-    cond['status'] = cond[path];
-    delete cond[path];
-  }
-
   return cond;
 }
 
@@ -94,4 +121,103 @@ function buildMongoQuery(filters=[], logic='AND') {
   return combine(conditions, logic);
 }
 
-module.exports = { buildMongoQuery };
+// ---- Nested rule trees ----
+// A node with a `rules` array is a group; anything else is a single condition.
+// Groups combine their children with their own AND/OR, and any node may set
+// `negate` to wrap it in a NOT. Conditions that can't be compiled and empty
+// groups compile to null and are ignored by their parent.
+
+const MAX_RULE_DEPTH = 5;
+
+function isGroup(node) {
+  return !!node && Array.isArray(node.rules);
+}
+
+function negate(query) {
+  return { $nor: [query] };
+}
+
+function buildRuleQuery(node) {
+  if (!node) return null;
+
+  let query;
+  if (isGroup(node)) {
+    const children = node.rules.map(buildRuleQuery).filter(Boolean);
+    if (children.length === 0) return null;
+    query = combine(children, node.logic === 'OR' ? 'OR' : 'AND');
+  } else {
+    if (!node.field || !SUPPORTED_OPERATORS.has(node.operator)) return null;
+    query = buildSingleCondition(node);
+  }
+
+  return node.negate ? negate(query) : query;
+}
+
+// Returns a list of human readable problems; an empty list means the tree is usable
+function validateRuleTree(node, path = 'rules', depth = 1) {
+  const errors = [];
+  if (!node || typeof node !== 'object') {
+    return [`${path} must be an object`];
+  }
+  if (depth > MAX_RULE_DEPTH) {
+    return [`${path} is nested deeper than ${MAX_RULE_DEPTH} levels`];
+  }
+
+  if (isGroup(node)) {
+    if (node.logic && !['AND', 'OR'].includes(node.logic)) {
+      errors.push(`${path}.logic must be AND or OR`);
+    }
+    if (node.rules.length === 0) {
+      errors.push(`${path} has no conditions`);
+    }
+    node.rules.forEach((child, i) => {
+      errors.push(...validateRuleTree(child, `${path}.rules[${i}]`, depth + 1));
+    });
+    return errors;
+  }
+
+  if (!node.field) errors.push(`${path}.field is required`);
+  if (!SUPPORTED_OPERATORS.has(node.operator)) {
+    errors.push(`${path}.operator "${node.operator}" is not supported`);
+  } else if (!['is_empty', 'is_not_empty'].includes(node.operator) && (node.value === undefined || node.value === null || node.value === '')) {
+    errors.push(`${path}.value is required`);
+  }
+  return errors;
+}
+
+function hasRuleTree(rules) {
+  return isGroup(rules) && rules.rules.length > 0;
+}
+
+// True when any condition in the tree (or flat filters) is a behavior condition
+function hasBehaviorConditions({ rules, filters } = {}) {
+  const visit = (node) => {
+    if (!node) return false;
+    if (isGroup(node)) return node.rules.some(visit);
+    return isBehaviorField(node.field);
+  };
+  return visit(rules) || (filters || []).some(visit);
+}
+
+// Compile a segment (or any { rules, filters, logic } shape) into a Mongo query.
+// The rule tree wins when present so older flat segments keep working untouched.
+function buildSegmentQuery({ rules, filters, logic } = {}) {
+  const tree = rules && typeof rules.toObject === 'function' ? rules.toObject() : rules;
+  if (hasRuleTree(tree)) {
+    return buildRuleQuery(tree) || {};
+  }
+  return buildMongoQuery(filters || [], logic || 'AND');
+}
+
+module.exports = {
+  buildMongoQuery,
+  buildRuleQuery,
+  buildSegmentQuery,
+  validateRuleTree,
+  hasRuleTree,
+  isBehaviorField,
+  hasBehaviorConditions,
+  BEHAVIOR_FIELDS,
+  NEGATIVE_OPERATORS,
+  MAX_RULE_DEPTH
+};
@@ -0,0 +1,225 @@
+// emailxp/backend/services/sendTimeService.js
+// Send-time optimization: learn the hour of day each subscriber usually opens or clicks from their
+// OpenEvent/ClickEvent history and deliver an `optimal` campaign to them at that hour. The campaign
+// is split into CampaignDispatch batches across the next 24 hours, released by campaignScheduler.
+//
+// Hours are UTC hours: event timestamps are UTC, so a subscriber's habit needs no timezone.
+// Subscribers without history get the organization's best hour; without any history at all the
+// campaign goes out when it starts sending.
+
+const Campaign = require('../models/Campaign');
+const CampaignDispatch = require('../models/CampaignDispatch');
+const OpenEvent = require('../models/OpenEvent');
+const ClickEvent = require('../models/ClickEvent');
+const Subscriber = require('../models/Subscriber');
+const User = require('../models/User');
+const { addCampaignBatchJob } = require('./queueServiceWrapper');
+const { campaignContent } = require('../utils/campaignEmail');
+const { humanActivityFilter } = require('../utils/engagementClassifier');
+const { nextOccurrenceOfHour } = require('../utils/timezoneService');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 1000;
+// A click says more about when someone reads their email than an open does
+const CLICK_WEIGHT = 2;
+const lookbackDays = () => Math.max(1, parseInt(process.env.SEND_TIME_LOOKBACK_DAYS, 10) || 90);
+
+const emptyHours = () => new Array(24).fill(0);
+
+/**
+ * Busiest hour of a 24-slot histogram. Each hour also counts half of its neighbours (wrapping
+ * around midnight), so activity spread over 8:55 and 9:05 isn't split between two hours.
+ * @returns {number|null} - null without any activity
+ */
+const bestHour = (counts) => {
+  let best = null;
+  let bestScore = 0;
+  for (let hour = 0; hour < 24; hour++) {
+    const score = 2 * counts[hour] + counts[(hour + 23) % 24] + counts[(hour + 1) % 24];
+    if (score > bestScore) {
+      best = hour;
+      bestScore = score;
+    }
+  }
+  return best;
+};
+
+// Human opens and clicks since `since` matching `match`, counted per `key` and UTC hour
+const engagementByHour = async (match, since, key) => {
+  const pipeline = (Model) => Model.aggregate([
+    { $match: { ...match, ...humanActivityFilter(), timestamp: { $gte: since } } },
+    { $group: { _id: { key: key ? `$${key}` : null, hour: { $hour: '$timestamp' } }, count: { $sum: 1 } } }
+  ]);
+  const [opens, clicks] = await Promise.all([pipeline(OpenEvent), pipeline(ClickEvent)]);
+  const histograms = new Map();
+  const add = (rows, weight) => rows.forEach(({ _id, count }) => {
+    const id = String(_id.key);
+    if (!histograms.has(id)) histograms.set(id, emptyHours());
+    histograms.get(id)[_id.hour] += count * weight;
+  });
+  add(opens, 1);
+  add(clicks, CLICK_WEIGHT);
+  return histograms;
+};
+
+const sinceFor = (now) => new Date(now.getTime() - lookbackDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Predicted engagement hour (UTC) per subscriber; subscribers without recent human activity are left out.
+ * @param {Array} subscriberIds
+ * @returns {Promise<Map<string, number>>} subscriber id => hour
+ */
+async function predictSubscriberHours(subscriberIds, { now = new Date() } = {}) {
+  const hours = new Map();
+  const since = sinceFor(now);
+  for (let i = 0; i < subscriberIds.length; i += BATCH_SIZE) {
+    const histograms = await engagementByHour({ subscriber: { $in: subscriberIds.slice(i, i + BATCH_SIZE) } }, since, 'subscriber');
+    for (const [subscriberId, counts] of histograms) {
+      const hour = bestHour(counts);
+      if (hour !== null) hours.set(subscriberId, hour);
+    }
+  }
+  return hours;
+}
+
+/**
+ * Busiest engagement hour (UTC) across every campaign of the user's organization (or the user's own
+ * campaigns when they don't belong to one).
+ * @returns {Promise<number|null>}
+ */
+async function organizationBestHour(userId, { now = new Date() } = {}) {
+  const user = await User.findById(userId).select('organization').lean();
+  const userIds = user && user.organization
+    ? await User.distinct('_id', { organization: user.organization })
+    : [userId];
+  const campaignIds = await Campaign.distinct('_id', { user: { $in: userIds } });
+  if (campaignIds.length === 0) return null;
+  const histograms = await engagementByHour({ campaign: { $in: campaignIds } }, sinceFor(now));
+  const counts = histograms.get('null');
+  return counts ? bestHour(counts) : null;
+}
+
+/**
+ * Split an `optimal` campaign's recipients into CampaignDispatch batches by predicted hour, each
+ * scheduled at that hour's next occurrence within 24 hours of `now`. Recipients whose hour is the
+ * current one are scheduled right away.
+ * @param {Object} campaign - Campaign document; scheduledDispatches is replaced (caller saves)
+ * @param {Array} subscribers - Lean subscribers ({ _id })
+ * @returns {Promise<Object>} { dispatches, predicted, organizationDefault, campaignDefault }
+ */
+async function planOptimalSend(campaign, subscribers, groupId = null, { now = new Date() } = {}) {
+  const predictions = await predictSubscriberHours(subscribers.map(s => s._id), { now });
+  const fallbackHour = predictions.size < subscribers.length ? await organizationBestHour(campaign.user, { now }) : null;
+  const currentHour = now.getUTCHours();
+
+  const byHour = new Map();
+  const counts = { predicted: 0, organizationDefault: 0, campaignDefault: 0 };
+  for (const subscriber of subscribers) {
+    let hour = predictions.get(String(subscriber._id));
+    if (hour !== undefined) counts.predicted++;
+    else if (fallbackHour !== null) {
+      hour = fallbackHour;
+      counts.organizationDefault++;
+    } else {
+      hour = currentHour;
+      counts.campaignDefault++;
+    }
+    if (!byHour.has(hour)) byHour.set(hour, []);
+    byHour.get(hour).push(subscriber._id);
+  }
+
+  const dispatches = [];
+  const summary = [];
+  for (const [hour, ids] of [...byHour].sort(([a], [b]) => a - b)) {
+    const scheduledAtUtc = hour === currentHour ? now : nextOccurrenceOfHour(hour, 'UTC', now);
+    summary.push({ timezone: 'UTC', hour, recipientCount: ids.length, scheduledAtUtc, sent: false, sentAt: null });
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      dispatches.push({
+        campaign: campaign._id,
+        user: campaign.user,
+        group: groupId,
+        hour,
+        scheduledAtUtc,
+        subscribers: ids.slice(i, i + BATCH_SIZE)
+      });
+    }
+  }
+
+  await CampaignDispatch.insertMany(dispatches);
+  campaign.scheduledDispatches = summary.sort((a, b) => a.scheduledAtUtc - b.scheduledAtUtc);
+
+  return { dispatches: summary.length, ...counts };
+}
+
+// Mark the hour's dispatch entry sent once its last batch is out, and the campaign once every batch is
+async function settleCampaign(dispatch, now) {
+  const hourPending = await CampaignDispatch.exists({ campaign: dispatch.campaign, hour: dispatch.hour, status: { $in: ['pending', 'sending'] } });
+  if (!hourPending) {
+    await Campaign.updateOne(
+      { _id: dispatch.campaign, 'scheduledDispatches.hour': dispatch.hour },
+      { $set: { 'scheduledDispatches.$.sent': true, 'scheduledDispatches.$.sentAt': now } }
+    );
+  }
+  const campaignPending = await CampaignDispatch.exists({ campaign: dispatch.campaign, status: { $in: ['pending', 'sending'] } });
+  if (campaignPending) return;
+
+  const campaign = await Campaign.findById(dispatch.campaign);
+  if (campaign && campaign.status === 'sending') {
+    campaign.status = campaign.emailsSuccessfullySent > 0 ? 'sent' : 'failed';
+    campaign.sentAt = now;
+    await campaign.save();
+  }
+}
+
+/**
+ * Queue every CampaignDispatch batch whose time has come. Each batch is claimed before it is
+ * queued, so overlapping ticks never send it twice. Recipients who unsubscribed, bounced or were
+ * deleted since planning are skipped, and batches of cancelled campaigns are cancelled.
+ * @returns {Promise<Object>} { released, failed }
+ */
+async function releaseDueDispatches({ limit = 50, now = new Date() } = {}) {
+  const result = { released: 0, failed: 0 };
+  for (let i = 0; i < limit; i++) {
+    const dispatch = await CampaignDispatch.findOneAndUpdate(
+      { status: 'pending', scheduledAtUtc: { $lte: now } },
+      { $set: { status: 'sending' } },
+      { new: true, sort: { scheduledAtUtc: 1 } }
+    );
+    if (!dispatch) break;
+
+    try {
+      const campaign = await Campaign.findById(dispatch.campaign);
+      if (!campaign || campaign.status !== 'sending') {
+        dispatch.status = 'cancelled';
+        await dispatch.save();
+        continue;
+      }
+
+      const subscribers = await Subscriber.find({ _id: { $in: dispatch.subscribers }, status: 'subscribed', isDeleted: false })
+        .select('_id email name location customFields')
+        .lean();
+      if (subscribers.length > 0) {
+        await addCampaignBatchJob({ ...campaignContent(campaign, dispatch.group), subscribers, hour: dispatch.hour });
+        await Campaign.updateOne({ _id: campaign._id }, { $inc: { emailsSuccessfullySent: subscribers.length } });
+      }
+      dispatch.set({ status: 'sent', sentAt: now, sentCount: subscribers.length });
+      await dispatch.save();
+      result.released++;
+    } catch (error) {
+      logger.error('[SendTime] Failed to release dispatch', { dispatchId: dispatch._id, campaignId: dispatch.campaign, error: error.message });
+      dispatch.set({ status: 'failed', error: error.message });
+      await dispatch.save();
+      result.failed++;
+    }
+    await settleCampaign(dispatch, now);
+  }
+  return result;
+}
+
+module.exports = {
+  bestHour,
+  predictSubscriberHours,
+  organizationBestHour,
+  planOptimalSend,
+  releaseDueDispatches
+};
@@ -0,0 +1,189 @@
+// emailxp/backend/services/sessionService.js
+// Server-side sessions behind short-lived access tokens and rotating refresh tokens
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const generateToken = require('../utils/generateToken');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+// Matches the Organization.settings.sessionTimeout default, for users without an organization
+const DEFAULT_SESSION_TIMEOUT_HOURS = 24;
+// lastSeenAt is only written when it is older than this, to avoid a write per request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function clientIp(req) {
+  return req.ip || (req.headers && req.headers['x-forwarded-for']) || req.connection?.remoteAddress || 'unknown';
+}
+
+// Short human label for the session list, e.g. "Chrome on macOS"
+function describeDevice(userAgent = '') {
+  const ua = String(userAgent);
+  const browser = /Edg\//.test(ua) ? 'Edge'
+    : /OPR\/|Opera/.test(ua) ? 'Opera'
+    : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome'
+    : /Safari\//.test(ua) ? 'Safari'
+    : null;
+  const os = /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+    : /Android/.test(ua) ? 'Android'
+    : /Mac OS X|Macintosh/.test(ua) ? 'macOS'
+    : /Windows/.test(ua) ? 'Windows'
+    : /Linux/.test(ua) ? 'Linux'
+    : null;
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function sessionTimeoutHours(orgSettings) {
+  const hours = orgSettings && Number(orgSettings.sessionTimeout);
+  return hours > 0 ? hours : DEFAULT_SESSION_TIMEOUT_HOURS;
+}
+
+// Security settings that apply to every request, or null for users without an organization
+async function getOrganizationSettings(organizationId) {
+  if (!organizationId) return null;
+  const org = await Organization.findById(organizationId._id || organizationId)
+    .select('settings.requireTwoFactor settings.sessionTimeout')
+    .lean();
+  return org ? org.settings : null;
+}
+
+/**
+ * Create a session for a freshly authenticated user.
+ * @returns {Promise<{ accessToken: string, refreshToken: string, session: Object }>}
+ */
+async function startSession(user, req) {
+  const userAgent = req.headers && req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 500) : '';
+  const session = new Session({
+    user: user._id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ipAddress: clientIp(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { accessToken: generateToken(user._id, session._id), refreshToken, session };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair (the old refresh token stops working).
+ * Re-presenting an already rotated token revokes the session, since it means the token was copied.
+ * @param {string} refreshToken
+ * @param {Object} req
+ * @returns {Promise<{ accessToken, refreshToken, session } | { error: string }>}
+ */
+async function refreshSession(refreshToken, req) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId || !/^[0-9a-f]{24}$/i.test(sessionId)) return { error: 'invalid_token' };
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return { error: 'session_expired' };
+
+  const presented = hashToken(refreshToken);
+  if (presented !== session.refreshTokenHash) {
+    if (presented === session.previousRefreshTokenHash) {
+      await revokeSession(session._id, session.user, 'refresh_reuse');
+      return { error: 'token_reused' };
+    }
+    return { error: 'invalid_token' };
+  }
+
+  const user = await User.findById(session.user).select('organization').lean();
+  if (!user) {
+    await revokeSession(session._id, session.user, 'revoked');
+    return { error: 'session_expired' };
+  }
+  const orgSettings = await getOrganizationSettings(user.organization);
+  if (session.isIdleExpired(sessionTimeoutHours(orgSettings))) {
+    await revokeSession(session._id, session.user, 'timeout');
+    return { error: 'session_expired' };
+  }
+
+  const nextToken = newRefreshToken(session._id);
+  // Conditional on the current hash so two concurrent refreshes can't both rotate
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presented, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousRefreshTokenHash: presented,
+        lastSeenAt: new Date(),
+        ipAddress: clientIp(req)
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) return { error: 'invalid_token' };
+
+  return { accessToken: generateToken(session.user, session._id), refreshToken: nextToken, session: rotated };
+}
+
+/**
+ * Check the session behind an access token. Revokes it if the idle timeout has passed.
+ * @returns {Promise<{ session?: Object, error?: string }>}
+ */
+async function validateSession(sessionId, userId, orgSettings) {
+  const session = sessionId ? await Session.findById(sessionId) : null;
+  if (!session || String(session.user) !== String(userId) || !session.isActive()) {
+    return { error: 'session_revoked' };
+  }
+  if (session.isIdleExpired(sessionTimeoutHours(orgSettings))) {
+    await revokeSession(session._id, userId, 'timeout');
+    return { error: 'session_expired' };
+  }
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > TOUCH_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+  }
+  return { session };
+}
+
+async function listSessions(userId) {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('device userAgent ipAddress lastSeenAt createdAt expiresAt')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+}
+
+// Returns true if a live session was revoked
+async function revokeSession(sessionId, userId, reason = 'revoked') {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Returns the number of sessions revoked
+async function revokeAllSessions(userId, { exceptSessionId, reason = 'revoked_all' } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  getOrganizationSettings,
+  startSession,
+  refreshSession,
+  validateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  describeDevice,
+  sessionTimeoutHours,
+  hashToken
+};
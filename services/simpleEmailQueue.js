@@ -6,7 +6,8 @@ const Campaign = require('../models/Campaign');
 const EmailLog = require('../models/EmailLog');
 const mongoose = require('mongoose');
 const { personalizeDynamicContent } = require('./personalizationService');
-const suppressionService = require('./suppressionService');
+const campaignAudienceService = require('./campaignAudienceService');
+const usageService = require('./usageService');
 
 class SimpleEmailQueue {
   constructor() {
@@ -16,7 +17,8 @@ class SimpleEmailQueue {
       waiting: 0,
       active: 0,
       completed: 0,
-      failed: 0
+      failed: 0,
+      delayed: 0
     };
     
     // Clean up any invalid jobs on startup
@@ -79,18 +81,39 @@ class SimpleEmailQueue {
   }
 
   /**
-   * Add email to queue
+   * Add email to queue. options.delay (ms) holds the email back like a delayed Bull job, e.g. for
+   * A/B send-hour variants; like everything in this queue it is lost on restart.
    */
   async addEmailToQueue(emailData, campaignId, subscriberId, options = {}) {
+    const delay = Number(options.delay) || 0;
     const job = {
       id: Date.now() + Math.random(),
       type: 'send-email',
       data: { emailData, campaignId, subscriberId },
       options,
-      status: 'waiting',
+      status: delay > 0 ? 'delayed' : 'waiting',
       createdAt: new Date()
     };
 
+    if (delay > 0) {
+      job.scheduledFor = new Date(Date.now() + delay);
+      this.stats.delayed++;
+      setTimeout(() => {
+        this.stats.delayed--;
+        this.enqueue(job);
+      }, delay);
+      return job.id;
+    }
+
+    this.enqueue(job);
+    return job.id;
+  }
+
+  /**
+   * Put a job on the queue and start processing
+   */
+  enqueue(job) {
+    job.status = 'waiting';
     this.queue.push(job);
     this.stats.waiting++;
     
@@ -98,8 +121,6 @@ class SimpleEmailQueue {
     if (!this.processing) {
       this.processQueue();
     }
-
-    return job.id;
   }
 
   /**
@@ -355,59 +376,10 @@ class SimpleEmailQueue {
       fromEmail: campaign.fromEmail
     });
 
-    // Get subscribers from different sources
-    let subscribers = campaign.individualSubscribers || [];
-  logger.debug('Initial individual subscribers', { count: subscribers.length });
-    
-    // If no individual subscribers, get from groups and segments
-    if (subscribers.length === 0) {
-      const Subscriber = require('../models/Subscriber');
-      const allSubscribers = new Set();
-      
-      // Get subscribers from groups
-      if (campaign.groups && campaign.groups.length > 0) {
-        const groupIds = campaign.groups.map(g => g._id);
-  logger.debug('Fetching group subscribers', { groups: groupIds });
-        const groupSubscribers = await Subscriber.find({
-          groups: { $in: groupIds },
-          status: 'subscribed'
-        });
-  logger.debug('Group subscribers found', { count: groupSubscribers.length });
-        groupSubscribers.forEach(sub => allSubscribers.add(sub._id.toString()));
-      }
-      
-      // Get subscribers from segments
-      if (campaign.segments && campaign.segments.length > 0) {
-        // For now, get all subscribed users for segments (you can implement segment logic later)
-        const segmentSubscribers = await Subscriber.find({
-          status: 'subscribed'
-        });
-        segmentSubscribers.forEach(sub => allSubscribers.add(sub._id.toString()));
-      }
-      
-      // Convert back to subscriber objects
-      if (allSubscribers.size > 0) {
-  logger.debug('Unique subscriber IDs gathered', { total: allSubscribers.size });
-        subscribers = await Subscriber.find({
-          _id: { $in: Array.from(allSubscribers) },
-          status: 'subscribed'
-        });
-  logger.debug('Final subscribers loaded', { total: subscribers.length });
-      } else {
-  logger.info('No subscribers found in groups or segments');
-      }
-    }
-
-  logger.info('Campaign subscribers loaded', { campaignId: objectId, total: subscribers.length });
-
-    // Suppression filtering
-    const allEmails = subscribers.map(s => s.email.toLowerCase());
-    const { suppressed } = await suppressionService.bulkFilter(allEmails, campaign.organization || null);
-    if (suppressed.size) {
-      const before = subscribers.length;
-      subscribers = subscribers.filter(s => !suppressed.has(s.email.toLowerCase()));
-  logger.info('Suppression applied', { campaignId: objectId, skipped: before - subscribers.length });
-    }
+    // Groups, segments and individuals, deduped by email and frozen for this send (suppressions and
+    // preference opt-outs are recorded in the snapshot and left out here)
+    const { subscribers, reused, snapshot } = await campaignAudienceService.snapshotAudience(campaign);
+  logger.info('Campaign subscribers loaded', { campaignId: objectId, total: subscribers.length, reused, snapshot });
 
     if (subscribers.length === 0) {
   logger.warn('No eligible subscribers after suppression', { campaignId: objectId });
@@ -419,6 +391,17 @@ class SimpleEmailQueue {
       return;
     }
 
+    // The audience counts against the plan's monthly emails once, when its snapshot is taken
+    if (!reused) {
+      const usage = await usageService.consumeForUser(campaign.user, 'emails', subscribers.length);
+      if (!usage.allowed) {
+        logger.warn('Campaign blocked by plan limit', { campaignId: objectId, current: usage.current, limit: usage.limit });
+        await campaignAudienceService.discardSnapshot(objectId);
+        await Campaign.findByIdAndUpdate(objectId, { status: 'failed', error: usageService.limitMessage(usage) });
+        return;
+      }
+    }
+
   const { template, subject, fromName } = campaign;
     // Fetch primary domain auth for bounce metadata (non-blocking if fails)
     let primaryDomainAuth = null;
@@ -455,6 +438,7 @@ class SimpleEmailQueue {
           fromName: fromName,
           subject: this.personalizeSubject(subject, subscriber),
           html: personalizedContent,
+          unsubscribeToken: subscriber.unsubscribeToken,
           campaignType: campaign.type,
           category: campaign.category,
           bounce: primaryDomainAuth ? {
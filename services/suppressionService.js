@@ -22,10 +22,9 @@ class SuppressionService {
     return Suppression.recordEvent({ email, type, reason, source, user, organization, meta });
   }
 
+  // Only the workspace's own entry is lifted (stored like recordEvent: no organization is null)
   async remove({ email, type, organization }) {
-    const query = { email: email.toLowerCase(), type };
-    if (organization) query.organization = organization;
-    return Suppression.deleteOne(query);
+    return Suppression.deleteOne({ email: email.toLowerCase(), type, organization: organization || null });
   }
 }
 
@@ -0,0 +1,87 @@
+// emailxp/backend/services/twoFactorService.js
+// Second-factor checks shared by login and the 2FA management endpoints
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const totp = require('../utils/totp');
+
+const CHALLENGE_TOKEN_TYPE = '2fa_challenge';
+const CHALLENGE_TTL = '5m';
+
+// Short-lived token proving the password step succeeded; only /login/2fa accepts it
+function createChallengeToken(userId) {
+  return jwt.sign({ id: userId, type: CHALLENGE_TOKEN_TYPE }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+}
+
+// Returns the user id, or null if the token is invalid, expired or not a challenge token
+function verifyChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === CHALLENGE_TOKEN_TYPE ? decoded.id : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Verify a TOTP code and record its time step so the same code can't be replayed.
+ * @param {Object} user - User document with twoFactorSecret selected
+ * @param {string} code - 6 digit code
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotp(user, code) {
+  const step = totp.verifyCode(user.twoFactorSecret, code, { lastUsedStep: user.twoFactorLastUsedStep });
+  if (step === null) return false;
+  // Atomic so two concurrent requests can't both spend the same code
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }] },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Spend a recovery code; atomic so each code works exactly once
+async function consumeRecoveryCode(user, code) {
+  const hashed = User.hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorBackupCodes: hashed },
+    { $pull: { twoFactorBackupCodes: hashed } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Accept either a TOTP code or a one-time recovery code.
+ * @returns {Promise<{ ok: boolean, method?: 'totp'|'recovery_code' }>}
+ */
+async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+  if (code && await verifyTotp(user, code)) {
+    return { ok: true, method: 'totp' };
+  }
+  if (recoveryCode && await consumeRecoveryCode(user, recoveryCode)) {
+    return { ok: true, method: 'recovery_code' };
+  }
+  return { ok: false };
+}
+
+// Whether the user's organization requires 2FA. Accepts a populated organization or an id.
+async function isTwoFactorRequired(user) {
+  const org = user && user.organization;
+  if (!org) return false;
+  if (org.settings && typeof org.settings.requireTwoFactor === 'boolean') {
+    return org.settings.requireTwoFactor;
+  }
+  const orgId = org._id || org;
+  return !!(await Organization.exists({ _id: orgId, 'settings.requireTwoFactor': true }));
+}
+
+module.exports = {
+  CHALLENGE_TOKEN_TYPE,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyTotp,
+  consumeRecoveryCode,
+  verifySecondFactor,
+  isTwoFactorRequired
+};
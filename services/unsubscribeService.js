@@ -0,0 +1,68 @@
+// emailxp/backend/services/unsubscribeService.js
+// One-click unsubscribes (RFC 8058) sent by mailbox providers to the List-Unsubscribe URL
+
+const mongoose = require('mongoose');
+const Subscriber = require('../models/Subscriber');
+const Campaign = require('../models/Campaign');
+const ConsentRecord = require('../models/ConsentRecord');
+const suppressionService = require('./suppressionService');
+const { workspaceOf } = require('../utils/workspace');
+
+/**
+ * Process a one-click unsubscribe. A campaign sent under a preference category only opts the
+ * subscriber out of that category; anything else unsubscribes them from the list and suppresses
+ * the address. Repeated requests are harmless.
+ * @param {Object} request - { unsubscribeToken, campaignId, ip, userAgent }
+ * @returns {Promise<Object>} { result: 'unsubscribed' | 'category_unsubscribed' | 'not_found', category? }
+ */
+async function processOneClickUnsubscribe({ unsubscribeToken, campaignId, ip, userAgent }) {
+  if (!unsubscribeToken) return { result: 'not_found' };
+  const subscriber = await Subscriber.findOne({ unsubscribeToken: String(unsubscribeToken), isDeleted: false });
+  if (!subscriber) return { result: 'not_found' };
+
+  let campaign = null;
+  if (campaignId && mongoose.Types.ObjectId.isValid(campaignId)) {
+    campaign = await Campaign.findOne({ _id: campaignId, ...workspaceOf(subscriber) }).select('preferenceCategory');
+  }
+  const consent = {
+    subscriber: subscriber._id,
+    email: subscriber.email,
+    user: subscriber.user,
+    method: 'one-click',
+    ip,
+    userAgent
+  };
+  const metadata = { source: 'list-unsubscribe', campaign: campaign ? campaign._id : null };
+
+  if (campaign && campaign.preferenceCategory) {
+    const category = campaign.preferenceCategory;
+    const alreadyOut = (subscriber.unsubscribedCategories || []).some(id => String(id) === String(category));
+    if (!alreadyOut) {
+      await Subscriber.updateOne({ _id: subscriber._id }, { $addToSet: { unsubscribedCategories: category } });
+      await ConsentRecord.create({ ...consent, type: 'preference-update', metadata: { ...metadata, unsubscribedCategory: category } });
+    }
+    return { result: 'category_unsubscribed', category };
+  }
+
+  if (subscriber.status !== 'unsubscribed') {
+    await subscriber.unsubscribe();
+    await ConsentRecord.create({ ...consent, type: 'unsubscribe', metadata });
+    if (campaign) {
+      await Campaign.updateOne({ _id: campaign._id }, { $inc: { unsubscribedCount: 1 } });
+    }
+  }
+  await suppressionService.add({
+    email: subscriber.email,
+    type: 'unsubscribe',
+    reason: 'List-Unsubscribe one-click',
+    source: 'user',
+    user: subscriber.user,
+    organization: subscriber.organization,
+    meta: metadata
+  });
+  return { result: 'unsubscribed' };
+}
+
+module.exports = {
+  processOneClickUnsubscribe
+};
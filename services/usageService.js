@@ -0,0 +1,319 @@
+// emailxp/backend/services/usageService.js
+// Plan enforcement: meters Organization.usage against Organization.limits wherever billable work
+// happens (emails queued, subscribers created/imported, templates, campaigns, automations, API key
+// calls). Counters are incremented atomically with the limit check, so concurrent requests can't
+// overshoot a hard limit; resources listed in settings.limitPolicy.softLimits may run up to
+// overagePercent past their limit and are flagged as overage. Monthly counters reset on the billing
+// period boundary, the API counter daily, and usage alerts go to the organization email at 80% and
+// 100% of a limit when settings.notifications.usageAlerts is on.
+
+const moment = require('moment-timezone');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Subscriber = require('../models/Subscriber');
+const Template = require('../models/Template');
+const Automation = require('../models/Automation');
+const logger = require('../utils/logger');
+
+// counter: field under usage, limit: field under limits, window: when the counter resets
+// ('billing' period, UTC 'day', or null for gauges that track a current total)
+const RESOURCES = {
+  users: { counter: 'users', limit: 'users', window: null, label: 'team member' },
+  emails: { counter: 'emailsSentThisMonth', limit: 'emailsPerMonth', window: 'billing', label: 'monthly email' },
+  subscribers: { counter: 'subscribersCount', limit: 'subscribersMax', window: null, label: 'subscriber' },
+  templates: { counter: 'templatesCount', limit: 'templatesMax', window: null, label: 'template' },
+  campaigns: { counter: 'campaignsThisMonth', limit: 'campaignsPerMonth', window: 'billing', label: 'monthly campaign' },
+  automation: { counter: 'automationRulesCount', limit: 'automationRules', window: null, label: 'automation' },
+  api: { counter: 'apiCallsToday', limit: 'apiCallsPerDay', window: 'day', label: 'daily API call' }
+};
+
+const ALERT_THRESHOLDS = [80, 100];
+const DEFAULT_OVERAGE_PERCENT = 20;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const resourceDef = (resource) => {
+  const def = RESOURCES[resource];
+  if (!def) throw new Error(`Unknown usage resource: ${resource}`);
+  return def;
+};
+
+/**
+ * End of the current billing period: the subscription's period end when billing has moved it past
+ * the last reset, otherwise one month after the last reset.
+ */
+function billingPeriodEnd(org) {
+  const lastReset = org.usage?.lastResetDate ? new Date(org.usage.lastResetDate) : new Date(0);
+  const periodEnd = org.subscription?.currentPeriodEnd ? new Date(org.subscription.currentPeriodEnd) : null;
+  if (periodEnd && periodEnd > lastReset) return periodEnd;
+  return moment.utc(lastReset).add(1, 'month').toDate();
+}
+
+const resetFields = (resources) => resources.reduce((fields, resource) => {
+  fields[`usage.overages.${resource}`] = 1;
+  fields[`usage.alertsSent.${resource}`] = 1;
+  return fields;
+}, {});
+
+/**
+ * Recount the gauge counters (users, subscribers, templates, automations) from the collections, so
+ * drift from deletes that weren't metered is corrected once per billing period.
+ */
+async function recountGauges(orgId) {
+  const users = await User.find({ organization: orgId }).select('_id').lean();
+  const userIds = users.map(user => user._id);
+  // The organization's workspace, plus members' documents not yet migrated to it
+  const workspace = { $or: [{ organization: orgId }, { organization: null, user: { $in: userIds } }] };
+  const [subscribersCount, templatesCount, automationRulesCount] = await Promise.all([
+    Subscriber.countDocuments({ ...workspace, isDeleted: false }),
+    Template.countDocuments({ ...workspace, isActive: true }),
+    Automation.countDocuments(workspace)
+  ]);
+  await Organization.updateOne({ _id: orgId }, {
+    $set: {
+      'usage.users': userIds.length,
+      'usage.subscribersCount': subscribersCount,
+      'usage.templatesCount': templatesCount,
+      'usage.automationRulesCount': automationRulesCount
+    }
+  });
+}
+
+/**
+ * Reset the billing-period and daily counters if their window has passed. Each reset is a
+ * compare-and-set on the previous reset marker, so only one of several concurrent callers applies it.
+ * @returns {Promise<Object|null>} the organization (lean) as of after any reset
+ */
+async function ensureCurrentPeriod(orgOrId, now = new Date()) {
+  const orgId = idOf(orgOrId);
+  let org = await Organization.findById(orgId).select('name email usage limits subscription settings').lean();
+  if (!org) return null;
+  let changed = false;
+
+  if (now >= billingPeriodEnd(org)) {
+    const monthly = Object.keys(RESOURCES).filter(resource => RESOURCES[resource].window === 'billing');
+    const { modifiedCount } = await Organization.updateOne(
+      { _id: orgId, 'usage.lastResetDate': org.usage?.lastResetDate ?? null },
+      {
+        $set: { 'usage.emailsSentThisMonth': 0, 'usage.campaignsThisMonth': 0, 'usage.lastResetDate': now },
+        $unset: resetFields(monthly)
+      }
+    );
+    if (modifiedCount) {
+      await recountGauges(orgId);
+      logger.info('Organization usage reset for new billing period', { organizationId: orgId });
+    }
+    changed = true;
+  }
+
+  const today = moment.utc(now).startOf('day').toDate();
+  const apiDay = org.usage?.apiCallsDay ? new Date(org.usage.apiCallsDay) : null;
+  if (!apiDay || apiDay < today) {
+    await Organization.updateOne(
+      { _id: orgId, 'usage.apiCallsDay': org.usage?.apiCallsDay ?? null },
+      {
+        $set: { 'usage.apiCallsToday': 0, 'usage.apiCallsDay': today },
+        $unset: resetFields(['api'])
+      }
+    );
+    changed = true;
+  }
+
+  if (changed) {
+    org = await Organization.findById(orgId).select('name email usage limits subscription settings').lean();
+  }
+  return org;
+}
+
+const capFor = (org, resource, limit) => {
+  const policy = org.settings?.limitPolicy || {};
+  const soft = (policy.softLimits || []).includes(resource);
+  const overagePercent = policy.overagePercent ?? DEFAULT_OVERAGE_PERCENT;
+  return { soft, cap: soft ? Math.floor(limit * (1 + overagePercent / 100)) : limit };
+};
+
+async function sendAlert(org, resource, { current, limit, blocked }) {
+  const def = RESOURCES[resource];
+  const percent = limit > 0 ? Math.floor((current / limit) * 100) : 100;
+  const threshold = blocked ? 100 : ALERT_THRESHOLDS.filter(value => percent >= value).pop();
+  if (!threshold) return false;
+
+  // Claim the alert level first so each threshold is announced once per period
+  const path = `usage.alertsSent.${resource}`;
+  const { modifiedCount } = await Organization.updateOne(
+    { _id: org._id, $or: [{ [path]: { $exists: false } }, { [path]: { $lt: threshold } }] },
+    { $set: { [path]: threshold } }
+  );
+  if (!modifiedCount) return false;
+  if (org.settings?.notifications?.usageAlerts === false || !org.email) return false;
+
+  try {
+    // Required lazily: the email service pulls in tracking models this service doesn't otherwise need
+    const emailService = require('../utils/emailService');
+    await emailService.sendUsageAlertEmail(org.email, {
+      organizationName: org.name,
+      resource: `${def.label}s`,
+      current,
+      limit,
+      percent: Math.min(percent, 100),
+      blocked
+    });
+    return true;
+  } catch (error) {
+    logger.error('Failed to send usage alert', { organizationId: org._id, resource, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Meter `amount` units of a resource for an organization. Hard limits block once the counter would
+ * pass the limit; soft limits allow up to the overage cap and report `overage` past the limit.
+ * Organizations without a numeric limit for the resource are counted but never blocked.
+ * @param {Object|string} orgOrId - Organization document or id
+ * @param {string} resource - users | emails | subscribers | templates | campaigns | automation | api
+ * @returns {Promise<Object>} { allowed, overage, resource, current, limit, cap, soft }
+ */
+async function consume(orgOrId, resource, amount = 1, { now = new Date() } = {}) {
+  const def = resourceDef(resource);
+  const org = await ensureCurrentPeriod(orgOrId, now);
+  if (!org) return { allowed: true, overage: false, resource, metered: false };
+
+  const path = `usage.${def.counter}`;
+  const limit = org.limits?.[def.limit];
+  if (typeof limit !== 'number') {
+    await Organization.updateOne({ _id: org._id }, { $inc: { [path]: amount } });
+    return { allowed: true, overage: false, resource, metered: false };
+  }
+
+  const { soft, cap } = capFor(org, resource, limit);
+  const updated = amount > 0
+    ? await Organization.findOneAndUpdate(
+      { _id: org._id, [path]: { $lte: cap - amount } },
+      { $inc: { [path]: amount } },
+      { new: true, projection: { usage: 1 } }
+    ).lean()
+    : org;
+
+  if (!updated) {
+    const current = org.usage?.[def.counter] || 0;
+    await sendAlert(org, resource, { current, limit, blocked: true });
+    return { allowed: false, overage: false, resource, current, limit, cap, soft };
+  }
+
+  const current = updated.usage?.[def.counter] || 0;
+  const overage = current > limit;
+  if (overage) {
+    await Organization.updateOne(
+      { _id: org._id, [`usage.overages.${resource}`]: { $exists: false } },
+      { $set: { [`usage.overages.${resource}`]: now } }
+    );
+  }
+  await sendAlert(org, resource, { current, limit, blocked: false });
+
+  return { allowed: true, overage, resource, current, limit, cap, soft };
+}
+
+/**
+ * Give back units of a gauge resource (subscriber or template deleted, send aborted), never going
+ * below zero. Once a gauge is back under its limit its overage flag is cleared, and under the first
+ * alert threshold its alerts can fire again.
+ */
+async function release(orgOrId, resource, amount = 1) {
+  const def = resourceDef(resource);
+  if (amount <= 0) return null;
+  const path = `usage.${def.counter}`;
+  const updated = await Organization.findOneAndUpdate(
+    { _id: idOf(orgOrId) },
+    [{ $set: { [path]: { $max: [0, { $subtract: [{ $ifNull: [`$${path}`, 0] }, amount] }] } } }],
+    { new: true, projection: { usage: 1, limits: 1 } }
+  ).lean();
+  if (!updated) return null;
+
+  const current = updated.usage?.[def.counter] || 0;
+  const limit = updated.limits?.[def.limit];
+  if (typeof limit === 'number') {
+    const unset = {};
+    if (current <= limit) unset[`usage.overages.${resource}`] = 1;
+    if (current < (limit * ALERT_THRESHOLDS[0]) / 100) unset[`usage.alertsSent.${resource}`] = 1;
+    if (Object.keys(unset).length) await Organization.updateOne({ _id: updated._id }, { $unset: unset });
+  }
+  return current;
+}
+
+// The organization a user belongs to, from a populated/partial user or a user id
+async function organizationOf(userOrId) {
+  if (!userOrId) return null;
+  if (userOrId.organization) return idOf(userOrId.organization);
+  const user = await User.findById(idOf(userOrId)).select('organization').lean();
+  return user?.organization || null;
+}
+
+/**
+ * consume() for the organization of a user. Users without an organization aren't metered.
+ */
+async function consumeForUser(userOrId, resource, amount = 1, options = {}) {
+  const orgId = await organizationOf(userOrId);
+  if (!orgId) return { allowed: true, overage: false, resource, metered: false };
+  return consume(orgId, resource, amount, options);
+}
+
+async function releaseForUser(userOrId, resource, amount = 1) {
+  const orgId = await organizationOf(userOrId);
+  return orgId ? release(orgId, resource, amount) : null;
+}
+
+/**
+ * Error message for a blocked consume() result.
+ */
+function limitMessage(result) {
+  const def = resourceDef(result.resource);
+  const reset = def.window === 'billing' ? ' or wait for the next billing period'
+    : def.window === 'day' ? ' or try again tomorrow' : '';
+  return `Plan ${def.label} limit reached (${result.current} of ${result.limit}). Upgrade your plan${reset}.`;
+}
+
+/**
+ * Error for a blocked consume() result; callers set the 429 status before throwing it.
+ */
+function limitError(result) {
+  const error = new Error(limitMessage(result));
+  error.code = 'PLAN_LIMIT_REACHED';
+  return error;
+}
+
+/**
+ * Usage per resource for the current period.
+ * @returns {Promise<Object|null>} { periodEnd, usage, limits, resources: { [resource]: { current, limit, percentage, soft, cap, overageSince } } }
+ */
+async function usageSummary(orgOrId, { now = new Date() } = {}) {
+  const org = await ensureCurrentPeriod(orgOrId, now);
+  if (!org) return null;
+  const resources = {};
+  for (const [resource, def] of Object.entries(RESOURCES)) {
+    const current = org.usage?.[def.counter] || 0;
+    const limit = org.limits?.[def.limit];
+    const { soft, cap } = typeof limit === 'number' ? capFor(org, resource, limit) : { soft: false, cap: null };
+    resources[resource] = {
+      current,
+      limit: limit ?? null,
+      percentage: limit > 0 ? Math.round((current / limit) * 1000) / 10 : 0,
+      soft,
+      cap,
+      overageSince: org.usage?.overages?.[resource] || null
+    };
+  }
+  return { periodEnd: billingPeriodEnd(org), usage: org.usage, limits: org.limits, resources };
+}
+
+module.exports = {
+  RESOURCES,
+  billingPeriodEnd,
+  ensureCurrentPeriod,
+  consume,
+  release,
+  consumeForUser,
+  releaseForUser,
+  limitMessage,
+  limitError,
+  usageSummary
+};
@@ -0,0 +1,33 @@
+// emailxp/backend/utils/abTestScheduler.js
+
+const cron = require('node-cron');
+const abTestService = require('../services/abTestService');
+const logger = require('./logger');
+
+/**
+ * @desc Starts the cron job that ends test-then-send A/B tests whose wait window has
+ * elapsed: the winner is picked by winnerCriteria (or the default variant when there is
+ * no clear winner) and queued to the recipients held back from the test.
+ */
+const startABTestScheduler = () => {
+    let running = false;
+    cron.schedule('* * * * *', async () => {
+        // Skip the tick if the previous batch is still going
+        if (running) return;
+        running = true;
+        try {
+            const { completed, failed } = await abTestService.completeDueTests({ limit: 20 });
+            if (completed > 0 || failed > 0) {
+                logger.log(`[ABTestScheduler] Sent the winning variant for ${completed} A/B test(s), ${failed} failed.`);
+            }
+        } catch (error) {
+            logger.error('[ABTestScheduler] Error completing A/B tests:', error);
+        } finally {
+            running = false;
+        }
+    });
+
+    logger.log('[ABTestScheduler] A/B test scheduler started. Checking for finished test windows every minute.');
+};
+
+module.exports = { startABTestScheduler };
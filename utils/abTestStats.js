@@ -0,0 +1,184 @@
+// emailxp/backend/utils/abTestStats.js
+// Frequentist statistics for A/B tests on rates (opens, clicks or conversions per send) and on
+// per-recipient means (revenue). Rates are proportions in [0, 1]; callers format percentages.
+//
+//   wilsonInterval          confidence interval for one variant's rate
+//   twoProportionZTest      pooled two-sided z-test between two variants' rates
+//   welchZTest              unpooled two-sided z-test between two variants' means
+//   minimumDetectableEffect smallest absolute lift the current sample can detect at 80% power
+//
+// An arm is { successes, trials } for a rate or { sum, sumSquares, trials } for a mean.
+
+// Below this many sends per variant the normal approximation behind the z-test is unreliable
+const MIN_SAMPLE_SIZE = 30;
+const DEFAULT_POWER = 0.8;
+
+// Abramowitz & Stegun 7.1.26 (absolute error < 1.5e-7)
+const erf = (x) => {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-x * x));
+};
+
+const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+// Acklam's rational approximation of the inverse normal CDF (relative error < 1.2e-9)
+const normalQuantile = (p) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -normalQuantile(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// Two-sided critical value, e.g. 1.96 for 0.95
+const criticalValue = (confidenceLevel) => normalQuantile(1 - (1 - confidenceLevel) / 2);
+
+/**
+ * Wilson score interval; unlike the normal interval it stays inside [0, 1] for small samples and 0% rates.
+ * @returns {{ low: number, high: number }|null} - null without sends
+ */
+const wilsonInterval = (successes, trials, confidenceLevel = 0.95) => {
+  if (!trials) return null;
+  const z = criticalValue(confidenceLevel);
+  const p = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const center = (p + (z * z) / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+  return { low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+};
+
+/**
+ * Pooled two-proportion z-test of variant a against variant b.
+ * @returns {{ zScore: number, pValue: number }} - positive zScore means a is ahead
+ */
+const twoProportionZTest = (successesA, trialsA, successesB, trialsB) => {
+  if (!trialsA || !trialsB) return { zScore: 0, pValue: 1 };
+  const pooled = (successesA + successesB) / (trialsA + trialsB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+  if (!standardError) return { zScore: 0, pValue: 1 };
+  const zScore = (successesA / trialsA - successesB / trialsB) / standardError;
+  return { zScore, pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(zScore)))) };
+};
+
+/**
+ * Smallest absolute difference from baselineRate detectable with trialsPerVariant sends in each arm.
+ * @returns {number|null} - null when there is no sample or no baseline to measure against
+ */
+const minimumDetectableEffect = (baselineRate, trialsPerVariant, confidenceLevel = 0.95, power = DEFAULT_POWER) => {
+  if (!baselineRate || baselineRate >= 1) return null;
+  return detectableDifference(baselineRate * (1 - baselineRate), trialsPerVariant, confidenceLevel, power);
+};
+
+// Same as above from the variance of a single observation, which also covers means
+const detectableDifference = (variance, trialsPerVariant, confidenceLevel = 0.95, power = DEFAULT_POWER) => {
+  if (!trialsPerVariant || !variance) return null;
+  const z = criticalValue(confidenceLevel) + normalQuantile(power);
+  return z * Math.sqrt((2 * variance) / trialsPerVariant);
+};
+
+const isMeanArm = (arm) => arm.sum !== undefined;
+
+const armValue = (arm) => (arm.trials ? (isMeanArm(arm) ? arm.sum : arm.successes) / arm.trials : 0);
+
+// Variance of one observation: p(1 - p) for a rate, the sample variance for a mean
+const armVariance = (arm) => {
+  if (!arm.trials) return 0;
+  const value = armValue(arm);
+  if (!isMeanArm(arm)) return value * (1 - value);
+  return arm.trials > 1 ? Math.max(0, (arm.sumSquares - arm.trials * value * value) / (arm.trials - 1)) : 0;
+};
+
+/**
+ * Unpooled z-test of mean a against mean b (Welch's test with the normal approximation).
+ * @returns {{ zScore: number, pValue: number }} - positive zScore means a is ahead
+ */
+const welchZTest = (armA, armB) => {
+  if (!armA.trials || !armB.trials) return { zScore: 0, pValue: 1 };
+  const standardError = Math.sqrt(armVariance(armA) / armA.trials + armVariance(armB) / armB.trials);
+  if (!standardError) return { zScore: 0, pValue: 1 };
+  const zScore = (armValue(armA) - armValue(armB)) / standardError;
+  return { zScore, pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(zScore)))) };
+};
+
+const compareTwo = (armA, armB) => (isMeanArm(armA)
+  ? welchZTest(armA, armB)
+  : twoProportionZTest(armA.successes, armA.trials, armB.successes, armB.trials));
+
+const intervalOf = (arm, confidenceLevel) => {
+  if (!isMeanArm(arm)) return wilsonInterval(arm.successes, arm.trials, confidenceLevel);
+  if (!arm.trials) return null;
+  const margin = criticalValue(confidenceLevel) * Math.sqrt(armVariance(arm) / arm.trials);
+  return { low: armValue(arm) - margin, high: armValue(arm) + margin };
+};
+
+/**
+ * Compare every arm with the control and decide whether the leader has won.
+ * The leader wins only when it has the highest value, every arm has MIN_SAMPLE_SIZE sends and the
+ * leader beats each other arm with p < 1 - confidenceLevel.
+ * @param {Array<Object>} arms - All rate arms or all mean arms
+ * @param {Object} options - { controlIndex, confidenceLevel }
+ * @returns {Object} - { leaderIndex, significant, arms: [{ rate, confidenceInterval, vsControl, minimumDetectableEffect }] }
+ */
+const compareArms = (arms, { controlIndex = 0, confidenceLevel = 0.95 } = {}) => {
+  const alpha = 1 - confidenceLevel;
+  const values = arms.map(armValue);
+  const control = arms[controlIndex];
+
+  let leaderIndex = 0;
+  values.forEach((value, index) => {
+    if (value > values[leaderIndex]) leaderIndex = index;
+  });
+  const leader = arms[leaderIndex];
+  const enoughData = arms.every(arm => arm.trials >= MIN_SAMPLE_SIZE);
+  const significant = enoughData && arms.every((arm, index) => {
+    if (index === leaderIndex) return true;
+    const { zScore, pValue } = compareTwo(leader, arm);
+    return zScore > 0 && pValue < alpha;
+  });
+
+  return {
+    leaderIndex,
+    significant,
+    enoughData,
+    arms: arms.map((arm, index) => {
+      const isControl = index === controlIndex;
+      const test = isControl ? null : compareTwo(arm, control);
+      return {
+        rate: values[index],
+        confidenceInterval: intervalOf(arm, confidenceLevel),
+        isControl,
+        vsControl: test && {
+          absoluteLift: values[index] - values[controlIndex],
+          relativeLift: values[controlIndex] ? (values[index] - values[controlIndex]) / values[controlIndex] : null,
+          zScore: test.zScore,
+          pValue: test.pValue,
+          significant: arm.trials >= MIN_SAMPLE_SIZE && control.trials >= MIN_SAMPLE_SIZE && test.pValue < alpha
+        },
+        minimumDetectableEffect: detectableDifference(armVariance(control), Math.min(arm.trials, control.trials), confidenceLevel)
+      };
+    })
+  };
+};
+
+module.exports = {
+  MIN_SAMPLE_SIZE,
+  normalCdf,
+  normalQuantile,
+  wilsonInterval,
+  twoProportionZTest,
+  welchZTest,
+  minimumDetectableEffect,
+  compareArms
+};
@@ -0,0 +1,33 @@
+// emailxp/backend/utils/appOrigins.js
+// The app's own origins: the CORS allowlist, and the hosts a landing page may never claim as its
+// custom domain
+
+const sanitizeOrigin = (s) => s && String(s).trim().replace(/\/+$/, '');
+
+// Built from the environment on each call so tests and config reloads see current values
+function allowedOrigins() {
+  const allowedFromEnv = (process.env.CORS_ALLOW || process.env.ALLOW_ORIGINS || '')
+    .split(',')
+    .map(s => sanitizeOrigin(s))
+    .filter(Boolean);
+  return [
+    sanitizeOrigin('http://localhost:3000'), // Local development
+    sanitizeOrigin('https://emailxp-frontend-production.up.railway.app'), // Production frontend
+    sanitizeOrigin(process.env.FRONTEND_URL), // Configured frontend URL
+    sanitizeOrigin(process.env.BACKEND_URL || process.env.REACT_APP_BACKEND_URL), // Allow if backend calls itself or proxies set this
+    ...allowedFromEnv
+  ].filter(Boolean);
+}
+
+// Lower-case host names of the allowed origins and BACKEND_URL, plus localhost
+function appHostnames() {
+  const hosts = new Set(['localhost']);
+  [...allowedOrigins(), process.env.BACKEND_URL].filter(Boolean).forEach((origin) => {
+    try {
+      hosts.add(new URL(origin).hostname.toLowerCase());
+    } catch (_) { /* not a URL; nothing to reserve */ }
+  });
+  return hosts;
+}
+
+module.exports = { sanitizeOrigin, allowedOrigins, appHostnames };
@@ -0,0 +1,33 @@
+// emailxp/backend/utils/automationRunScheduler.js
+
+const cron = require('node-cron');
+const { resumeDueRuns } = require('../services/automationExecutor');
+const logger = require('./logger');
+
+/**
+ * @desc Starts the cron job that resumes automation runs whose wait node has
+ * elapsed. Run state lives in MongoDB, so anything that was waiting when the
+ * process restarted is picked up on the next tick.
+ */
+const startAutomationRunScheduler = () => {
+    let running = false;
+    cron.schedule('* * * * *', async () => {
+        // Skip the tick if the previous batch is still going
+        if (running) return;
+        running = true;
+        try {
+            const { resumed } = await resumeDueRuns({ limit: 200 });
+            if (resumed > 0) {
+                logger.log(`[AutomationRunScheduler] Resumed ${resumed} automation run(s).`);
+            }
+        } catch (error) {
+            logger.error('[AutomationRunScheduler] Error resuming automation runs:', error);
+        } finally {
+            running = false;
+        }
+    });
+
+    logger.log('[AutomationRunScheduler] Automation run scheduler started. Checking due runs every minute.');
+};
+
+module.exports = { startAutomationRunScheduler };
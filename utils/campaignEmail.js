@@ -0,0 +1,52 @@
+// emailxp/backend/utils/campaignEmail.js
+
+const { personalizeDynamicContent } = require('../services/personalizationService');
+
+/**
+ * Content shared by every recipient of a campaign send. A/B variants override
+ * subject/htmlContent/fromName/fromEmail; timezone and A/B batches carry this
+ * object in the job data.
+ */
+const campaignContent = (campaign, groupId = null) => ({
+    campaignId: campaign._id,
+    groupId,
+    subject: campaign.subject,
+    htmlContent: campaign.htmlContent,
+    plainTextContent: campaign.plainTextContent,
+    fromEmail: campaign.fromEmail,
+    fromName: campaign.fromName,
+    dynamicBlocks: (campaign.template && campaign.template.structure && Array.isArray(campaign.template.structure.blocks))
+        ? campaign.template.structure.blocks.filter(block => block.type === 'dynamic')
+        : []
+});
+
+/**
+ * Build the queue payload for one recipient, applying {{name}} and dynamic-content personalization.
+ * @param {Object} content - Output of campaignContent (possibly with variant overrides)
+ * @param {Object} subscriber - Lean subscriber ({ _id, email, name, location, customFields })
+ * @returns {Object} Email job data for queueServiceWrapper.addEmailJob
+ */
+const buildCampaignEmail = (content, subscriber) => {
+    const subscriberData = {
+        name: subscriber.name || '',
+        email: subscriber.email,
+        firstName: subscriber.name ? subscriber.name.split(' ')[0] : '',
+        lastName: subscriber.name && subscriber.name.split(' ').length > 1 ? subscriber.name.split(' ').slice(1).join(' ') : '',
+        location: subscriber.location || {},
+        customFields: subscriber.customFields || {}
+    };
+
+    return {
+        toEmail: subscriber.email,
+        subject: (content.subject || '').replace(/\{\{name\}\}/g, subscriberData.name || 'there'),
+        htmlContent: personalizeDynamicContent(content.htmlContent, subscriberData, content.dynamicBlocks || []),
+        plainTextContent: content.plainTextContent,
+        campaignId: content.campaignId,
+        subscriberId: subscriber._id,
+        groupId: content.groupId,
+        fromEmail: content.fromEmail,
+        fromName: content.fromName || 'EmailXP',
+    };
+};
+
+module.exports = { campaignContent, buildCampaignEmail };
@@ -24,12 +24,16 @@ const logger = {
 const cron = require('node-cron');
 const Campaign = require('../models/Campaign');
 const Group = require('../models/Group'); // Ensure Group model is imported if you need group details
-const Subscriber = require('../models/Subscriber');
-const Segment = require('../models/Segment');
+const ABTest = require('../models/ABTest');
+const CampaignDispatch = require('../models/CampaignDispatch');
 const { sendEmail } = require('../services/emailService');
 const { addEmailJob, addCampaignBatchJob } = require('../services/queueServiceWrapper');
 const { groupSubscribersByTimezone, calculateSendTime, getDefaultTimezone } = require('./timezoneService');
-const { personalizeDynamicContent } = require('../services/personalizationService');
+const { campaignContent, buildCampaignEmail } = require('./campaignEmail');
+const abTestService = require('../services/abTestService');
+const { planOptimalSend, releaseDueDispatches } = require('../services/sendTimeService');
+const { snapshotAudience, discardSnapshot } = require('../services/campaignAudienceService');
+const usageService = require('../services/usageService');
 const domainAuthService = require('../services/domainAuthService');
 const DomainAuthentication = require('../models/DomainAuthentication');
 const { buildFromAddress } = require('./fromAddress');
@@ -70,6 +74,19 @@ const executeSendCampaign = async (campaignId) => {
             return { success: false, message: `Campaign status is '${campaign.status}'. Cannot send.` };
         }
 
+        // The test portion of a test-then-send A/B campaign only goes out once; abTestScheduler sends the rest
+        const abTest = campaign.abTest ? await ABTest.findById(campaign.abTest) : null;
+        if (abTest && abTest.testSentAt) {
+            logger.warn(`[Scheduler Warn] A/B test portion of campaign ${campaign._id} was already sent. Skipping re-send.`);
+            return { success: false, message: 'The A/B test portion of this campaign was already sent.' };
+        }
+
+        // Optimal send time campaigns are planned once; releaseDueDispatches sends the batches
+        if (campaign.scheduleType === 'optimal' && await CampaignDispatch.exists({ campaign: campaign._id })) {
+            logger.warn(`[Scheduler Warn] Optimal send time dispatches for campaign ${campaign._id} were already planned. Skipping re-send.`);
+            return { success: false, message: 'This campaign is already being delivered at each subscriber\'s optimal send time.' };
+        }
+
         // Re-validate primary sending domain before proceeding
         let primaryDomainAuth = await DomainAuthentication.findOne({ user: campaign.user, isPrimary: true }).lean();
         if (primaryDomainAuth) {
@@ -106,38 +123,18 @@ const executeSendCampaign = async (campaignId) => {
         campaign.status = 'sending';
         await campaign.save();
 
-        // Build recipient query from groups, segments, and individual subscribers
+        // First selected group, recorded on each email for group-level stats
         const selectedGroupIds = (Array.isArray(campaign.groups) && campaign.groups.length > 0)
             ? campaign.groups
             : [campaign.group && campaign.group._id ? campaign.group._id : campaign.group].filter(Boolean);
         const primaryGroupId = selectedGroupIds[0] || null;
-        const individualIds = Array.isArray(campaign.individualSubscribers) ? campaign.individualSubscribers : [];
-        const segmentIds = Array.isArray(campaign.segments) ? campaign.segments : [];
-
-        // Load segments to translate their filters into query clauses
-        const segments = segmentIds.length > 0
-            ? await Segment.find({ _id: { $in: segmentIds }, user: campaign.user })
-            : [];
-
-        // Build $or sub-clauses
-        const orClauses = [];
-        if (selectedGroupIds.length > 0) {
-            orClauses.push({ groups: { $in: selectedGroupIds } });
-        }
-        if (individualIds.length > 0) {
-            orClauses.push({ _id: { $in: individualIds } });
-        }
-        if (segments.length > 0) {
-            for (const segment of segments) {
-                const segmentQuery = segment.buildQuery();
-                if (segmentQuery && Object.keys(segmentQuery).length > 0) {
-                    orClauses.push(segmentQuery);
-                }
-            }
-        }
+
+        // Union of groups, segments and individuals, deduped by email and frozen for this send.
+        // Suppressed addresses and preference opt-outs are kept in the snapshot but not returned.
+        const audience = await snapshotAudience(campaign);
 
         // Validate at least one category selected
-        if (orClauses.length === 0) {
+        if (!audience.hasSources) {
             logger.warn(`[Scheduler] Campaign ${campaign.name} (ID: ${campaign._id}) has no recipient categories selected.`);
             campaign.status = 'draft';
             campaign.totalRecipients = 0;
@@ -145,20 +142,14 @@ const executeSendCampaign = async (campaignId) => {
             return { success: false, message: 'No recipients selected. Please choose groups, segments, or subscribers before sending.' };
         }
 
-        // Final query applying base conditions to all recipients
-        const finalQuery = {
-            user: campaign.user,
-            status: 'subscribed', // Excludes 'pending' double opt-in
-            isDeleted: false,
-            $or: orClauses
-        };
-
-        const totalRecipients = await Subscriber.countDocuments(finalQuery);
-        campaign.totalRecipients = totalRecipients;
+        const subscribers = audience.subscribers;
+        campaign.totalRecipients = subscribers.length;
         await campaign.save();
 
-        if (totalRecipients === 0) {
+        if (subscribers.length === 0) {
             logger.warn(`[Scheduler] Campaign ${campaign.name} (ID: ${campaign._id}) resolved 0 recipients.`);
+            // Back to draft, so the next send resolves the (possibly edited) audience again
+            await discardSnapshot(campaign._id);
             campaign.status = 'draft';
             campaign.sentAt = null;
             campaign.emailsSuccessfullySent = 0;
@@ -166,12 +157,41 @@ const executeSendCampaign = async (campaignId) => {
             return { success: false, message: 'No active subscribers matched the selection. Sending aborted.', successfulSends: 0 };
         }
 
-        // Fetch recipients (projection to reduce memory)
-        const subscribers = await Subscriber.find(finalQuery).select('_id email name').lean();
-        logger.log(`[Scheduler] Initiating send for campaign: "${campaign.name}" (ID: ${campaign._id}) to ${subscribers.length} active subscribers.`);
+        // The whole audience counts against the plan's monthly emails once, when the snapshot is taken
+        // (a reused snapshot was already metered by the send that took it)
+        if (!audience.reused) {
+            const usage = await usageService.consumeForUser(campaign.user, 'emails', subscribers.length);
+            if (!usage.allowed) {
+                const message = usageService.limitMessage(usage);
+                logger.warn(`[Scheduler] Campaign ${campaign.name} (ID: ${campaign._id}) blocked by plan limit: ${message}`);
+                await discardSnapshot(campaign._id);
+                campaign.status = 'failed';
+                campaign.error = message;
+                await campaign.save();
+                return { success: false, message, errorCode: 'PLAN_LIMIT_REACHED', successfulSends: 0 };
+            }
+        }
 
         logger.log(`[Scheduler] Initiating send for campaign: "${campaign.name}" (ID: ${campaign._id}) to ${subscribers.length} active subscribers.`);
 
+        // Test-then-send: only the test portion is sent now, split across the variants
+        if (abTest && abTest.sendMode === 'test_then_send' && ['draft', 'running'].includes(abTest.status)) {
+            const testResult = await abTestService.sendTestPortion(campaign, abTest, subscribers, primaryGroupId);
+            campaign.status = testResult.successfulSends > 0 ? 'sending' : 'failed';
+            campaign.emailsSuccessfullySent = testResult.successfulSends;
+            await campaign.save();
+            logger.log(`[Scheduler] A/B test portion of campaign "${campaign.name}" (ID: ${campaign._id}) queued. Sent: ${testResult.successfulSends}, Failed: ${testResult.failedSends}, Held for winner: ${testResult.remainderRecipients}`);
+            return { success: testResult.successfulSends > 0, message: 'A/B test portion sent; the winning variant goes to the remaining recipients after the wait window.', totalSubscribers: subscribers.length, ...testResult };
+        }
+
+        // Optimal send time: batches wait for each subscriber's usual engagement hour over the next 24 hours
+        if (campaign.scheduleType === 'optimal') {
+            const plan = await planOptimalSend(campaign, subscribers, primaryGroupId);
+            await campaign.save();
+            logger.log(`[Scheduler] Campaign "${campaign.name}" (ID: ${campaign._id}) planned in ${plan.dispatches} hourly dispatches. Predicted: ${plan.predicted}, organization default: ${plan.organizationDefault}, campaign default: ${plan.campaignDefault}`);
+            return { success: true, message: 'Campaign dispatches planned at each subscriber\'s optimal send time.', totalSubscribers: subscribers.length, ...plan };
+        }
+
         // Check if this is subscriber-local timezone scheduling
         const isSubscriberLocal = campaign.scheduleType === 'subscriber_local';
         
@@ -189,15 +209,9 @@ const executeSendCampaign = async (campaignId) => {
                 
                 // Prepare batch data
                 const batchData = {
-                    campaignId: campaign._id,
+                    ...campaignContent(campaign, primaryGroupId),
                     subscribers: timezoneSubscribers,
                     timezone,
-                    subject: campaign.subject,
-                    htmlContent: campaign.htmlContent,
-                    plainTextContent: campaign.plainTextContent,
-                    groupId: primaryGroupId,
-                    fromEmail: campaign.fromEmail,
-                    fromName: campaign.fromName,
                 };
                 
                 // Calculate delay for this timezone
@@ -215,46 +229,11 @@ const executeSendCampaign = async (campaignId) => {
             successfulSends = subscribers.length - failedSends;
         } else {
             // Standard immediate sending - use Redis queue for better reliability
+            const content = campaignContent(campaign, primaryGroupId);
             const emailJobs = subscribers.map(subscriber => {
                 // Safety: skip any subscriber that might no longer be subscribed
                 if (subscriber.status && subscriber.status !== 'subscribed') return null;
-                // Get subscriber's custom fields and location data
-                const subscriberData = {
-                    name: subscriber.name || '',
-                    email: subscriber.email,
-                    firstName: subscriber.name ? subscriber.name.split(' ')[0] : '',
-                    lastName: subscriber.name && subscriber.name.split(' ').length > 1 ? subscriber.name.split(' ').slice(1).join(' ') : '',
-                    location: subscriber.location || {},
-                    customFields: subscriber.customFields || {}
-                };
-                
-                let personalizedHtml = campaign.htmlContent;
-                let personalizedPlain = campaign.plainTextContent;
-                let personalizedSubject = campaign.subject;
-                
-                // Apply standard personalization
-                personalizedSubject = personalizedSubject.replace(/\{\{name\}\}/g, subscriberData.name || 'there');
-                
-                // Apply dynamic content personalization
-                // Extract dynamic blocks from campaign template if available
-                let dynamicBlocks = [];
-                if (campaign.template && campaign.template.structure && campaign.template.structure.blocks) {
-                    dynamicBlocks = campaign.template.structure.blocks.filter(block => block.type === 'dynamic');
-                }
-                
-                personalizedHtml = personalizeDynamicContent(personalizedHtml, subscriberData, dynamicBlocks);
-                
-                return {
-                    toEmail: subscriber.email, // Send to actual subscriber email
-                    subject: personalizedSubject,
-                    htmlContent: personalizedHtml,
-                    plainTextContent: personalizedPlain,
-                    campaignId: campaign._id,
-                    subscriberId: subscriber._id,
-                    groupId: primaryGroupId,
-                    fromEmail: campaign.fromEmail,
-                    fromName: campaign.fromName || 'EmailXP',
-                };
+                return buildCampaignEmail(content, subscriber);
             });
             
             // Queue all email jobs
@@ -274,6 +253,11 @@ const executeSendCampaign = async (campaignId) => {
             });
         }
 
+        // Emails that weren't queued don't count against the plan
+        if (subscribers.length > successfulSends) {
+            await usageService.releaseForUser(campaign.user, 'emails', subscribers.length - successfulSends);
+        }
+
         campaign.status = successfulSends > 0 ? 'sent' : 'failed';
         campaign.sentAt = new Date();
         campaign.emailsSuccessfullySent = successfulSends;
@@ -304,6 +288,15 @@ const startCampaignScheduler = () => {
         logger.warn('[Scheduler] Running scheduled campaign check...');
         const now = new Date();
 
+        try {
+            const { released, failed } = await releaseDueDispatches({ now });
+            if (released > 0 || failed > 0) {
+                logger.warn(`[Scheduler] Released ${released} optimal send time dispatches (${failed} failed).`);
+            }
+        } catch (error) {
+            logger.error('[Scheduler Error] Error releasing optimal send time dispatches:', error);
+        }
+
         try {
             const campaignsToSend = await Campaign.find({
                 status: 'scheduled',
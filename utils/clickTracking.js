@@ -0,0 +1,97 @@
+// emailxp/backend/utils/clickTracking.js
+// Signed click-tracking links. The destination, messageId and link index are covered by an
+// HMAC, so /api/track/click only redirects to URLs that we put into an email ourselves.
+
+const crypto = require('crypto');
+
+const signingSecret = () => {
+  const secret = process.env.CLICK_TRACKING_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('CLICK_TRACKING_SECRET (or JWT_SECRET) must be set to sign tracking links');
+  return secret;
+};
+
+const backendUrl = () => (process.env.BACKEND_URL || process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000').replace(/\/$/, '');
+
+function signClickUrl(messageId, linkIndex, url) {
+  return crypto
+    .createHmac('sha256', signingSecret())
+    .update(`${messageId}\n${linkIndex}\n${url}`)
+    .digest('base64url');
+}
+
+/**
+ * Check the signature from a tracking link.
+ * @returns {boolean}
+ */
+function verifyClickUrl(messageId, linkIndex, url, signature) {
+  if (!messageId || !url || typeof signature !== 'string' || !/^\d+$/.test(String(linkIndex))) return false;
+  const expected = Buffer.from(signClickUrl(messageId, Number(linkIndex), url));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Only absolute http(s) links are tracked; anchors, mailto:, tel: and merge tags are left alone
+function isTrackableUrl(url) {
+  return /^https?:\/\//i.test(url) && !/\/api\/track\/(click|hp)\//.test(url);
+}
+
+function buildClickTrackingUrl(messageId, linkIndex, url) {
+  const sig = signClickUrl(messageId, linkIndex, url);
+  return `${backendUrl()}/api/track/click/${encodeURIComponent(messageId)}?url=${encodeURIComponent(url)}&i=${linkIndex}&sig=${sig}`;
+}
+
+// The honeypot link is signed like a real link but has no destination
+const HONEYPOT_LINK_INDEX = 'hp';
+
+function verifyHoneypotUrl(messageId, signature) {
+  if (!messageId || typeof signature !== 'string') return false;
+  const expected = Buffer.from(signClickUrl(messageId, HONEYPOT_LINK_INDEX, 'honeypot'));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function buildHoneypotUrl(messageId) {
+  const sig = signClickUrl(messageId, HONEYPOT_LINK_INDEX, 'honeypot');
+  return `${backendUrl()}/api/track/hp/${encodeURIComponent(messageId)}?sig=${sig}`;
+}
+
+// Hidden link that people can't see or reach by keyboard; link scanners follow it like any other.
+// It goes first in <body> so scanners that walk the document in order hit it before the real links.
+function addHoneypotLink(html, messageId) {
+  const link = `<a href="${buildHoneypotUrl(messageId)}" style="display:none !important;mso-hide:all" aria-hidden="true" tabindex="-1">&#8203;</a>`;
+  const bodyTag = /<body[^>]*>/i;
+  return bodyTag.test(html) ? html.replace(bodyTag, tag => tag + link) : html + link;
+}
+
+/**
+ * Rewrite every trackable <a href> in the HTML into a signed tracking link.
+ * Links are numbered in document order, so link N of a campaign is the same link for every recipient.
+ * Emails with at least one tracked link also get a hidden honeypot link (TRACKING_HONEYPOT_LINKS=false to disable).
+ * @param {string} html
+ * @param {string} messageId
+ * @returns {string}
+ */
+function addSignedClickTracking(html, messageId) {
+  if (!html) return html;
+  const linkRegex = /(<a\s+(?:[^>]*?\s+)?href=)(["'])(.*?)\2/gi;
+  let linkIndex = 0;
+  const tracked = html.replace(linkRegex, (match, prefix, quote, rawUrl) => {
+    // href values are HTML-encoded; sign the URL the browser would actually follow
+    const url = rawUrl.trim().replace(/&amp;/g, '&');
+    if (!isTrackableUrl(url)) return match;
+    const trackingUrl = buildClickTrackingUrl(messageId, linkIndex++, url).replace(/&/g, '&amp;');
+    return `${prefix}${quote}${trackingUrl}${quote}`;
+  });
+  if (linkIndex === 0 || process.env.TRACKING_HONEYPOT_LINKS === 'false') return tracked;
+  return addHoneypotLink(tracked, messageId);
+}
+
+module.exports = {
+  signClickUrl,
+  verifyClickUrl,
+  isTrackableUrl,
+  buildClickTrackingUrl,
+  verifyHoneypotUrl,
+  buildHoneypotUrl,
+  addSignedClickTracking
+};
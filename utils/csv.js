@@ -0,0 +1,15 @@
+// emailxp/backend/utils/csv.js
+// Minimal RFC 4180 writing for subscriber exports and the import jobs' reports
+
+// Quote a value when it contains a delimiter, quote or line break. Values a spreadsheet would
+// read as a formula get a leading ' so subscriber data can't run in the file (CSV injection).
+const csvCell = (value) => {
+  let text = String(value === undefined || value === null ? '' : value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, newline included
+const csvLine = (values) => `${values.map(csvCell).join(',')}\n`;
+
+module.exports = { csvCell, csvLine };
@@ -0,0 +1,69 @@
+// emailxp/backend/utils/cursorPagination.js
+// Opaque cursors over _id (newest first). Unlike page numbers, pages stay stable
+// while new documents are being inserted.
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+function encodeCursor(id) {
+  return Buffer.from(String(id)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const id = Buffer.from(String(cursor), 'base64url').toString('utf8');
+  return mongoose.Types.ObjectId.isValid(id) && /^[0-9a-f]{24}$/i.test(id) ? id : null;
+}
+
+/**
+ * Read `limit` and `cursor` from a query string.
+ * @returns {{ limit: number, after: string|null, error?: string }}
+ */
+function parsePageParams(query = {}) {
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+  }
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after) return { error: 'cursor is invalid' };
+  }
+  return { limit, after };
+}
+
+/**
+ * Fetch one page. Asks for one extra document to know whether another page exists.
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - base query
+ * @param {{ limit: number, after: string|null, select?: string, populate?: any }} page
+ * @returns {Promise<{ data: Object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+async function paginate(Model, filter, { limit, after, select, populate }) {
+  const query = after ? { $and: [filter, { _id: { $lt: after } }] } : filter;
+  let q = Model.find(query).sort({ _id: -1 }).limit(limit + 1);
+  if (select) q = q.select(select);
+  if (populate) q = q.populate(populate);
+  const docs = await q.lean();
+
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    data,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1]._id) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePageParams,
+  paginate
+};
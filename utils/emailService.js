@@ -2,6 +2,13 @@
 
 const nodemailer = require('nodemailer');
 const EmailTracking = require('../models/EmailTracking');
+const { addSignedClickTracking } = require('./clickTracking');
+const { isMachineActivity } = require('./engagementClassifier');
+const engagementClassificationService = require('../services/engagementClassificationService');
+
+// User-supplied names go into HTML bodies; never let them add markup
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 
 class EmailService {
   constructor() {
@@ -56,7 +63,8 @@ class EmailService {
         from,
         campaignId,
         subscriberId,
-        organizationId
+        organizationId,
+        headers
       } = emailData;
 
       // Generate unique message ID for tracking
@@ -76,6 +84,7 @@ class EmailService {
         html: htmlWithClickTracking,
         messageId
       };
+      if (headers && Object.keys(headers).length) mailOptions.headers = headers;
 
       // Ensure transporter is initialized (create test account on demand in dev)
       if (!this.transporter) {
@@ -177,45 +186,9 @@ class EmailService {
     }
   }
 
+  // Links are HMAC-signed so the click route never acts as an open redirect
   addClickTracking(html, messageId) {
-    console.log('addClickTracking called with messageId:', messageId);
-    console.log('HTML input length:', html ? html.length : 'undefined');
-    
-    if (!html) {
-      console.log('No HTML provided, returning empty string');
-      return html;
-    }
-
-    console.log('Original HTML before click tracking:', html.substring(0, 500) + '...');
-
-    // Replace all links with tracking links
-    const linkRegex = /<a\s+(?:[^>]*?\s+)?href=(["'])(.*?)\1/gi;
-    
-    let matchCount = 0;
-    const result = html.replace(linkRegex, (match, quote, url) => {
-      matchCount++;
-      console.log(`Processing link ${matchCount}:`, match, 'URL:', url);
-      
-      // Skip if already a tracking link or mailto/tel links
-        // If the url already points to a tracking endpoint or is a mailto/tel link, skip
-        if (url.includes('/api/track/click/') || url.startsWith('mailto:') || url.startsWith('tel:')) {
-        console.log('Skipping link (already tracked or special):', url);
-        return match;
-      }
-
-        // Build click tracking URL. Use BACKEND_URL when set, and ensure messageId
-        // and target url are properly encoded.
-    const backend = (process.env.BACKEND_URL || process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000').replace(/\/$/, '');
-        const trackingUrl = `${backend}/api/track/click/${encodeURIComponent(messageId)}?url=${encodeURIComponent(url)}`;
-      console.log('Converting URL:', url, 'to tracking URL:', trackingUrl);
-      
-      return match.replace(url, trackingUrl);
-    });
-    
-    console.log('Total links processed:', matchCount);
-    console.log('Final HTML length:', result.length);
-    
-    return result;
+    return addSignedClickTracking(html, messageId);
   }
 
   async createTrackingRecord(trackingData) {
@@ -230,6 +203,7 @@ class EmailService {
         emailAddress: trackingData.emailAddress,
         subject: trackingData.subject,
         messageId: trackingData.messageId,
+        providerMessageId: trackingData.providerMessageId || null,
         status: trackingData.status || 'sent',
         from: trackingData.from || null,
         fromName: trackingData.fromName || null,
@@ -250,15 +224,20 @@ class EmailService {
     try {
       const tracking = await EmailTracking.findOne({ messageId });
       if (tracking) {
-        await tracking.recordOpen(openData);
-        // Increment subscriber open stats
-        if (tracking.subscriber) {
+        const classification = openData.classification || engagementClassificationService.classifyTrackedOpen(tracking, openData);
+        await tracking.recordOpen({ ...openData, classification });
+        // Increment subscriber open stats; prefetches and bots don't count as engagement
+        if (tracking.subscriber && !isMachineActivity(classification)) {
           const Subscriber = require('../models/Subscriber');
           await Subscriber.findByIdAndUpdate(tracking.subscriber, {
             $inc: { openCount: 1 },
             $set: { lastOpenAt: new Date(), lastActivityAt: new Date() }
           });
         }
+        if (tracking.campaign) {
+          const abTestService = require('../services/abTestService');
+          await abTestService.recordEngagement({ campaignId: tracking.campaign, subscriberId: tracking.subscriber, type: 'open', classification });
+        }
         return tracking;
       }
     } catch (error) {
@@ -270,14 +249,19 @@ class EmailService {
     try {
       const tracking = await EmailTracking.findOne({ messageId });
       if (tracking) {
-        await tracking.recordClick(clickData);
-        if (tracking.subscriber) {
+        const classification = clickData.classification || await engagementClassificationService.classifyTrackedClick(tracking, clickData);
+        await tracking.recordClick({ ...clickData, classification });
+        if (tracking.subscriber && !isMachineActivity(classification)) {
           const Subscriber = require('../models/Subscriber');
             await Subscriber.findByIdAndUpdate(tracking.subscriber, {
               $inc: { clickCount: 1 },
               $set: { lastClickAt: new Date(), lastActivityAt: new Date() }
             });
         }
+        if (tracking.campaign) {
+          const abTestService = require('../services/abTestService');
+          await abTestService.recordEngagement({ campaignId: tracking.campaign, subscriberId: tracking.subscriber, type: 'click', classification });
+        }
         return tracking;
       }
     } catch (error) {
@@ -316,7 +300,7 @@ class EmailService {
       subject: 'Welcome to EmailXP!',
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h1 style="color: #dc2626;">Welcome to EmailXP, ${userName}!</h1>
+          <h1 style="color: #dc2626;">Welcome to EmailXP, ${escapeHtml(userName)}!</h1>
           <p>Thank you for joining EmailXP. We're excited to help you create amazing email campaigns.</p>
           <p>Get started by:</p>
           <ul>
@@ -382,6 +366,32 @@ class EmailService {
     return this.sendEmail(emailData);
   }
 
+  async sendUsageAlertEmail(to, { organizationName, resource, current, limit, percent, blocked }) {
+    const billingUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/settings/billing`;
+    const headline = blocked
+      ? `Your ${resource} limit has been reached`
+      : `You have used ${percent}% of your ${resource} limit`;
+
+    const emailData = {
+      to,
+      subject: `EmailXP usage alert: ${headline}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h1 style="color: #dc2626;">${headline}</h1>
+          <p>${escapeHtml(organizationName)} has used ${current} of ${limit} ${resource} included in its plan.</p>
+          <p>${blocked ? 'New requests are being blocked until the limit resets or the plan is upgraded.' : 'Requests past the limit will be blocked or billed as overage, depending on your plan policy.'}</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${billingUrl}" style="background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Review Plan</a>
+          </div>
+          <p>Best regards,<br>The EmailXP Team</p>
+        </div>
+      `,
+      text: `${headline}. ${organizationName} has used ${current} of ${limit} ${resource}. Review your plan: ${billingUrl}`
+    };
+
+    return this.sendEmail(emailData);
+  }
+
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
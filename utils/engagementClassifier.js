@@ -0,0 +1,88 @@
+// emailxp/backend/utils/engagementClassifier.js
+// Tells human opens and clicks apart from machine traffic: mail privacy proxies that
+// prefetch every image, and security gateways that follow every link on delivery.
+//
+//   human          a person opened the message or clicked a link
+//   machine_open   prefetch or bot fetch of the open pixel (Apple Mail Privacy Protection, gateways)
+//   proxy          an image proxy fetching the pixel for a reader (Gmail, Yahoo)
+//   scanner_click  a link scanner (Mimecast, Proofpoint, Safe Links, ...) or a honeypot hit
+
+const { ipInRanges } = require('./ipRange');
+
+const CLASSIFICATIONS = ['human', 'machine_open', 'proxy', 'scanner_click'];
+
+const PROXY_AGENTS = /GoogleImageProxy|ggpht\.com|YahooMailProxy/i;
+const SCANNER_AGENTS = /mimecast|proofpoint|barracuda|safelinks|messagelabs|symantec|forcepoint|trendmicro|sophos|ironport|zscaler|BingPreview|Microsoft Office Existence Discovery|ms-office/i;
+const BOT_AGENTS = /bot\b|crawler|spider|headless|phantomjs|python-requests|python-urllib|curl\/|wget\/|go-http-client|java\/|okhttp|libwww-perl|axios\/|node-fetch/i;
+// Apple Mail Privacy Protection fetches with a bare user agent and nothing else
+const APPLE_PREFETCH_AGENT = 'Mozilla/5.0';
+
+const numberSetting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+const rangeSetting = (name, fallback) => (process.env[name] ?? fallback)
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+// Opens/clicks this soon after delivery happen before anyone could have read the message
+const openWindowSeconds = () => numberSetting('TRACKING_MACHINE_OPEN_SECONDS', 5);
+const clickWindowSeconds = () => numberSetting('TRACKING_SCANNER_CLICK_SECONDS', 10);
+// Clicks this close to a honeypot hit on the same message came from the same scanner
+const honeypotWindowSeconds = () => numberSetting('TRACKING_HONEYPOT_WINDOW_SECONDS', 120);
+// 17.0.0.0/8 is Apple's network, where Mail Privacy Protection prefetches come from
+const machineIpRanges = () => rangeSetting('TRACKING_MACHINE_IP_RANGES', '17.0.0.0/8');
+const scannerIpRanges = () => rangeSetting('TRACKING_SCANNER_IP_RANGES', '');
+
+const secondsSince = (from, at) => (from ? (new Date(at) - new Date(from)) / 1000 : Infinity);
+
+/**
+ * Classify a hit on the open pixel.
+ * @param {Object} hit - { userAgent, ipAddress, deliveredAt, at }
+ * @returns {string} human | machine_open | proxy
+ */
+function classifyOpen({ userAgent, ipAddress, deliveredAt, at = new Date() } = {}) {
+  const agent = String(userAgent || '').trim();
+  if (PROXY_AGENTS.test(agent)) return 'proxy';
+  if (BOT_AGENTS.test(agent) || SCANNER_AGENTS.test(agent) || agent === APPLE_PREFETCH_AGENT) return 'machine_open';
+  if (ipInRanges(ipAddress, machineIpRanges())) return 'machine_open';
+  const seconds = secondsSince(deliveredAt, at);
+  if (seconds >= 0 && seconds < openWindowSeconds()) return 'machine_open';
+  return 'human';
+}
+
+/**
+ * Classify a click on a tracked link.
+ * @param {Object} hit - { userAgent, ipAddress, deliveredAt, at, honeypot, recentHoneypot }
+ * @returns {string} human | scanner_click
+ */
+function classifyClick({ userAgent, ipAddress, deliveredAt, at = new Date(), honeypot = false, recentHoneypot = false } = {}) {
+  if (honeypot || recentHoneypot) return 'scanner_click';
+  const agent = String(userAgent || '').trim();
+  if (SCANNER_AGENTS.test(agent) || BOT_AGENTS.test(agent) || PROXY_AGENTS.test(agent)) return 'scanner_click';
+  if (ipInRanges(ipAddress, scannerIpRanges())) return 'scanner_click';
+  const seconds = secondsSince(deliveredAt, at);
+  if (seconds >= 0 && seconds < clickWindowSeconds()) return 'scanner_click';
+  return 'human';
+}
+
+// Proxy opens are usually a real reader behind Gmail/Yahoo, so they count unless configured otherwise
+function machineClassifications() {
+  return process.env.TRACKING_EXCLUDE_PROXY_OPENS === 'true'
+    ? ['machine_open', 'scanner_click', 'proxy']
+    : ['machine_open', 'scanner_click'];
+}
+
+const isMachineActivity = (classification) => machineClassifications().includes(classification);
+
+// Query filter for OpenEvent/ClickEvent; events recorded before classification existed have no flag and count
+const humanActivityFilter = () => ({ classification: { $nin: machineClassifications() } });
+
+module.exports = {
+  CLASSIFICATIONS,
+  classifyOpen,
+  classifyClick,
+  honeypotWindowSeconds,
+  machineClassifications,
+  isMachineActivity,
+  humanActivityFilter
+};
@@ -0,0 +1,28 @@
+// emailxp/backend/utils/exportJobScheduler.js
+
+const cron = require('node-cron');
+const { processQueuedExportJobs, expireExportFiles } = require('../services/exportJobService');
+const logger = require('./logger');
+
+/**
+ * @desc Starts the cron job that runs queued subscriber exports (including ones
+ * interrupted by a restart, which start over) and deletes export files past
+ * EXPORT_RETENTION_HOURS.
+ */
+const startExportJobScheduler = () => {
+    cron.schedule('* * * * *', async () => {
+        try {
+            const processed = await processQueuedExportJobs();
+            const expired = await expireExportFiles();
+            if (processed > 0 || expired > 0) {
+                logger.log(`[ExportJobScheduler] Processed ${processed} export job(s), expired ${expired}.`);
+            }
+        } catch (error) {
+            logger.error('[ExportJobScheduler] Error processing export jobs:', error);
+        }
+    });
+
+    logger.log('[ExportJobScheduler] Export job scheduler started. Checking queued exports every minute.');
+};
+
+module.exports = { startExportJobScheduler };
@@ -2,9 +2,11 @@
 
 const jwt = require('jsonwebtoken');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d', // Token expires in 30 days
+// Access tokens are short-lived and tied to a server-side session (sid);
+// clients renew them with the session's refresh token
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || '15m',
   });
 };
 
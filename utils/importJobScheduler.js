@@ -0,0 +1,27 @@
+// emailxp/backend/utils/importJobScheduler.js
+
+const cron = require('node-cron');
+const { processQueuedImportJobs } = require('../services/importJobService');
+const logger = require('./logger');
+
+/**
+ * @desc Starts the cron job that runs queued subscriber imports. Jobs are normally
+ * started as soon as they are queued; the tick picks up anything left behind by a
+ * restart, including jobs that stopped mid-file (they resume from their last batch).
+ */
+const startImportJobScheduler = () => {
+    cron.schedule('* * * * *', async () => {
+        try {
+            const processed = await processQueuedImportJobs();
+            if (processed > 0) {
+                logger.log(`[ImportJobScheduler] Processed ${processed} import job(s).`);
+            }
+        } catch (error) {
+            logger.error('[ImportJobScheduler] Error processing import jobs:', error);
+        }
+    });
+
+    logger.log('[ImportJobScheduler] Import job scheduler started. Checking queued imports every minute.');
+};
+
+module.exports = { startImportJobScheduler };
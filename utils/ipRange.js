@@ -0,0 +1,51 @@
+// emailxp/backend/utils/ipRange.js
+// Exact-address and IPv4 CIDR matching, shared by API key allowlists and tracking classification
+
+function normalizeIp(ip) {
+  return String(ip || '').trim().replace(/^::ffff:/, '');
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+  let value = 0;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+    value = value * 256 + Number(part);
+  }
+  return value;
+}
+
+/**
+ * Does the address match an entry ("1.2.3.4" or "1.2.3.0/24")?
+ * @returns {boolean}
+ */
+function ipMatches(ip, entry) {
+  const address = normalizeIp(ip);
+  const [range, bitsRaw] = String(entry).trim().split('/');
+  if (bitsRaw === undefined) return address === range;
+  const bits = Number(bitsRaw);
+  const target = ipv4ToInt(address);
+  const base = ipv4ToInt(range);
+  if (target === null || base === null || !(bits >= 0 && bits <= 32)) return false;
+  const size = 2 ** (32 - bits);
+  return Math.floor(target / size) === Math.floor(base / size);
+}
+
+function ipInRanges(ip, entries = []) {
+  return entries.some(entry => ipMatches(ip, entry));
+}
+
+// Accepts "1.2.3.4" or "1.2.3.0/24", plus plain IPv6 addresses
+function isValidRangeEntry(entry) {
+  const [range, bits] = String(entry).trim().split('/');
+  if (bits === undefined) return ipv4ToInt(range) !== null || (range.includes(':') && /^[0-9a-f:]+$/i.test(range));
+  return ipv4ToInt(range) !== null && /^\d{1,2}$/.test(bits) && Number(bits) <= 32;
+}
+
+module.exports = {
+  normalizeIp,
+  ipMatches,
+  ipInRanges,
+  isValidRangeEntry
+};
@@ -0,0 +1,41 @@
+// emailxp/backend/utils/listUnsubscribe.js
+// RFC 2369 List-Unsubscribe and RFC 8058 one-click headers for campaign and automation sends
+
+const backendUrl = () => (process.env.BACKEND_URL || process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000').replace(/\/$/, '');
+
+// One-click URL; the campaign id lets the endpoint unsubscribe from just that campaign's category
+function buildOneClickUnsubscribeUrl(unsubscribeToken, campaignId) {
+  const query = campaignId ? `?campaign=${encodeURIComponent(String(campaignId))}` : '';
+  return `${backendUrl()}/api/unsubscribe/${encodeURIComponent(unsubscribeToken)}${query}`;
+}
+
+// LIST_UNSUBSCRIBE_MAILTO, or unsubscribe@ the sending domain. The token goes in the subject so
+// whatever reads that mailbox can tell who asked.
+function buildUnsubscribeMailto(unsubscribeToken, fromAddress) {
+  const domain = String(fromAddress || '').split('@')[1];
+  const mailbox = process.env.LIST_UNSUBSCRIBE_MAILTO || (domain ? `unsubscribe@${domain.replace(/>$/, '')}` : null);
+  if (!mailbox) return null;
+  return `mailto:${mailbox}?subject=${encodeURIComponent(`unsubscribe ${unsubscribeToken}`)}`;
+}
+
+/**
+ * Headers for a bulk send to one subscriber.
+ * @param {Object} options - { unsubscribeToken, campaignId, fromAddress }
+ * @returns {Object} header map, empty when the subscriber has no token
+ */
+function buildListUnsubscribeHeaders({ unsubscribeToken, campaignId, fromAddress } = {}) {
+  if (!unsubscribeToken) return {};
+  const targets = [buildUnsubscribeMailto(unsubscribeToken, fromAddress), buildOneClickUnsubscribeUrl(unsubscribeToken, campaignId)]
+    .filter(Boolean)
+    .map(target => `<${target}>`);
+  return {
+    'List-Unsubscribe': targets.join(', '),
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+module.exports = {
+  buildOneClickUnsubscribeUrl,
+  buildUnsubscribeMailto,
+  buildListUnsubscribeHeaders
+};
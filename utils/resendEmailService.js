@@ -1,6 +1,9 @@
 // emailxp/backend/utils/resendEmailService.js
 
+const crypto = require('crypto');
 const { Resend } = require('resend'); // Import the Resend SDK
+const Subscriber = require('../models/Subscriber');
+const { buildListUnsubscribeHeaders } = require('./listUnsubscribe');
 // Local email service fallback (nodemailer-based). The module exports an instance
 // (module.exports = new EmailService()), so require() returns the instance.
 const emailServiceInstance = require('./emailService');
@@ -88,6 +91,22 @@ const addUnsubscribeFooter = (html, subscriberId, campaignId) => {
         return html + footerHtml;
     }
 };
+// Token for the List-Unsubscribe URL; subscribers created before tokens existed get one now
+const resolveUnsubscribeToken = async (subscriberId) => {
+    try {
+        const subscriber = await Subscriber.findById(subscriberId).select('unsubscribeToken').lean();
+        if (!subscriber) return null;
+        if (subscriber.unsubscribeToken) return subscriber.unsubscribeToken;
+        const token = crypto.randomBytes(24).toString('hex');
+        await Subscriber.updateOne({ _id: subscriberId, unsubscribeToken: { $in: [null, ''] } }, { $set: { unsubscribeToken: token } });
+        const updated = await Subscriber.findById(subscriberId).select('unsubscribeToken').lean();
+        return updated && updated.unsubscribeToken;
+    } catch (e) {
+        console.warn('[ResendUtil] failed to look up unsubscribe token', e && e.message);
+        return null;
+    }
+};
+
 /**
  * Sends an email using Resend.
  * @param {Object} options - Email options.
@@ -100,8 +119,10 @@ const addUnsubscribeFooter = (html, subscriberId, campaignId) => {
  * @param {string} [options.fromName] - Sender name (e.g., 'Your Company Name').
  * @param {string} [options.subscriberId] - Subscriber ID for unsubscribe footer.
  * @param {string} [options.campaignId] - Campaign ID for unsubscribe tracking.
+ * @param {string} [options.automationId] - Automation ID; campaign and automation sends get List-Unsubscribe headers.
+ * @param {string} [options.unsubscribeToken] - Subscriber's unsubscribe token (looked up from subscriberId when omitted).
  */
-const sendEmail = async ({ to, subject, html, text, from, fromName, subscriberId, campaignId, templateDisableAutoFooter = false }) => {
+const sendEmail = async ({ to, subject, html, text, from, fromName, subscriberId, campaignId, automationId, unsubscribeToken, templateDisableAutoFooter = false }) => {
     // Debug logging to track what's being passed
     console.log('DEBUG Resend Util - Received params:', { to, from, fromName, templateDisableAutoFooter });
     
@@ -148,10 +169,18 @@ const sendEmail = async ({ to, subject, html, text, from, fromName, subscriberId
         finalHtml = addUnsubscribeFooter(finalHtml, subscriberId, campaignId);
     }
 
+    // Bulk sends (campaigns and automations) carry List-Unsubscribe and RFC 8058 one-click headers
+    let headers = {};
+    if (subscriberId && (campaignId || automationId)) {
+        const token = unsubscribeToken || await resolveUnsubscribeToken(subscriberId);
+        headers = buildListUnsubscribeHeaders({ unsubscribeToken: token, campaignId, fromAddress: chosenFrom });
+    }
+
     // If Resend is available, try to send with it first
     if (resend) {
         try {
             const payload = { from: finalFrom, to, subject, html: finalHtml, text: text || '' };
+            if (Object.keys(headers).length) payload.headers = headers;
             const { data, error } = await resend.emails.send(payload);
 
             if (error) {
@@ -184,7 +213,7 @@ const sendEmail = async ({ to, subject, html, text, from, fromName, subscriberId
     // Fallback: use the nodemailer-based EmailService
     try {
         // emailServiceInstance is an instance with sendEmail()
-        const result = await emailServiceInstance.sendEmail({ to, subject, html: finalHtml, text, from: finalFrom, subscriberId, campaignId });
+        const result = await emailServiceInstance.sendEmail({ to, subject, html: finalHtml, text, from: finalFrom, subscriberId, campaignId, headers });
         console.log('Email sent via fallback EmailService:', result);
         return result;
     } catch (fallbackErr) {
@@ -83,6 +83,17 @@ const calculateSendTime = (scheduledAt, subscriberTimezone, campaignTimezone = '
   }
 };
 
+/**
+ * Next time the clock reads hour:00 in a timezone, at or after `from`
+ */
+const nextOccurrenceOfHour = (hour, timezone = 'UTC', from = new Date()) => {
+  const zone = timezone && isValidTimezone(timezone) ? timezone : getDefaultTimezone();
+  const start = moment.tz(from, zone);
+  const next = start.clone().startOf('hour').hour(hour);
+  if (next.isBefore(start)) next.add(1, 'day');
+  return next.toDate();
+};
+
 /**
  * Group subscribers by their timezone
  */
@@ -168,6 +179,7 @@ module.exports = {
   getDefaultTimezone,
   convertToTimezone,
   calculateSendTime,
+  nextOccurrenceOfHour,
   groupSubscribersByTimezone,
   getAllTimezones,
   getCommonTimezones,
@@ -0,0 +1,42 @@
+// emailxp/backend/utils/workspace.js
+// Query helpers for organization workspaces (see models/plugins/workspace.js). Shared resources are
+// filtered by the caller's organization; accounts without one (legacy or super admins) only see what
+// they created.
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Filter for the documents a user can see.
+ * @param {Object} user - req.user (organization may be populated)
+ * @returns {Object} { organization } or, without an organization, { user }
+ */
+const workspaceFilter = (user) => (
+  user.organization ? { organization: idOf(user.organization) } : { user: idOf(user) }
+);
+
+/**
+ * Owner fields for a new document: created by the user, in their organization.
+ */
+const workspaceFields = (user) => ({
+  user: idOf(user),
+  ...(user.organization ? { organization: idOf(user.organization) } : {})
+});
+
+/**
+ * Filter for the workspace a document belongs to, for background work on behalf of its owner.
+ * Documents not yet migrated (no organization) fall back to their creator.
+ */
+const workspaceOf = (doc) => (
+  doc.organization ? { organization: idOf(doc.organization) } : { user: idOf(doc.user) }
+);
+
+/**
+ * Whether a loaded document is in the user's workspace.
+ */
+const inWorkspace = (doc, user) => {
+  if (!doc) return false;
+  if (user.organization && doc.organization) return String(idOf(doc.organization)) === String(idOf(user.organization));
+  return String(idOf(doc.user)) === String(idOf(user));
+};
+
+module.exports = { workspaceFilter, workspaceFields, workspaceOf, inWorkspace };